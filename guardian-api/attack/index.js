@@ -0,0 +1,252 @@
+// Attack paths - how an attacker could chain hosts together
+//
+// The attack graph has an edge from host A to host B when something on A can
+// reach a service on B (the segmentation rules between their zones, or the
+// same segment when either is unzoned) and that service can be abused: an
+// open, remotely exploitable finding on it, or a service that is commonly
+// broken into on its own (Telnet, RDP, unauthenticated databases...). Each
+// edge keeps its most likely technique and the probability of it working.
+//
+// Paths run from entry points - the internet, through whatever the rules
+// let in from the internet zone, or hosts the caller picks - to targets,
+// hosts tagged as crown jewels unless the caller picks others. For each
+// target we report the path with the fewest hops and the most likely one
+// (the highest product of edge probabilities). A path's score is its
+// likelihood weighted by the target's criticality, 0-100.
+
+const { decide } = require('../segmentation');
+
+const INTERNET = 'internet';
+
+const DEFAULTS = {
+  internetZone: process.env.ATTACK_INTERNET_ZONE || 'internet',
+  entryTag: process.env.ATTACK_ENTRY_TAG || 'internet-facing',
+  targetTag: process.env.ATTACK_TARGET_TAG || 'crown-jewel',
+  maxHops: parseInt(process.env.ATTACK_MAX_HOPS) || 8
+};
+
+// Chance of getting in through a service without a known vulnerability
+const EXPOSED_SERVICES = {
+  23: 0.4, // Telnet
+  6379: 0.35, // Redis
+  27017: 0.35, // MongoDB
+  9200: 0.35, // Elasticsearch
+  5900: 0.3, // VNC
+  3389: 0.25, // RDP
+  445: 0.25, // SMB
+  21: 0.2 // FTP
+};
+const SSH_PASSWORD_PROBABILITY = 0.3;
+
+const KNOWN_EXPLOITED_PROBABILITY = 0.9;
+const MAX_EXPLOIT_PROBABILITY = 0.8;
+
+const IMPACT = { low: 0.4, medium: 0.6, high: 0.8, critical: 1 };
+
+function findingScore(finding) {
+  if (finding.cvssScores) return finding.cvssScores.score;
+  if (typeof finding.cvss === 'number') return finding.cvss;
+  return { critical: 9.5, high: 8, medium: 5.5, low: 2.5 }[finding.severity] || 0;
+}
+
+// 'network', 'adjacent' or null for findings that need local access
+function attackVector(finding) {
+  const match = String(finding.cvssVector || '').match(/AV:([NALP])/);
+  if (!match) return 'network';
+  return { N: 'network', A: 'adjacent' }[match[1]] || null;
+}
+
+function exploitProbability(finding) {
+  if (finding.knownExploited) return KNOWN_EXPLOITED_PROBABILITY;
+  const probability = Math.min(MAX_EXPLOIT_PROBABILITY, (findingScore(finding) / 10) * MAX_EXPLOIT_PROBABILITY);
+  return Math.round(probability * 1000) / 1000;
+}
+
+function findingPorts(finding) {
+  return (finding.evidence || []).map(item => item.port).filter(Boolean);
+}
+
+// Ways into `host` over the ports `allowed(port)` lets through, best first;
+// `sameSegment` admits adjacent-network exploits
+function techniques(host, allowed, sameSegment) {
+  const found = [];
+  const services = host.services || [];
+  const openPorts = services.map(service => service.port).filter(allowed);
+  if (openPorts.length === 0) return found;
+
+  (host.findings || []).forEach(finding => {
+    const vector = attackVector(finding);
+    if (!vector || (vector === 'adjacent' && !sameSegment)) return;
+    const ports = findingPorts(finding);
+    const port = ports.length ? ports.find(candidate => openPorts.includes(candidate)) : openPorts[0];
+    if (port === undefined) return;
+    found.push({
+      technique: 'exploit',
+      port,
+      findingId: finding.id,
+      findingKey: finding.key || null,
+      cvss: findingScore(finding),
+      knownExploited: Boolean(finding.knownExploited),
+      probability: exploitProbability(finding)
+    });
+  });
+
+  services.filter(service => openPorts.includes(service.port)).forEach(service => {
+    let probability = EXPOSED_SERVICES[service.port];
+    if (service.port === 22 && (service.authMethods || []).includes('password')) {
+      probability = SSH_PASSWORD_PROBABILITY;
+    }
+    if (!probability) return;
+    found.push({ technique: 'exposed_service', port: service.port, service: service.name, probability });
+  });
+
+  return found.sort((a, b) => b.probability - a.probability);
+}
+
+function hostRef(host) {
+  return { id: host.id, ip: host.ip, hostname: host.hostname, zone: host.zone || null };
+}
+
+// `hosts` carry services, active findings, criticality, tags, zone and
+// segment. `entries`/`targets` are lists of host ids, asset ids or
+// addresses that replace the defaults.
+function analyzeAttackPaths({ hosts, segmentation, entries = null, targets = null, maxHops = DEFAULTS.maxHops, options = {} }) {
+  const settings = { ...DEFAULTS, ...options };
+  const byRef = new Map();
+  hosts.forEach(host => {
+    [host.id, host.ip, host.assetId].filter(Boolean).forEach(ref => byRef.set(ref, host));
+  });
+  const resolve = (refs) => refs.map(ref => {
+    const host = byRef.get(ref);
+    if (!host) {
+      throw new Error(`Unknown host: ${ref}`);
+    }
+    return host;
+  });
+
+  const zoneIds = segmentation.zones.map(zone => zone.id);
+  const hasInternetZone = zoneIds.includes(settings.internetZone);
+
+  // Ports on `to` that an attacker in `fromZone`/`fromSegment` can reach
+  function allowedPorts(fromZone, fromSegment, to) {
+    if (fromZone === INTERNET) {
+      if ((to.tags || []).includes(settings.entryTag)) return () => true;
+      if (!hasInternetZone || !to.zone) return () => false;
+      return port => decide(segmentation, settings.internetZone, to.zone, port).action === 'allow';
+    }
+    if (fromZone && to.zone) {
+      return port => decide(segmentation, fromZone, to.zone, port).action === 'allow';
+    }
+    return () => fromSegment === to.segment;
+  }
+
+  // Edges depend only on where the attacker stands, so cache per zone and
+  // segment
+  const edgeCache = new Map();
+  function edgesFrom(host) {
+    const zone = host === INTERNET ? INTERNET : host.zone || null;
+    const segment = host === INTERNET ? null : host.segment;
+    const key = `${zone}|${segment}`;
+    if (!edgeCache.has(key)) {
+      edgeCache.set(key, hosts.map(to => {
+        const ways = techniques(to, allowedPorts(zone, segment, to), segment !== null && segment === to.segment);
+        return ways.length ? { to, best: ways[0], alternatives: ways.length - 1 } : null;
+      }).filter(Boolean));
+    }
+    return edgeCache.get(key).filter(edge => edge.to !== host);
+  }
+
+  const entryHosts = entries ? resolve(entries) : null;
+  const targetHosts = targets
+    ? resolve(targets)
+    : hosts.filter(host => (host.tags || []).includes(settings.targetTag));
+
+  // Cheapest way to each host in at most maxHops steps, from every entry at
+  // once; `weight(edge)` is the cost of a step. Works outward one hop at a
+  // time and only carries on from states that improved on the best so far,
+  // since a state with more hops and no lower cost can never do better.
+  function search(weight) {
+    const best = new Map();
+    let frontier = (entryHosts ? entryHosts : [INTERNET]).map(node => ({ node, cost: 0, hops: 0, previous: null, edge: null }));
+    frontier.forEach(state => best.set(state.node, state));
+    for (let hops = 1; hops <= maxHops && frontier.length > 0; hops++) {
+      const next = new Map();
+      frontier.forEach(state => {
+        edgesFrom(state.node).forEach(edge => {
+          const cost = state.cost + weight(edge);
+          const known = next.get(edge.to) || best.get(edge.to);
+          if (!known || cost < known.cost - 1e-12) {
+            next.set(edge.to, { node: edge.to, cost, hops, previous: state, edge });
+          }
+        });
+      });
+      next.forEach((state, node) => best.set(node, state));
+      frontier = Array.from(next.values());
+    }
+    return best;
+  }
+
+  function pathTo(best, target, kind) {
+    const steps = [];
+    let state = best.get(target);
+    while (state.previous) {
+      const { previous, edge, node } = state;
+      steps.unshift({
+        from: previous.node === INTERNET ? INTERNET : previous.node.id,
+        to: node.id,
+        ip: node.ip,
+        ...edge.best
+      });
+      state = previous;
+    }
+    const entry = state.node;
+    const likelihood = steps.reduce((product, step) => product * step.probability, 1);
+    const impact = IMPACT[target.criticality] || IMPACT.medium;
+    return {
+      kinds: [kind],
+      entry: entry === INTERNET ? { id: INTERNET } : hostRef(entry),
+      target: hostRef(target),
+      steps,
+      hops: steps.length,
+      likelihood: Math.round(likelihood * 10000) / 10000,
+      score: Math.round(likelihood * impact * 1000) / 10
+    };
+  }
+
+  const fewest = search(() => 1 + 1e-6);
+  const likeliest = search(edge => -Math.log(edge.best.probability));
+
+  const paths = [];
+  const unreachable = [];
+  targetHosts.forEach(target => {
+    if (!fewest.has(target)) {
+      unreachable.push(hostRef(target));
+      return;
+    }
+    const shortest = pathTo(fewest, target, 'shortest');
+    const likely = pathTo(likeliest, target, 'most_likely');
+    const same = shortest.steps.map(step => step.to).join() === likely.steps.map(step => step.to).join() &&
+      shortest.entry.id === likely.entry.id;
+    if (same) {
+      paths.push({ ...likely, kinds: ['shortest', 'most_likely'] });
+    } else {
+      paths.push(shortest, likely);
+    }
+  });
+
+  return {
+    entries: entryHosts ? entryHosts.map(hostRef) : [{ id: INTERNET }],
+    targets: targetHosts.map(hostRef),
+    paths: paths
+      .sort((a, b) => b.score - a.score || a.hops - b.hops)
+      .map((path, index) => ({ id: `path-${index + 1}`, ...path })),
+    unreachable,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  INTERNET,
+  DEFAULTS,
+  analyzeAttackPaths
+};
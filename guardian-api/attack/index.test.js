@@ -0,0 +1,96 @@
+const { analyzeAttackPaths, INTERNET } = require('.');
+
+const allow = (from, to, ports) => ({ id: `${from}-${to}`, from, to, ports, protocol: 'tcp', action: 'allow' });
+
+// internet -> dmz (telnet); dmz -> app (8080) and db (FTP only); app -> db (8080); db -> vault (telnet)
+const segmentation = {
+  zones: [{ id: 'internet' }, { id: 'dmz' }, { id: 'app' }, { id: 'db' }, { id: 'vault' }],
+  rules: [
+    allow('internet', 'dmz', [23]),
+    allow('dmz', 'db', [21]),
+    allow('dmz', 'app', [8080]),
+    allow('app', 'db', [8080]),
+    allow('db', 'vault', [23])
+  ],
+  intraZone: 'deny',
+  defaultAction: 'deny'
+};
+
+const exploited = (port) => [{ id: `vuln-${port}`, knownExploited: true, cvssVector: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H', evidence: [{ port }] }];
+
+const hosts = [
+  { id: 'web', ip: '10.0.1.10', zone: 'dmz', services: [{ port: 23, name: 'Telnet' }] },
+  { id: 'app', ip: '10.0.2.10', zone: 'app', services: [{ port: 8080, name: 'HTTP' }], findings: exploited(8080) },
+  { id: 'db', ip: '10.0.3.10', zone: 'db', services: [{ port: 21, name: 'FTP' }, { port: 8080, name: 'HTTP' }], findings: exploited(8080) },
+  { id: 'vault', ip: '10.0.4.10', zone: 'vault', tags: ['crown-jewel'], criticality: 'critical', services: [{ port: 23, name: 'Telnet' }] }
+];
+
+const route = (path) => [path.entry.id, ...path.steps.map(step => step.to)].join(' > ');
+
+describe('analyzeAttackPaths', () => {
+  test('reports the shortest and the most likely path to each crown jewel', () => {
+    const result = analyzeAttackPaths({ hosts, segmentation });
+    expect(result.entries).toEqual([{ id: INTERNET }]);
+    expect(result.unreachable).toEqual([]);
+
+    const likely = result.paths.find(path => path.kinds.includes('most_likely'));
+    const shortest = result.paths.find(path => path.kinds.includes('shortest'));
+    expect(route(likely)).toBe('internet > web > app > db > vault');
+    expect(likely.steps.map(step => [step.technique, step.port])).toEqual([
+      ['exposed_service', 23], ['exploit', 8080], ['exploit', 8080], ['exposed_service', 23]
+    ]);
+    expect(likely.likelihood).toBe(0.1296);
+    expect(likely.score).toBe(13);
+    expect(route(shortest)).toBe('internet > web > db > vault');
+    expect(shortest.likelihood).toBe(0.032);
+    expect(result.paths[0]).toBe(likely);
+  });
+
+  test('both searches stay within maxHops', () => {
+    // The likeliest route needs four hops; with three only the FTP route is left
+    const result = analyzeAttackPaths({ hosts, segmentation, maxHops: 3 });
+    expect(result.paths).toHaveLength(1);
+    expect(result.paths[0]).toMatchObject({ kinds: ['shortest', 'most_likely'], hops: 3, likelihood: 0.032 });
+    expect(route(result.paths[0])).toBe('internet > web > db > vault');
+    result.paths.forEach(path => expect(path.steps.length).toBeGreaterThan(0));
+  });
+
+  test('targets out of reach are reported as unreachable', () => {
+    const result = analyzeAttackPaths({ hosts, segmentation, maxHops: 2 });
+    expect(result.paths).toEqual([]);
+    expect(result.unreachable).toEqual([{ id: 'vault', ip: '10.0.4.10', hostname: undefined, zone: 'vault' }]);
+  });
+
+  test('entries and targets can be picked by id or address', () => {
+    const result = analyzeAttackPaths({ hosts, segmentation, entries: ['10.0.2.10'], targets: ['db'] });
+    expect(result.paths).toHaveLength(1);
+    expect(route(result.paths[0])).toBe('app > db');
+    expect(result.paths[0].steps[0]).toMatchObject({ from: 'app', to: 'db', technique: 'exploit', findingId: 'vuln-8080', probability: 0.9 });
+    expect(() => analyzeAttackPaths({ hosts, segmentation, targets: ['10.9.9.9'] })).toThrow('Unknown host: 10.9.9.9');
+  });
+
+  test('hosts tagged internet-facing can be reached on any port', () => {
+    const exposed = hosts.map(host => (host.id === 'db' ? { ...host, tags: ['internet-facing'] } : host));
+    const result = analyzeAttackPaths({ hosts: exposed, segmentation });
+    expect(route(result.paths[0])).toBe('internet > db > vault');
+  });
+
+  test('unzoned hosts reach each other only within their segment', () => {
+    const flat = [
+      { id: 'a', ip: '192.168.1.10', segment: '192.168.1.0/24', tags: ['internet-facing'], services: [{ port: 23 }] },
+      { id: 'b', ip: '192.168.1.20', segment: '192.168.1.0/24', tags: ['crown-jewel'], services: [{ port: 445 }] },
+      { id: 'c', ip: '192.168.2.20', segment: '192.168.2.0/24', tags: ['crown-jewel'], services: [{ port: 445 }] }
+    ];
+    const result = analyzeAttackPaths({ hosts: flat, segmentation: { zones: [], rules: [] } });
+    expect(result.paths.map(route)).toEqual(['internet > a > b']);
+    expect(result.unreachable.map(host => host.id)).toEqual(['c']);
+  });
+
+  test('exploits that need local access are not attack steps', () => {
+    const local = hosts.map(host => (host.id === 'app'
+      ? { ...host, findings: [{ id: 'local', cvssVector: 'CVSS:3.1/AV:L/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H', evidence: [{ port: 8080 }] }] }
+      : host));
+    const result = analyzeAttackPaths({ hosts: local, segmentation });
+    expect(result.paths.map(route)).toEqual(['internet > web > db > vault']);
+  });
+});
@@ -0,0 +1,155 @@
+// Audit trail - an append-only, hash-chained record of security-relevant
+// actions
+//
+// Entries are numbered from 1 and stored under zero-padded ids. Each entry's
+// `hash` is a SHA-256 over its canonical JSON (sorted keys, without the hash)
+// including `prevHash`, the hash of the entry before it, so editing, removing
+// or reordering any entry breaks every hash after it. The newest sequence
+// number and hash are also kept in the `audit_head` meta record, which
+// catches entries being removed from the end.
+
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+const HEAD_KEY = 'audit_head';
+
+function entryId(seq) {
+  return String(seq).padStart(12, '0');
+}
+
+// JSON with object keys sorted, so the same entry always hashes the same
+function canonical(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonical).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonical(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashEntry(entry) {
+  const { hash, ...fields } = entry;
+  return crypto.createHash('sha256').update(canonical(fields)).digest('hex');
+}
+
+function createAuditLog({ entries, meta }) {
+  let head = null;
+  let queue = Promise.resolve();
+
+  // The head record is written after the entry, so an entry past it means
+  // the process stopped in between
+  async function loadHead() {
+    head = (await meta.get(HEAD_KEY)) || { seq: 0, hash: GENESIS_HASH };
+    let next = await entries.get(entryId(head.seq + 1));
+    while (next) {
+      head = { seq: next.seq, hash: next.hash };
+      next = await entries.get(entryId(head.seq + 1));
+    }
+    await meta.set(HEAD_KEY, head);
+    return head;
+  }
+
+  // `actor` is { type: 'user', userId, username, via, ip } or
+  // { type: 'system', name }; `before`/`after` are the changed values
+  function record(action, actor, { target = null, before = null, after = null, details = null } = {}) {
+    const append = async () => {
+      if (!head) {
+        await loadHead();
+      }
+      const entry = {
+        id: entryId(head.seq + 1),
+        seq: head.seq + 1,
+        timestamp: new Date().toISOString(),
+        action,
+        actor,
+        target,
+        before,
+        after,
+        details,
+        prevHash: head.hash
+      };
+      entry.hash = hashEntry(entry);
+      await entries.set(entry.id, entry);
+      head = { seq: entry.seq, hash: entry.hash };
+      await meta.set(HEAD_KEY, head);
+      return entry;
+    };
+    const result = queue.then(append);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  async function ordered() {
+    const list = await entries.list();
+    return list.sort((a, b) => a.seq - b.seq);
+  }
+
+  // Newest first; filters are exact except `from`/`to` (timestamps) and
+  // `actor` (a username or system name)
+  async function query({ action, actor, target, from, to, limit = 100, offset = 0 } = {}) {
+    const matches = (await ordered()).reverse().filter(entry =>
+      (!action || entry.action === action || entry.action.startsWith(`${action}.`)) &&
+      (!actor || entry.actor.username === actor || entry.actor.name === actor) &&
+      (!target || entry.target === target) &&
+      (!from || entry.timestamp >= from) &&
+      (!to || entry.timestamp <= to));
+    return {
+      total: matches.length,
+      entries: matches.slice(offset, offset + limit)
+    };
+  }
+
+  // Walks the whole chain; `problems` lists every entry that does not fit
+  async function verify() {
+    const list = await ordered();
+    const stored = (await meta.get(HEAD_KEY)) || { seq: 0, hash: GENESIS_HASH };
+    const problems = [];
+    let previous = { seq: 0, hash: GENESIS_HASH };
+
+    for (const entry of list) {
+      if (entry.seq !== previous.seq + 1) {
+        const missing = entry.seq - previous.seq > 2 ? `Entries ${previous.seq + 1}-${entry.seq - 1} are` : `Entry ${previous.seq + 1} is`;
+        problems.push({ seq: entry.seq, problem: `${missing} missing` });
+      } else if (entry.prevHash !== previous.hash) {
+        problems.push({ seq: entry.seq, problem: 'prevHash does not match the previous entry' });
+      }
+      if (entry.id !== entryId(entry.seq)) {
+        problems.push({ seq: entry.seq, problem: 'Entry is stored under the wrong id' });
+      }
+      if (hashEntry(entry) !== entry.hash) {
+        problems.push({ seq: entry.seq, problem: 'Entry contents do not match its hash' });
+      }
+      previous = { seq: entry.seq, hash: entry.hash };
+    }
+    if (stored.seq > previous.seq) {
+      problems.push({ seq: previous.seq + 1, problem: `Entries after ${previous.seq} are missing (head is ${stored.seq})` });
+    } else if (stored.seq === previous.seq && stored.hash !== previous.hash) {
+      problems.push({ seq: stored.seq, problem: 'Last entry does not match the recorded head' });
+    }
+
+    return {
+      valid: problems.length === 0,
+      entries: list.length,
+      head: previous,
+      verifiedAt: new Date().toISOString(),
+      problems
+    };
+  }
+
+  return {
+    start: loadHead,
+    record,
+    query,
+    verify
+  };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  hashEntry,
+  createAuditLog
+};
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStorage } = require('../storage/file');
+const { GENESIS_HASH, hashEntry, createAuditLog } = require('.');
+
+const alice = { type: 'user', userId: 'user-1', username: 'alice', via: 'session', ip: '10.0.0.1' };
+const scheduler = { type: 'system', name: 'scheduler' };
+
+describe('audit log', () => {
+  let dataDir;
+  let storage;
+  let entries;
+  let meta;
+  let audit;
+
+  const id = (seq) => String(seq).padStart(12, '0');
+
+  // Five entries, 1-5
+  async function recordFive() {
+    for (let seq = 1; seq <= 5; seq++) {
+      await audit.record('policy.updated', seq % 2 ? alice : scheduler, { target: `policy-${seq}`, after: { seq } });
+    }
+  }
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-audit-'));
+    storage = createFileStorage({ dataDir });
+    entries = storage.collection('audit_log');
+    meta = storage.collection('meta');
+    audit = createAuditLog({ entries, meta });
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('each entry is hashed together with the hash before it', async () => {
+    const first = await audit.record('user.created', alice, { target: 'user-2', after: { role: 'viewer' } });
+    const second = await audit.record('user.deleted', alice, { target: 'user-2' });
+
+    expect(first).toMatchObject({ id: id(1), seq: 1, action: 'user.created', actor: alice, before: null, details: null, prevHash: GENESIS_HASH });
+    expect(second).toMatchObject({ id: id(2), seq: 2, prevHash: first.hash });
+    expect(first.hash).toBe(hashEntry(first));
+    expect(await meta.get('audit_head')).toEqual({ seq: 2, hash: second.hash });
+  });
+
+  test('concurrent records are chained one after another', async () => {
+    const recorded = await Promise.all([1, 2, 3, 4].map(n => audit.record('scan.started', scheduler, { target: `10.0.${n}.0/24` })));
+    expect(recorded.map(entry => entry.seq)).toEqual([1, 2, 3, 4]);
+    expect(await audit.verify()).toMatchObject({ valid: true, entries: 4, problems: [] });
+  });
+
+  test('a failed write is reported and the chain carries on', async () => {
+    const set = jest.spyOn(entries, 'set').mockRejectedValueOnce(new Error('disk full'));
+    await expect(audit.record('user.created', alice)).rejects.toThrow('disk full');
+    set.mockRestore();
+
+    expect(await audit.record('user.created', alice)).toMatchObject({ seq: 1, prevHash: GENESIS_HASH });
+    expect((await audit.verify()).valid).toBe(true);
+  });
+
+  test('an entry written just before a crash is picked up on start', async () => {
+    await recordFive();
+    await meta.set('audit_head', { seq: 4, hash: (await entries.get(id(4))).hash });
+
+    const restarted = createAuditLog({ entries, meta });
+    expect(await restarted.start()).toEqual({ seq: 5, hash: (await entries.get(id(5))).hash });
+    expect(await restarted.record('user.created', alice)).toMatchObject({ seq: 6 });
+    expect((await restarted.verify()).valid).toBe(true);
+  });
+
+  test('query returns the newest entries first and filters them', async () => {
+    await recordFive();
+    await audit.record('policy.deleted', alice, { target: 'policy-1' });
+
+    const all = await audit.query({ limit: 2 });
+    expect(all.total).toBe(6);
+    expect(all.entries.map(entry => entry.seq)).toEqual([6, 5]);
+    expect((await audit.query({ action: 'policy', actor: 'scheduler' })).entries.map(entry => entry.seq)).toEqual([4, 2]);
+    expect((await audit.query({ action: 'policy.deleted' })).total).toBe(1);
+    expect((await audit.query({ action: 'policy.delete' })).total).toBe(0);
+    expect((await audit.query({ target: 'policy-1' })).entries.map(entry => entry.seq)).toEqual([6, 1]);
+    expect((await audit.query({ offset: 5 })).entries.map(entry => entry.seq)).toEqual([1]);
+  });
+
+  describe('verify', () => {
+    beforeEach(recordFive);
+
+    const problems = async () => (await audit.verify()).problems;
+
+    test('an untouched chain is valid', async () => {
+      const result = await audit.verify();
+      expect(result).toMatchObject({ valid: true, entries: 5, problems: [] });
+      expect(result.head).toEqual({ seq: 5, hash: (await entries.get(id(5))).hash });
+    });
+
+    test('an edited entry no longer matches its hash', async () => {
+      const entry = await entries.get(id(3));
+      await entries.set(id(3), { ...entry, actor: scheduler });
+      expect(await problems()).toEqual([{ seq: 3, problem: 'Entry contents do not match its hash' }]);
+    });
+
+    test('an edited and re-hashed entry breaks the link to the next one', async () => {
+      const entry = { ...(await entries.get(id(3))), after: { seq: 99 } };
+      entry.hash = hashEntry(entry);
+      await entries.set(id(3), entry);
+      expect(await problems()).toEqual([{ seq: 4, problem: 'prevHash does not match the previous entry' }]);
+    });
+
+    test('a removed entry is reported at the entry after the gap', async () => {
+      await entries.delete(id(2));
+      expect(await problems()).toEqual([{ seq: 3, problem: 'Entry 2 is missing' }]);
+
+      await entries.delete(id(3));
+      expect(await problems()).toEqual([{ seq: 4, problem: 'Entries 2-3 are missing' }]);
+    });
+
+    test('entries removed from the end are caught by the head record', async () => {
+      await entries.delete(id(5));
+      await entries.delete(id(4));
+      const result = await audit.verify();
+      expect(result.valid).toBe(false);
+      expect(result.problems).toEqual([{ seq: 4, problem: 'Entries after 3 are missing (head is 5)' }]);
+    });
+
+    test('a replaced last entry does not match the head record', async () => {
+      const entry = { ...(await entries.get(id(5))), action: 'policy.created' };
+      entry.hash = hashEntry(entry);
+      await entries.set(id(5), entry);
+      expect(await problems()).toEqual([{ seq: 5, problem: 'Last entry does not match the recorded head' }]);
+    });
+
+    test('reordered entries break the chain from the first one moved', async () => {
+      const renumber = async (from, to) => {
+        const entry = { ...(await entries.get(id(from))), seq: to };
+        entry.hash = hashEntry(entry);
+        await entries.set(id(from), entry);
+      };
+      await renumber(2, 3);
+      await renumber(3, 2);
+      expect(await problems()).toEqual([
+        { seq: 2, problem: 'prevHash does not match the previous entry' },
+        { seq: 2, problem: 'Entry is stored under the wrong id' },
+        { seq: 3, problem: 'prevHash does not match the previous entry' },
+        { seq: 3, problem: 'Entry is stored under the wrong id' },
+        { seq: 4, problem: 'prevHash does not match the previous entry' }
+      ]);
+    });
+
+    test('an entry copied over another breaks the chain at both ends', async () => {
+      await entries.set(id(4), { ...(await entries.get(id(2))), id: id(4), seq: 4 });
+      expect(await problems()).toEqual([
+        { seq: 4, problem: 'prevHash does not match the previous entry' },
+        { seq: 4, problem: 'Entry contents do not match its hash' },
+        { seq: 5, problem: 'prevHash does not match the previous entry' }
+      ]);
+    });
+  });
+});
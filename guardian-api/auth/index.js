@@ -0,0 +1,394 @@
+// Authentication - local users, JWT sessions and API keys
+//
+// Passwords are bcrypt hashes. A login issues a JWT whose `jti` names a
+// record in the `sessions` collection, so logging out or disabling the user
+// ends the session before the token itself expires. API keys look like
+// `gdn_<id>_<secret>`; only a SHA-256 hash of the secret is stored and the
+// full key is returned once, when it is created.
+//
+// Setting a password ends the user's other sessions. Emits 'revoked' with
+// { sessionId } or { keyId } or { userId, except } (a session left open) so
+// WebSocket connections using those credentials can be closed.
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_ROLE, permissionsFor, validateRole, validateSubnets } = require('./roles');
+
+const API_KEY_PREFIX = 'gdn';
+const API_KEY_PATTERN = /^gdn_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,63}$/i;
+const MIN_PASSWORD_LENGTH = 10;
+
+// Consecutive failed logins before a username is locked out for a while.
+// Failures are counted per username and client address, so one client
+// cannot lock an account out for everyone else.
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+// Most username/address pairs whose failures are remembered at once
+const MAX_TRACKED_LOGINS = 10000;
+
+// An API key's lastUsed is only rewritten when it is older than this
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// Used only to keep failed logins for unknown users as slow as real ones
+const DUMMY_HASH = bcrypt.hashSync('guardian-dummy-password', 4);
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+function publicKey(key) {
+  const { hash, ...rest } = key;
+  return rest;
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+function validateUsername(username) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    throw new Error('Username must be 2-64 letters, digits, dots, dashes or underscores');
+  }
+}
+
+// Bearer tokens from the Authorization header, or an X-API-Key header
+function requestCredential(headers) {
+  const match = (headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+  return headers['x-api-key'] || null;
+}
+
+function createAuth({ users, sessions, apiKeys, secret, expiry = '7d', bcryptRounds = 10, maxTrackedLogins = MAX_TRACKED_LOGINS }) {
+  const auth = new EventEmitter();
+  const failedLogins = new Map();
+
+  async function findUser(username) {
+    const [user] = await users.find({ username: String(username).toLowerCase() });
+    return user || null;
+  }
+
+  async function createUser({ username, password, name, role = DEFAULT_ROLE, subnets = null }) {
+    validateUsername(username);
+    validatePassword(password);
+    validateRole(role);
+    if (await findUser(username)) {
+      throw new Error(`User ${username} already exists`);
+    }
+    const user = {
+      id: uuidv4(),
+      username: username.toLowerCase(),
+      name: name || username,
+      passwordHash: await bcrypt.hash(password, bcryptRounds),
+      role,
+      subnets: validateSubnets(subnets),
+      disabled: false,
+      created: new Date().toISOString(),
+      lastLogin: null
+    };
+    await users.set(user.id, user);
+    return publicUser(user);
+  }
+
+  // Signs the user out everywhere but `keepSession`, the session making the change
+  async function setPassword(userId, password, keepSession = null) {
+    validatePassword(password);
+    const user = await users.get(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    await users.set(user.id, { ...user, passwordHash: await bcrypt.hash(password, bcryptRounds), passwordChanged: new Date().toISOString() });
+    await revokeUser(user.id, keepSession);
+  }
+
+  // Changing your own password needs the current one
+  async function changePassword(userId, currentPassword, password, keepSession = null) {
+    const user = await users.get(userId);
+    if (!user || !(await bcrypt.compare(String(currentPassword || ''), user.passwordHash))) {
+      return false;
+    }
+    await setPassword(userId, password, keepSession);
+    return true;
+  }
+
+  async function getUser(userId) {
+    const user = await users.get(userId);
+    return user ? publicUser(user) : null;
+  }
+
+  async function listUsers() {
+    const list = await users.list();
+    return list.map(publicUser).sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  // Role and subnet scope; either may be left out
+  async function setAccess(userId, { role, subnets }) {
+    const user = await users.get(userId);
+    if (!user) return null;
+    const updated = { ...user };
+    if (role !== undefined) {
+      validateRole(role);
+      updated.role = role;
+    }
+    if (subnets !== undefined) {
+      updated.subnets = validateSubnets(subnets);
+    }
+    await users.set(user.id, updated);
+    return publicUser(updated);
+  }
+
+  async function setDisabled(userId, disabled) {
+    const user = await users.get(userId);
+    if (!user) return null;
+    const updated = { ...user, disabled };
+    await users.set(user.id, updated);
+    if (disabled) {
+      await revokeUser(user.id);
+    }
+    return publicUser(updated);
+  }
+
+  async function deleteUser(userId) {
+    const user = await users.get(userId);
+    if (!user) return null;
+    await revokeUser(user.id);
+    for (const key of await apiKeys.find({ userId: user.id })) {
+      await apiKeys.delete(key.id);
+    }
+    await users.delete(user.id);
+    return publicUser(user);
+  }
+
+  async function revokeUser(userId, except = null) {
+    for (const session of await sessions.find({ userId })) {
+      if (session.id !== except) {
+        await sessions.delete(session.id);
+      }
+    }
+    auth.emit('revoked', { userId, except });
+  }
+
+  function lockedOut(key) {
+    const entry = failedLogins.get(key);
+    if (entry && Date.now() - entry.last >= LOCKOUT_MS) {
+      failedLogins.delete(key);
+      return false;
+    }
+    return Boolean(entry && entry.count >= MAX_FAILED_LOGINS);
+  }
+
+  // Re-inserting keeps the map in order of the latest failure
+  function recordFailure(key) {
+    const entry = failedLogins.get(key);
+    const expired = !entry || Date.now() - entry.last >= LOCKOUT_MS;
+    failedLogins.delete(key);
+    failedLogins.set(key, { count: expired ? 1 : entry.count + 1, last: Date.now() });
+    if (failedLogins.size > maxTrackedLogins) {
+      pruneFailedLogins();
+    }
+  }
+
+  // Drops expired entries, then the oldest failures while over the limit
+  function pruneFailedLogins() {
+    const now = Date.now();
+    for (const [key, entry] of failedLogins) {
+      if (now - entry.last >= LOCKOUT_MS) failedLogins.delete(key);
+    }
+    for (const key of failedLogins.keys()) {
+      if (failedLogins.size <= maxTrackedLogins) break;
+      failedLogins.delete(key);
+    }
+  }
+
+  // Resolves to { token, expiresAt, user, permissions }, or throws with `code` set to
+  // 'invalid_credentials' or 'locked_out'
+  async function login(username, password, { ip, userAgent } = {}) {
+    const name = String(username || '').toLowerCase();
+    const attempt = `${name} ${ip || ''}`;
+    if (lockedOut(attempt)) {
+      throw Object.assign(new Error('Too many failed logins, try again later'), { code: 'locked_out' });
+    }
+    const user = name ? await findUser(name) : null;
+    let valid = false;
+    if (user) {
+      valid = await bcrypt.compare(String(password || ''), user.passwordHash);
+    } else {
+      await bcrypt.compare(String(password || ''), DUMMY_HASH);
+    }
+    if (!valid || user.disabled) {
+      recordFailure(attempt);
+      throw Object.assign(new Error('Invalid username or password'), { code: 'invalid_credentials' });
+    }
+    failedLogins.delete(attempt);
+
+    const sessionId = uuidv4();
+    const token = jwt.sign({ sub: user.id, username: user.username }, secret, { expiresIn: expiry, jwtid: sessionId });
+    const { iat, exp } = jwt.decode(token);
+    const session = {
+      id: sessionId,
+      userId: user.id,
+      created: new Date(iat * 1000).toISOString(),
+      expiresAt: new Date(exp * 1000).toISOString(),
+      ip: ip || null,
+      userAgent: userAgent || null
+    };
+    await sessions.set(session.id, session);
+    await users.set(user.id, { ...user, lastLogin: session.created });
+    return {
+      token,
+      expiresAt: session.expiresAt,
+      user: publicUser({ ...user, lastLogin: session.created }),
+      permissions: permissionsFor(user.role)
+    };
+  }
+
+  async function logout(sessionId) {
+    await sessions.delete(sessionId);
+    auth.emit('revoked', { sessionId });
+  }
+
+  // Returns the full key once; only its hash is kept
+  async function createApiKey(userId, { name, expiresAt = null }) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('API key name is required');
+    }
+    if (expiresAt !== null && Number.isNaN(Date.parse(expiresAt))) {
+      throw new Error('expiresAt must be a date');
+    }
+    const id = crypto.randomBytes(8).toString('hex');
+    const secretPart = crypto.randomBytes(32).toString('base64url');
+    const record = {
+      id,
+      userId,
+      name,
+      prefix: `${API_KEY_PREFIX}_${id}`,
+      hash: hashSecret(secretPart),
+      created: new Date().toISOString(),
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      lastUsed: null
+    };
+    await apiKeys.set(id, record);
+    return { ...publicKey(record), key: `${API_KEY_PREFIX}_${id}_${secretPart}` };
+  }
+
+  async function listApiKeys(userId) {
+    const keys = await apiKeys.find({ userId });
+    return keys.map(publicKey).sort((a, b) => b.created.localeCompare(a.created));
+  }
+
+  async function revokeApiKey(userId, keyId) {
+    const key = await apiKeys.get(keyId);
+    if (!key || key.userId !== userId) return false;
+    await apiKeys.delete(keyId);
+    auth.emit('revoked', { keyId });
+    return true;
+  }
+
+  async function verifyApiKey(credential) {
+    const match = credential.match(API_KEY_PATTERN);
+    if (!match) return null;
+    const key = await apiKeys.get(match[1]);
+    if (!key) return null;
+    const expected = Buffer.from(key.hash, 'hex');
+    const actual = Buffer.from(hashSecret(match[2]), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) return null;
+    if (key.expiresAt && Date.parse(key.expiresAt) <= Date.now()) return null;
+    const user = await users.get(key.userId);
+    if (!user || user.disabled) return null;
+    if (!key.lastUsed || Date.now() - Date.parse(key.lastUsed) >= LAST_USED_INTERVAL_MS) {
+      await apiKeys.set(key.id, { ...key, lastUsed: new Date().toISOString() });
+    }
+    return { type: 'api_key', keyId: key.id, user: publicUser(user), permissions: permissionsFor(user.role) };
+  }
+
+  async function verifySession(credential) {
+    let claims;
+    try {
+      claims = jwt.verify(credential, secret);
+    } catch (error) {
+      return null;
+    }
+    const session = await sessions.get(claims.jti);
+    if (!session || session.userId !== claims.sub) return null;
+    const user = await users.get(claims.sub);
+    if (!user || user.disabled) return null;
+    return {
+      type: 'session',
+      sessionId: session.id,
+      expiresAt: session.expiresAt,
+      user: publicUser(user),
+      permissions: permissionsFor(user.role)
+    };
+  }
+
+  // The identity behind a JWT or API key, or null
+  async function verify(credential) {
+    if (!credential) return null;
+    if (credential.startsWith(`${API_KEY_PREFIX}_`)) {
+      return verifyApiKey(credential);
+    }
+    return verifySession(credential);
+  }
+
+  // Express middleware: sets req.auth or answers 401
+  function middleware(req, res, next) {
+    verify(requestCredential(req.headers)).then(identity => {
+      if (!identity) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      req.auth = identity;
+      next();
+    }, next);
+  }
+
+  // Sessions past their expiry can no longer be used; drop their records, and
+  // forget failed logins whose lockout has passed
+  async function purgeExpiredSessions() {
+    pruneFailedLogins();
+    const now = Date.now();
+    let removed = 0;
+    for (const session of await sessions.list()) {
+      if (Date.parse(session.expiresAt) <= now) {
+        await sessions.delete(session.id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  return Object.assign(auth, {
+    createUser,
+    setPassword,
+    changePassword,
+    setAccess,
+    getUser,
+    listUsers,
+    setDisabled,
+    deleteUser,
+    login,
+    logout,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    verify,
+    middleware,
+    purgeExpiredSessions
+  });
+}
+
+module.exports = {
+  requestCredential,
+  publicUser,
+  createAuth
+};
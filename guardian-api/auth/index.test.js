@@ -0,0 +1,234 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { createFileStorage } = require('../storage/file');
+const { createAuth, requestCredential } = require('.');
+
+const SECRET = 'auth-test-secret';
+const PASSWORD = 'correct-horse-battery';
+
+describe('auth', () => {
+  let dataDir;
+  let storage;
+  let auth;
+  let user;
+
+  function create(options = {}) {
+    return createAuth({
+      users: storage.collection('users'),
+      sessions: storage.collection('sessions'),
+      apiKeys: storage.collection('api_keys'),
+      secret: SECRET,
+      bcryptRounds: 4,
+      ...options
+    });
+  }
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-auth-'));
+    storage = createFileStorage({ dataDir });
+    auth = create();
+    user = await auth.createUser({ username: 'Alice', password: PASSWORD, role: 'analyst' });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+    await storage.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const fail = (ip, username = 'alice') => expect(auth.login(username, 'wrong-password', { ip })).rejects.toMatchObject({ code: 'invalid_credentials' });
+  const locked = (ip, password = PASSWORD) => expect(auth.login('alice', password, { ip })).rejects.toMatchObject({ code: 'locked_out' });
+
+  describe('users', () => {
+    test('keeps only a bcrypt hash of the password', async () => {
+      expect(user).toMatchObject({ username: 'alice', name: 'Alice', role: 'analyst', subnets: null, disabled: false });
+      expect(user.passwordHash).toBeUndefined();
+      const stored = await storage.collection('users').get(user.id);
+      expect(stored.passwordHash).toMatch(/^\$2[aby]\$04\$/);
+    });
+
+    test.each([
+      [{ username: 'alice', password: PASSWORD }, 'User alice already exists'],
+      [{ username: 'b', password: PASSWORD }, 'Username must be 2-64'],
+      [{ username: 'bob', password: 'short' }, 'Password must be at least 10 characters'],
+      [{ username: 'bob', password: PASSWORD, role: 'root' }, 'role must be one of']
+    ])('rejects %j', async (fields, message) => {
+      await expect(auth.createUser(fields)).rejects.toThrow(message);
+    });
+  });
+
+  describe('login', () => {
+    test('issues a JWT naming a stored session', async () => {
+      const session = await auth.login('ALICE', PASSWORD, { ip: '10.0.0.1', userAgent: 'jest' });
+      expect(session.user).toMatchObject({ id: user.id, username: 'alice' });
+      expect(session.permissions).toEqual(['findings:update', 'reports:create']);
+
+      const claims = jwt.verify(session.token, SECRET);
+      expect(claims).toMatchObject({ sub: user.id, username: 'alice' });
+      expect(await storage.collection('sessions').get(claims.jti)).toMatchObject({ userId: user.id, ip: '10.0.0.1', userAgent: 'jest' });
+      expect(await auth.verify(session.token)).toMatchObject({ type: 'session', sessionId: claims.jti, user: { id: user.id } });
+    });
+
+    test('rejects wrong passwords, unknown users and disabled users alike', async () => {
+      await fail('10.0.0.1');
+      await fail('10.0.0.1', 'mallory');
+      await auth.setDisabled(user.id, true);
+      await expect(auth.login('alice', PASSWORD)).rejects.toMatchObject({ code: 'invalid_credentials', message: 'Invalid username or password' });
+    });
+
+    test('tokens signed with another secret are not accepted', async () => {
+      const forged = jwt.sign({ sub: user.id, username: 'alice' }, 'another-secret', { jwtid: 'session-1' });
+      expect(await auth.verify(forged)).toBeNull();
+      expect(await auth.verify('not.a.token')).toBeNull();
+    });
+  });
+
+  describe('lockout', () => {
+    test('five failures lock the username out for that client only', async () => {
+      for (let attempt = 0; attempt < 5; attempt++) {
+        await fail('10.0.0.66');
+      }
+      await locked('10.0.0.66');
+      await expect(auth.login('alice', PASSWORD, { ip: '10.0.0.1' })).resolves.toHaveProperty('token');
+    });
+
+    test('a successful login clears the count', async () => {
+      for (let attempt = 0; attempt < 4; attempt++) {
+        await fail('10.0.0.1');
+      }
+      await auth.login('alice', PASSWORD, { ip: '10.0.0.1' });
+      for (let attempt = 0; attempt < 4; attempt++) {
+        await fail('10.0.0.1');
+      }
+      await expect(auth.login('alice', PASSWORD, { ip: '10.0.0.1' })).resolves.toHaveProperty('token');
+    });
+
+    test('the lockout ends after 15 minutes', async () => {
+      const start = Date.now();
+      const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+      for (let attempt = 0; attempt < 5; attempt++) {
+        await fail('10.0.0.66');
+      }
+      now.mockReturnValue(start + 14 * 60 * 1000);
+      await locked('10.0.0.66');
+      now.mockReturnValue(start + 30 * 60 * 1000);
+      await expect(auth.login('alice', PASSWORD, { ip: '10.0.0.66' })).resolves.toHaveProperty('token');
+    });
+
+    test('only the most recent failures are remembered past the limit', async () => {
+      auth = create({ maxTrackedLogins: 3 });
+      for (let attempt = 0; attempt < 5; attempt++) {
+        await fail('10.0.0.66');
+      }
+      await locked('10.0.0.66');
+      for (const ip of ['10.0.0.1', '10.0.0.2', '10.0.0.3']) {
+        await fail(ip);
+      }
+      await expect(auth.login('alice', PASSWORD, { ip: '10.0.0.66' })).resolves.toHaveProperty('token');
+    });
+  });
+
+  describe('session revocation', () => {
+    test('logging out ends the session before the token expires', async () => {
+      const { token } = await auth.login('alice', PASSWORD);
+      const revoked = [];
+      auth.on('revoked', event => revoked.push(event));
+      const { jti } = jwt.decode(token);
+
+      await auth.logout(jti);
+      expect(await auth.verify(token)).toBeNull();
+      expect(revoked).toEqual([{ sessionId: jti }]);
+    });
+
+    test('setting a password ends every session but the one making the change', async () => {
+      const current = await auth.login('alice', PASSWORD);
+      const other = await auth.login('alice', PASSWORD);
+      const { jti } = jwt.decode(current.token);
+
+      expect(await auth.changePassword(user.id, 'wrong-password', 'another-password', jti)).toBe(false);
+      expect(await auth.changePassword(user.id, PASSWORD, 'another-password', jti)).toBe(true);
+      expect(await auth.verify(current.token)).not.toBeNull();
+      expect(await auth.verify(other.token)).toBeNull();
+      await expect(auth.login('alice', 'another-password')).resolves.toHaveProperty('token');
+    });
+
+    test('disabling a user ends their sessions', async () => {
+      const { token } = await auth.login('alice', PASSWORD);
+      await auth.setDisabled(user.id, true);
+      expect(await auth.verify(token)).toBeNull();
+    });
+
+    test('expired sessions are purged', async () => {
+      const { token } = await auth.login('alice', PASSWORD);
+      const { jti } = jwt.decode(token);
+      const sessions = storage.collection('sessions');
+      await sessions.set(jti, { ...(await sessions.get(jti)), expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+      expect(await auth.purgeExpiredSessions()).toBe(1);
+      expect(await auth.verify(token)).toBeNull();
+    });
+  });
+
+  describe('API keys', () => {
+    test('are shown once and stored as a hash', async () => {
+      const created = await auth.createApiKey(user.id, { name: 'ci' });
+      expect(created.key).toMatch(new RegExp(`^gdn_${created.id}_[A-Za-z0-9_-]{43}$`));
+      const stored = await storage.collection('api_keys').get(created.id);
+      expect(stored.hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(JSON.stringify(stored)).not.toContain(created.key.slice(`gdn_${created.id}_`.length));
+      expect(await auth.listApiKeys(user.id)).toEqual([expect.not.objectContaining({ key: expect.anything(), hash: expect.anything() })]);
+    });
+
+    test('act as their user until revoked', async () => {
+      const { id, key } = await auth.createApiKey(user.id, { name: 'ci' });
+      expect(await auth.verify(key)).toMatchObject({ type: 'api_key', keyId: id, user: { id: user.id } });
+      expect(await auth.verify(`${key.slice(0, -1)}${key.endsWith('A') ? 'B' : 'A'}`)).toBeNull();
+
+      expect(await auth.revokeApiKey('someone-else', id)).toBe(false);
+      expect(await auth.revokeApiKey(user.id, id)).toBe(true);
+      expect(await auth.verify(key)).toBeNull();
+    });
+
+    test('stop working when they expire or their user is disabled', async () => {
+      const expired = await auth.createApiKey(user.id, { name: 'old', expiresAt: new Date(Date.now() - 1000).toISOString() });
+      expect(await auth.verify(expired.key)).toBeNull();
+
+      const { key } = await auth.createApiKey(user.id, { name: 'ci' });
+      await auth.setDisabled(user.id, true);
+      expect(await auth.verify(key)).toBeNull();
+    });
+
+    test('lastUsed is written at most once a minute', async () => {
+      const { id, key } = await auth.createApiKey(user.id, { name: 'ci' });
+      const keys = storage.collection('api_keys');
+      const start = Date.now();
+      jest.useFakeTimers({ now: start, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout'] });
+
+      await auth.verify(key);
+      const first = (await keys.get(id)).lastUsed;
+      expect(first).not.toBeNull();
+      jest.setSystemTime(start + 30 * 1000);
+      await auth.verify(key);
+      expect((await keys.get(id)).lastUsed).toBe(first);
+      jest.setSystemTime(start + 61 * 1000);
+      await auth.verify(key);
+      expect((await keys.get(id)).lastUsed).not.toBe(first);
+    });
+
+    test('need a name and a valid expiry', async () => {
+      await expect(auth.createApiKey(user.id, {})).rejects.toThrow('API key name is required');
+      await expect(auth.createApiKey(user.id, { name: 'ci', expiresAt: 'soon' })).rejects.toThrow('expiresAt must be a date');
+    });
+  });
+});
+
+describe('requestCredential', () => {
+  test('reads a bearer token or an X-API-Key header', () => {
+    expect(requestCredential({ authorization: 'Bearer abc.def.ghi' })).toBe('abc.def.ghi');
+    expect(requestCredential({ 'x-api-key': 'gdn_key' })).toBe('gdn_key');
+    expect(requestCredential({ authorization: 'Basic dXNlcjpwYXNz' })).toBeNull();
+  });
+});
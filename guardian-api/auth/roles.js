@@ -0,0 +1,103 @@
+// Roles and permissions
+//
+// Every authenticated user can read. Each role adds the permissions of the
+// one below it; admins can do everything. A user's `subnets` (a list of
+// CIDRs, or null for no restriction) limits which networks they may scan or
+// remediate, whatever their role.
+
+const { Netmask } = require('netmask');
+const { addressRanges, covers } = require('../scanner/targets');
+
+const ROLES = ['viewer', 'analyst', 'operator', 'admin'];
+const DEFAULT_ROLE = 'viewer';
+
+const ROLE_PERMISSIONS = {
+  viewer: [],
+  analyst: [
+    'findings:update',
+    'reports:create'
+  ],
+  operator: [
+    'scans:run',
+    'remediations:run',
+    'assets:manage'
+  ],
+  admin: [
+    'remediations:approve',
+    'policies:manage',
+    'settings:manage',
+    'users:manage',
+    'audit:read'
+  ]
+};
+
+const PERMISSIONS = Object.values(ROLE_PERMISSIONS).flat();
+
+function permissionsFor(role) {
+  const index = ROLES.indexOf(role);
+  return ROLES.slice(0, index + 1).flatMap(name => ROLE_PERMISSIONS[name]);
+}
+
+function hasPermission(user, permission) {
+  return permissionsFor(user.role).includes(permission);
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+  }
+}
+
+// null means any subnet; otherwise a list of CIDR blocks
+function validateSubnets(subnets) {
+  if (subnets === null) return null;
+  if (!Array.isArray(subnets)) {
+    throw new Error('subnets must be a list of CIDR blocks, or null for any subnet');
+  }
+  return subnets.map(subnet => {
+    try {
+      const block = new Netmask(subnet);
+      return `${block.base}/${block.bitmask}`;
+    } catch (error) {
+      throw new Error(`Invalid subnet: ${subnet}`);
+    }
+  });
+}
+
+// Whether the whole of `target` (an address or a scan target list of CIDRs
+// and ranges) lies in the user's scope
+function inScope(user, target) {
+  if (!user.subnets) return true;
+  let ranges;
+  try {
+    ranges = addressRanges(target);
+  } catch (error) {
+    return false;
+  }
+  return ranges.length > 0 && covers(addressRanges(user.subnets), ranges);
+}
+
+// Express middleware answering 403 unless req.auth's user has `permission`
+function requirePermission(permission) {
+  if (!PERMISSIONS.includes(permission)) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return (req, res, next) => {
+    if (!hasPermission(req.auth.user, permission)) {
+      return res.status(403).json({ error: `Your role (${req.auth.user.role}) does not allow ${permission}`, permission });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  permissionsFor,
+  hasPermission,
+  validateRole,
+  validateSubnets,
+  inScope,
+  requirePermission
+};
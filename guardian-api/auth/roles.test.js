@@ -0,0 +1,73 @@
+const { ROLES, PERMISSIONS, permissionsFor, hasPermission, validateRole, validateSubnets, inScope, requirePermission } = require('./roles');
+
+describe('permissions', () => {
+  test('each role adds to the one below it', () => {
+    expect(permissionsFor('viewer')).toEqual([]);
+    expect(permissionsFor('analyst')).toEqual(['findings:update', 'reports:create']);
+    for (let index = 1; index < ROLES.length; index++) {
+      expect(permissionsFor(ROLES[index])).toEqual(expect.arrayContaining(permissionsFor(ROLES[index - 1])));
+    }
+    expect(permissionsFor('admin').sort()).toEqual([...PERMISSIONS].sort());
+  });
+
+  test.each([
+    ['viewer', 'findings:update', false],
+    ['analyst', 'findings:update', true],
+    ['analyst', 'scans:run', false],
+    ['operator', 'scans:run', true],
+    ['operator', 'remediations:approve', false],
+    ['admin', 'remediations:approve', true],
+    ['admin', 'audit:read', true]
+  ])('hasPermission(%s, %s) is %s', (role, permission, expected) => {
+    expect(hasPermission({ role }, permission)).toBe(expected);
+  });
+
+  test('unknown roles have no permissions', () => {
+    expect(hasPermission({ role: 'superuser' }, 'findings:update')).toBe(false);
+    expect(() => validateRole('superuser')).toThrow('role must be one of: viewer, analyst, operator, admin');
+  });
+
+  test('requirePermission answers 403 for roles without the permission', () => {
+    const middleware = requirePermission('scans:run');
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    const next = jest.fn();
+
+    middleware({ auth: { user: { role: 'analyst' } } }, res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ permission: 'scans:run' }));
+    expect(next).not.toHaveBeenCalled();
+
+    middleware({ auth: { user: { role: 'operator' } } }, res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(() => requirePermission('scans:delete')).toThrow('Unknown permission: scans:delete');
+  });
+});
+
+describe('subnet scope', () => {
+  const scoped = { role: 'operator', subnets: ['10.1.0.0/16', '192.168.5.0/24'] };
+
+  test('users without subnets reach everything', () => {
+    expect(inScope({ role: 'operator', subnets: null }, '0.0.0.0/0')).toBe(true);
+  });
+
+  test.each([
+    ['10.1.2.3', true],
+    ['10.1.0.0/16', true],
+    ['10.1.4.0/24, 192.168.5.10-192.168.5.20', true],
+    ['10.2.0.1', false],
+    ['10.0.0.0/8', false],
+    ['10.1.255.250-10.2.0.5', false],
+    ['192.168.5.0/24, 192.168.6.1', false],
+    ['not-a-subnet', false],
+    [undefined, false]
+  ])('inScope(%j) is %s', (target, expected) => {
+    expect(inScope(scoped, target)).toBe(expected);
+  });
+
+  test('validateSubnets normalises CIDR blocks', () => {
+    expect(validateSubnets(['10.1.2.3/16'])).toEqual(['10.1.0.0/16']);
+    expect(validateSubnets(null)).toBeNull();
+    expect(() => validateSubnets('10.0.0.0/8')).toThrow('subnets must be a list of CIDR blocks');
+    expect(() => validateSubnets(['10.0.0.0/33'])).toThrow('Invalid subnet: 10.0.0.0/33');
+  });
+});
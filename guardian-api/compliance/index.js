@@ -0,0 +1,193 @@
+// Compliance frameworks - control catalogues loaded from the frameworks
+// directory, scored from policy violations and active findings
+//
+//   id, name, version, description, aliases (names policies may use for it)
+//   categories: [{ id, name, controls: [{ id, name, policies, findings }] }]
+//
+// A control is assessed by the enabled policies mapped to it - listed in its
+// `policies`, or naming the framework and control in their own `framework` /
+// `controls` - and by its `findings` selector, a finding condition (see
+// ../policy/conditions) for active findings that put a host out of
+// compliance. Controls with neither are reported as not assessed.
+
+const fs = require('fs');
+const path = require('path');
+const { validateCondition, evaluateCondition } = require('../policy/conditions');
+
+function validateFramework(framework) {
+  if (!framework || !framework.id || !framework.name) {
+    throw new Error('Framework needs an id and a name');
+  }
+  const { id } = framework;
+  if (!Array.isArray(framework.categories) || framework.categories.length === 0) {
+    throw new Error(`Framework ${id}: categories must be a non-empty list`);
+  }
+
+  const seen = new Set();
+  framework.categories.forEach((category, index) => {
+    if (!category || !category.id || !category.name || !Array.isArray(category.controls)) {
+      throw new Error(`Framework ${id}: categories[${index}] needs an id, a name and a list of controls`);
+    }
+    category.controls.forEach(control => {
+      if (!control || !control.id || !control.name) {
+        throw new Error(`Framework ${id}: every control in ${category.id} needs an id and a name`);
+      }
+      if (seen.has(control.id)) {
+        throw new Error(`Framework ${id}: duplicate control ${control.id}`);
+      }
+      seen.add(control.id);
+      if (control.policies && !Array.isArray(control.policies)) {
+        throw new Error(`Framework ${id}: ${control.id} policies must be a list`);
+      }
+      if (control.findings) {
+        validateCondition({ finding: control.findings }, `${id}.${control.id}`);
+      }
+    });
+  });
+}
+
+// Frameworks from every JSON file in `dir`; invalid files are reported
+// rather than fatal
+function loadFrameworks(dir) {
+  const frameworks = new Map();
+  const errors = [];
+
+  if (!fs.existsSync(dir)) {
+    return { frameworks, errors };
+  }
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+    try {
+      const framework = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      validateFramework(framework);
+      frameworks.set(framework.id, { aliases: [], ...framework, source: file });
+    } catch (error) {
+      errors.push({ file: path.join(dir, file), error: error.message });
+    }
+  }
+
+  return { frameworks, errors };
+}
+
+function frameworkNames(framework) {
+  return [framework.id, framework.name, ...framework.aliases].map(name => name.toLowerCase());
+}
+
+// Enabled policies that assess a control
+function controlPolicies(framework, control, policies) {
+  const names = frameworkNames(framework);
+  return policies.filter(policy => policy.enabled && (
+    (control.policies || []).includes(policy.id) ||
+    (policy.framework && names.includes(policy.framework.toLowerCase()) && (policy.controls || []).includes(control.id))
+  ));
+}
+
+function assessControl(framework, control, { hosts, policies, violations }) {
+  const mapped = controlPolicies(framework, control, policies);
+  if (!mapped.length && !control.findings) {
+    return { id: control.id, name: control.name, status: 'not_assessed', score: null, failing: [], evidence: [] };
+  }
+
+  const failing = new Map();
+  const fail = (host) => failing.set(host.assetId, { assetId: host.assetId, host: host.ip || host.host, hostname: host.hostname || null });
+  const evidence = [];
+
+  for (const policy of mapped) {
+    const open = violations.filter(violation => violation.policyId === policy.id);
+    open.forEach(fail);
+    evidence.push({
+      type: 'policy',
+      policyId: policy.id,
+      name: policy.name,
+      evaluatedAt: policy.lastEvaluation ? policy.lastEvaluation.at : null,
+      hosts: policy.lastEvaluation ? policy.lastEvaluation.hosts : null,
+      violations: open.map(violation => ({ assetId: violation.assetId, host: violation.host, hostname: violation.hostname }))
+    });
+  }
+
+  if (control.findings) {
+    const findings = [];
+    for (const host of hosts) {
+      const { evidence: hits } = evaluateCondition({ finding: control.findings }, { host, services: [], findings: host.findings || [] });
+      if (hits.length) {
+        fail(host);
+        hits.forEach(hit => findings.push({ id: hit.id, severity: hit.severity, assetId: host.assetId, host: host.ip }));
+      }
+    }
+    evidence.push({ type: 'findings', condition: control.findings, findings });
+  }
+
+  // Score over the hosts the control applies to: every host for a findings
+  // selector, else those the mapped policies applied to when last evaluated
+  // (the largest count, as only counts are kept)
+  const assessed = Math.max(
+    failing.size,
+    control.findings ? hosts.length : 0,
+    ...mapped.map(policy => (policy.lastEvaluation ? policy.lastEvaluation.hosts : 0))
+  );
+  if (!assessed) {
+    return { id: control.id, name: control.name, status: 'not_assessed', score: null, failing: [], evidence };
+  }
+  const score = Math.round(((assessed - failing.size) / assessed) * 100);
+  let status = 'partial';
+  if (failing.size === 0) status = 'compliant';
+  else if (failing.size >= assessed) status = 'non_compliant';
+
+  return { id: control.id, name: control.name, status, score, failing: Array.from(failing.values()), evidence };
+}
+
+function average(scores) {
+  const known = scores.filter(score => score !== null);
+  return known.length ? Math.round(known.reduce((sum, score) => sum + score, 0) / known.length) : null;
+}
+
+function statusCounts(controls) {
+  const counts = { compliant: 0, partial: 0, non_compliant: 0, not_assessed: 0 };
+  controls.forEach(control => counts[control.status]++);
+  return counts;
+}
+
+// Per-control, per-category and overall scores for one framework. `hosts`
+// carry their active findings; `violations` are the open policy violations.
+function assessFramework(framework, state) {
+  const categories = framework.categories.map(category => {
+    const controls = category.controls.map(control => assessControl(framework, control, state));
+    return {
+      id: category.id,
+      name: category.name,
+      score: average(controls.map(control => control.score)),
+      counts: statusCounts(controls),
+      controls
+    };
+  });
+  const controls = categories.flatMap(category => category.controls);
+  const counts = statusCounts(controls);
+
+  return {
+    frameworkId: framework.id,
+    name: framework.name,
+    version: framework.version || null,
+    assessedAt: new Date().toISOString(),
+    hosts: state.hosts.length,
+    score: average(controls.map(control => control.score)),
+    coverage: Math.round(((controls.length - counts.not_assessed) / controls.length) * 100),
+    counts,
+    categories
+  };
+}
+
+// An assessment without control evidence, as kept in the score history
+function summarizeAssessment(assessment) {
+  const { categories, ...summary } = assessment;
+  return {
+    ...summary,
+    categories: categories.map(({ id, name, score, counts }) => ({ id, name, score, counts }))
+  };
+}
+
+module.exports = {
+  validateFramework,
+  loadFrameworks,
+  controlPolicies,
+  assessFramework,
+  summarizeAssessment
+};
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateFramework, loadFrameworks, controlPolicies, assessFramework, summarizeAssessment } = require('.');
+
+const framework = {
+  id: 'tf-1',
+  name: 'Test Framework',
+  aliases: ['TF'],
+  categories: [
+    {
+      id: 'AC',
+      name: 'Access Control',
+      controls: [
+        { id: 'AC-1', name: 'Remote access is restricted', policies: ['no-telnet'] },
+        { id: 'AC-2', name: 'Critical flaws are patched', findings: { severity: 'critical' } },
+        { id: 'AC-3', name: 'Access is reviewed' }
+      ]
+    },
+    {
+      id: 'MO',
+      name: 'Monitoring',
+      controls: [{ id: 'MO-1', name: 'Events are logged' }]
+    }
+  ]
+};
+
+const hosts = [1, 2, 3, 4].map(n => ({ assetId: `asset-${n}`, ip: `10.0.0.${n}`, hostname: `host-${n}`, findings: [] }));
+hosts[1].findings = [{ id: 'CVE-2024-6387', severity: 'critical' }, { id: 'CVE-2023-48795', severity: 'medium' }];
+
+const evaluation = { at: '2026-01-01T00:00:00.000Z', hosts: 4 };
+const policies = [
+  { id: 'no-telnet', name: 'No Telnet', enabled: true, lastEvaluation: evaluation },
+  { id: 'ssh-keys', name: 'SSH keys only', enabled: true, framework: 'tf', controls: ['AC-1'] },
+  { id: 'old-rule', name: 'Retired', enabled: false, framework: 'TF', controls: ['AC-1'] },
+  { id: 'other', name: 'Elsewhere', enabled: true, framework: 'CIS', controls: ['AC-1'] }
+];
+const violation = (policyId, n) => ({ policyId, assetId: `asset-${n}`, host: `10.0.0.${n}`, hostname: `host-${n}` });
+const violations = [violation('no-telnet', 1), violation('ssh-keys', 1), violation('ssh-keys', 3)];
+
+describe('validateFramework', () => {
+  const withControls = (controls) => ({ id: 'x', name: 'X', categories: [{ id: 'C', name: 'C', controls }] });
+
+  test('accepts a well-formed framework', () => {
+    expect(() => validateFramework(framework)).not.toThrow();
+  });
+
+  test.each([
+    ['Framework needs an id and a name', { name: 'X', categories: [] }],
+    ['Framework x: categories must be a non-empty list', { id: 'x', name: 'X', categories: [] }],
+    ['Framework x: categories[0] needs an id, a name and a list of controls', { id: 'x', name: 'X', categories: [{ id: 'C', name: 'C' }] }],
+    ['Framework x: every control in C needs an id and a name', withControls([{ id: 'C-1' }])],
+    ['Framework x: duplicate control C-1', withControls([{ id: 'C-1', name: 'a' }, { id: 'C-1', name: 'b' }])],
+    ['Framework x: C-1 policies must be a list', withControls([{ id: 'C-1', name: 'a', policies: 'no-telnet' }])],
+    ['x.C-1.finding.cvss: unknown operator above', withControls([{ id: 'C-1', name: 'a', findings: { cvss: { above: 7 } } }])]
+  ])('%s', (message, definition) => {
+    expect(() => validateFramework(definition)).toThrow(message);
+  });
+});
+
+describe('loadFrameworks', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-frameworks-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('loads every valid JSON file and reports the rest', () => {
+    const { aliases, ...plain } = framework;
+    fs.writeFileSync(path.join(dir, 'test.json'), JSON.stringify(plain));
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{ "id": ');
+    fs.writeFileSync(path.join(dir, 'empty.json'), JSON.stringify({ id: 'empty', name: 'Empty', categories: [] }));
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a framework');
+
+    const { frameworks, errors } = loadFrameworks(dir);
+    expect(Array.from(frameworks.keys())).toEqual(['tf-1']);
+    expect(frameworks.get('tf-1')).toMatchObject({ aliases: [], source: 'test.json' });
+    expect(errors.map(error => path.basename(error.file))).toEqual(['broken.json', 'empty.json']);
+    expect(errors[1].error).toBe('Framework empty: categories must be a non-empty list');
+  });
+
+  test('a missing directory has no frameworks', () => {
+    expect(loadFrameworks(path.join(dir, 'missing'))).toEqual({ frameworks: new Map(), errors: [] });
+  });
+
+  test('the bundled frameworks are valid', () => {
+    const { frameworks, errors } = loadFrameworks(path.join(__dirname, '..', '..', 'frameworks'));
+    expect(errors).toEqual([]);
+    expect(frameworks.size).toBeGreaterThan(0);
+  });
+});
+
+describe('controlPolicies', () => {
+  test('maps enabled policies listed by the control or naming the framework', () => {
+    const mapped = controlPolicies(framework, framework.categories[0].controls[0], policies);
+    expect(mapped.map(policy => policy.id)).toEqual(['no-telnet', 'ssh-keys']);
+    expect(controlPolicies(framework, framework.categories[0].controls[1], policies)).toEqual([]);
+  });
+});
+
+describe('assessFramework', () => {
+  const assess = () => assessFramework(framework, { hosts, policies, violations });
+  const control = (assessment, id) => assessment.categories.flatMap(category => category.controls).find(item => item.id === id);
+
+  test('a control failing on some hosts is partial, scored over the hosts it applies to', () => {
+    const accessRemote = control(assess(), 'AC-1');
+    expect(accessRemote).toMatchObject({ status: 'partial', score: 50 });
+    expect(accessRemote.failing).toEqual([
+      { assetId: 'asset-1', host: '10.0.0.1', hostname: 'host-1' },
+      { assetId: 'asset-3', host: '10.0.0.3', hostname: 'host-3' }
+    ]);
+    expect(accessRemote.evidence).toEqual([
+      { type: 'policy', policyId: 'no-telnet', name: 'No Telnet', evaluatedAt: evaluation.at, hosts: 4, violations: [{ assetId: 'asset-1', host: '10.0.0.1', hostname: 'host-1' }] },
+      expect.objectContaining({ type: 'policy', policyId: 'ssh-keys', evaluatedAt: null, hosts: null })
+    ]);
+  });
+
+  test('a findings selector fails the hosts with matching active findings', () => {
+    const patching = control(assess(), 'AC-2');
+    expect(patching).toMatchObject({ status: 'partial', score: 75, failing: [{ assetId: 'asset-2' }] });
+    expect(patching.evidence).toEqual([{
+      type: 'findings',
+      condition: { severity: 'critical' },
+      findings: [{ id: 'CVE-2024-6387', severity: 'critical', assetId: 'asset-2', host: '10.0.0.2' }]
+    }]);
+  });
+
+  test('controls with nothing to assess them are left out of the scores', () => {
+    const assessment = assess();
+    expect(control(assessment, 'AC-3')).toEqual({ id: 'AC-3', name: 'Access is reviewed', status: 'not_assessed', score: null, failing: [], evidence: [] });
+    expect(assessment.categories.map(category => [category.id, category.score])).toEqual([['AC', 63], ['MO', null]]);
+    expect(assessment).toMatchObject({
+      frameworkId: 'tf-1',
+      version: null,
+      hosts: 4,
+      score: 63,
+      coverage: 50,
+      counts: { compliant: 0, partial: 2, non_compliant: 0, not_assessed: 2 }
+    });
+  });
+
+  test('no failing hosts is compliant, every host failing is non-compliant', () => {
+    const clean = assessFramework(framework, { hosts: hosts.map(host => ({ ...host, findings: [] })), policies, violations: [] });
+    expect(control(clean, 'AC-1')).toMatchObject({ status: 'compliant', score: 100 });
+    expect(control(clean, 'AC-2')).toMatchObject({ status: 'compliant', score: 100 });
+
+    const exposed = hosts.map(host => ({ ...host, findings: [{ id: 'CVE-2024-6387', severity: 'critical' }] }));
+    expect(control(assessFramework(framework, { hosts: exposed, policies, violations }), 'AC-2')).toMatchObject({ status: 'non_compliant', score: 0 });
+  });
+
+  test('policies that have not applied to any host yet leave the control unassessed', () => {
+    const unevaluated = policies.map(policy => ({ ...policy, lastEvaluation: null }));
+    const accessRemote = control(assessFramework(framework, { hosts, policies: unevaluated, violations: [] }), 'AC-1');
+    expect(accessRemote).toMatchObject({ status: 'not_assessed', score: null });
+    expect(accessRemote.evidence.map(item => item.policyId)).toEqual(['no-telnet', 'ssh-keys']);
+  });
+
+  test('the summary keeps scores and counts but not control evidence', () => {
+    const summary = summarizeAssessment(assess());
+    expect(summary.score).toBe(63);
+    expect(summary.categories[0]).toEqual({ id: 'AC', name: 'Access Control', score: 63, counts: { compliant: 0, partial: 2, non_compliant: 0, not_assessed: 1 } });
+  });
+});
@@ -0,0 +1,78 @@
+// CSV columns for each exportable resource
+
+const COLUMNS = {
+  vulnerabilities: {
+    key: finding => finding.key,
+    id: finding => finding.id,
+    name: finding => finding.name,
+    severity: finding => finding.severity,
+    cvss: finding => finding.cvss,
+    cvssVector: finding => finding.cvssVector,
+    status: finding => finding.status,
+    host: finding => finding.host,
+    hostname: finding => finding.hostname,
+    assetId: finding => finding.assetId,
+    ports: finding => Array.from(new Set((finding.evidence || []).map(item => item.port).filter(Boolean))).join(' '),
+    knownExploited: finding => Boolean(finding.knownExploited),
+    assignee: finding => finding.assignee,
+    discovered: finding => finding.discovered,
+    lastSeen: finding => finding.lastSeen,
+    dueDate: finding => finding.dueDate,
+    overdue: finding => finding.overdue,
+    remediation: finding => finding.remediation
+  },
+  hosts: {
+    ip: host => host.ip,
+    hostname: host => host.hostname,
+    assetId: host => host.assetId,
+    mac: host => host.mac,
+    type: host => host.type,
+    os: host => host.os,
+    status: host => host.status,
+    criticality: host => host.criticality,
+    risk: host => host.risk,
+    riskScore: host => host.riskScore,
+    services: host => (host.services || []).map(service => `${service.port}/${service.name}`).join(' '),
+    activeFindings: host => (host.findings || []).length,
+    firstSeen: host => host.firstSeen,
+    lastSeen: host => host.lastSeen
+  },
+  scans: {
+    scanId: scan => scan.scanId,
+    subnet: scan => scan.subnet,
+    driver: scan => scan.driver,
+    scheduleId: scan => scan.scheduleId,
+    status: scan => scan.status,
+    startTime: scan => scan.startTime,
+    endTime: scan => scan.endTime,
+    duration: scan => scan.duration,
+    hostsFound: scan => scan.hostsFound,
+    vulnerabilities: scan => (scan.hosts || []).reduce((total, host) => total + (host.vulnerabilities || []).length, 0),
+    error: scan => scan.error
+  }
+};
+
+// Quote every cell, and neutralise values a spreadsheet would run as a formula
+function cell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+async function* csv(resource, records) {
+  const columns = Object.entries(COLUMNS[resource]);
+  yield `${columns.map(([name]) => name).join(',')}\r\n`;
+  for (const record of records) {
+    yield `${columns.map(([, value]) => cell(value(record))).join(',')}\r\n`;
+  }
+}
+
+module.exports = {
+  COLUMNS,
+  csv
+};
@@ -0,0 +1,54 @@
+// Exports - vulnerabilities, hosts and scan results as CSV, JSON Lines,
+// SARIF 2.1.0 or STIX 2.1
+//
+// Every exporter is an async iterable of text chunks, so a large export is
+// written to the response as it is produced rather than built in memory.
+
+const { csv } = require('./csv');
+const sarif = require('./sarif');
+const stix = require('./stix');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson', extension: 'jsonl' },
+  sarif: { contentType: 'application/sarif+json', extension: 'sarif' },
+  stix: { contentType: 'application/stix+json;version=2.1', extension: 'json' }
+};
+
+const RESOURCES = ['vulnerabilities', 'hosts', 'scans'];
+
+async function* jsonLines(records) {
+  for (const record of records) {
+    yield `${JSON.stringify(record)}\n`;
+  }
+}
+
+// Throws before anything is written if the combination isn't supported
+function exportRecords(resource, format, records, { hostsByIp } = {}) {
+  if (!RESOURCES.includes(resource)) {
+    throw new Error(`Unknown export resource: ${resource}`);
+  }
+  if (!FORMATS[format]) {
+    throw new Error(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  switch (format) {
+    case 'csv':
+      return csv(resource, records);
+    case 'jsonl':
+      return jsonLines(records);
+    case 'sarif':
+      if (resource === 'hosts') {
+        throw new Error('SARIF describes findings; export vulnerabilities or scans instead');
+      }
+      return sarif[resource](records);
+    case 'stix':
+      return resource === 'vulnerabilities' ? stix.vulnerabilities(records, hostsByIp) : stix[resource](records);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  RESOURCES,
+  exportRecords
+};
@@ -0,0 +1,139 @@
+// SARIF 2.1.0 - one result per finding, one rule per CVE. Hosts and ports
+// have no source files, so findings are located with logical locations.
+
+const { version } = require('../package.json');
+
+const SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const LEVELS = {
+  critical: 'error',
+  high: 'error',
+  medium: 'warning',
+  low: 'note'
+};
+
+// Closed without a fix - reported, but marked as suppressed
+const SUPPRESSED = ['risk_accepted', 'false_positive'];
+
+function rule(finding) {
+  const references = finding.references || [];
+  return {
+    id: finding.id,
+    name: finding.id.replace(/[^A-Za-z0-9]/g, ''),
+    shortDescription: { text: finding.name || finding.id },
+    fullDescription: { text: finding.description || finding.name || finding.id },
+    helpUri: /^CVE-/.test(finding.id) ? `https://nvd.nist.gov/vuln/detail/${finding.id}` : references[0],
+    help: { text: finding.remediation || 'No remediation guidance available' },
+    properties: {
+      'security-severity': String(finding.cvss || 0),
+      tags: ['security', 'vulnerability', ...(finding.weaknesses || [])],
+      cvssVector: finding.cvssVector || null
+    }
+  };
+}
+
+function result(finding, ruleIndex, host) {
+  const ports = Array.from(new Set((finding.evidence || []).map(item => item.port).filter(Boolean)));
+  const hostname = host.hostname ? ` (${host.hostname})` : '';
+  const entry = {
+    ruleId: finding.id,
+    ruleIndex,
+    level: LEVELS[finding.severity] || 'warning',
+    message: { text: `${finding.id} on ${host.ip}${hostname}${ports.length ? ` port ${ports.join(', ')}` : ''}: ${finding.name || ''}`.trim() },
+    locations: (ports.length ? ports : [null]).map(port => ({
+      logicalLocations: [{
+        name: port ? `${host.ip}:${port}` : host.ip,
+        fullyQualifiedName: port ? `${host.ip}:${port}` : host.ip,
+        kind: 'resource'
+      }]
+    })),
+    partialFingerprints: {
+      'guardianFindingKey/v1': finding.key || `${host.assetId || host.ip}:${finding.id}`
+    },
+    properties: {
+      severity: finding.severity,
+      cvss: finding.cvss,
+      status: finding.status || 'open',
+      host: host.ip,
+      hostname: host.hostname || null,
+      assetId: host.assetId || finding.assetId || null,
+      knownExploited: Boolean(finding.knownExploited),
+      dueDate: finding.dueDate || null,
+      assignee: finding.assignee || null
+    }
+  };
+  if (SUPPRESSED.includes(finding.status)) {
+    const comment = (finding.history || []).slice().reverse().find(change => change.comment);
+    entry.suppressions = [{
+      kind: 'external',
+      status: 'accepted',
+      justification: comment ? comment.comment : finding.status
+    }];
+  }
+  return entry;
+}
+
+// A run for a list of { finding, host } pairs
+function buildRun(items, invocation) {
+  const rules = [];
+  const ruleIndexes = new Map();
+  for (const { finding } of items) {
+    if (!ruleIndexes.has(finding.id)) {
+      ruleIndexes.set(finding.id, rules.length);
+      rules.push(rule(finding));
+    }
+  }
+  const run = {
+    tool: {
+      driver: {
+        name: 'Guardian Security Platform',
+        version,
+        rules
+      }
+    },
+    results: items.map(({ finding, host }) => result(finding, ruleIndexes.get(finding.id), host))
+  };
+  if (invocation) {
+    run.invocations = [invocation];
+  }
+  return run;
+}
+
+async function* log(runs) {
+  yield `{"$schema":${JSON.stringify(SCHEMA)},"version":"2.1.0","runs":[`;
+  let first = true;
+  for (const run of runs) {
+    yield `${first ? '' : ','}${JSON.stringify(run)}`;
+    first = false;
+  }
+  yield ']}\n';
+}
+
+// Findings from the vulnerabilities collection, as one run
+function vulnerabilities(findings) {
+  return log([buildRun(findings.map(finding => ({
+    finding,
+    host: { ip: finding.host, hostname: finding.hostname, assetId: finding.assetId }
+  })))]);
+}
+
+// One run per scan, with the vulnerabilities it matched on each host
+function scans(scanList) {
+  return log((function* () {
+    for (const scan of scanList) {
+      const items = (scan.hosts || []).flatMap(host =>
+        (host.vulnerabilities || []).map(finding => ({ finding, host })));
+      yield buildRun(items, {
+        executionSuccessful: scan.status === 'completed',
+        startTimeUtc: scan.startTime,
+        endTimeUtc: scan.endTime || undefined,
+        properties: { scanId: scan.scanId, subnet: scan.subnet, driver: scan.driver, hostsFound: scan.hostsFound || 0 }
+      });
+    }
+  })());
+}
+
+module.exports = {
+  vulnerabilities,
+  scans
+};
@@ -0,0 +1,210 @@
+// STIX 2.1 bundles
+//
+// A host is an `infrastructure` object that consists of its `ipv4-addr` (and
+// `mac-addr`); each CVE is a `vulnerability`, and a finding is a `has`
+// relationship from the host to the vulnerability carrying the finding's
+// status, severity and dates as x_guardian_* properties. Identifiers are
+// deterministic so repeated exports update the same objects downstream.
+
+const { v4: uuidv4, v5: uuidv5 } = require('uuid');
+
+// Namespaces: STIX's own for cyber observables, ours for everything else
+const SCO_NAMESPACE = '00abedb4-aa42-466c-9c01-fed23315a9b7';
+const GUARDIAN_NAMESPACE = '6c3d4a0e-53a1-4f0e-9d46-1f3b0a6f2c71';
+
+const IDENTITY_ID = `identity--${uuidv5('guardian-security-platform', GUARDIAN_NAMESPACE)}`;
+
+function sdoId(type, key) {
+  return `${type}--${uuidv5(`${type}:${key}`, GUARDIAN_NAMESPACE)}`;
+}
+
+// SCO ids are UUIDv5 over the object's ID contributing properties
+function scoId(type, properties) {
+  return `${type}--${uuidv5(JSON.stringify(properties), SCO_NAMESPACE)}`;
+}
+
+function timestamp(value) {
+  return new Date(value || Date.now()).toISOString();
+}
+
+function identity() {
+  const now = new Date(0).toISOString();
+  return {
+    type: 'identity',
+    spec_version: '2.1',
+    id: IDENTITY_ID,
+    created: now,
+    modified: now,
+    name: 'Guardian Security Platform',
+    identity_class: 'system'
+  };
+}
+
+// The objects describing one host: infrastructure and its addresses
+function hostObjects(host) {
+  const objects = [];
+  const infrastructure = {
+    type: 'infrastructure',
+    spec_version: '2.1',
+    id: sdoId('infrastructure', host.assetId || host.ip),
+    created_by_ref: IDENTITY_ID,
+    created: timestamp(host.firstSeen || host.lastSeen),
+    modified: timestamp(host.lastSeen),
+    name: host.hostname || host.ip,
+    first_seen: host.firstSeen ? timestamp(host.firstSeen) : undefined,
+    last_seen: host.lastSeen ? timestamp(host.lastSeen) : undefined,
+    x_guardian_asset_id: host.assetId || null,
+    x_guardian_host_type: host.type || null,
+    x_guardian_os: host.os || null,
+    x_guardian_risk: host.risk || null,
+    x_guardian_risk_score: host.riskScore === undefined ? null : host.riskScore,
+    x_guardian_services: (host.services || []).map(({ port, name, version }) => ({ port, name, version: version || null }))
+  };
+  objects.push(infrastructure);
+
+  const addresses = [{ type: 'ipv4-addr', spec_version: '2.1', id: scoId('ipv4-addr', { value: host.ip }), value: host.ip }];
+  if (host.mac) {
+    const mac = host.mac.toLowerCase();
+    addresses.push({ type: 'mac-addr', spec_version: '2.1', id: scoId('mac-addr', { value: mac }), value: mac });
+  }
+
+  for (const address of addresses) {
+    objects.push(address);
+    objects.push(relationship(infrastructure.id, 'consists-of', address.id, infrastructure.created, infrastructure.modified));
+  }
+  return objects;
+}
+
+function relationship(source, type, target, created, modified, properties = {}) {
+  return {
+    type: 'relationship',
+    spec_version: '2.1',
+    id: sdoId('relationship', `${source}:${type}:${target}`),
+    created_by_ref: IDENTITY_ID,
+    created,
+    modified,
+    relationship_type: type,
+    source_ref: source,
+    target_ref: target,
+    ...properties
+  };
+}
+
+function vulnerabilityObject(finding) {
+  const references = [];
+  if (/^CVE-/.test(finding.id)) {
+    references.push({ source_name: 'cve', external_id: finding.id, url: `https://nvd.nist.gov/vuln/detail/${finding.id}` });
+  }
+  (finding.weaknesses || []).filter(cwe => /^CWE-\d+$/.test(cwe)).forEach(cwe => {
+    references.push({ source_name: 'cwe', external_id: cwe });
+  });
+  const published = timestamp(finding.published || finding.discovered);
+  return {
+    type: 'vulnerability',
+    spec_version: '2.1',
+    id: sdoId('vulnerability', finding.id),
+    created_by_ref: IDENTITY_ID,
+    created: published,
+    modified: published,
+    name: finding.id,
+    description: finding.description || finding.name || undefined,
+    external_references: references.length ? references : undefined,
+    x_guardian_cvss: finding.cvss === undefined ? null : finding.cvss,
+    x_guardian_cvss_vector: finding.cvssVector || null,
+    x_guardian_known_exploited: Boolean(finding.knownExploited)
+  };
+}
+
+function findingRelationship(hostRef, finding) {
+  const discovered = timestamp(finding.discovered);
+  return relationship(hostRef, 'has', sdoId('vulnerability', finding.id), discovered, timestamp(finding.lastSeen || finding.discovered), {
+    description: finding.name || undefined,
+    x_guardian_finding_key: finding.key || null,
+    x_guardian_severity: finding.severity,
+    x_guardian_status: finding.status || 'open',
+    x_guardian_ports: Array.from(new Set((finding.evidence || []).map(item => item.port).filter(Boolean))),
+    x_guardian_due_date: finding.dueDate || null,
+    x_guardian_assignee: finding.assignee || null,
+    x_guardian_remediation: finding.remediation || null
+  });
+}
+
+// Objects are written as they are produced; each id is only written once
+async function* bundle(objects) {
+  const creator = identity();
+  const written = new Set([creator.id]);
+  yield `{"type":"bundle","id":"bundle--${uuidv4()}","objects":[${JSON.stringify(creator)}`;
+  for (const object of objects) {
+    if (written.has(object.id)) continue;
+    written.add(object.id);
+    yield `,${JSON.stringify(object)}`;
+  }
+  yield ']}\n';
+}
+
+// Findings with the hosts and vulnerabilities they refer to
+function vulnerabilities(findings, hostsByIp = new Map()) {
+  return bundle((function* () {
+    for (const finding of findings) {
+      const host = hostsByIp.get(finding.host) || { ip: finding.host, hostname: finding.hostname, assetId: finding.assetId };
+      yield* hostObjects(host);
+      yield vulnerabilityObject(finding);
+      yield findingRelationship(sdoId('infrastructure', host.assetId || host.ip), finding);
+    }
+  })());
+}
+
+function hosts(hostList) {
+  return bundle((function* () {
+    for (const host of hostList) {
+      yield* hostObjects(host);
+      for (const finding of host.findings || []) {
+        yield vulnerabilityObject(finding);
+        yield findingRelationship(sdoId('infrastructure', host.assetId || host.ip), finding);
+      }
+    }
+  })());
+}
+
+// A grouping per scan referencing the hosts and findings it saw
+function scans(scanList) {
+  return bundle((function* () {
+    for (const scan of scanList) {
+      const refs = [];
+      for (const host of scan.hosts || []) {
+        for (const object of hostObjects(host)) {
+          refs.push(object.id);
+          yield object;
+        }
+        for (const finding of host.vulnerabilities || []) {
+          const vulnerability = vulnerabilityObject(finding);
+          const link = findingRelationship(sdoId('infrastructure', host.assetId || host.ip), { ...finding, discovered: finding.discovered || scan.startTime });
+          refs.push(vulnerability.id, link.id);
+          yield vulnerability;
+          yield link;
+        }
+      }
+      if (refs.length === 0) continue;
+      yield {
+        type: 'grouping',
+        spec_version: '2.1',
+        id: sdoId('grouping', scan.scanId),
+        created_by_ref: IDENTITY_ID,
+        created: timestamp(scan.startTime),
+        modified: timestamp(scan.endTime || scan.startTime),
+        name: `Scan of ${scan.subnet}`,
+        context: 'unspecified',
+        object_refs: Array.from(new Set(refs)),
+        x_guardian_scan_id: scan.scanId,
+        x_guardian_driver: scan.driver || null,
+        x_guardian_status: scan.status
+      };
+    }
+  })());
+}
+
+module.exports = {
+  vulnerabilities,
+  hosts,
+  scans
+};
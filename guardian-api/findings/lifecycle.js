@@ -0,0 +1,115 @@
+// Finding lifecycle - statuses, allowed transitions and severity-based SLAs
+//
+// A finding moves open -> triaged -> in_progress -> remediated -> verified,
+// can be closed as risk_accepted or false_positive, and comes back as
+// reopened when it is seen again. Every change is appended to its history.
+
+const STATUSES = [
+  'open',
+  'triaged',
+  'in_progress',
+  'risk_accepted',
+  'false_positive',
+  'remediated',
+  'verified',
+  'reopened'
+];
+
+const TRANSITIONS = {
+  open: ['triaged', 'in_progress', 'risk_accepted', 'false_positive', 'remediated'],
+  triaged: ['in_progress', 'risk_accepted', 'false_positive', 'remediated'],
+  in_progress: ['triaged', 'risk_accepted', 'false_positive', 'remediated'],
+  reopened: ['triaged', 'in_progress', 'risk_accepted', 'false_positive', 'remediated'],
+  risk_accepted: ['reopened'],
+  false_positive: ['reopened'],
+  remediated: ['verified', 'reopened'],
+  verified: ['reopened']
+};
+
+// Statuses whose SLA clock is running
+const ACTIVE_STATUSES = ['open', 'triaged', 'in_progress', 'reopened'];
+
+// Closing a finding without fixing it needs a recorded reason
+const REQUIRES_COMMENT = ['risk_accepted', 'false_positive'];
+
+// Days to remediate by severity
+const DEFAULT_SLA_DAYS = {
+  critical: parseInt(process.env.SLA_CRITICAL_DAYS) || 7,
+  high: parseInt(process.env.SLA_HIGH_DAYS) || 30,
+  medium: parseInt(process.env.SLA_MEDIUM_DAYS) || 90,
+  low: parseInt(process.env.SLA_LOW_DAYS) || 180
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+function dueDateFor(severity, from, policy = DEFAULT_SLA_DAYS) {
+  const days = policy[severity] || policy.low;
+  return new Date(new Date(from).getTime() + days * DAY).toISOString();
+}
+
+// Fields for a newly discovered finding
+function initialState(finding, { now, policy }) {
+  return {
+    status: 'open',
+    assignee: null,
+    dueDate: dueDateFor(finding.severity, finding.discovered || now, policy),
+    comments: [],
+    history: [{ from: null, to: 'open', at: now, actor: 'scanner', comment: null }]
+  };
+}
+
+// Returns the finding after moving it to `to`; callers check canTransition first
+function applyTransition(finding, to, { actor = 'system', comment = null, now = new Date().toISOString(), policy } = {}) {
+  const next = {
+    ...finding,
+    status: to,
+    statusChangedAt: now,
+    history: [...(finding.history || []), { from: finding.status, to, at: now, actor, comment }]
+  };
+
+  // A reopened finding gets a fresh SLA window
+  if (to === 'reopened') {
+    next.dueDate = dueDateFor(finding.severity, now, policy);
+    next.reopenCount = (finding.reopenCount || 0) + 1;
+  }
+  if (to === 'remediated') {
+    next.remediatedAt = now;
+  }
+  if (to === 'verified') {
+    next.verifiedAt = now;
+  }
+  if (comment) {
+    next.comments = [...(finding.comments || []), { author: actor, text: comment, at: now }];
+  }
+
+  return next;
+}
+
+// Read-time view: SLA state and the statuses the finding can move to
+function withSla(finding, now = Date.now()) {
+  const active = ACTIVE_STATUSES.includes(finding.status);
+  const due = finding.dueDate ? new Date(finding.dueDate).getTime() : null;
+  return {
+    ...finding,
+    overdue: Boolean(active && due && now > due),
+    daysRemaining: active && due ? Math.ceil((due - now) / DAY) : null,
+    transitions: TRANSITIONS[finding.status] || []
+  };
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  ACTIVE_STATUSES,
+  REQUIRES_COMMENT,
+  DEFAULT_SLA_DAYS,
+  canTransition,
+  dueDateFor,
+  initialState,
+  applyTransition,
+  withSla
+};
@@ -0,0 +1,82 @@
+const { STATUSES, TRANSITIONS, canTransition, dueDateFor, initialState, applyTransition, withSla } = require('./lifecycle');
+
+const policy = { critical: 7, high: 30, medium: 90, low: 180 };
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('transitions', () => {
+  test('every status can be left, and only to known statuses', () => {
+    expect(Object.keys(TRANSITIONS).sort()).toEqual([...STATUSES].sort());
+    Object.values(TRANSITIONS).flat().forEach(status => expect(STATUSES).toContain(status));
+  });
+
+  test.each([
+    ['open', 'triaged', true],
+    ['open', 'verified', false],
+    ['remediated', 'verified', true],
+    ['verified', 'reopened', true],
+    ['verified', 'open', false],
+    ['risk_accepted', 'remediated', false],
+    ['unknown', 'open', false]
+  ])('%s -> %s is %s', (from, to, allowed) => {
+    expect(canTransition(from, to)).toBe(allowed);
+  });
+});
+
+describe('SLA', () => {
+  test('due dates follow the severity', () => {
+    expect(dueDateFor('critical', '2026-01-01T00:00:00.000Z', policy)).toBe('2026-01-08T00:00:00.000Z');
+    expect(dueDateFor('high', '2026-01-01T00:00:00.000Z', policy)).toBe('2026-01-31T00:00:00.000Z');
+    expect(dueDateFor('info', '2026-01-01T00:00:00.000Z', policy)).toBe('2026-06-30T00:00:00.000Z');
+  });
+
+  test('a new finding is open and due from when it was discovered', () => {
+    const state = initialState({ severity: 'critical', discovered: '2026-01-01T00:00:00.000Z' }, { now: '2026-01-05T00:00:00.000Z', policy });
+    expect(state).toEqual({
+      status: 'open',
+      assignee: null,
+      dueDate: '2026-01-08T00:00:00.000Z',
+      comments: [],
+      history: [{ from: null, to: 'open', at: '2026-01-05T00:00:00.000Z', actor: 'scanner', comment: null }]
+    });
+  });
+
+  test('only active findings are overdue', () => {
+    const now = Date.parse('2026-02-01T00:00:00.000Z');
+    const finding = { status: 'triaged', dueDate: '2026-01-31T00:00:00.000Z' };
+    expect(withSla(finding, now)).toMatchObject({ overdue: true, daysRemaining: -1, transitions: TRANSITIONS.triaged });
+    expect(withSla({ ...finding, dueDate: '2026-02-10T12:00:00.000Z' }, now)).toMatchObject({ overdue: false, daysRemaining: 10 });
+    expect(withSla({ ...finding, status: 'risk_accepted' }, now)).toMatchObject({ overdue: false, daysRemaining: null });
+  });
+});
+
+describe('applyTransition', () => {
+  const finding = {
+    status: 'open',
+    severity: 'high',
+    dueDate: '2026-01-31T00:00:00.000Z',
+    comments: [],
+    history: [{ from: null, to: 'open', at: '2026-01-01T00:00:00.000Z', actor: 'scanner', comment: null }]
+  };
+
+  test('records who moved the finding and why', () => {
+    const next = applyTransition(finding, 'risk_accepted', { actor: 'alice', comment: 'Isolated lab host', now: '2026-01-02T00:00:00.000Z', policy });
+    expect(next).toMatchObject({ status: 'risk_accepted', statusChangedAt: '2026-01-02T00:00:00.000Z', dueDate: finding.dueDate });
+    expect(next.history[1]).toEqual({ from: 'open', to: 'risk_accepted', at: '2026-01-02T00:00:00.000Z', actor: 'alice', comment: 'Isolated lab host' });
+    expect(next.comments).toEqual([{ author: 'alice', text: 'Isolated lab host', at: '2026-01-02T00:00:00.000Z' }]);
+    expect(finding.history).toHaveLength(1);
+  });
+
+  test('remediation and verification are timestamped', () => {
+    const remediated = applyTransition(finding, 'remediated', { now: '2026-01-03T00:00:00.000Z', policy });
+    const verified = applyTransition(remediated, 'verified', { actor: 'verifier', now: '2026-01-04T00:00:00.000Z', policy });
+    expect(verified).toMatchObject({ remediatedAt: '2026-01-03T00:00:00.000Z', verifiedAt: '2026-01-04T00:00:00.000Z', comments: [] });
+    expect(verified.history.map(entry => [entry.from, entry.to, entry.actor])).toEqual([[null, 'open', 'scanner'], ['open', 'remediated', 'system'], ['remediated', 'verified', 'verifier']]);
+  });
+
+  test('reopening starts a new SLA window', () => {
+    const verified = { ...finding, status: 'verified' };
+    const reopened = applyTransition(verified, 'reopened', { now: '2026-03-01T00:00:00.000Z', policy });
+    expect(reopened).toMatchObject({ reopenCount: 1, dueDate: new Date(Date.parse('2026-03-01T00:00:00.000Z') + 30 * DAY).toISOString() });
+    expect(applyTransition(reopened, 'reopened', { policy }).reopenCount).toBe(2);
+  });
+});
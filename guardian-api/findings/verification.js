@@ -0,0 +1,210 @@
+// Post-remediation verification - rescans just the host and ports behind a
+// remediated finding and decides whether the fix held.
+//
+// Verifications are stored documents so pending ones survive a restart. Each
+// one probes the host with the driver that found it, limited to the ports in
+// the finding's evidence, and re-runs vulnerability matching on the result.
+// Emits 'complete' with the verification once it reaches a final state
+// (verified, reopened, inconclusive or cancelled) and 'error' on failures.
+
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+const VERIFY_DELAY = parseInt(process.env.VERIFY_DELAY) || 0;
+const VERIFY_RETRY_DELAY = parseInt(process.env.VERIFY_RETRY_DELAY) || 300;
+const VERIFY_MAX_ATTEMPTS = parseInt(process.env.VERIFY_MAX_ATTEMPTS) || 3;
+
+const OUTCOMES = ['verified', 'reopened', 'inconclusive', 'cancelled'];
+
+// Longest delay setTimeout accepts; longer waits are chained
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Ports named in a finding's evidence; empty for OS-level findings
+function targetPorts(finding) {
+  const ports = (finding.evidence || [])
+    .map(item => parseInt(item.port))
+    .filter(port => port > 0);
+  return [...new Set(ports)].sort((a, b) => a - b);
+}
+
+// Compare a fresh probe with the finding it is meant to verify
+function evaluate(finding, probed, matched, ports) {
+  if (!probed) {
+    return { outcome: 'inconclusive', reason: 'Host did not respond to the verification probe' };
+  }
+
+  const services = ports.length
+    ? probed.services.filter(service => ports.includes(service.port))
+    : probed.services;
+  const evidence = {
+    reachable: true,
+    os: probed.os || null,
+    ports: ports.map(port => {
+      const service = services.find(candidate => candidate.port === port);
+      return service
+        ? { port, state: 'open', service: service.name, version: service.version || null }
+        : { port, state: 'closed' };
+    })
+  };
+
+  const detected = matched.find(candidate => candidate.id === finding.id);
+  if (detected) {
+    return {
+      outcome: 'reopened',
+      reason: `${finding.id} still detected on ${finding.host}`,
+      evidence: { ...evidence, detected: detected.evidence || [] }
+    };
+  }
+
+  const closed = evidence.ports.filter(port => port.state === 'closed').map(port => port.port);
+  return {
+    outcome: 'verified',
+    reason: closed.length && closed.length === ports.length
+      ? `Port ${closed.join(', ')} no longer open`
+      : `${finding.id} no longer detected`,
+    evidence: { ...evidence, detected: [] }
+  };
+}
+
+function createVerifier({
+  verifications,
+  loadFinding,
+  probe,
+  match,
+  delay = VERIFY_DELAY,
+  retryDelay = VERIFY_RETRY_DELAY,
+  maxAttempts = VERIFY_MAX_ATTEMPTS
+}) {
+  const verifier = new EventEmitter();
+  const timers = new Map();
+  let stopped = false;
+
+  function schedule(verification) {
+    clearTimeout(timers.get(verification.id));
+    const wait = Math.max(0, new Date(verification.runAt).getTime() - Date.now());
+    const timer = setTimeout(() => {
+      timers.delete(verification.id);
+      if (wait > MAX_TIMER_DELAY) {
+        return schedule(verification);
+      }
+      run(verification.id).catch(error => verifier.emit('error', error));
+    }, Math.min(wait, MAX_TIMER_DELAY));
+    timer.unref();
+    timers.set(verification.id, timer);
+  }
+
+  async function finish(verification, outcome, reason, evidence) {
+    const completed = {
+      ...verification,
+      status: outcome,
+      reason,
+      evidence: evidence || verification.evidence || null,
+      completedAt: new Date().toISOString()
+    };
+    await verifications.set(completed.id, completed);
+    verifier.emit('complete', completed);
+    return completed;
+  }
+
+  async function run(id) {
+    const verification = await verifications.get(id);
+    if (!verification || verification.status !== 'pending' || stopped) {
+      return verification;
+    }
+
+    // The finding may have moved on (reopened by a scan, closed by hand)
+    const finding = await loadFinding(verification.findingKey);
+    if (!finding || finding.status !== 'remediated') {
+      return finish(verification, 'cancelled', `Finding is ${finding ? finding.status : 'gone'}`);
+    }
+
+    const running = {
+      ...verification,
+      status: 'running',
+      attempts: verification.attempts + 1,
+      startedAt: new Date().toISOString()
+    };
+    await verifications.set(id, running);
+
+    let result;
+    try {
+      const probed = await probe(verification.host, {
+        driver: verification.driver,
+        ports: verification.ports.length ? verification.ports.join(',') : undefined
+      });
+      const matched = probed ? [...(probed.vulnerabilities || []), ...await match(probed)] : [];
+      result = evaluate(finding, probed, matched, verification.ports);
+    } catch (error) {
+      result = { outcome: 'inconclusive', reason: `Verification probe failed: ${error.message}` };
+    }
+
+    if (result.outcome === 'inconclusive' && running.attempts < maxAttempts) {
+      const retry = {
+        ...running,
+        status: 'pending',
+        reason: result.reason,
+        runAt: new Date(Date.now() + retryDelay * 1000).toISOString()
+      };
+      await verifications.set(id, retry);
+      schedule(retry);
+      return retry;
+    }
+
+    return finish(running, result.outcome, result.reason, result.evidence);
+  }
+
+  // Queue a verification rescan for a remediated finding
+  async function request(finding, { driver, delay: wait = delay, requestedBy = 'system' } = {}) {
+    const now = Date.now();
+    const verification = {
+      id: uuidv4(),
+      findingKey: finding.key,
+      vulnerabilityId: finding.id,
+      assetId: finding.assetId,
+      host: finding.host,
+      ports: targetPorts(finding),
+      driver: driver || null,
+      status: 'pending',
+      attempts: 0,
+      requestedBy,
+      requestedAt: new Date(now).toISOString(),
+      runAt: new Date(now + wait * 1000).toISOString(),
+      startedAt: null,
+      completedAt: null,
+      reason: null,
+      evidence: null
+    };
+    await verifications.set(verification.id, verification);
+    schedule(verification);
+    return verification;
+  }
+
+  // Re-arm verifications that were pending or mid-probe when the server stopped
+  async function start() {
+    stopped = false;
+    for (const verification of await verifications.list()) {
+      if (verification.status === 'running') {
+        const pending = { ...verification, status: 'pending', runAt: new Date().toISOString() };
+        await verifications.set(pending.id, pending);
+        schedule(pending);
+      } else if (verification.status === 'pending') {
+        schedule(verification);
+      }
+    }
+  }
+
+  function stop() {
+    stopped = true;
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+  }
+
+  return Object.assign(verifier, { request, run, start, stop });
+}
+
+module.exports = {
+  OUTCOMES,
+  targetPorts,
+  evaluate,
+  createVerifier
+};
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStorage } = require('../storage/file');
+const { targetPorts, evaluate, createVerifier } = require('./verification');
+
+const finding = {
+  key: 'asset-1:CVE-2024-6387',
+  id: 'CVE-2024-6387',
+  assetId: 'asset-1',
+  host: '10.0.0.5',
+  status: 'remediated',
+  evidence: [{ port: 22 }, { port: '22' }, { source: 'os' }]
+};
+const ssh = { port: 22, name: 'SSH', version: 'OpenSSH 9.8p1' };
+
+describe('targetPorts', () => {
+  test('the distinct ports in the evidence', () => {
+    expect(targetPorts({ evidence: [{ port: 443 }, { port: '22' }, { port: 443 }, { port: null }] })).toEqual([22, 443]);
+    expect(targetPorts({ evidence: [{ source: 'os' }] })).toEqual([]);
+    expect(targetPorts({})).toEqual([]);
+  });
+});
+
+describe('evaluate', () => {
+  test('a host that does not answer is inconclusive', () => {
+    expect(evaluate(finding, null, [], [22])).toEqual({ outcome: 'inconclusive', reason: 'Host did not respond to the verification probe' });
+  });
+
+  test('the finding matched again reopens it', () => {
+    const result = evaluate(finding, { services: [ssh] }, [{ id: 'CVE-2024-6387', evidence: [{ port: 22 }] }], [22]);
+    expect(result).toMatchObject({ outcome: 'reopened', reason: 'CVE-2024-6387 still detected on 10.0.0.5', evidence: { detected: [{ port: 22 }] } });
+  });
+
+  test('a closed port verifies the fix', () => {
+    const result = evaluate(finding, { os: 'Ubuntu 24.04', services: [{ port: 80, name: 'HTTP' }] }, [], [22]);
+    expect(result).toEqual({
+      outcome: 'verified',
+      reason: 'Port 22 no longer open',
+      evidence: { reachable: true, os: 'Ubuntu 24.04', ports: [{ port: 22, state: 'closed' }], detected: [] }
+    });
+  });
+
+  test('an upgraded service verifies the fix', () => {
+    const result = evaluate(finding, { services: [ssh] }, [{ id: 'CVE-2023-38408' }], [22]);
+    expect(result).toMatchObject({
+      outcome: 'verified',
+      reason: 'CVE-2024-6387 no longer detected',
+      evidence: { ports: [{ port: 22, state: 'open', service: 'SSH', version: 'OpenSSH 9.8p1' }] }
+    });
+  });
+});
+
+describe('verifier', () => {
+  let dataDir;
+  let storage;
+  let verifications;
+  let findings;
+  let probe;
+  let match;
+  let verifier;
+  let completed;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-verification-'));
+    storage = createFileStorage({ dataDir });
+    verifications = storage.collection('verifications');
+    findings = new Map([[finding.key, finding]]);
+    probe = jest.fn(async ip => ({ ip, services: [ssh] }));
+    match = jest.fn(async () => []);
+    // A long delay so runs happen only when the test calls run()
+    verifier = createVerifier({ verifications, loadFinding: async key => findings.get(key) || null, probe, match, delay: 3600, retryDelay: 3600, maxAttempts: 2 });
+    completed = [];
+    verifier.on('complete', verification => completed.push(verification));
+  });
+
+  afterEach(async () => {
+    verifier.stop();
+    await storage.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('requests rescan only the finding\'s ports with the driver asked for', async () => {
+    const requested = await verifier.request(finding, { driver: 'tcp', requestedBy: 'alice' });
+    expect(requested).toMatchObject({ findingKey: finding.key, host: '10.0.0.5', ports: [22], driver: 'tcp', status: 'pending', attempts: 0, requestedBy: 'alice' });
+
+    const done = await verifier.run(requested.id);
+    expect(probe).toHaveBeenCalledWith('10.0.0.5', { driver: 'tcp', ports: '22' });
+    expect(done).toMatchObject({ status: 'verified', attempts: 1, reason: 'CVE-2024-6387 no longer detected' });
+    expect(completed).toEqual([done]);
+    expect(await verifier.run(requested.id)).toEqual(done);
+  });
+
+  test('findings the probe still finds are reopened', async () => {
+    match.mockResolvedValue([{ id: 'CVE-2024-6387', evidence: [{ port: 22 }] }]);
+    const { id } = await verifier.request(finding);
+    expect(await verifier.run(id)).toMatchObject({ status: 'reopened' });
+  });
+
+  test('inconclusive probes are retried, then given up on', async () => {
+    probe.mockRejectedValue(new Error('network unreachable'));
+    const { id } = await verifier.request(finding);
+
+    const retry = await verifier.run(id);
+    expect(retry).toMatchObject({ status: 'pending', attempts: 1, reason: 'Verification probe failed: network unreachable' });
+    expect(completed).toEqual([]);
+
+    expect(await verifier.run(id)).toMatchObject({ status: 'inconclusive', attempts: 2 });
+    expect(completed).toHaveLength(1);
+  });
+
+  test('a finding that moved on cancels its verification', async () => {
+    const { id } = await verifier.request(finding);
+    findings.set(finding.key, { ...finding, status: 'reopened' });
+    expect(await verifier.run(id)).toMatchObject({ status: 'cancelled', reason: 'Finding is reopened' });
+    expect(probe).not.toHaveBeenCalled();
+  });
+
+  test('verifications cut off by a restart run again', async () => {
+    const { id } = await verifier.request(finding);
+    await verifications.set(id, { ...(await verifications.get(id)), status: 'running', attempts: 1 });
+
+    const finished = new Promise(resolve => verifier.once('complete', resolve));
+    await verifier.start();
+    await expect(finished).resolves.toMatchObject({ id, status: 'verified', attempts: 2 });
+  });
+});
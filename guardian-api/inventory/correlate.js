@@ -0,0 +1,93 @@
+// Host-to-asset correlation rules
+//
+// Evidence is weighed strongest first: MAC address, then hostname, then the
+// IP address combined with a compatible service fingerprint. A fingerprint on
+// its own only matches an asset that has gone quiet at its old address.
+
+const FINGERPRINT_THRESHOLD = 0.8;
+
+function normalizeMac(mac) {
+  return mac ? mac.toUpperCase().replace(/-/g, ':') : null;
+}
+
+// Hostnames that are just the IP, or generic placeholders, identify nothing
+function normalizeHostname(hostname, ip) {
+  if (!hostname || hostname === ip) return null;
+  const name = hostname.toLowerCase().replace(/\.$/, '');
+  if (/^(localhost|unknown)(\.|$)/.test(name)) return null;
+  return name;
+}
+
+function serviceFingerprint(services = []) {
+  return services
+    .map(service => `${service.port}/${(service.name || '').toLowerCase()}`)
+    .sort();
+}
+
+function fingerprintSimilarity(a = [], b = []) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const setA = new Set(a);
+  const shared = b.filter(entry => setA.has(entry)).length;
+  return shared / (a.length + b.length - shared);
+}
+
+// Returns [{ asset, reason }] for every asset the observation matches,
+// strongest evidence first
+function findMatches(observation, assets) {
+  const mac = normalizeMac(observation.mac);
+  const hostname = normalizeHostname(observation.hostname, observation.ip);
+  const fingerprint = serviceFingerprint(observation.services);
+  const matches = [];
+  const add = (asset, reason) => {
+    if (!matches.find(match => match.asset.id === asset.id)) {
+      matches.push({ asset, reason });
+    }
+  };
+
+  if (mac) {
+    assets.filter(asset => (asset.macs || []).includes(mac)).forEach(asset => add(asset, 'mac'));
+  }
+
+  if (hostname) {
+    assets
+      .filter(asset => (asset.hostnames || []).includes(hostname))
+      // A different MAC on both sides means two machines sharing a name
+      .filter(asset => !mac || !asset.mac || asset.mac === mac)
+      .forEach(asset => add(asset, 'hostname'));
+  }
+
+  const atIp = assets.filter(asset => asset.ip === observation.ip);
+  const sameIp = atIp.find(asset => asset.status === 'active') || atIp[0];
+  if (sameIp) {
+    const knownName = normalizeHostname(sameIp.hostname, sameIp.ip);
+    const macConflict = mac && sameIp.mac && sameIp.mac !== mac;
+    const nameConflict = hostname && knownName && knownName !== hostname;
+    const servicesDiffer = fingerprint.length > 0 && (sameIp.fingerprint || []).length > 0 &&
+      fingerprintSimilarity(fingerprint, sameIp.fingerprint) < 0.3;
+    if (!macConflict && !nameConflict && !servicesDiffer) {
+      add(sameIp, 'ip');
+    }
+  }
+
+  if (matches.length === 0 && fingerprint.length >= 2) {
+    const candidates = assets.filter(asset =>
+      asset.status === 'stale' &&
+      (!mac || !asset.mac) &&
+      fingerprintSimilarity(fingerprint, asset.fingerprint) >= FINGERPRINT_THRESHOLD
+    );
+    // Only trust a fingerprint when it points at exactly one asset
+    if (candidates.length === 1) {
+      add(candidates[0], 'fingerprint');
+    }
+  }
+
+  return matches;
+}
+
+module.exports = {
+  normalizeMac,
+  normalizeHostname,
+  serviceFingerprint,
+  fingerprintSimilarity,
+  findMatches
+};
@@ -0,0 +1,75 @@
+const { normalizeMac, normalizeHostname, serviceFingerprint, fingerprintSimilarity, findMatches } = require('./correlate');
+
+const web = [{ port: 22, name: 'SSH' }, { port: 80, name: 'HTTP' }, { port: 443, name: 'HTTPS' }];
+const db = [{ port: 22, name: 'SSH' }, { port: 5432, name: 'PostgreSQL' }, { port: 6379, name: 'Redis' }];
+
+const asset = (id, fields = {}) => ({
+  id,
+  status: 'active',
+  macs: fields.mac ? [fields.mac] : [],
+  hostnames: fields.hostname ? [fields.hostname] : [],
+  fingerprint: serviceFingerprint(fields.services || []),
+  ...fields
+});
+
+const reasons = (observation, assets) => findMatches(observation, assets).map(match => [match.asset.id, match.reason]);
+
+describe('normalising evidence', () => {
+  test('MACs are upper case with colons', () => {
+    expect(normalizeMac('aa-bb-cc-00-11-22')).toBe('AA:BB:CC:00:11:22');
+    expect(normalizeMac(null)).toBeNull();
+  });
+
+  test('hostnames that are the IP or a placeholder identify nothing', () => {
+    expect(normalizeHostname('Web-01.Example.com.', '10.0.0.5')).toBe('web-01.example.com');
+    expect(normalizeHostname('10.0.0.5', '10.0.0.5')).toBeNull();
+    expect(normalizeHostname('localhost.localdomain', '10.0.0.5')).toBeNull();
+    expect(normalizeHostname('unknown', '10.0.0.5')).toBeNull();
+  });
+
+  test('fingerprint similarity is the share of services in common', () => {
+    expect(serviceFingerprint(web)).toEqual(['22/ssh', '443/https', '80/http']);
+    expect(fingerprintSimilarity(serviceFingerprint(web), serviceFingerprint(web))).toBe(1);
+    expect(fingerprintSimilarity(serviceFingerprint(web), serviceFingerprint(db))).toBe(0.2);
+    expect(fingerprintSimilarity([], serviceFingerprint(web))).toBe(0);
+  });
+});
+
+describe('findMatches', () => {
+  test('a MAC beats a hostname, which beats the address', () => {
+    const assets = [
+      asset('by-ip', { ip: '10.0.0.5' }),
+      asset('by-name', { ip: '10.0.0.9', hostname: 'web-01' }),
+      asset('by-mac', { ip: '10.0.0.7', mac: 'AA:BB:CC:00:11:22' })
+    ];
+    expect(reasons({ ip: '10.0.0.5', mac: 'aa:bb:cc:00:11:22', hostname: 'web-01' }, assets))
+      .toEqual([['by-mac', 'mac'], ['by-name', 'hostname'], ['by-ip', 'ip']]);
+  });
+
+  test('two machines with one hostname but different MACs are not matched', () => {
+    const assets = [asset('other', { ip: '10.0.0.9', hostname: 'printer', mac: '00:00:5E:00:53:01' })];
+    expect(reasons({ ip: '10.0.0.20', hostname: 'printer', mac: '00:00:5E:00:53:02' }, assets)).toEqual([]);
+  });
+
+  test.each([
+    ['a different MAC', { mac: '00:00:5E:00:53:02' }],
+    ['a different hostname', { hostname: 'db-01' }],
+    ['entirely different services', { services: db }]
+  ])('a new machine at a known address is not matched when it has %s', (label, fields) => {
+    const assets = [asset('old', { ip: '10.0.0.5', mac: '00:00:5E:00:53:01', hostname: 'web-01', services: web })];
+    expect(reasons({ ip: '10.0.0.5', ...fields }, assets)).toEqual([]);
+  });
+
+  test('the address matches when nothing contradicts it', () => {
+    const assets = [asset('old', { ip: '10.0.0.5', services: web })];
+    expect(reasons({ ip: '10.0.0.5', services: web.slice(0, 2) }, assets)).toEqual([['old', 'ip']]);
+  });
+
+  test('a fingerprint alone finds a stale asset, if only one fits', () => {
+    const stale = asset('moved', { ip: null, status: 'stale', services: web });
+    expect(reasons({ ip: '10.0.0.40', services: web }, [stale])).toEqual([['moved', 'fingerprint']]);
+    expect(reasons({ ip: '10.0.0.40', services: web }, [{ ...stale, status: 'active' }])).toEqual([]);
+    expect(reasons({ ip: '10.0.0.40', services: web }, [stale, { ...stale, id: 'twin' }])).toEqual([]);
+    expect(reasons({ ip: '10.0.0.40', services: web.slice(0, 1) }, [stale])).toEqual([]);
+  });
+});
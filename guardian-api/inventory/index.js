@@ -0,0 +1,234 @@
+// Asset inventory - gives discovered hosts a stable identity across scans
+//
+// Hosts are still stored per IP (the `hosts` collection); each host record
+// points at the asset currently holding that address. Findings are keyed by
+// asset so they follow a machine when its DHCP lease changes.
+
+const { v4: uuidv4 } = require('uuid');
+const {
+  normalizeMac,
+  normalizeHostname,
+  serviceFingerprint,
+  findMatches
+} = require('./correlate');
+
+const STALE_AFTER_SCANS = parseInt(process.env.ASSET_STALE_AFTER_SCANS) || 2;
+
+function union(list = [], value) {
+  return value && !list.includes(value) ? [...list, value] : list;
+}
+
+function createInventory({ assets, hosts, vulnerabilities }) {
+  // Observations from concurrent scans are applied one at a time so two
+  // sightings of the same machine can't both create an asset
+  let queue = Promise.resolve();
+  function serialize(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function touchIpHistory(asset, ip, now) {
+    const history = asset.ipHistory || [];
+    const entry = history.find(item => item.ip === ip);
+    if (entry) {
+      entry.lastSeen = now;
+    } else {
+      history.push({ ip, firstSeen: now, lastSeen: now });
+    }
+    asset.ipHistory = history;
+  }
+
+  // Point the asset's findings at its current address
+  async function moveFindings(fromAssetId, toAsset) {
+    const findings = await vulnerabilities.find({ assetId: fromAssetId });
+    for (const finding of findings) {
+      const key = `${toAsset.id}:${finding.id}`;
+      if (fromAssetId !== toAsset.id) {
+        await vulnerabilities.delete(`${fromAssetId}:${finding.id}`);
+        // Keep the surviving asset's own record of the same finding
+        if (await vulnerabilities.get(key)) continue;
+      }
+      await vulnerabilities.set(key, { ...finding, assetId: toAsset.id, host: toAsset.ip, hostname: toAsset.hostname });
+    }
+  }
+
+  async function mergeInto(target, source, now) {
+    target.macs = (source.macs || []).reduce(union, target.macs || []);
+    target.hostnames = (source.hostnames || []).reduce(union, target.hostnames || []);
+    target.tags = (source.tags || []).reduce(union, target.tags || []);
+    (source.ipHistory || []).forEach(entry => {
+      const existing = (target.ipHistory || []).find(item => item.ip === entry.ip);
+      if (existing) {
+        existing.firstSeen = existing.firstSeen < entry.firstSeen ? existing.firstSeen : entry.firstSeen;
+        existing.lastSeen = existing.lastSeen > entry.lastSeen ? existing.lastSeen : entry.lastSeen;
+      } else {
+        target.ipHistory = [...(target.ipHistory || []), entry];
+      }
+    });
+    target.firstSeen = target.firstSeen < source.firstSeen ? target.firstSeen : source.firstSeen;
+    target.mergedFrom = [...(target.mergedFrom || []), source.id, ...(source.mergedFrom || [])];
+    target.updatedAt = now;
+
+    await moveFindings(source.id, target);
+    await assets.delete(source.id);
+
+    const host = source.ip ? await hosts.get(source.ip) : null;
+    if (host && host.assetId === source.id) {
+      await hosts.delete(source.ip);
+    }
+  }
+
+  // Record a host sighting. Resolves with { asset, created, merged, previousIp }.
+  function observe(observation, scanId) {
+    return serialize(async () => {
+      const now = new Date().toISOString();
+      const all = await assets.list();
+      const matches = findMatches(observation, all);
+      const mac = normalizeMac(observation.mac);
+      const hostname = normalizeHostname(observation.hostname, observation.ip);
+
+      let asset;
+      let created = false;
+      if (matches.length > 0) {
+        asset = matches[0].asset;
+      } else {
+        created = true;
+        asset = {
+          id: `asset-${uuidv4()}`,
+          firstSeen: now,
+          macs: [],
+          hostnames: [],
+          ipHistory: [],
+          mergedFrom: []
+        };
+      }
+
+      // Any other asset matched by the same evidence is a duplicate
+      const merged = [];
+      for (const match of matches.slice(1)) {
+        await mergeInto(asset, match.asset, now);
+        merged.push(match.asset.id);
+      }
+
+      const previousIp = !created && asset.ip !== observation.ip ? asset.ip : null;
+
+      Object.assign(asset, {
+        ip: observation.ip,
+        mac: mac || asset.mac || null,
+        hostname: hostname ? observation.hostname : (asset.hostname || observation.hostname),
+        type: observation.type,
+        os: observation.os || asset.os || null,
+        services: observation.services,
+        fingerprint: serviceFingerprint(observation.services),
+        risk: observation.risk || asset.risk || null,
+        status: 'active',
+        missedScans: 0,
+        lastSeen: now,
+        lastScanId: scanId,
+        matchedBy: created ? null : matches[0].reason,
+        updatedAt: now
+      });
+      asset.macs = union(asset.macs, mac);
+      asset.hostnames = union(asset.hostnames, hostname);
+      touchIpHistory(asset, observation.ip, now);
+
+      await assets.set(asset.id, asset);
+
+      // The address this asset left behind no longer belongs to it
+      if (previousIp) {
+        const oldHost = await hosts.get(previousIp);
+        if (oldHost && oldHost.assetId === asset.id) {
+          await hosts.delete(previousIp);
+        }
+        await moveFindings(asset.id, asset);
+      }
+
+      // Whoever held this address before has moved on; it stays stale until seen again
+      const displaced = all.filter(other =>
+        other.id !== asset.id && other.ip === observation.ip && !merged.includes(other.id)
+      );
+      for (const other of displaced) {
+        await assets.set(other.id, {
+          ...other,
+          ip: null,
+          status: 'stale',
+          staleSince: other.staleSince || now,
+          updatedAt: now
+        });
+      }
+
+      return { asset, created, merged, previousIp };
+    });
+  }
+
+  // After a scan, age out assets at probed addresses that did not answer.
+  // `wasProbed(ip)` says whether the scan covered an address. Resolves with
+  // the assets that became stale.
+  function markUnseen(wasProbed, seenAssetIds) {
+    return serialize(async () => {
+      const seen = new Set(seenAssetIds);
+      const now = new Date().toISOString();
+      const becameStale = [];
+
+      const all = await assets.list();
+      for (const asset of all) {
+        if (!asset.ip || !wasProbed(asset.ip) || seen.has(asset.id)) continue;
+
+        asset.missedScans = (asset.missedScans || 0) + 1;
+        if (asset.status !== 'stale' && asset.missedScans >= STALE_AFTER_SCANS) {
+          asset.status = 'stale';
+          asset.staleSince = now;
+          becameStale.push(asset);
+        }
+        await assets.set(asset.id, asset);
+
+        const host = await hosts.get(asset.ip);
+        if (host && host.assetId === asset.id && asset.status === 'stale') {
+          await hosts.set(asset.ip, { ...host, status: 'stale' });
+        }
+      }
+
+      return becameStale;
+    });
+  }
+
+  // Manually merge a duplicate asset into another
+  function merge(targetId, sourceId) {
+    return serialize(async () => {
+      const target = await assets.get(targetId);
+      const source = await assets.get(sourceId);
+      if (!target || !source) {
+        return null;
+      }
+      await mergeInto(target, source, new Date().toISOString());
+      await assets.set(target.id, target);
+      return target;
+    });
+  }
+
+  // Apply field changes (e.g. risk, criticality) to an asset
+  function update(id, changes) {
+    return serialize(async () => {
+      const asset = await assets.get(id);
+      if (!asset) {
+        return null;
+      }
+      Object.assign(asset, changes, { updatedAt: new Date().toISOString() });
+      await assets.set(id, asset);
+      return asset;
+    });
+  }
+
+  return {
+    observe,
+    markUnseen,
+    merge,
+    update
+  };
+}
+
+module.exports = {
+  STALE_AFTER_SCANS,
+  createInventory
+};
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStorage } = require('../storage/file');
+const { STALE_AFTER_SCANS, createInventory } = require('.');
+
+const services = [{ port: 22, name: 'SSH' }, { port: 443, name: 'HTTPS' }];
+
+describe('inventory', () => {
+  let dataDir;
+  let storage;
+  let assets;
+  let hosts;
+  let vulnerabilities;
+  let inventory;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-inventory-'));
+    storage = createFileStorage({ dataDir });
+    assets = storage.collection('assets');
+    hosts = storage.collection('hosts');
+    vulnerabilities = storage.collection('vulnerabilities');
+    inventory = createInventory({ assets, hosts, vulnerabilities });
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const sighting = (ip, fields = {}) => ({ ip, hostname: null, mac: null, type: 'server', services, ...fields });
+
+  test('a machine keeps its asset when its address changes', async () => {
+    const first = await inventory.observe(sighting('10.0.0.5', { mac: 'aa:bb:cc:00:11:22' }), 'scan-1');
+    expect(first).toMatchObject({ created: true, previousIp: null });
+    await hosts.set('10.0.0.5', { ip: '10.0.0.5', assetId: first.asset.id });
+    await vulnerabilities.set(`${first.asset.id}:CVE-1`, { id: 'CVE-1', assetId: first.asset.id, host: '10.0.0.5' });
+
+    const moved = await inventory.observe(sighting('10.0.0.9', { mac: 'AA:BB:CC:00:11:22' }), 'scan-2');
+    expect(moved).toMatchObject({ created: false, previousIp: '10.0.0.5', asset: { id: first.asset.id, ip: '10.0.0.9', matchedBy: 'mac' } });
+    expect(moved.asset.ipHistory.map(entry => entry.ip)).toEqual(['10.0.0.5', '10.0.0.9']);
+    expect(await hosts.get('10.0.0.5')).toBeNull();
+    expect(await vulnerabilities.get(`${first.asset.id}:CVE-1`)).toMatchObject({ host: '10.0.0.9' });
+  });
+
+  test('a new machine at an old address displaces the asset that held it', async () => {
+    const old = await inventory.observe(sighting('10.0.0.5', { mac: '00:00:5E:00:53:01' }), 'scan-1');
+    const replacement = await inventory.observe(sighting('10.0.0.5', { mac: '00:00:5E:00:53:02' }), 'scan-2');
+
+    expect(replacement.created).toBe(true);
+    expect(await assets.get(old.asset.id)).toMatchObject({ ip: null, status: 'stale', staleSince: expect.any(String) });
+  });
+
+  test('evidence pointing at two assets merges them, findings included', async () => {
+    const byName = await inventory.observe(sighting('10.0.0.5', { hostname: 'web-01' }), 'scan-1');
+    const byMac = await inventory.observe(sighting('10.0.0.6', { mac: '00:00:5E:00:53:01' }), 'scan-1');
+    await vulnerabilities.set(`${byName.asset.id}:CVE-1`, { id: 'CVE-1', assetId: byName.asset.id, host: '10.0.0.5' });
+
+    const seen = await inventory.observe(sighting('10.0.0.6', { mac: '00:00:5E:00:53:01', hostname: 'web-01' }), 'scan-2');
+    expect(seen).toMatchObject({ created: false, merged: [byName.asset.id], asset: { id: byMac.asset.id } });
+    expect(seen.asset.hostnames).toEqual(['web-01']);
+    expect(seen.asset.mergedFrom).toEqual([byName.asset.id]);
+    expect(await assets.get(byName.asset.id)).toBeNull();
+    expect(await vulnerabilities.find({ assetId: byMac.asset.id })).toEqual([expect.objectContaining({ id: 'CVE-1', host: '10.0.0.6' })]);
+  });
+
+  test('concurrent sightings of one machine create one asset', async () => {
+    const results = await Promise.all([1, 2, 3].map(n => inventory.observe(sighting('10.0.0.5', { mac: '00:00:5E:00:53:01' }), `scan-${n}`)));
+    expect(results.filter(result => result.created)).toHaveLength(1);
+    expect(await assets.count()).toBe(1);
+  });
+
+  test(`assets at probed addresses go stale after ${STALE_AFTER_SCANS} missed scans`, async () => {
+    const { asset } = await inventory.observe(sighting('10.0.0.5'), 'scan-1');
+    const other = await inventory.observe(sighting('10.0.1.5', { mac: '00:00:5E:00:53:01' }), 'scan-1');
+    await hosts.set('10.0.0.5', { ip: '10.0.0.5', assetId: asset.id, status: 'online' });
+    const probed = (ip) => ip.startsWith('10.0.0.');
+
+    for (let scan = 1; scan < STALE_AFTER_SCANS; scan++) {
+      expect(await inventory.markUnseen(probed, [])).toEqual([]);
+    }
+    expect((await inventory.markUnseen(probed, [])).map(stale => stale.id)).toEqual([asset.id]);
+    expect(await hosts.get('10.0.0.5')).toMatchObject({ status: 'stale' });
+    expect(await assets.get(other.asset.id)).toMatchObject({ status: 'active', missedScans: 0 });
+
+    const back = await inventory.observe(sighting('10.0.0.5'), 'scan-9');
+    expect(back.asset).toMatchObject({ id: asset.id, status: 'active', missedScans: 0 });
+  });
+
+  test('merge and update act on stored assets', async () => {
+    const a = await inventory.observe(sighting('10.0.0.5', { mac: '00:00:5E:00:53:01' }), 'scan-1');
+    const b = await inventory.observe(sighting('10.0.0.6', { mac: '00:00:5E:00:53:02' }), 'scan-1');
+
+    const merged = await inventory.merge(a.asset.id, b.asset.id);
+    expect(merged.macs).toEqual(['00:00:5E:00:53:01', '00:00:5E:00:53:02']);
+    expect(await inventory.merge(a.asset.id, 'asset-missing')).toBeNull();
+    expect(await inventory.update(a.asset.id, { criticality: 'high' })).toMatchObject({ criticality: 'high' });
+    expect(await inventory.update('asset-missing', {})).toBeNull();
+  });
+});
@@ -0,0 +1,169 @@
+// Playbook step actions
+//
+// An action exports { name, validate(params), run(params, context) } where run
+// resolves to a short text output for the run log. `context.simulate` asks the
+// action to describe what it would do without touching anything - set outside
+// production the same way the simulated scanner driver is.
+
+const { execFile } = require('child_process');
+
+const DEFAULT_STEP_TIMEOUT = parseInt(process.env.PLAYBOOK_STEP_TIMEOUT) || 300000;
+
+// Origins `http` steps may send a `tokenEnv` bearer token to: AWX_URL and
+// any listed in PLAYBOOK_TOKEN_ORIGINS
+const TOKEN_ORIGINS = [process.env.AWX_URL, ...(process.env.PLAYBOOK_TOKEN_ORIGINS || '').split(',')]
+  .map(value => String(value || '').trim())
+  .filter(Boolean)
+  .map(value => {
+    try {
+      return new URL(value).origin;
+    } catch (error) {
+      throw new Error(`Invalid token origin: ${value}`);
+    }
+  });
+
+// Keep run records small; the tail of a command's output is what matters
+const MAX_OUTPUT = 4000;
+
+function truncate(text) {
+  const value = String(text || '').trim();
+  return value.length > MAX_OUTPUT ? `...${value.slice(-MAX_OUTPUT)}` : value;
+}
+
+const actions = new Map();
+
+function registerAction(action) {
+  if (!action || !action.name || typeof action.run !== 'function') {
+    throw new Error('Playbook action must have a name and a run() function');
+  }
+  actions.set(action.name, action);
+}
+
+function getAction(name) {
+  const action = actions.get(name);
+  if (!action) {
+    throw new Error(`Unknown playbook action: ${name}`);
+  }
+  return action;
+}
+
+function listActions() {
+  return Array.from(actions.keys());
+}
+
+registerAction({
+  name: 'log',
+  validate(params) {
+    if (!params.message) throw new Error('log steps need a message');
+  },
+  async run(params) {
+    return params.message;
+  }
+});
+
+registerAction({
+  name: 'wait',
+  validate(params) {
+    if (!(Number(params.seconds) >= 0)) throw new Error('wait steps need a number of seconds');
+  },
+  async run(params, { signal, simulate }) {
+    if (!simulate) {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, Number(params.seconds) * 1000);
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(new Error('Step cancelled'));
+        }, { once: true });
+      });
+    }
+    return `Waited ${params.seconds}s`;
+  }
+});
+
+// Runs a local program (ansible, a vendor CLI, a script) without a shell, so
+// templated arguments can't inject extra commands
+registerAction({
+  name: 'command',
+  validate(params) {
+    if (!params.command) throw new Error('command steps need a command');
+    if (params.args && !Array.isArray(params.args)) throw new Error('command args must be a list');
+  },
+  async run(params, { signal, simulate, timeout = DEFAULT_STEP_TIMEOUT }) {
+    const args = (params.args || []).map(String);
+    const commandLine = [params.command, ...args].join(' ');
+    if (simulate) {
+      return `[simulated] ${commandLine}`;
+    }
+
+    return new Promise((resolve, reject) => {
+      execFile(params.command, args, {
+        timeout: Number(params.timeout) * 1000 || timeout,
+        signal,
+        cwd: params.cwd,
+        maxBuffer: 10 * 1024 * 1024
+      }, (error, stdout, stderr) => {
+        if (error) {
+          const detail = truncate(stderr) || (error.killed ? 'timed out' : `exit code ${error.code}`);
+          return reject(new Error(`${commandLine} failed: ${detail}`));
+        }
+        resolve(truncate(`${stdout}${stderr}`) || `${commandLine} exited 0`);
+      });
+    });
+  }
+});
+
+// Calls an automation endpoint (AWX/Tower job template, patch API, ticketing).
+// `tokenEnv` names an environment variable holding a bearer token; it is read
+// at run time so the secret never ends up in the run record, and only sent to
+// TOKEN_ORIGINS so a templated URL cannot carry it elsewhere.
+registerAction({
+  name: 'http',
+  validate(params) {
+    if (!params.url) throw new Error('http steps need a url');
+  },
+  async run(params, { signal, simulate, timeout = DEFAULT_STEP_TIMEOUT }) {
+    const method = (params.method || 'POST').toUpperCase();
+    if (params.tokenEnv) {
+      let origin;
+      try {
+        origin = new URL(params.url).origin;
+      } catch (error) {
+        throw new Error(`Invalid url: ${params.url}`);
+      }
+      if (!TOKEN_ORIGINS.includes(origin)) {
+        throw new Error(`${params.tokenEnv} may only be sent to AWX_URL or PLAYBOOK_TOKEN_ORIGINS, not ${origin}`);
+      }
+    }
+    if (simulate) {
+      return `[simulated] ${method} ${params.url}`;
+    }
+
+    const headers = { 'Content-Type': 'application/json', ...(params.headers || {}) };
+    if (params.tokenEnv) {
+      if (!process.env[params.tokenEnv]) {
+        throw new Error(`${params.tokenEnv} is not set`);
+      }
+      headers.Authorization = `Bearer ${process.env[params.tokenEnv]}`;
+    }
+
+    const response = await fetch(params.url, {
+      method,
+      headers,
+      body: params.body !== undefined && method !== 'GET' ? JSON.stringify(params.body) : undefined,
+      // A redirect must not take the token somewhere else either
+      redirect: params.tokenEnv ? 'error' : 'follow',
+      signal: AbortSignal.any([signal, AbortSignal.timeout(timeout)])
+    });
+    const text = truncate(await response.text());
+    if (!response.ok) {
+      throw new Error(`${method} ${params.url} returned ${response.status}: ${text}`);
+    }
+    return `${method} ${params.url} -> ${response.status}${text ? `: ${text}` : ''}`;
+  }
+});
+
+module.exports = {
+  registerAction,
+  getAction,
+  listActions
+};
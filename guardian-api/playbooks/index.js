@@ -0,0 +1,267 @@
+// Remediation playbooks - declarative YAML/JSON files describing how to fix a
+// class of findings
+//
+//   id, name, description, version
+//   match:      which findings it fixes - any of `vulnerabilities` (CVE IDs),
+//               `services` (service names) or `severities`
+//   target:     hosts it may run against - all of `hostTypes` and `os`
+//               (substrings of the detected OS)
+//   approval:   'required' to always wait for approval, otherwise approval
+//               follows FEATURE_AUTOMATED_REMEDIATION
+//   parameters: { name: { default, required, pattern, description } }
+//   steps / rollback: [{ name, action, with }] - rollback runs when a step fails
+//
+// Step parameters are templates: {{host.ip}}, {{finding.id}}, {{service.port}},
+// {{params.name}} and so on. {{settings.*}} are deployment settings from the
+// environment, for values a caller must not be able to change through params
+// (such as where credentials are sent).
+//
+// Parameter values are strings or numbers matching the parameter's `pattern`
+// (a regular expression the whole value must match). Without one a value is a
+// single token - letters, digits and . _ : @ + - - so it cannot add arguments
+// to a key=value string or step out of a URL path segment.
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { getAction } = require('./actions');
+
+const LIBRARY_DIR = path.join(__dirname, 'library');
+
+const SETTINGS = {
+  awxUrl: process.env.AWX_URL ? process.env.AWX_URL.replace(/\/+$/, '') : undefined
+};
+const PLAYBOOK_FILE = /\.(ya?ml|json)$/i;
+const PARAM_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:@+-]*$/;
+
+function paramPattern(definition) {
+  return definition && definition.pattern ? new RegExp(`^(?:${definition.pattern})$`) : PARAM_PATTERN;
+}
+
+function validateParam(playbook, name, value) {
+  if (typeof value !== 'string' && !Number.isFinite(value)) {
+    throw new Error(`Parameter ${name} of playbook ${playbook.id} must be a string or a number`);
+  }
+  if (!paramPattern(playbook.parameters[name]).test(String(value))) {
+    throw new Error(`Invalid value for parameter ${name} of playbook ${playbook.id}: ${JSON.stringify(value)}`);
+  }
+}
+
+function validateParameters(playbook) {
+  const { id, parameters = {} } = playbook;
+  if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+    throw new Error(`Playbook ${id}: parameters must map names to definitions`);
+  }
+  for (const [name, definition] of Object.entries(parameters)) {
+    if (definition && definition.pattern !== undefined) {
+      try {
+        paramPattern(definition);
+      } catch (error) {
+        throw new Error(`Playbook ${id}: parameter ${name} has an invalid pattern: ${error.message}`);
+      }
+    }
+    if (definition && definition.default !== undefined) {
+      validateParam(playbook, name, definition.default);
+    }
+  }
+}
+
+function validateSteps(steps, field, id) {
+  if (!Array.isArray(steps)) {
+    throw new Error(`Playbook ${id}: ${field} must be a list of steps`);
+  }
+  steps.forEach((step, index) => {
+    if (!step || !step.name || !step.action) {
+      throw new Error(`Playbook ${id}: ${field}[${index}] needs a name and an action`);
+    }
+    const action = getAction(step.action);
+    if (action.validate) {
+      try {
+        // Templates are only resolved at run time; validate their shape now
+        action.validate(step.with || {});
+      } catch (error) {
+        throw new Error(`Playbook ${id}: ${field}[${index}] (${step.name}): ${error.message}`);
+      }
+    }
+  });
+}
+
+function validatePlaybook(playbook) {
+  if (!playbook || !playbook.id || !playbook.name) {
+    throw new Error('Playbook needs an id and a name');
+  }
+  const { id } = playbook;
+  if (!/^[a-z0-9][a-z0-9._-]*$/i.test(id)) {
+    throw new Error(`Invalid playbook id: ${id}`);
+  }
+
+  const match = playbook.match || {};
+  if (!['vulnerabilities', 'services', 'severities'].some(field => Array.isArray(match[field]) && match[field].length)) {
+    throw new Error(`Playbook ${id}: match needs vulnerabilities, services or severities`);
+  }
+  if (playbook.approval && playbook.approval !== 'required') {
+    throw new Error(`Playbook ${id}: approval must be 'required' when set`);
+  }
+  if (!playbook.steps || playbook.steps.length === 0) {
+    throw new Error(`Playbook ${id}: at least one step is required`);
+  }
+  validateParameters(playbook);
+  validateSteps(playbook.steps, 'steps', id);
+  validateSteps(playbook.rollback || [], 'rollback', id);
+}
+
+function readPlaybookFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const playbook = file.endsWith('.json') ? JSON.parse(text) : yaml.load(text);
+  validatePlaybook(playbook);
+  return { version: 1, parameters: {}, rollback: [], ...playbook, source: path.basename(file) };
+}
+
+// Playbooks from each directory in order; later directories override earlier
+// ones with the same id. Invalid files are reported rather than fatal.
+function loadPlaybooks(dirs) {
+  const playbooks = new Map();
+  const errors = [];
+
+  for (const dir of dirs.filter(Boolean)) {
+    if (!fs.existsSync(dir)) {
+      continue;
+    }
+    for (const file of fs.readdirSync(dir).filter(name => PLAYBOOK_FILE.test(name)).sort()) {
+      try {
+        const playbook = readPlaybookFile(path.join(dir, file));
+        playbooks.set(playbook.id, playbook);
+      } catch (error) {
+        errors.push({ file: path.join(dir, file), error: error.message });
+      }
+    }
+  }
+
+  return { playbooks, errors };
+}
+
+function findingServices(finding, host) {
+  const ports = (finding.evidence || []).map(item => item.port).filter(Boolean);
+  return (host.services || []).filter(service => ports.includes(service.port));
+}
+
+function lower(list) {
+  return (list || []).map(value => String(value).toLowerCase());
+}
+
+function matchesFinding(playbook, finding, host) {
+  const { vulnerabilities = [], services = [], severities = [] } = playbook.match;
+  const names = lower(services);
+  return vulnerabilities.includes(finding.id) ||
+    findingServices(finding, host).some(service => names.includes(String(service.name).toLowerCase())) ||
+    severities.includes(finding.severity);
+}
+
+function matchesTarget(playbook, host) {
+  const { hostTypes, os } = playbook.target || {};
+  if (hostTypes && !hostTypes.includes(host.type)) {
+    return false;
+  }
+  if (os && !lower(os).some(name => String(host.os || '').toLowerCase().includes(name))) {
+    return false;
+  }
+  return true;
+}
+
+// Playbooks that apply to a finding on a host; the ones naming the CVE come
+// first, then service playbooks, then catch-all severity playbooks
+function applicablePlaybooks(playbooks, finding, host) {
+  const rank = (playbook) => {
+    if ((playbook.match.vulnerabilities || []).includes(finding.id)) return 0;
+    if (findingServices(finding, host).length && (playbook.match.services || []).length) return 1;
+    return 2;
+  };
+  return Array.from(playbooks.values())
+    .filter(playbook => matchesFinding(playbook, finding, host) && matchesTarget(playbook, host))
+    .sort((a, b) => rank(a) - rank(b) || a.id.localeCompare(b.id));
+}
+
+function resolveParams(playbook, given = {}) {
+  const params = {};
+  for (const [name, definition] of Object.entries(playbook.parameters || {})) {
+    const value = given[name] !== undefined ? given[name] : (definition || {}).default;
+    if (value === undefined && (definition || {}).required) {
+      throw new Error(`Parameter ${name} is required by playbook ${playbook.id}`);
+    }
+    if (value !== undefined) {
+      validateParam(playbook, name, value);
+    }
+    params[name] = value;
+  }
+  const unknown = Object.keys(given).filter(name => !(name in params));
+  if (unknown.length) {
+    throw new Error(`Unknown parameter(s) for playbook ${playbook.id}: ${unknown.join(', ')}`);
+  }
+  return params;
+}
+
+function lookup(context, expression) {
+  return expression.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+// A string that is exactly one placeholder keeps the value's type
+function render(value, context) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) {
+      const resolved = lookup(context, whole[1]);
+      if (resolved === undefined) throw new Error(`Unresolved template value: ${whole[1]}`);
+      return resolved;
+    }
+    return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, expression) => {
+      const resolved = lookup(context, expression);
+      if (resolved === undefined) throw new Error(`Unresolved template value: ${expression}`);
+      return String(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => render(item, context));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, render(item, context)]));
+  }
+  return value;
+}
+
+// The steps of a playbook with every template filled in for one finding
+function planSteps(steps, context) {
+  return steps.map(step => ({
+    name: render(step.name, context),
+    action: step.action,
+    with: render(step.with || {}, context),
+    continueOnError: Boolean(step.continueOnError)
+  }));
+}
+
+function runContext({ finding, host, params }) {
+  const [service] = findingServices(finding, host);
+  return {
+    finding: {
+      key: finding.key,
+      id: finding.id,
+      name: finding.name,
+      severity: finding.severity,
+      remediation: finding.remediation
+    },
+    host: { ip: host.ip, hostname: host.hostname, os: host.os, type: host.type, assetId: host.assetId },
+    service: service || {},
+    params,
+    settings: SETTINGS
+  };
+}
+
+module.exports = {
+  LIBRARY_DIR,
+  validatePlaybook,
+  loadPlaybooks,
+  applicablePlaybooks,
+  resolveParams,
+  render,
+  planSteps,
+  runContext
+};
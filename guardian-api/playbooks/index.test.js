@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LIBRARY_DIR, validatePlaybook, loadPlaybooks, applicablePlaybooks, resolveParams, render, planSteps, runContext } = require('.');
+
+const { playbooks: library, errors } = loadPlaybooks([LIBRARY_DIR]);
+
+const playbook = (fields = {}) => ({
+  id: 'test-playbook',
+  name: 'Test playbook',
+  match: { severities: ['high'] },
+  parameters: {},
+  steps: [{ name: 'Say hello', action: 'log', with: { message: 'hello' } }],
+  ...fields
+});
+
+describe('library', () => {
+  test('every bundled playbook loads', () => {
+    expect(errors).toEqual([]);
+    expect(Array.from(library.keys()).sort()).toEqual(['generic-vendor-patch', 'openssh-upgrade', 'web-server-upgrade', 'windows-security-update']);
+  });
+
+  test('later directories override playbooks with the same id', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-playbooks-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'ssh.json'), JSON.stringify(playbook({ id: 'openssh-upgrade' })));
+      fs.writeFileSync(path.join(dir, 'broken.yml'), 'id: broken\nname: Broken\n');
+      const loaded = loadPlaybooks([LIBRARY_DIR, dir]);
+      expect(loaded.playbooks.get('openssh-upgrade').source).toBe('ssh.json');
+      expect(loaded.errors).toEqual([{ file: path.join(dir, 'broken.yml'), error: 'Playbook broken: match needs vulnerabilities, services or severities' }]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('playbooks naming the CVE come before service and severity playbooks', () => {
+    const host = { ip: '10.0.0.5', os: 'Ubuntu 22.04', services: [{ port: 22, name: 'SSH' }] };
+    const finding = { id: 'CVE-2024-6387', severity: 'critical', evidence: [{ port: 22 }] };
+    expect(applicablePlaybooks(library, finding, host).map(match => match.id)).toEqual(['openssh-upgrade', 'generic-vendor-patch']);
+    expect(applicablePlaybooks(library, finding, { ...host, os: 'Windows Server 2019' }).map(match => match.id)).toEqual(['generic-vendor-patch']);
+  });
+});
+
+describe('validatePlaybook', () => {
+  test.each([
+    [{ id: 'bad id' }, 'Invalid playbook id: bad id'],
+    [{ match: {} }, 'match needs vulnerabilities, services or severities'],
+    [{ approval: 'sometimes' }, "approval must be 'required' when set"],
+    [{ steps: [] }, 'at least one step is required'],
+    [{ steps: [{ name: 'Nothing', action: 'teleport' }] }, 'Unknown playbook action: teleport'],
+    [{ steps: [{ name: 'Run', action: 'command', with: {} }] }, 'steps[0] (Run): command steps need a command'],
+    [{ parameters: { package: { pattern: '[' } } }, 'parameter package has an invalid pattern'],
+    [{ parameters: { package: { default: 'nginx state=absent' } } }, 'Invalid value for parameter package']
+  ])('rejects %j', (fields, message) => {
+    expect(() => validatePlaybook(playbook(fields))).toThrow(message);
+  });
+});
+
+describe('resolveParams', () => {
+  const ssh = library.get('openssh-upgrade');
+  const windows = library.get('windows-security-update');
+
+  test('fills in defaults', () => {
+    expect(resolveParams(ssh)).toEqual({ package: 'openssh-server', user: 'root' });
+    expect(resolveParams(ssh, { package: 'openssh-server-9.8p1', user: 'ansible' })).toEqual({ package: 'openssh-server-9.8p1', user: 'ansible' });
+  });
+
+  test('rejects missing and unknown parameters', () => {
+    expect(() => resolveParams(library.get('web-server-upgrade'))).toThrow('Parameter package is required by playbook web-server-upgrade');
+    expect(() => resolveParams(ssh, { packages: 'x' })).toThrow('Unknown parameter(s) for playbook openssh-upgrade: packages');
+  });
+
+  test.each([
+    [{ package: 'x state=absent' }],
+    [{ package: 'x\tstate=absent' }],
+    [{ package: 'state=absent' }],
+    [{ package: '-e' }],
+    [{ user: 'root/../admin' }],
+    [{ package: '' }],
+    [{ package: ['openssh-server'] }],
+    [{ package: { name: 'openssh-server' } }]
+  ])('rejects %j for arguments', (params) => {
+    expect(() => resolveParams(ssh, params)).toThrow(/parameter (package|user) of playbook openssh-upgrade/i);
+  });
+
+  test.each(['../../../api/v2/config', 'updates/../../ping', 'a b'])('rejects %j in a URL path', (value) => {
+    expect(() => resolveParams(windows, { job_template: value })).toThrow('Invalid value for parameter job_template');
+  });
+
+  test('accepts numbers and values matching a declared pattern', () => {
+    expect(resolveParams(windows, { job_template: 42 })).toEqual({ job_template: 42 });
+    const custom = playbook({ parameters: { path: { pattern: '/opt/[a-z]+', default: '/opt/app' } } });
+    expect(resolveParams(custom, { path: '/opt/web' })).toEqual({ path: '/opt/web' });
+    expect(() => resolveParams(custom, { path: '/opt/web/../../etc' })).toThrow('Invalid value for parameter path');
+  });
+});
+
+describe('render', () => {
+  const context = { host: { ip: '10.0.0.5' }, params: { port: 8443, tags: ['a', 'b'] }, service: {} };
+
+  test('fills in placeholders inside strings', () => {
+    expect(render('ssh {{ host.ip }}:{{params.port}}', context)).toBe('ssh 10.0.0.5:8443');
+  });
+
+  test('a string that is one placeholder keeps the value type', () => {
+    expect(render('{{params.port}}', context)).toBe(8443);
+    expect(render('{{params.tags}}', context)).toEqual(['a', 'b']);
+  });
+
+  test('renders lists and objects all the way down', () => {
+    expect(render({ args: ['-p', '{{params.port}}'], body: { limit: '{{host.ip}}' }, retries: 3 }, context))
+      .toEqual({ args: ['-p', 8443], body: { limit: '10.0.0.5' }, retries: 3 });
+  });
+
+  test('unresolved placeholders are errors', () => {
+    expect(() => render('{{service.port}}', context)).toThrow('Unresolved template value: service.port');
+    expect(() => render('port {{params.missing}}', context)).toThrow('Unresolved template value: params.missing');
+  });
+
+  test('plans the steps of a bundled playbook', () => {
+    const ssh = library.get('openssh-upgrade');
+    const host = { ip: '10.0.0.5', os: 'Ubuntu', services: [{ port: 22, name: 'SSH' }] };
+    const finding = { key: 'asset-1:CVE-2024-6387', id: 'CVE-2024-6387', severity: 'critical', evidence: [{ port: 22 }] };
+    const steps = planSteps(ssh.steps, runContext({ finding, host, params: resolveParams(ssh) }));
+    expect(steps[1]).toEqual({
+      name: 'Upgrade openssh-server',
+      action: 'command',
+      with: {
+        command: 'ansible',
+        args: ['all', '-i', '10.0.0.5,', '-u', 'root', '-b', '-m', 'package', '-a', 'name=openssh-server state=latest']
+      },
+      continueOnError: false
+    });
+  });
+});
@@ -0,0 +1,223 @@
+// Playbook runs - plans a playbook against one finding, holds it for approval
+// when required, then executes the steps in order and rolls back on failure.
+//
+// Every run is a document in the `remediations` collection holding the
+// rendered steps and their output, so the record doubles as the audit trail.
+// Emits 'run' with the record whenever its status changes and 'step' with
+// (record, phase, index) as each step starts and finishes.
+
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { getAction } = require('./actions');
+const { planSteps, runContext, resolveParams } = require('./index');
+
+const RUN_STATES = [
+  'previewed',
+  'pending_approval',
+  'running',
+  'succeeded',
+  'failed',
+  'rolled_back',
+  'rollback_failed',
+  'rejected',
+  'cancelled'
+];
+const ACTIVE_STATES = ['pending_approval', 'running'];
+
+function stepRecords(steps) {
+  return steps.map(step => ({
+    ...step,
+    status: 'pending',
+    startedAt: null,
+    finishedAt: null,
+    output: null,
+    error: null
+  }));
+}
+
+function createPlaybookRunner({ remediations, automated = false, simulate = false }) {
+  const runner = new EventEmitter();
+  const controllers = new Map();
+
+  async function save(run) {
+    await remediations.set(run.id, run);
+    return run;
+  }
+
+  async function setStatus(run, status, changes = {}) {
+    Object.assign(run, changes, { status });
+    await save(run);
+    runner.emit('run', run);
+    return run;
+  }
+
+  async function runSteps(run, phase, signal) {
+    let failed = null;
+    for (let index = 0; index < run[phase].length; index++) {
+      const step = run[phase][index];
+      // Rollback keeps going so as much as possible is undone
+      if (failed && phase === 'steps') {
+        step.status = 'skipped';
+        continue;
+      }
+
+      Object.assign(step, { status: 'running', startedAt: new Date().toISOString() });
+      await save(run);
+      runner.emit('step', run, phase, index);
+
+      try {
+        if (signal.aborted) {
+          throw new Error('Run cancelled');
+        }
+        step.output = await getAction(step.action).run(step.with, { signal, simulate: run.simulated });
+        step.status = 'succeeded';
+      } catch (error) {
+        step.status = 'failed';
+        step.error = error.message;
+        if (!step.continueOnError) {
+          failed = failed || step;
+        }
+      }
+      step.finishedAt = new Date().toISOString();
+      await save(run);
+      runner.emit('step', run, phase, index);
+    }
+    return failed;
+  }
+
+  async function execute(run) {
+    const controller = new AbortController();
+    controllers.set(run.id, controller);
+    await setStatus(run, 'running', { startedAt: new Date().toISOString() });
+
+    try {
+      const failed = await runSteps(run, 'steps', controller.signal);
+      if (!failed) {
+        return await setStatus(run, 'succeeded', { finishedAt: new Date().toISOString() });
+      }
+
+      const error = `Step "${failed.name}" failed: ${failed.error}`;
+      if (run.rollback.length === 0) {
+        return await setStatus(run, 'failed', { error, finishedAt: new Date().toISOString() });
+      }
+      // A cancelled run still needs undoing
+      const rollbackFailed = await runSteps(run, 'rollback', new AbortController().signal);
+      return await setStatus(run, rollbackFailed ? 'rollback_failed' : 'rolled_back', {
+        error,
+        finishedAt: new Date().toISOString()
+      });
+    } finally {
+      controllers.delete(run.id);
+    }
+  }
+
+  function launch(run) {
+    execute(run).catch(error => runner.emit('error', error));
+  }
+
+  // Plan a run; dry runs are stored as previews and never execute. `verify`
+  // is kept on the record for whoever acts on the finished run.
+  async function create({ playbook, finding, host, params: given, dryRun = false, verify = null, requestedBy = 'system' }) {
+    const params = resolveParams(playbook, given);
+    const context = runContext({ finding, host, params });
+
+    const run = {
+      id: uuidv4(),
+      playbookId: playbook.id,
+      playbookName: playbook.name,
+      playbookVersion: playbook.version,
+      findingKey: finding.key,
+      vulnerabilityId: finding.id,
+      assetId: finding.assetId,
+      host: host.ip,
+      params,
+      dryRun,
+      verify: dryRun ? null : verify,
+      simulated: simulate,
+      approvalRequired: !dryRun && (playbook.approval === 'required' || !automated),
+      status: dryRun ? 'previewed' : 'pending_approval',
+      requestedBy,
+      requestedAt: new Date().toISOString(),
+      approvedBy: null,
+      approvedAt: null,
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      steps: stepRecords(planSteps(playbook.steps, context)),
+      rollback: stepRecords(planSteps(playbook.rollback || [], context))
+    };
+
+    await save(run);
+    runner.emit('run', run);
+    if (!dryRun && !run.approvalRequired) {
+      launch(run);
+    }
+    return run;
+  }
+
+  async function approve(id, approver) {
+    const run = await remediations.get(id);
+    // controllers is set synchronously by launch, so a second approval of the
+    // same run can't start it twice
+    if (!run || run.status !== 'pending_approval' || controllers.has(id)) {
+      return run;
+    }
+    Object.assign(run, { approvedBy: approver, approvedAt: new Date().toISOString() });
+    launch(run);
+    return run;
+  }
+
+  async function reject(id, approver, reason = null) {
+    const run = await remediations.get(id);
+    if (!run || run.status !== 'pending_approval') {
+      return run;
+    }
+    return setStatus(run, 'rejected', {
+      approvedBy: approver,
+      error: reason,
+      finishedAt: new Date().toISOString()
+    });
+  }
+
+  // Pending runs are dropped; a running one stops after its current step and
+  // rolls back
+  async function cancel(id) {
+    const run = await remediations.get(id);
+    if (!run) {
+      return null;
+    }
+    if (run.status === 'pending_approval') {
+      return setStatus(run, 'cancelled', { finishedAt: new Date().toISOString() });
+    }
+    if (controllers.has(id)) {
+      controllers.get(id).abort();
+    }
+    return run;
+  }
+
+  async function activeRun(findingKey) {
+    const runs = await remediations.find({ findingKey });
+    return runs.find(run => ACTIVE_STATES.includes(run.status)) || null;
+  }
+
+  // Runs that were executing when the process stopped can't be resumed
+  // safely half way through
+  async function start() {
+    for (const run of await remediations.find({ status: 'running' })) {
+      await save({
+        ...run,
+        status: 'failed',
+        error: 'Interrupted by server restart',
+        finishedAt: new Date().toISOString()
+      });
+    }
+  }
+
+  return Object.assign(runner, { create, approve, reject, cancel, activeRun, start });
+}
+
+module.exports = {
+  RUN_STATES,
+  ACTIVE_STATES,
+  createPlaybookRunner
+};
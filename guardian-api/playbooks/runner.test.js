@@ -0,0 +1,181 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStorage } = require('../storage/file');
+const { registerAction } = require('./actions');
+const { createPlaybookRunner } = require('./runner');
+
+// Steps record what they did; `fail` makes a step throw
+const performed = [];
+registerAction({
+  name: 'test-step',
+  async run(params) {
+    performed.push(params.label);
+    if (params.fail) throw new Error(`${params.label} broke`);
+    return `${params.label} done`;
+  }
+});
+// Runs until the run is cancelled
+registerAction({
+  name: 'test-hang',
+  run(params, { signal }) {
+    performed.push(params.label);
+    return new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('Step cancelled')), { once: true });
+    });
+  }
+});
+
+const step = (label, fields = {}) => ({ name: `Step {{params.label}} ${label}`, action: 'test-step', with: { label, ...fields } });
+
+const playbook = (fields = {}) => ({
+  id: 'test-playbook',
+  name: 'Test playbook',
+  version: 2,
+  parameters: { label: { default: 'x' } },
+  steps: [step('one'), step('two')],
+  rollback: [step('undo')],
+  ...fields
+});
+
+const host = { ip: '10.0.0.5', services: [] };
+const finding = { key: 'asset-1:CVE-2024-0001', id: 'CVE-2024-0001', assetId: 'asset-1', severity: 'high' };
+
+describe('playbook runner', () => {
+  let dataDir;
+  let storage;
+  let remediations;
+
+  const runner = (options = {}) => createPlaybookRunner({ remediations, ...options });
+  const settled = (playbookRunner, id, status) => new Promise(resolve => {
+    playbookRunner.on('run', run => {
+      if (run.id === id && run.status === status) resolve(run);
+    });
+  });
+
+  beforeEach(() => {
+    performed.length = 0;
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-runner-'));
+    storage = createFileStorage({ dataDir });
+    remediations = storage.collection('remediations');
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('dry runs plan the steps without running them', async () => {
+    const run = await runner({ automated: true }).create({ playbook: playbook(), finding, host, params: { label: 'a' }, dryRun: true });
+    expect(run).toMatchObject({ status: 'previewed', approvalRequired: false, verify: null, params: { label: 'a' }, host: '10.0.0.5' });
+    expect(run.steps.map(planned => [planned.name, planned.status])).toEqual([['Step a one', 'pending'], ['Step a two', 'pending']]);
+    expect(performed).toEqual([]);
+    expect(await remediations.get(run.id)).toEqual(run);
+  });
+
+  test('parameters are checked before anything is stored', async () => {
+    await expect(runner().create({ playbook: playbook(), finding, host, params: { label: 'a b' } })).rejects.toThrow('Invalid value for parameter label');
+    expect(await remediations.count()).toBe(0);
+  });
+
+  test('runs wait for approval unless remediation is automated', async () => {
+    const manual = runner();
+    const run = await manual.create({ playbook: playbook(), finding, host, requestedBy: 'alice' });
+    expect(run).toMatchObject({ status: 'pending_approval', approvalRequired: true, requestedBy: 'alice' });
+    expect(performed).toEqual([]);
+
+    const done = settled(manual, run.id, 'succeeded');
+    await manual.approve(run.id, 'bob');
+    const finished = await done;
+    expect(finished).toMatchObject({ approvedBy: 'bob', error: null });
+    expect(finished.steps.map(ran => [ran.status, ran.output])).toEqual([['succeeded', 'one done'], ['succeeded', 'two done']]);
+    expect(finished.rollback[0].status).toBe('pending');
+    expect(performed).toEqual(['one', 'two']);
+  });
+
+  test('automated runs start at once unless the playbook requires approval', async () => {
+    const automated = runner({ automated: true });
+    const run = await automated.create({ playbook: playbook(), finding, host });
+    await settled(automated, run.id, 'succeeded');
+    expect(performed).toEqual(['one', 'two']);
+
+    const held = await automated.create({ playbook: playbook({ approval: 'required' }), finding, host });
+    expect(held.status).toBe('pending_approval');
+  });
+
+  test('a failed step skips the rest and runs the rollback', async () => {
+    const automated = runner({ automated: true });
+    const run = await automated.create({ playbook: playbook({ steps: [step('one', { fail: true }), step('two')] }), finding, host });
+    const finished = await settled(automated, run.id, 'rolled_back');
+
+    expect(performed).toEqual(['one', 'undo']);
+    expect(finished.error).toBe('Step "Step x one" failed: one broke');
+    expect(finished.steps.map(ran => ran.status)).toEqual(['failed', 'skipped']);
+    expect(finished.rollback.map(ran => ran.status)).toEqual(['succeeded']);
+  });
+
+  test('continueOnError steps do not stop the run', async () => {
+    const automated = runner({ automated: true });
+    const steps = [{ ...step('one', { fail: true }), continueOnError: true }, step('two')];
+    const run = await automated.create({ playbook: playbook({ steps }), finding, host });
+    const finished = await settled(automated, run.id, 'succeeded');
+    expect(finished.steps.map(ran => ran.status)).toEqual(['failed', 'succeeded']);
+  });
+
+  test('a rollback keeps going after a failure and reports it', async () => {
+    const automated = runner({ automated: true });
+    const run = await automated.create({
+      playbook: playbook({ steps: [step('one', { fail: true })], rollback: [step('undo', { fail: true }), step('cleanup')] }),
+      finding,
+      host
+    });
+    const finished = await settled(automated, run.id, 'rollback_failed');
+    expect(performed).toEqual(['one', 'undo', 'cleanup']);
+    expect(finished.rollback.map(ran => ran.status)).toEqual(['failed', 'succeeded']);
+  });
+
+  test('without rollback steps a failed run is failed', async () => {
+    const automated = runner({ automated: true });
+    const run = await automated.create({ playbook: playbook({ steps: [step('one', { fail: true })], rollback: [] }), finding, host });
+    await expect(settled(automated, run.id, 'failed')).resolves.toMatchObject({ error: 'Step "Step x one" failed: one broke' });
+  });
+
+  test('rejected and cancelled runs cannot be approved', async () => {
+    const manual = runner();
+    const rejected = await manual.create({ playbook: playbook(), finding, host });
+    expect(await manual.reject(rejected.id, 'bob', 'Change freeze')).toMatchObject({ status: 'rejected', approvedBy: 'bob', error: 'Change freeze' });
+
+    const cancelled = await manual.create({ playbook: playbook(), finding, host });
+    expect(await manual.cancel(cancelled.id)).toMatchObject({ status: 'cancelled' });
+
+    expect(await manual.approve(rejected.id, 'carol')).toMatchObject({ status: 'rejected', approvedBy: 'bob' });
+    expect(await manual.approve(cancelled.id, 'carol')).toMatchObject({ status: 'cancelled', approvedBy: null });
+    expect(await manual.approve('no-such-run', 'carol')).toBeNull();
+    expect(performed).toEqual([]);
+  });
+
+  test('cancelling a running run stops it and rolls back', async () => {
+    const automated = runner({ automated: true });
+    const steps = [{ name: 'Hang', action: 'test-hang', with: { label: 'hang' } }, step('two')];
+    const run = await automated.create({ playbook: playbook({ steps }), finding, host });
+    const finished = settled(automated, run.id, 'rolled_back');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(await automated.cancel(run.id)).toMatchObject({ status: 'running' });
+    await expect(finished).resolves.toMatchObject({ error: 'Step "Hang" failed: Step cancelled' });
+    expect(performed).toEqual(['hang', 'undo']);
+  });
+
+  test('activeRun finds the pending or running run for a finding', async () => {
+    const manual = runner();
+    expect(await manual.activeRun(finding.key)).toBeNull();
+    const run = await manual.create({ playbook: playbook(), finding, host });
+    expect(await manual.activeRun(finding.key)).toMatchObject({ id: run.id });
+  });
+
+  test('start fails runs interrupted by a restart', async () => {
+    await remediations.set('run-1', { id: 'run-1', status: 'running', findingKey: finding.key });
+    await runner().start();
+    expect(await remediations.get('run-1')).toMatchObject({ status: 'failed', error: 'Interrupted by server restart' });
+  });
+});
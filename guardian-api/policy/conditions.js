@@ -0,0 +1,181 @@
+// Policy condition language - JSON conditions evaluated against one host
+//
+//   { all: [condition, ...] }      every condition holds
+//   { any: [condition, ...] }      at least one holds
+//   { not: condition }             the condition does not hold
+//   { host: { field: matcher } }   fields of the host (ip, hostname, type, os,
+//                                  criticality, risk, riskScore, ...)
+//   { service: { field: matcher } } some exposed service matches every field
+//                                  (port, name, version, authMethods, ...)
+//   { finding: { field: matcher } } some active finding matches every field
+//                                  (id, severity, cvss, knownExploited, ...)
+//
+// A matcher is a literal (equality), a list (any of) or an object of
+// operators: eq, ne, in, notIn, gt, gte, lt, lte, contains, matches (regex),
+// includes (array value contains), inSubnet / notInSubnet (CIDR or list of
+// CIDRs) and exists.
+// A field the scan did not report never matches anything but `exists: false`,
+// so unknown data doesn't raise violations.
+
+const { Netmask } = require('netmask');
+
+const OPERATORS = {
+  eq: (value, expected) => value === expected,
+  ne: (value, expected) => value !== expected,
+  in: (value, expected) => expected.includes(value),
+  notIn: (value, expected) => !expected.includes(value),
+  gt: (value, expected) => value > expected,
+  gte: (value, expected) => value >= expected,
+  lt: (value, expected) => value < expected,
+  lte: (value, expected) => value <= expected,
+  contains: (value, expected) => String(value).toLowerCase().includes(String(expected).toLowerCase()),
+  matches: (value, expected) => new RegExp(expected, 'i').test(String(value)),
+  includes: (value, expected) => Array.isArray(value) && value.includes(expected),
+  inSubnet: (value, expected) => inSubnets(value, expected),
+  notInSubnet: (value, expected) => !inSubnets(value, expected)
+};
+
+const LIST_OPERATORS = ['in', 'notIn'];
+const SUBJECTS = ['host', 'service', 'finding'];
+
+function inSubnets(ip, cidrs) {
+  try {
+    return [].concat(cidrs).some(cidr => new Netmask(cidr).contains(ip));
+  } catch (error) {
+    // Not an IPv4 address
+    return false;
+  }
+}
+
+function isOperatorObject(matcher) {
+  return matcher !== null && typeof matcher === 'object' && !Array.isArray(matcher);
+}
+
+function validateMatcher(matcher, path) {
+  if (!isOperatorObject(matcher)) {
+    return;
+  }
+  const operators = Object.keys(matcher);
+  if (operators.length === 0) {
+    throw new Error(`${path}: empty matcher`);
+  }
+  for (const operator of operators) {
+    const expected = matcher[operator];
+    if (operator === 'exists') {
+      if (typeof expected !== 'boolean') throw new Error(`${path}: exists must be true or false`);
+      continue;
+    }
+    if (!OPERATORS[operator]) {
+      throw new Error(`${path}: unknown operator ${operator}`);
+    }
+    if (LIST_OPERATORS.includes(operator) && !Array.isArray(expected)) {
+      throw new Error(`${path}: ${operator} needs a list`);
+    }
+    if (operator === 'matches') {
+      try {
+        new RegExp(expected);
+      } catch (error) {
+        throw new Error(`${path}: invalid regex ${expected}`);
+      }
+    }
+    if (operator === 'inSubnet' || operator === 'notInSubnet') {
+      for (const cidr of [].concat(expected)) {
+        try {
+          new Netmask(cidr);
+        } catch (error) {
+          throw new Error(`${path}: invalid subnet ${cidr}`);
+        }
+      }
+    }
+  }
+}
+
+// Throws with the path of the first problem
+function validateCondition(condition, path = 'when') {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    throw new Error(`${path}: condition must be an object`);
+  }
+  const keys = Object.keys(condition);
+  if (keys.length !== 1) {
+    throw new Error(`${path}: condition must have exactly one of all, any, not, ${SUBJECTS.join(', ')}`);
+  }
+  const [key] = keys;
+  const body = condition[key];
+
+  if (key === 'all' || key === 'any') {
+    if (!Array.isArray(body) || body.length === 0) {
+      throw new Error(`${path}.${key}: must be a non-empty list`);
+    }
+    body.forEach((child, index) => validateCondition(child, `${path}.${key}[${index}]`));
+  } else if (key === 'not') {
+    validateCondition(body, `${path}.not`);
+  } else if (SUBJECTS.includes(key)) {
+    if (!body || typeof body !== 'object' || Array.isArray(body) || Object.keys(body).length === 0) {
+      throw new Error(`${path}.${key}: must map fields to matchers`);
+    }
+    Object.entries(body).forEach(([field, matcher]) => validateMatcher(matcher, `${path}.${key}.${field}`));
+  } else {
+    throw new Error(`${path}: unknown condition ${key}`);
+  }
+}
+
+function matchValue(value, matcher) {
+  if (!isOperatorObject(matcher)) {
+    return Array.isArray(matcher) ? matcher.includes(value) : value === matcher;
+  }
+  const known = value !== undefined && value !== null;
+  return Object.entries(matcher).every(([operator, expected]) => {
+    if (operator === 'exists') {
+      return known === expected;
+    }
+    return known && OPERATORS[operator](value, expected);
+  });
+}
+
+function matchFields(subject, fields) {
+  return Object.entries(fields).every(([field, matcher]) => matchValue(subject[field], matcher));
+}
+
+function pickFields(subject, fields) {
+  return Object.fromEntries(Object.keys(fields).map(field => [field, subject[field] === undefined ? null : subject[field]]));
+}
+
+// { matched, evidence } - evidence lists the host fields, services and
+// findings that made the condition true
+function evaluateCondition(condition, { host, services, findings }) {
+  const context = { host, services, findings };
+  const [key] = Object.keys(condition);
+  const body = condition[key];
+
+  if (key === 'all') {
+    const results = body.map(child => evaluateCondition(child, context));
+    const matched = results.every(result => result.matched);
+    return { matched, evidence: matched ? results.flatMap(result => result.evidence) : [] };
+  }
+  if (key === 'any') {
+    const results = body.map(child => evaluateCondition(child, context)).filter(result => result.matched);
+    return { matched: results.length > 0, evidence: results.flatMap(result => result.evidence) };
+  }
+  if (key === 'not') {
+    return { matched: !evaluateCondition(body, context).matched, evidence: [] };
+  }
+  if (key === 'host') {
+    const matched = matchFields(host, body);
+    return { matched, evidence: matched ? [{ type: 'host', ...pickFields(host, body) }] : [] };
+  }
+
+  const items = key === 'service' ? services : findings;
+  const hits = items.filter(item => matchFields(item, body));
+  return {
+    matched: hits.length > 0,
+    evidence: hits.map(item => key === 'service'
+      ? { type: 'service', port: item.port, name: item.name, version: item.version || null, ...pickFields(item, body) }
+      : { type: 'finding', id: item.id, severity: item.severity, ...pickFields(item, body) })
+  };
+}
+
+module.exports = {
+  OPERATORS,
+  validateCondition,
+  evaluateCondition
+};
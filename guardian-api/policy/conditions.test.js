@@ -0,0 +1,89 @@
+const { validateCondition, evaluateCondition } = require('./conditions');
+
+const context = {
+  host: { ip: '10.0.5.20', hostname: 'db-01', type: 'server', os: 'Ubuntu 22.04', criticality: 'high', riskScore: 7.4 },
+  services: [
+    { port: 22, name: 'SSH', version: 'OpenSSH 8.9p1', authMethods: ['password', 'publickey'] },
+    { port: 5432, name: 'PostgreSQL', version: null }
+  ],
+  findings: [
+    { id: 'CVE-2023-38408', severity: 'critical', cvss: 9.8, knownExploited: true },
+    { id: 'CVE-2023-48795', severity: 'medium', cvss: 5.9 }
+  ]
+};
+
+const evaluate = (condition) => evaluateCondition(condition, context);
+
+describe('evaluateCondition', () => {
+  test('literal, list and operator matchers', () => {
+    expect(evaluate({ host: { type: 'server' } }).matched).toBe(true);
+    expect(evaluate({ host: { criticality: ['high', 'critical'] } }).matched).toBe(true);
+    expect(evaluate({ host: { riskScore: { gte: 7, lt: 8 } } }).matched).toBe(true);
+    expect(evaluate({ host: { riskScore: { gt: 7.4 } } }).matched).toBe(false);
+    expect(evaluate({ host: { os: { contains: 'ubuntu' } } }).matched).toBe(true);
+    expect(evaluate({ host: { hostname: { matches: '^DB-\\d+$' } } }).matched).toBe(true);
+    expect(evaluate({ host: { type: { notIn: ['server', 'router'] } } }).matched).toBe(false);
+  });
+
+  test('subnet operators', () => {
+    expect(evaluate({ host: { ip: { inSubnet: '10.0.0.0/16' } } }).matched).toBe(true);
+    expect(evaluate({ host: { ip: { inSubnet: ['192.168.0.0/16', '10.0.5.0/24'] } } }).matched).toBe(true);
+    expect(evaluate({ host: { ip: { notInSubnet: '10.0.0.0/8' } } }).matched).toBe(false);
+  });
+
+  test('fields the scan did not report only match exists: false', () => {
+    expect(evaluate({ host: { mac: { ne: 'AA:BB:CC:DD:EE:FF' } } }).matched).toBe(false);
+    expect(evaluate({ host: { mac: { exists: false } } }).matched).toBe(true);
+    expect(evaluate({ service: { port: 5432, version: { exists: false } } }).matched).toBe(true);
+  });
+
+  test('a service must match every field by itself', () => {
+    expect(evaluate({ service: { port: 22, authMethods: { includes: 'password' } } })).toEqual({
+      matched: true,
+      evidence: [{ type: 'service', port: 22, name: 'SSH', version: 'OpenSSH 8.9p1', authMethods: ['password', 'publickey'] }]
+    });
+    expect(evaluate({ service: { port: 5432, authMethods: { includes: 'password' } } }).matched).toBe(false);
+  });
+
+  test('findings report every hit as evidence', () => {
+    const result = evaluate({ finding: { cvss: { gte: 5 } } });
+    expect(result.matched).toBe(true);
+    expect(result.evidence.map(item => item.id)).toEqual(['CVE-2023-38408', 'CVE-2023-48795']);
+  });
+
+  test('all, any and not combine conditions', () => {
+    const exposedDatabase = { all: [{ host: { criticality: 'high' } }, { service: { port: 5432 } }] };
+    expect(evaluate(exposedDatabase)).toMatchObject({ matched: true, evidence: [{ type: 'host' }, { type: 'service', port: 5432 }] });
+    expect(evaluate({ all: [{ host: { criticality: 'low' } }, { service: { port: 5432 } }] })).toEqual({ matched: false, evidence: [] });
+    expect(evaluate({ any: [{ service: { port: 23 } }, { finding: { knownExploited: true } }] }).evidence).toEqual([
+      { type: 'finding', id: 'CVE-2023-38408', severity: 'critical', knownExploited: true }
+    ]);
+    expect(evaluate({ not: { service: { port: 23 } } })).toEqual({ matched: true, evidence: [] });
+  });
+});
+
+describe('validateCondition', () => {
+  test('accepts a nested condition', () => {
+    expect(() => validateCondition({
+      all: [
+        { host: { ip: { inSubnet: '10.0.0.0/8' } } },
+        { not: { any: [{ service: { port: { in: [22, 2222] } } }, { finding: { severity: 'critical' } }] } }
+      ]
+    })).not.toThrow();
+  });
+
+  test.each([
+    [null, 'when: condition must be an object'],
+    [{ host: { type: 'server' }, service: { port: 22 } }, 'when: condition must have exactly one of'],
+    [{ all: [] }, 'when.all: must be a non-empty list'],
+    [{ vendor: { name: 'x' } }, 'when: unknown condition vendor'],
+    [{ host: {} }, 'when.host: must map fields to matchers'],
+    [{ any: [{ host: { port: { between: [1, 2] } } }] }, 'when.any[0].host.port: unknown operator between'],
+    [{ service: { port: { in: 22 } } }, 'when.service.port: in needs a list'],
+    [{ host: { hostname: { matches: '(' } } }, 'when.host.hostname: invalid regex ('],
+    [{ host: { ip: { inSubnet: '10.0.0.0/33' } } }, 'when.host.ip: invalid subnet 10.0.0.0/33'],
+    [{ not: { host: { mac: { exists: 'no' } } } }, 'when.not.host.mac: exists must be true or false']
+  ])('rejects %j', (condition, message) => {
+    expect(() => validateCondition(condition)).toThrow(message);
+  });
+});
@@ -0,0 +1,194 @@
+// Security policies - rules that every known host is checked against
+//
+// A policy describes what a violation looks like: `when` is a condition (see
+// ./conditions) that is true for a violating host, and the optional `scope`
+// limits which hosts the policy applies to. Violations are stored per policy
+// and asset in `policy_violations` and resolve themselves once a later
+// evaluation no longer sees the problem.
+
+const fs = require('fs');
+const path = require('path');
+const { validateCondition, evaluateCondition } = require('./conditions');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Normalised policy fields from a request body; throws on invalid input
+function validatePolicy(body) {
+  if (!body || !body.name) {
+    throw new Error('Policy name is required');
+  }
+  if (!body.when) {
+    throw new Error('Policy needs a `when` condition describing a violation');
+  }
+  validateCondition(body.when, 'when');
+  if (body.scope) {
+    validateCondition(body.scope, 'scope');
+  }
+  if (body.severity && !SEVERITIES.includes(body.severity)) {
+    throw new Error(`severity must be one of: ${SEVERITIES.join(', ')}`);
+  }
+  if (body.controls && !Array.isArray(body.controls)) {
+    throw new Error('controls must be a list');
+  }
+
+  return {
+    name: body.name,
+    description: body.description || null,
+    framework: body.framework || null,
+    controls: body.controls || [],
+    severity: body.severity || 'medium',
+    enabled: body.enabled !== false,
+    scope: body.scope || null,
+    when: body.when,
+    remediation: body.remediation || null
+  };
+}
+
+// Bundled policy files (one JSON policy per file, with a fixed id)
+function readPolicyFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const body = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      return { id: body.id || path.basename(file, '.json'), ...validatePolicy(body) };
+    });
+}
+
+// { applicable, violated, evidence } for one host with its active findings
+function evaluateHost(policy, host) {
+  const context = { host, services: host.services || [], findings: host.findings || [] };
+  if (policy.scope && !evaluateCondition(policy.scope, context).matched) {
+    return { applicable: false, violated: false, evidence: [] };
+  }
+  const { matched, evidence } = evaluateCondition(policy.when, context);
+  return { applicable: true, violated: matched, evidence };
+}
+
+function violationKey(policyId, assetId) {
+  return `${policyId}:${assetId}`;
+}
+
+function createPolicyEngine({ policies, violations, loadHosts }) {
+  // Evaluations after back-to-back scans must not interleave their writes
+  let queue = Promise.resolve();
+  function serialize(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function evaluatePolicy(policy, hosts, now) {
+    const opened = [];
+    const resolved = [];
+    let applicable = 0;
+    let violating = 0;
+
+    const existing = new Map((await violations.find({ policyId: policy.id }))
+      .map(violation => [violation.assetId, violation]));
+
+    for (const host of hosts) {
+      const result = evaluateHost(policy, host);
+      const current = existing.get(host.assetId);
+      existing.delete(host.assetId);
+      if (result.applicable) applicable++;
+
+      if (result.violated) {
+        violating++;
+        const isNew = !current || current.status !== 'open';
+        const violation = {
+          id: violationKey(policy.id, host.assetId),
+          policyId: policy.id,
+          policyName: policy.name,
+          severity: policy.severity,
+          framework: policy.framework,
+          controls: policy.controls,
+          assetId: host.assetId,
+          host: host.ip,
+          hostname: host.hostname,
+          evidence: result.evidence,
+          status: 'open',
+          firstSeen: isNew ? now : current.firstSeen,
+          lastSeen: now,
+          occurrences: (current ? current.occurrences || 1 : 0) + (isNew ? 1 : 0),
+          resolvedAt: null,
+          resolution: null
+        };
+        await violations.set(violation.id, violation);
+        if (isNew) opened.push(violation);
+      } else if (current && current.status === 'open') {
+        const violation = { ...current, status: 'resolved', resolvedAt: now, resolution: 'no longer detected' };
+        await violations.set(violation.id, violation);
+        resolved.push(violation);
+      }
+    }
+
+    // Hosts that are gone can't be in violation any more
+    for (const current of existing.values()) {
+      if (current.status === 'open') {
+        const violation = { ...current, status: 'resolved', resolvedAt: now, resolution: 'host no longer present' };
+        await violations.set(violation.id, violation);
+        resolved.push(violation);
+      }
+    }
+
+    const lastEvaluation = {
+      at: now,
+      hosts: applicable,
+      violations: violating,
+      compliance: applicable ? Math.round(((applicable - violating) / applicable) * 100) : 100
+    };
+    // Re-read so an edit made during the evaluation isn't overwritten
+    const latest = await policies.get(policy.id);
+    if (latest) {
+      await policies.set(policy.id, { ...latest, lastEvaluation });
+    }
+
+    return { policyId: policy.id, name: policy.name, ...lastEvaluation, opened, resolved };
+  }
+
+  // Evaluate every enabled policy, or just `policyIds`, against every host
+  function evaluate({ policyIds } = {}) {
+    return serialize(async () => {
+      const now = new Date().toISOString();
+      const selected = (await policies.list())
+        .filter(policy => policy.enabled && policy.when)
+        .filter(policy => !policyIds || policyIds.includes(policy.id));
+      const hosts = await loadHosts();
+
+      const results = [];
+      for (const policy of selected) {
+        results.push(await evaluatePolicy(policy, hosts, now));
+      }
+      return { evaluatedAt: now, hosts: hosts.length, policies: results };
+    });
+  }
+
+  // Close a policy's open violations, e.g. when it is disabled or deleted
+  function resolveAll(policyId, resolution) {
+    return serialize(async () => {
+      const now = new Date().toISOString();
+      const open = await violations.find({ policyId, status: 'open' });
+      for (const violation of open) {
+        await violations.set(violation.id, { ...violation, status: 'resolved', resolvedAt: now, resolution });
+      }
+      return open.length;
+    });
+  }
+
+  return {
+    evaluate,
+    resolveAll
+  };
+}
+
+module.exports = {
+  SEVERITIES,
+  validatePolicy,
+  readPolicyFiles,
+  evaluateHost,
+  createPolicyEngine
+};
@@ -0,0 +1,278 @@
+// Live updates - the WebSocket message protocol
+//
+// Every published event gets the next sequence number and is kept in a
+// replay buffer of the last WS_REPLAY_BUFFER events. Clients pick a protocol
+// version with ?v= when they connect:
+//
+//   1  (the default) a { type: 'initial', data } snapshot, then every event
+//      as { type, data }
+//   2  events as { v, seq, type, topics, data, at }, only for the topics the
+//      client subscribed to. Control messages (welcome, snapshot,
+//      replay_complete, subscribed, pong, error) have no `topics`; the
+//      `seq` on a snapshot, replay_complete or pong is the last event the
+//      client is up to date with.
+//
+// A version 2 connection may also pass:
+//   topics=logs,scan:<id>  subscriptions to start with ('*', every event, by
+//                          default)
+//   since=<seq>&epoch=<e>  resume after the last event seen. When the buffer
+//                          still holds everything after `since` the missed
+//                          events are replayed, else a fresh snapshot is sent.
+//                          The epoch changes when the server restarts and
+//                          sequence numbers start over.
+// and afterwards send { type: 'subscribe' | 'unsubscribe', topics } or
+// { type: 'ping' }.
+//
+// The server pings every WS_HEARTBEAT_INTERVAL and drops clients that have
+// not answered the previous ping.
+
+const crypto = require('crypto');
+
+const PROTOCOL_VERSIONS = [1, 2];
+const LATEST_VERSION = 2;
+
+const DEFAULTS = {
+  bufferSize: parseInt(process.env.WS_REPLAY_BUFFER) || 1000,
+  heartbeatInterval: parseInt(process.env.WS_HEARTBEAT_INTERVAL) || 30000
+};
+
+// Close code for a version the server does not speak
+const UNSUPPORTED_VERSION = 4002;
+
+// Broad topics by event type; events also go to scan:<scanId> and
+// host:<ip> when they concern one scan or host
+const EVENT_TOPICS = {
+  log: ['logs'],
+  scan_progress: ['scans'],
+  scan_complete: ['scans', 'topology'],
+  scan_diff: ['scans'],
+  schedule_run: ['scans'],
+  host_discovered: ['hosts', 'topology'],
+  asset_stale: ['hosts'],
+  risk_updated: ['hosts', 'vulnerabilities'],
+  topology_update: ['topology'],
+  finding_updated: ['vulnerabilities'],
+  verification_scheduled: ['vulnerabilities'],
+  verification_complete: ['vulnerabilities'],
+  remediation_applied: ['remediations'],
+  remediation_run: ['remediations'],
+  remediation_step: ['remediations'],
+  policy_created: ['policies'],
+  policy_updated: ['policies'],
+  policy_deleted: ['policies'],
+  policy_evaluated: ['policies'],
+  compliance_updated: ['compliance'],
+  report_complete: ['reports']
+};
+
+const TOPICS = Array.from(new Set(Object.values(EVENT_TOPICS).flat())).sort();
+const SCOPED_TOPIC = /^(scan|host):[^\s,]+$/;
+
+function eventTopics(type, data) {
+  const topics = [...(EVENT_TOPICS[type] || [])];
+  const payload = data || {};
+  const scanId = payload.scanId || (payload.details && payload.details.scanId);
+  if (scanId) topics.push(`scan:${scanId}`);
+  const host = payload.ip || payload.host ||
+    (payload.finding && payload.finding.host) ||
+    (payload.verification && payload.verification.host);
+  if (typeof host === 'string') topics.push(`host:${host}`);
+  return topics;
+}
+
+function validateTopics(topics) {
+  const list = [].concat(topics || []);
+  const invalid = list.filter(topic => topic !== '*' && !TOPICS.includes(topic) && !SCOPED_TOPIC.test(topic));
+  if (invalid.length > 0) {
+    throw new Error(`Unknown topics: ${invalid.join(', ')} (use *, ${TOPICS.join(', ')}, scan:<id> or host:<ip>)`);
+  }
+  return list;
+}
+
+// `snapshot()` resolves to the state a client starts from (topology,
+// metrics, recent logs)
+function createRealtime({ snapshot, bufferSize = DEFAULTS.bufferSize, heartbeatInterval = DEFAULTS.heartbeatInterval, logger = console }) {
+  const epoch = crypto.randomBytes(8).toString('hex');
+  const clients = new Set();
+  const buffer = [];
+  let seq = 0;
+
+  function send(client, message) {
+    if (client.ws.readyState !== client.ws.OPEN) return;
+    client.ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+  }
+
+  function control(client, type, fields = {}) {
+    send(client, { v: client.version, type, ...fields });
+  }
+
+  function wants(client, event) {
+    return client.version === 1 || client.topics.has('*') || event.topics.some(topic => client.topics.has(topic));
+  }
+
+  // Serialised once per protocol version, however many clients receive it
+  function encode(event, version) {
+    if (!event.encoded[version]) {
+      event.encoded[version] = JSON.stringify(version === 1
+        ? { type: event.type, data: event.data }
+        : { v: version, seq: event.seq, type: event.type, topics: event.topics, data: event.data, at: event.at });
+    }
+    return event.encoded[version];
+  }
+
+  function deliver(client, event) {
+    if (wants(client, event)) {
+      send(client, encode(event, client.version));
+    }
+  }
+
+  function publish({ type, data }) {
+    const event = { seq: ++seq, type, topics: eventTopics(type, data), data, at: new Date().toISOString(), encoded: {} };
+    buffer.push(event);
+    if (buffer.length > bufferSize) {
+      buffer.shift();
+    }
+    clients.forEach(client => {
+      if (client.ready) deliver(client, event);
+    });
+    return event.seq;
+  }
+
+  // Buffered events after `since`, or null when some have been dropped
+  function eventsSince(since) {
+    const oldest = buffer.length ? buffer[0].seq : seq + 1;
+    if (since < oldest - 1 || since > seq) return null;
+    return buffer.filter(event => event.seq > since);
+  }
+
+  // Replays what happened while the client was away when the buffer still
+  // has all of it; otherwise starts it from a snapshot. Either way the
+  // client only goes live once it has caught up, so nothing arrives twice
+  // or out of order.
+  async function start(client, resume) {
+    const missed = resume && resume.epoch === epoch ? eventsSince(resume.since) : null;
+    if (missed) {
+      missed.forEach(event => deliver(client, event));
+      control(client, 'replay_complete', { since: resume.since, seq, replayed: missed.length });
+    } else {
+      const from = seq;
+      const data = await snapshot();
+      if (client.version === 1) {
+        send(client, { type: 'initial', data });
+      } else {
+        control(client, 'snapshot', { seq: from, data });
+      }
+      (eventsSince(from) || []).forEach(event => deliver(client, event));
+    }
+    client.ready = true;
+  }
+
+  function handleMessage(client, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      return control(client, 'error', { error: 'Messages must be JSON' });
+    }
+    try {
+      if (message.type === 'ping') {
+        control(client, 'pong', { seq, at: new Date().toISOString() });
+      } else if (message.type === 'subscribe') {
+        validateTopics(message.topics).forEach(topic => client.topics.add(topic));
+        control(client, 'subscribed', { topics: Array.from(client.topics) });
+      } else if (message.type === 'unsubscribe') {
+        validateTopics(message.topics).forEach(topic => client.topics.delete(topic));
+        control(client, 'subscribed', { topics: Array.from(client.topics) });
+      } else {
+        control(client, 'error', { error: `Unknown message type: ${message.type}` });
+      }
+    } catch (error) {
+      control(client, 'error', { error: error.message });
+    }
+  }
+
+  // Takes over an authenticated connection; `url` is the request URL with
+  // the protocol parameters
+  function connect(ws, url) {
+    const params = new URL(url, 'http://localhost').searchParams;
+    const version = params.has('v') ? Number(params.get('v')) : 1;
+    if (!PROTOCOL_VERSIONS.includes(version)) {
+      ws.close(UNSUPPORTED_VERSION, `Unsupported protocol version; use one of ${PROTOCOL_VERSIONS.join(', ')}`);
+      return null;
+    }
+
+    const client = { ws, version, topics: new Set(['*']), ready: false, alive: true };
+    if (version > 1) {
+      try {
+        if (params.has('topics')) {
+          client.topics = new Set(validateTopics(params.get('topics').split(',').filter(Boolean)));
+        }
+      } catch (error) {
+        ws.close(1008, error.message.slice(0, 120));
+        return null;
+      }
+    }
+    clients.add(client);
+
+    ws.on('pong', () => {
+      client.alive = true;
+    });
+    ws.on('close', () => {
+      clients.delete(client);
+    });
+    if (version > 1) {
+      ws.on('message', raw => handleMessage(client, String(raw)));
+      control(client, 'welcome', {
+        protocol: version,
+        epoch,
+        seq,
+        topics: Array.from(client.topics),
+        heartbeatInterval
+      });
+    }
+
+    const since = params.has('since') ? Number(params.get('since')) : null;
+    const resume = version > 1 && Number.isInteger(since) ? { since, epoch: params.get('epoch') } : null;
+    start(client, resume).catch(error => {
+      logger.error(`Failed to start WebSocket client: ${error.message}`);
+      client.ready = true;
+    });
+    return client;
+  }
+
+  const heartbeat = setInterval(() => {
+    clients.forEach(client => {
+      if (!client.alive) {
+        logger.info('WebSocket client missed a heartbeat; disconnecting');
+        client.ws.terminate();
+        clients.delete(client);
+        return;
+      }
+      client.alive = false;
+      client.ws.ping();
+    });
+  }, heartbeatInterval);
+  heartbeat.unref();
+
+  return {
+    connect,
+    publish,
+    sockets: () => Array.from(clients).map(client => client.ws),
+    status: () => ({
+      epoch,
+      seq,
+      clients: clients.size,
+      buffered: buffer.length,
+      oldestSeq: buffer.length ? buffer[0].seq : null
+    }),
+    close: () => clearInterval(heartbeat)
+  };
+}
+
+module.exports = {
+  PROTOCOL_VERSIONS,
+  LATEST_VERSION,
+  TOPICS,
+  eventTopics,
+  createRealtime
+};
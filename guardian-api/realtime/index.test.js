@@ -0,0 +1,217 @@
+const http = require('http');
+const WebSocket = require('ws');
+const { createRealtime, eventTopics } = require('.');
+
+const silent = { info() {}, error() {} };
+
+describe('eventTopics', () => {
+  test('adds scan and host topics to the broad ones', () => {
+    expect(eventTopics('scan_progress', { scanId: 'scan-1' })).toEqual(['scans', 'scan:scan-1']);
+    expect(eventTopics('host_discovered', { ip: '10.0.0.5' })).toEqual(['hosts', 'topology', 'host:10.0.0.5']);
+    expect(eventTopics('verification_complete', { verification: { host: '10.0.0.9' } })).toEqual(['vulnerabilities', 'host:10.0.0.9']);
+    expect(eventTopics('something_new', {})).toEqual([]);
+  });
+});
+
+describe('WebSocket protocol', () => {
+  let server;
+  let wss;
+  let realtime;
+  let sockets;
+
+  function start(options = {}) {
+    realtime = createRealtime({ snapshot: async () => ({ hosts: 3 }), logger: silent, ...options });
+  }
+
+  // A client that queues what it receives so tests can wait for messages in order
+  function connect(query = 'v=2') {
+    const ws = new WebSocket(`ws://127.0.0.1:${server.address().port}/?${query}`);
+    sockets.push(ws);
+    const received = [];
+    const waiting = [];
+    ws.on('message', raw => {
+      const message = JSON.parse(String(raw));
+      if (waiting.length) waiting.shift()(message);
+      else received.push(message);
+    });
+    const client = {
+      ws,
+      next: () => (received.length ? Promise.resolve(received.shift()) : new Promise(resolve => waiting.push(resolve))),
+      async take(count) {
+        const messages = [];
+        while (messages.length < count) messages.push(await client.next());
+        return messages;
+      },
+      pending: () => received,
+      send: (message) => ws.send(JSON.stringify(message)),
+      closed: () => new Promise(resolve => ws.once('close', (code, reason) => resolve({ code, reason: String(reason) })))
+    };
+    return client;
+  }
+
+  const settle = () => new Promise(resolve => setTimeout(resolve, 30));
+  const close = async (client) => {
+    const closed = client.closed();
+    client.ws.close();
+    await closed;
+    await settle();
+  };
+
+  beforeEach(async () => {
+    sockets = [];
+    server = http.createServer();
+    wss = new WebSocket.Server({ server });
+    wss.on('connection', (ws, req) => realtime.connect(ws, req.url));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    start();
+  });
+
+  afterEach(async () => {
+    sockets.forEach(ws => ws.terminate());
+    realtime.close();
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('version 2 clients get a welcome, a snapshot, then numbered events', async () => {
+    realtime.publish({ type: 'log', data: { message: 'before' } });
+    const client = connect();
+    const [welcome, snapshot] = await client.take(2);
+    expect(welcome).toMatchObject({ v: 2, type: 'welcome', protocol: 2, seq: 1, topics: ['*'], epoch: realtime.status().epoch });
+    expect(snapshot).toEqual({ v: 2, type: 'snapshot', seq: 1, data: { hosts: 3 } });
+
+    realtime.publish({ type: 'scan_progress', data: { scanId: 'scan-1', progress: 50 } });
+    expect(await client.next()).toMatchObject({ v: 2, seq: 2, type: 'scan_progress', topics: ['scans', 'scan:scan-1'], data: { progress: 50 } });
+  });
+
+  test('version 1 clients get the original initial/event messages', async () => {
+    const client = connect('');
+    expect(await client.next()).toEqual({ type: 'initial', data: { hosts: 3 } });
+    realtime.publish({ type: 'log', data: { message: 'hello' } });
+    expect(await client.next()).toEqual({ type: 'log', data: { message: 'hello' } });
+  });
+
+  test('unsupported versions are refused', async () => {
+    const { code } = await connect('v=9').closed();
+    expect(code).toBe(4002);
+  });
+
+  describe('reconnecting', () => {
+    async function seenUpTo() {
+      const client = connect();
+      const [welcome] = await client.take(2);
+      for (let index = 1; index <= 3; index++) {
+        realtime.publish({ type: 'log', data: { index } });
+      }
+      const events = await client.take(3);
+      expect(events.map(event => event.seq)).toEqual([1, 2, 3]);
+      await close(client);
+      return welcome.epoch;
+    }
+
+    test('replays the events missed while away, then goes live', async () => {
+      const epoch = await seenUpTo();
+      realtime.publish({ type: 'log', data: { index: 4 } });
+      realtime.publish({ type: 'log', data: { index: 5 } });
+
+      const client = connect(`v=2&since=3&epoch=${epoch}`);
+      const [welcome, ...replay] = await client.take(4);
+      expect(welcome).toMatchObject({ type: 'welcome', seq: 5 });
+      expect(replay.map(event => [event.type, event.seq])).toEqual([['log', 4], ['log', 5], ['replay_complete', 5]]);
+      expect(replay[2]).toMatchObject({ since: 3, replayed: 2 });
+
+      realtime.publish({ type: 'log', data: { index: 6 } });
+      expect(await client.next()).toMatchObject({ type: 'log', seq: 6 });
+    });
+
+    test('an up to date client replays nothing', async () => {
+      const epoch = await seenUpTo();
+      const client = connect(`v=2&since=3&epoch=${epoch}`);
+      const [, done] = await client.take(2);
+      expect(done).toMatchObject({ type: 'replay_complete', since: 3, seq: 3, replayed: 0 });
+    });
+
+    test('a different epoch means the server restarted, so the client gets a snapshot', async () => {
+      await seenUpTo();
+      realtime.publish({ type: 'log', data: { index: 4 } });
+      const client = connect('v=2&since=3&epoch=0123456789abcdef');
+      const [, snapshot] = await client.take(2);
+      expect(snapshot).toEqual({ v: 2, type: 'snapshot', seq: 4, data: { hosts: 3 } });
+      await settle();
+      expect(client.pending()).toEqual([]);
+    });
+
+    test('events that fell out of the buffer mean a snapshot', async () => {
+      realtime.close();
+      start({ bufferSize: 2 });
+      const epoch = await seenUpTo();
+      realtime.publish({ type: 'log', data: { index: 4 } });
+      realtime.publish({ type: 'log', data: { index: 5 } });
+
+      const client = connect(`v=2&since=2&epoch=${epoch}`);
+      const [, snapshot] = await client.take(2);
+      expect(snapshot).toMatchObject({ type: 'snapshot', seq: 5 });
+    });
+
+    test('a sequence number from the future means a snapshot', async () => {
+      const epoch = await seenUpTo();
+      const client = connect(`v=2&since=99&epoch=${epoch}`);
+      const [, snapshot] = await client.take(2);
+      expect(snapshot).toMatchObject({ type: 'snapshot', seq: 3 });
+    });
+  });
+
+  describe('topics', () => {
+    test('clients only get events for the topics they chose', async () => {
+      const client = connect('v=2&topics=scans,host:10.0.0.5');
+      const [welcome] = await client.take(2);
+      expect(welcome.topics).toEqual(['scans', 'host:10.0.0.5']);
+
+      realtime.publish({ type: 'log', data: { message: 'skipped' } });
+      realtime.publish({ type: 'host_discovered', data: { ip: '10.0.0.6' } });
+      realtime.publish({ type: 'host_discovered', data: { ip: '10.0.0.5' } });
+      realtime.publish({ type: 'scan_complete', data: { scanId: 'scan-1' } });
+
+      const events = await client.take(2);
+      expect(events.map(event => [event.type, event.seq])).toEqual([['host_discovered', 3], ['scan_complete', 4]]);
+      await settle();
+      expect(client.pending()).toEqual([]);
+    });
+
+    test('subscribe and unsubscribe change the topics', async () => {
+      const client = connect('v=2&topics=scans');
+      await client.take(2);
+
+      client.send({ type: 'subscribe', topics: ['logs'] });
+      expect(await client.next()).toEqual({ v: 2, type: 'subscribed', topics: ['scans', 'logs'] });
+      client.send({ type: 'unsubscribe', topics: ['scans'] });
+      expect(await client.next()).toEqual({ v: 2, type: 'subscribed', topics: ['logs'] });
+
+      realtime.publish({ type: 'scan_progress', data: { scanId: 'scan-1' } });
+      realtime.publish({ type: 'log', data: { message: 'kept' } });
+      expect(await client.next()).toMatchObject({ type: 'log', seq: 2 });
+    });
+
+    test('unknown topics are refused', async () => {
+      const { code, reason } = await connect('v=2&topics=scans,gossip').closed();
+      expect(code).toBe(1008);
+      expect(reason).toMatch(/^Unknown topics: gossip/);
+
+      const client = connect('v=2');
+      await client.take(2);
+      client.send({ type: 'subscribe', topics: ['gossip'] });
+      expect(await client.next()).toMatchObject({ type: 'error', error: expect.stringMatching(/^Unknown topics: gossip/) });
+    });
+  });
+
+  test('ping is answered with the current sequence number', async () => {
+    const client = connect();
+    await client.take(2);
+    realtime.publish({ type: 'log', data: {} });
+    await client.next();
+    client.send({ type: 'ping' });
+    expect(await client.next()).toMatchObject({ type: 'pong', seq: 1 });
+    client.ws.send('not json');
+    expect(await client.next()).toMatchObject({ type: 'error', error: 'Messages must be JSON' });
+  });
+});
@@ -0,0 +1,107 @@
+// Report generation - builds a report, renders each requested format and
+// stores the files under `dir`, one generation at a time
+//
+// Report records live in the `reports` collection with status generating,
+// completed or failed; `files` maps each format to its file name in `dir`.
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { buildReport } = require('./index');
+const { renderHtml } = require('./html');
+const { renderPdf } = require('./pdf');
+
+const CONTENT_TYPES = {
+  html: 'text/html; charset=utf-8',
+  pdf: 'application/pdf'
+};
+
+const RENDERERS = {
+  html: async (report) => Buffer.from(renderHtml(report), 'utf8'),
+  pdf: renderPdf
+};
+
+function createReportGenerator({ reports, dir, loadData }) {
+  const generator = new EventEmitter();
+  let queue = Promise.resolve();
+
+  async function generate(record) {
+    try {
+      const report = buildReport(record, await loadData());
+      const files = {};
+      let size = 0;
+      fs.mkdirSync(dir, { recursive: true });
+      for (const format of record.formats) {
+        const content = await RENDERERS[format](report);
+        files[format] = `${record.id}.${format}`;
+        size += content.length;
+        fs.writeFileSync(path.join(dir, files[format]), content);
+      }
+      const summary = report.sections.find(section => section.type === 'summary');
+      const completed = {
+        ...record,
+        status: 'completed',
+        files,
+        size,
+        summary: summary ? { hosts: summary.hosts, findings: summary.findings.active, compliance: summary.compliance } : null,
+        completedAt: new Date().toISOString()
+      };
+      await reports.set(record.id, completed);
+      generator.emit('complete', completed);
+      return completed;
+    } catch (error) {
+      const failed = { ...record, status: 'failed', error: error.message, completedAt: new Date().toISOString() };
+      await reports.set(record.id, failed);
+      generator.emit('complete', failed);
+      return failed;
+    }
+  }
+
+  // Store a report request and queue it; `options` come from
+  // validateReportRequest
+  async function request(options, { requestedBy = 'api' } = {}) {
+    const record = {
+      id: uuidv4(),
+      ...options,
+      status: 'generating',
+      requestedBy,
+      requestedAt: new Date().toISOString(),
+      completedAt: null,
+      files: {},
+      size: 0,
+      summary: null,
+      error: null
+    };
+    await reports.set(record.id, record);
+    queue = queue.then(() => generate(record)).catch(error => generator.emit('error', error));
+    return record;
+  }
+
+  // Absolute path of a stored report file, or null if it was not generated
+  function filePath(record, format) {
+    const file = record.files && record.files[format];
+    return file ? path.join(dir, file) : null;
+  }
+
+  async function remove(record) {
+    for (const file of Object.values(record.files || {})) {
+      fs.rmSync(path.join(dir, file), { force: true });
+    }
+    await reports.delete(record.id);
+  }
+
+  // Requests that were generating when the server stopped never finished
+  async function start() {
+    for (const record of await reports.find({ status: 'generating' })) {
+      await reports.set(record.id, { ...record, status: 'failed', error: 'Interrupted by server restart', completedAt: new Date().toISOString() });
+    }
+  }
+
+  return Object.assign(generator, { request, filePath, remove, start });
+}
+
+module.exports = {
+  CONTENT_TYPES,
+  createReportGenerator
+};
@@ -0,0 +1,124 @@
+const { once } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStorage } = require('../storage/file');
+const { validateReportRequest } = require('.');
+const { createReportGenerator } = require('./generator');
+
+const data = {
+  hosts: [{ ip: '10.0.1.5', hostname: 'web-01', risk: 'high', riskScore: 7.5 }],
+  findings: [{ key: 'asset-1:ssh-weak', id: 'ssh-weak', host: '10.0.1.5', severity: 'high', status: 'open', discovered: '2026-03-09T09:00:00.000Z' }],
+  remediations: [],
+  scans: [],
+  violations: [],
+  assessments: [],
+  complianceHistory: []
+};
+
+describe('report generator', () => {
+  let dataDir;
+  let storage;
+  let reports;
+  let dir;
+  let loadData;
+  let generator;
+
+  const options = (type = 'executive', formats = ['html', 'pdf']) =>
+    validateReportRequest({ type, formats, filters: { from: '2026-03-08', to: '2026-03-10' } });
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-reports-'));
+    storage = createFileStorage({ dataDir });
+    reports = storage.collection('reports');
+    dir = path.join(dataDir, 'files');
+    loadData = jest.fn(async () => data);
+    generator = createReportGenerator({ reports, dir, loadData });
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('a request is stored as generating, then completed with a file per format', async () => {
+    const completed = once(generator, 'complete');
+    const record = await generator.request(options(), { requestedBy: 'alice' });
+    expect(record).toMatchObject({ type: 'executive', status: 'generating', requestedBy: 'alice', files: {}, completedAt: null });
+    expect(await reports.get(record.id)).toEqual(record);
+
+    const [report] = await completed;
+    expect(report).toMatchObject({
+      id: record.id,
+      status: 'completed',
+      files: { html: `${record.id}.html`, pdf: `${record.id}.pdf` },
+      summary: { hosts: 1, findings: 1, compliance: [] },
+      error: null
+    });
+    expect(await reports.get(record.id)).toEqual(report);
+
+    const html = fs.readFileSync(generator.filePath(report, 'html'), 'utf8');
+    const pdf = fs.readFileSync(generator.filePath(report, 'pdf'));
+    expect(html).toContain('<h1>Executive Security Summary</h1>');
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(report.size).toBe(Buffer.byteLength(html) + pdf.length);
+  });
+
+  test('only the requested formats are rendered', async () => {
+    const completed = once(generator, 'complete');
+    const record = await generator.request(options('trends', ['html']));
+    const [report] = await completed;
+    expect(report.files).toEqual({ html: `${record.id}.html` });
+    expect(report.summary).toBeNull();
+    expect(generator.filePath(report, 'pdf')).toBeNull();
+  });
+
+  test('reports are generated one at a time, in order', async () => {
+    let running = 0;
+    let most = 0;
+    loadData.mockImplementation(async () => {
+      most = Math.max(most, ++running);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running--;
+      return data;
+    });
+    const finished = [];
+    generator.on('complete', report => finished.push(report.id));
+
+    const requested = [];
+    for (const type of ['executive', 'technical', 'trends']) {
+      requested.push((await generator.request(options(type, ['html']))).id);
+    }
+    while (finished.length < 3) await once(generator, 'complete');
+    expect(finished).toEqual(requested);
+    expect(most).toBe(1);
+  });
+
+  test('a report that cannot be built is marked failed', async () => {
+    loadData.mockRejectedValueOnce(new Error('storage unavailable'));
+    const completed = once(generator, 'complete');
+    const record = await generator.request(options());
+    const [report] = await completed;
+    expect(report).toMatchObject({ status: 'failed', error: 'storage unavailable', files: {} });
+    expect((await reports.get(record.id)).status).toBe('failed');
+  });
+
+  test('remove deletes the files and the record', async () => {
+    const completed = once(generator, 'complete');
+    await generator.request(options());
+    const [report] = await completed;
+
+    await generator.remove(report);
+    expect(await reports.get(report.id)).toBeNull();
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('reports left generating by a restart are marked failed on start', async () => {
+    await reports.set('old', { id: 'old', status: 'generating', files: {} });
+    await reports.set('done', { id: 'done', status: 'completed', files: {} });
+
+    await generator.start();
+    expect(await reports.get('old')).toMatchObject({ status: 'failed', error: 'Interrupted by server restart' });
+    expect((await reports.get('done')).status).toBe('completed');
+  });
+});
@@ -0,0 +1,43 @@
+// HTML rendering of a report model with the Handlebars templates in
+// ./templates
+
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+
+const TEMPLATE_DIR = path.join(__dirname, 'templates');
+
+const handlebars = Handlebars.create();
+
+handlebars.registerHelper('eq', (a, b) => a === b);
+handlebars.registerHelper('join', list => (list || []).join(', '));
+handlebars.registerHelper('percent', value => (value === null || value === undefined ? '-' : `${value}%`));
+handlebars.registerHelper('formatDate', value => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) : '-'));
+handlebars.registerHelper('formatDay', value => (value ? String(value).slice(0, 10) : '-'));
+
+// Active findings per day as an inline SVG line chart
+handlebars.registerHelper('trendChart', points => {
+  const width = 720;
+  const height = 160;
+  const max = Math.max(1, ...points.map(point => point.active));
+  const step = points.length > 1 ? width / (points.length - 1) : 0;
+  const line = points
+    .map((point, index) => `${Math.round(index * step)},${Math.round(height - (point.active / max) * (height - 10))}`)
+    .join(' ');
+  return new Handlebars.SafeString(
+    `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<polyline fill="none" stroke="#f44336" stroke-width="2" points="${line}"/>` +
+    `<text x="4" y="14" font-size="11" fill="#666">Active findings (max ${max})</text></svg>`
+  );
+});
+
+handlebars.registerPartial('findings', fs.readFileSync(path.join(TEMPLATE_DIR, 'findings.hbs'), 'utf8'));
+const template = handlebars.compile(fs.readFileSync(path.join(TEMPLATE_DIR, 'report.hbs'), 'utf8'));
+
+function renderHtml(report) {
+  return template(report);
+}
+
+module.exports = {
+  renderHtml
+};
@@ -0,0 +1,47 @@
+const { validateReportRequest, buildReport } = require('.');
+const { renderHtml } = require('./html');
+
+const data = {
+  hosts: [{ ip: '10.0.1.5', hostname: '<script>alert(1)</script>', type: 'server', risk: 'high', riskScore: 7.5, services: [] }],
+  findings: [{ key: 'asset-1:CVE-2024-6387', id: 'CVE-2024-6387', host: '10.0.1.5', severity: 'critical', cvss: 8.1, status: 'open', discovered: '2026-03-09T09:00:00.000Z', knownExploited: true }],
+  remediations: [],
+  scans: [],
+  violations: [],
+  assessments: [],
+  complianceHistory: [{ frameworkId: 'tf-1', name: 'Test Framework', assessedAt: '2026-03-09T20:00:00.000Z', score: 75 }]
+};
+
+const render = (type, filters = {}) => renderHtml(buildReport(validateReportRequest({
+  type,
+  title: 'Weekly & Monthly',
+  filters: { from: '2026-03-08', to: '2026-03-10', ...filters }
+}), data));
+
+describe('renderHtml', () => {
+  test('renders the title, filters and a heading per section', () => {
+    const html = render('executive', { subnet: '10.0.1.0/24', severity: 'critical,high' });
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<title>Weekly &amp; Monthly</title>');
+    expect(html).toContain('Period 2026-03-08 to 2026-03-10');
+    expect(html).toContain('Subnet 10.0.1.0/24');
+    expect(html).toContain('Severity critical, high');
+    expect(html.match(/<h2>.*<\/h2>/g)).toEqual(['<h2>Summary</h2>', '<h2>Highest Risks</h2>', '<h2>Framework Compliance</h2>', '<h2>Trends</h2>']);
+  });
+
+  test('escapes scanned values', () => {
+    const html = render('technical');
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).toContain('No open services');
+    expect(html).toContain('No remediation runs in this period');
+  });
+
+  test('marks known exploited findings and charts the trend', () => {
+    expect(render('executive')).toContain('CVE-2024-6387 <strong class="critical">KEV</strong>');
+    const html = render('trends');
+    expect(html).toContain('<svg width="720" height="160"');
+    expect(html).toContain('<th>Test Framework</th>');
+    expect(html).toContain('<td>2026-03-09</td><td>1</td><td>0</td><td>1</td><td>0</td><td>0</td><td>75%</td>');
+    expect(html).toContain('<td>2026-03-10</td><td>0</td><td>0</td><td>1</td><td>0</td><td>0</td><td>-</td>');
+  });
+});
@@ -0,0 +1,386 @@
+// Reports - executive, technical, compliance and trend reports
+//
+// buildReport() turns the current inventory, findings, remediation runs and
+// compliance scores into a report model: a list of sections that ./html and
+// ./pdf render the same way. Filters narrow every section:
+//
+//   subnet:     only hosts in this CIDR
+//   severities: only findings (and policy violations) of these severities
+//   from / to:  the reporting period - findings that were open at some point
+//               in it, and the runs, scans and scores recorded during it
+
+const { Netmask } = require('netmask');
+const { ACTIVE_STATUSES } = require('../findings/lifecycle');
+
+const REPORT_TYPES = {
+  executive: {
+    title: 'Executive Security Summary',
+    sections: ['summary', 'topRisks', 'compliance', 'trends']
+  },
+  technical: {
+    title: 'Technical Security Report',
+    sections: ['summary', 'hosts', 'remediations', 'trends']
+  },
+  compliance: {
+    title: 'Compliance Report',
+    sections: ['summary', 'compliance', 'violations', 'trends']
+  },
+  trends: {
+    title: 'Trend Analysis',
+    sections: ['trends']
+  }
+};
+
+const FORMATS = ['html', 'pdf'];
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+const DEFAULT_PERIOD_DAYS = 30;
+const DAY = 24 * 60 * 60 * 1000;
+const TOP = 10;
+
+function parseDate(value, field) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${field} must be a date`);
+  }
+  return date.toISOString();
+}
+
+// Normalised report options from a request body; throws on invalid input
+function validateReportRequest(body = {}) {
+  const type = body.type || 'executive';
+  if (!REPORT_TYPES[type]) {
+    throw new Error(`type must be one of: ${Object.keys(REPORT_TYPES).join(', ')}`);
+  }
+
+  const formats = [].concat(body.formats || body.format || FORMATS);
+  const unknownFormat = formats.find(format => !FORMATS.includes(format));
+  if (unknownFormat) {
+    throw new Error(`Unknown report format: ${unknownFormat}`);
+  }
+
+  const filters = body.filters || {};
+  if (filters.subnet) {
+    try {
+      new Netmask(filters.subnet);
+    } catch (error) {
+      throw new Error(`Invalid subnet: ${filters.subnet}`);
+    }
+  }
+
+  const severities = typeof filters.severity === 'string'
+    ? filters.severity.split(',').map(value => value.trim()).filter(Boolean)
+    : filters.severity || filters.severities || [];
+  const unknownSeverity = severities.find(severity => !SEVERITIES.includes(severity));
+  if (unknownSeverity) {
+    throw new Error(`Unknown severity: ${unknownSeverity}`);
+  }
+
+  const to = filters.to ? parseDate(filters.to, 'to') : new Date().toISOString();
+  const from = filters.from
+    ? parseDate(filters.from, 'from')
+    : new Date(new Date(to).getTime() - DEFAULT_PERIOD_DAYS * DAY).toISOString();
+  if (from > to) {
+    throw new Error('from must be before to');
+  }
+
+  return {
+    type,
+    title: body.title || REPORT_TYPES[type].title,
+    formats: Array.from(new Set(formats)),
+    filters: {
+      subnet: filters.subnet || null,
+      severities: severities.length ? severities : null,
+      from,
+      to
+    }
+  };
+}
+
+function inSubnet(ip, subnet) {
+  if (!subnet) return true;
+  try {
+    return new Netmask(subnet).contains(ip);
+  } catch (error) {
+    return false;
+  }
+}
+
+// When a finding left the active statuses, or null while it is still active
+function closedAt(finding) {
+  if (ACTIVE_STATUSES.includes(finding.status)) {
+    return null;
+  }
+  const history = finding.history || [];
+  return history.length ? history[history.length - 1].at : finding.lastSeen;
+}
+
+function severityCounts(findings) {
+  const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  findings.forEach(finding => {
+    if (counts[finding.severity] !== undefined) counts[finding.severity]++;
+  });
+  return counts;
+}
+
+function findingRow(finding, now) {
+  const active = ACTIVE_STATUSES.includes(finding.status);
+  return {
+    key: finding.key,
+    id: finding.id,
+    name: finding.name,
+    severity: finding.severity,
+    cvss: finding.cvss,
+    status: finding.status,
+    host: finding.host,
+    hostname: finding.hostname,
+    knownExploited: Boolean(finding.knownExploited),
+    discovered: finding.discovered,
+    dueDate: finding.dueDate || null,
+    overdue: Boolean(active && finding.dueDate && finding.dueDate < now),
+    assignee: finding.assignee || null,
+    remediation: finding.remediation || null
+  };
+}
+
+// Calendar days (UTC) from `from` to `to`, inclusive
+function days(from, to) {
+  const list = [];
+  const last = new Date(to.slice(0, 10)).getTime();
+  for (let day = new Date(from.slice(0, 10)).getTime(); day <= last; day += DAY) {
+    list.push(new Date(day).toISOString().slice(0, 10));
+  }
+  return list;
+}
+
+function trendSection(findings, scans, history, { from, to }) {
+  const byFramework = new Map();
+  history.forEach(entry => {
+    if (!byFramework.has(entry.frameworkId)) byFramework.set(entry.frameworkId, entry.name);
+  });
+
+  const points = days(from, to).map(date => {
+    const end = `${date}T23:59:59.999Z`;
+    const dayScans = scans.filter(scan => scan.startTime.slice(0, 10) === date);
+    const compliance = {};
+    // Last score of the day per framework
+    history.filter(entry => entry.assessedAt.slice(0, 10) === date).forEach(entry => {
+      compliance[entry.frameworkId] = entry.score;
+    });
+    return {
+      date,
+      discovered: findings.filter(finding => (finding.discovered || '').slice(0, 10) === date).length,
+      resolved: findings.filter(finding => (closedAt(finding) || '').slice(0, 10) === date).length,
+      active: findings.filter(finding => finding.discovered <= end && !(closedAt(finding) && closedAt(finding) <= end)).length,
+      scans: dayScans.length,
+      hostsFound: dayScans.reduce((max, scan) => Math.max(max, scan.hostsFound || 0), 0),
+      compliance
+    };
+  });
+
+  return {
+    frameworks: Array.from(byFramework, ([id, name]) => ({ id, name })),
+    points
+  };
+}
+
+// The report model for `options` (from validateReportRequest). `data` holds
+// the raw records: hosts, findings, remediations, scans, violations,
+// assessments (current framework scores) and complianceHistory.
+function buildReport(options, data) {
+  const { type, title, filters } = options;
+  const { subnet, severities, from, to } = filters;
+  const now = new Date().toISOString();
+  const sections = REPORT_TYPES[type].sections;
+
+  const hosts = data.hosts.filter(host => inSubnet(host.ip, subnet));
+  const hostIps = new Set(hosts.map(host => host.ip));
+  const findings = data.findings.filter(finding =>
+    hostIps.has(finding.host) &&
+    (!severities || severities.includes(finding.severity)) &&
+    (finding.discovered || '') <= to &&
+    !(closedAt(finding) && closedAt(finding) < from));
+  const active = findings.filter(finding => ACTIVE_STATUSES.includes(finding.status));
+  const remediations = data.remediations.filter(run =>
+    !run.dryRun && hostIps.has(run.host) && run.requestedAt >= from && run.requestedAt <= to);
+  // Scans in the period that covered the subnet, counting only its hosts
+  const scans = data.scans
+    .filter(scan => scan.status === 'completed' && scan.startTime >= from && scan.startTime <= to)
+    .map(scan => ({
+      startTime: scan.startTime,
+      hostsFound: (scan.hosts || []).filter(host => inSubnet(host.ip, subnet)).length
+    }))
+    .filter(scan => !subnet || scan.hostsFound > 0);
+  const history = data.complianceHistory
+    .filter(entry => entry.assessedAt >= from && entry.assessedAt <= to)
+    .sort((a, b) => a.assessedAt.localeCompare(b.assessedAt));
+
+  const report = {
+    type,
+    title,
+    generatedAt: now,
+    filters,
+    sections: []
+  };
+
+  for (const section of sections) {
+    if (section === 'summary') {
+      const risk = Object.fromEntries(SEVERITIES.map(level => [level, hosts.filter(host => host.risk === level).length]));
+      report.sections.push({
+        type: 'summary',
+        title: 'Summary',
+        hosts: hosts.length,
+        risk,
+        findings: {
+          inPeriod: findings.length,
+          active: active.length,
+          bySeverity: severityCounts(active),
+          overdue: active.filter(finding => finding.dueDate && finding.dueDate < now).length,
+          knownExploited: active.filter(finding => finding.knownExploited).length,
+          resolved: findings.length - active.length
+        },
+        remediations: {
+          total: remediations.length,
+          succeeded: remediations.filter(run => run.status === 'succeeded').length,
+          failed: remediations.filter(run => ['failed', 'rolled_back', 'rollback_failed'].includes(run.status)).length,
+          pending: remediations.filter(run => ['pending_approval', 'running'].includes(run.status)).length
+        },
+        compliance: data.assessments.map(({ frameworkId, name, version, score, coverage }) => ({ frameworkId, name, version, score, coverage }))
+      });
+    }
+
+    if (section === 'topRisks') {
+      const findingsByHost = (host) => active.filter(finding => finding.host === host.ip);
+      report.sections.push({
+        type: 'topRisks',
+        title: 'Highest Risks',
+        hosts: hosts
+          .slice()
+          .sort((a, b) => (b.riskScore || 0) - (a.riskScore || 0))
+          .slice(0, TOP)
+          .map(host => ({
+            ip: host.ip,
+            hostname: host.hostname,
+            type: host.type,
+            risk: host.risk,
+            riskScore: host.riskScore,
+            findings: findingsByHost(host).length
+          })),
+        findings: active
+          .slice()
+          .sort((a, b) => (b.cvss || 0) - (a.cvss || 0) || Number(Boolean(b.knownExploited)) - Number(Boolean(a.knownExploited)))
+          .slice(0, TOP)
+          .map(finding => findingRow(finding, now))
+      });
+    }
+
+    if (section === 'hosts') {
+      report.sections.push({
+        type: 'hosts',
+        title: 'Host Detail',
+        hosts: hosts
+          .slice()
+          .sort((a, b) => (b.riskScore || 0) - (a.riskScore || 0) || a.ip.localeCompare(b.ip, undefined, { numeric: true }))
+          .map(host => ({
+            ip: host.ip,
+            hostname: host.hostname,
+            os: host.os,
+            type: host.type,
+            criticality: host.criticality || null,
+            risk: host.risk,
+            riskScore: host.riskScore,
+            lastSeen: host.lastSeen,
+            services: (host.services || []).map(({ port, name, version }) => ({ port, name, version: version || null })),
+            findings: findings
+              .filter(finding => finding.host === host.ip)
+              .sort((a, b) => (b.cvss || 0) - (a.cvss || 0))
+              .map(finding => findingRow(finding, now))
+          }))
+      });
+    }
+
+    if (section === 'remediations') {
+      report.sections.push({
+        type: 'remediations',
+        title: 'Remediation Activity',
+        runs: remediations
+          .slice()
+          .sort((a, b) => b.requestedAt.localeCompare(a.requestedAt))
+          .map(run => ({
+            id: run.id,
+            playbook: run.playbookName,
+            vulnerabilityId: run.vulnerabilityId,
+            host: run.host,
+            status: run.status,
+            requestedBy: run.requestedBy,
+            approvedBy: run.approvedBy,
+            requestedAt: run.requestedAt,
+            finishedAt: run.finishedAt,
+            error: run.error
+          }))
+      });
+    }
+
+    if (section === 'compliance') {
+      report.sections.push({
+        type: 'compliance',
+        title: 'Framework Compliance',
+        frameworks: data.assessments.map(assessment => ({
+          frameworkId: assessment.frameworkId,
+          name: assessment.name,
+          version: assessment.version,
+          score: assessment.score,
+          coverage: assessment.coverage,
+          counts: assessment.counts,
+          categories: assessment.categories.map(({ id, name, score, counts }) => ({ id, name, score, counts })),
+          failing: assessment.categories
+            .flatMap(category => category.controls)
+            .filter(control => control.status === 'partial' || control.status === 'non_compliant')
+            .map(control => ({
+              id: control.id,
+              name: control.name,
+              status: control.status,
+              score: control.score,
+              hosts: control.failing.filter(host => hostIps.has(host.host)).map(host => host.hostname || host.host)
+            }))
+        }))
+      });
+    }
+
+    if (section === 'violations') {
+      report.sections.push({
+        type: 'violations',
+        title: 'Open Policy Violations',
+        violations: data.violations
+          .filter(violation => violation.status === 'open' && hostIps.has(violation.host))
+          .filter(violation => !severities || severities.includes(violation.severity))
+          .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || a.policyName.localeCompare(b.policyName))
+          .map(violation => ({
+            policy: violation.policyName,
+            severity: violation.severity,
+            framework: violation.framework,
+            controls: violation.controls || [],
+            host: violation.host,
+            hostname: violation.hostname,
+            firstSeen: violation.firstSeen
+          }))
+      });
+    }
+
+    if (section === 'trends') {
+      report.sections.push({
+        type: 'trends',
+        title: 'Trends',
+        ...trendSection(findings, scans, history, filters)
+      });
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  REPORT_TYPES,
+  FORMATS,
+  validateReportRequest,
+  buildReport
+};
@@ -0,0 +1,184 @@
+const { validateReportRequest, buildReport } = require('.');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const filters = { subnet: '10.0.1.0/24', from: '2026-03-08T00:00:00.000Z', to: '2026-03-10T12:00:00.000Z' };
+
+const hosts = [
+  { ip: '10.0.1.5', hostname: 'web-01', type: 'server', os: 'Ubuntu 22.04', risk: 'high', riskScore: 7.5, services: [{ port: 22, name: 'SSH', version: 'OpenSSH 8.9p1', banner: 'SSH-2.0' }] },
+  { ip: '10.0.1.6', hostname: 'db-01', type: 'server', risk: 'critical', riskScore: 9.1, services: [] },
+  { ip: '10.0.2.9', hostname: 'print-01', type: 'printer', risk: 'low', riskScore: 1 }
+];
+
+const finding = (key, fields) => ({ key, id: key.toUpperCase(), name: key, history: [], ...fields });
+const findings = [
+  finding('overdue', { host: '10.0.1.5', severity: 'high', cvss: 7.5, status: 'open', discovered: '2026-03-08T09:00:00.000Z', dueDate: '2026-03-01T00:00:00.000Z', knownExploited: true }),
+  finding('new', { host: '10.0.1.6', severity: 'critical', cvss: 9.8, status: 'triaged', discovered: '2026-03-09T09:00:00.000Z' }),
+  finding('fixed', { host: '10.0.1.5', severity: 'medium', cvss: 5.3, status: 'resolved', discovered: '2026-03-01T09:00:00.000Z', history: [{ status: 'resolved', at: '2026-03-09T10:00:00.000Z' }] }),
+  finding('fixed-earlier', { host: '10.0.1.6', severity: 'low', status: 'resolved', discovered: '2026-02-01T09:00:00.000Z', history: [{ status: 'resolved', at: '2026-02-10T10:00:00.000Z' }] }),
+  finding('later', { host: '10.0.1.5', severity: 'high', status: 'open', discovered: '2026-03-11T09:00:00.000Z' }),
+  finding('elsewhere', { host: '10.0.2.9', severity: 'critical', status: 'open', discovered: '2026-03-08T09:00:00.000Z' })
+];
+
+const data = {
+  hosts,
+  findings,
+  remediations: [
+    { id: 'run-1', host: '10.0.1.5', status: 'succeeded', requestedAt: '2026-03-09T11:00:00.000Z' },
+    { id: 'run-2', host: '10.0.1.5', status: 'succeeded', dryRun: true, requestedAt: '2026-03-09T11:00:00.000Z' },
+    { id: 'run-3', host: '10.0.1.6', status: 'rolled_back', requestedAt: '2026-03-10T11:00:00.000Z' },
+    { id: 'run-4', host: '10.0.1.6', status: 'succeeded', requestedAt: '2026-02-01T11:00:00.000Z' }
+  ],
+  scans: [
+    { status: 'completed', startTime: '2026-03-09T08:00:00.000Z', hostsFound: 3, hosts: hosts.map(({ ip }) => ({ ip })) },
+    { status: 'completed', startTime: '2026-03-10T08:00:00.000Z', hostsFound: 1, hosts: [{ ip: '10.0.2.9' }] },
+    { status: 'failed', startTime: '2026-03-10T09:00:00.000Z' }
+  ],
+  violations: [
+    { status: 'open', policyName: 'No Telnet', severity: 'high', framework: 'TF', controls: ['AC-1'], host: '10.0.1.5', hostname: 'web-01', firstSeen: '2026-03-08T00:00:00.000Z' },
+    { status: 'open', policyName: 'Patch critical flaws', severity: 'critical', host: '10.0.1.6', hostname: 'db-01', firstSeen: '2026-03-09T00:00:00.000Z' },
+    { status: 'resolved', policyName: 'No FTP', severity: 'high', host: '10.0.1.5', hostname: 'web-01' },
+    { status: 'open', policyName: 'No Telnet', severity: 'high', host: '10.0.2.9', hostname: 'print-01' }
+  ],
+  assessments: [{
+    frameworkId: 'tf-1',
+    name: 'Test Framework',
+    version: '1.0',
+    score: 75,
+    coverage: 50,
+    counts: { compliant: 1, partial: 1, non_compliant: 0, not_assessed: 2 },
+    categories: [{
+      id: 'AC',
+      name: 'Access Control',
+      score: 75,
+      counts: { compliant: 1, partial: 1, non_compliant: 0, not_assessed: 0 },
+      controls: [
+        { id: 'AC-1', name: 'Remote access', status: 'partial', score: 50, failing: [{ assetId: 'asset-1', host: '10.0.1.5', hostname: 'web-01' }, { assetId: 'asset-3', host: '10.0.2.9', hostname: null }] },
+        { id: 'AC-2', name: 'Patching', status: 'compliant', score: 100, failing: [] }
+      ]
+    }]
+  }],
+  complianceHistory: [
+    { frameworkId: 'tf-1', name: 'Test Framework', assessedAt: '2026-03-09T20:00:00.000Z', score: 75 },
+    { frameworkId: 'tf-1', name: 'Test Framework', assessedAt: '2026-03-09T01:00:00.000Z', score: 60 },
+    { frameworkId: 'tf-1', name: 'Test Framework', assessedAt: '2026-02-01T01:00:00.000Z', score: 10 }
+  ]
+};
+
+const build = (type, extra = {}) => buildReport(validateReportRequest({ type, filters: { ...filters, ...extra } }), data);
+const section = (report, type) => report.sections.find(item => item.type === type);
+
+describe('validateReportRequest', () => {
+  test('defaults to an executive report in every format over the last 30 days', () => {
+    const options = validateReportRequest();
+    expect(options).toMatchObject({
+      type: 'executive',
+      title: 'Executive Security Summary',
+      formats: ['html', 'pdf'],
+      filters: { subnet: null, severities: null }
+    });
+    expect(new Date(options.filters.to).getTime() - new Date(options.filters.from).getTime()).toBe(30 * DAY);
+  });
+
+  test('normalises formats, severities and dates', () => {
+    const options = validateReportRequest({ type: 'technical', title: 'Q1', format: 'pdf', filters: { severity: 'critical, high', from: '2026-01-01', to: '2026-03-31' } });
+    expect(options).toEqual({
+      type: 'technical',
+      title: 'Q1',
+      formats: ['pdf'],
+      filters: { subnet: null, severities: ['critical', 'high'], from: '2026-01-01T00:00:00.000Z', to: '2026-03-31T00:00:00.000Z' }
+    });
+    expect(validateReportRequest({ formats: ['html', 'html'], filters: { severities: ['low'] } })).toMatchObject({ formats: ['html'], filters: { severities: ['low'] } });
+  });
+
+  test.each([
+    ['type must be one of: executive, technical, compliance, trends', { type: 'weekly' }],
+    ['Unknown report format: docx', { formats: ['html', 'docx'] }],
+    ['Invalid subnet: 10.0.0.0/99', { filters: { subnet: '10.0.0.0/99' } }],
+    ['Unknown severity: info', { filters: { severity: 'high,info' } }],
+    ['from must be a date', { filters: { from: 'last week' } }],
+    ['from must be before to', { filters: { from: '2026-03-02', to: '2026-03-01' } }]
+  ])('%s', (message, body) => {
+    expect(() => validateReportRequest(body)).toThrow(message);
+  });
+});
+
+describe('buildReport', () => {
+  test('each type has its own sections', () => {
+    expect(build('executive').sections.map(item => item.type)).toEqual(['summary', 'topRisks', 'compliance', 'trends']);
+    expect(build('technical').sections.map(item => item.type)).toEqual(['summary', 'hosts', 'remediations', 'trends']);
+    expect(build('compliance').sections.map(item => item.type)).toEqual(['summary', 'compliance', 'violations', 'trends']);
+    expect(build('trends')).toMatchObject({ type: 'trends', title: 'Trend Analysis', filters: { subnet: '10.0.1.0/24' } });
+  });
+
+  test('the summary counts the subnet\'s hosts and the findings open during the period', () => {
+    expect(section(build('executive'), 'summary')).toEqual({
+      type: 'summary',
+      title: 'Summary',
+      hosts: 2,
+      risk: { critical: 1, high: 1, medium: 0, low: 0 },
+      findings: {
+        inPeriod: 3,
+        active: 2,
+        bySeverity: { critical: 1, high: 1, medium: 0, low: 0 },
+        overdue: 1,
+        knownExploited: 1,
+        resolved: 1
+      },
+      remediations: { total: 2, succeeded: 1, failed: 1, pending: 0 },
+      compliance: [{ frameworkId: 'tf-1', name: 'Test Framework', version: '1.0', score: 75, coverage: 50 }]
+    });
+  });
+
+  test('a severity filter narrows findings and violations', () => {
+    const report = build('compliance', { severity: 'critical' });
+    expect(section(report, 'summary').findings).toMatchObject({ inPeriod: 1, active: 1, resolved: 0 });
+    expect(section(report, 'violations').violations.map(violation => violation.policy)).toEqual(['Patch critical flaws']);
+  });
+
+  test('top risks rank hosts by risk score and active findings by CVSS', () => {
+    const risks = section(build('executive'), 'topRisks');
+    expect(risks.hosts.map(host => [host.hostname, host.findings])).toEqual([['db-01', 1], ['web-01', 1]]);
+    expect(risks.findings.map(item => item.key)).toEqual(['new', 'overdue']);
+    expect(risks.findings[1]).toMatchObject({ knownExploited: true, overdue: true, assignee: null });
+  });
+
+  test('host detail lists services and every finding in the period', () => {
+    const [db, web] = section(build('technical'), 'hosts').hosts;
+    expect(db).toMatchObject({ ip: '10.0.1.6', criticality: null, services: [] });
+    expect(web.services).toEqual([{ port: 22, name: 'SSH', version: 'OpenSSH 8.9p1' }]);
+    expect(web.findings.map(item => [item.key, item.overdue])).toEqual([['overdue', true], ['fixed', false]]);
+  });
+
+  test('remediation activity leaves out dry runs and runs outside the period', () => {
+    expect(section(build('technical'), 'remediations').runs.map(run => run.id)).toEqual(['run-3', 'run-1']);
+  });
+
+  test('compliance lists failing controls with the subnet\'s hosts only', () => {
+    const [framework] = section(build('compliance'), 'compliance').frameworks;
+    expect(framework.categories).toEqual([{ id: 'AC', name: 'Access Control', score: 75, counts: { compliant: 1, partial: 1, non_compliant: 0, not_assessed: 0 } }]);
+    expect(framework.failing).toEqual([{ id: 'AC-1', name: 'Remote access', status: 'partial', score: 50, hosts: ['web-01'] }]);
+  });
+
+  test('open violations are listed most severe first', () => {
+    expect(section(build('compliance'), 'violations').violations).toEqual([
+      { policy: 'Patch critical flaws', severity: 'critical', framework: undefined, controls: [], host: '10.0.1.6', hostname: 'db-01', firstSeen: '2026-03-09T00:00:00.000Z' },
+      { policy: 'No Telnet', severity: 'high', framework: 'TF', controls: ['AC-1'], host: '10.0.1.5', hostname: 'web-01', firstSeen: '2026-03-08T00:00:00.000Z' }
+    ]);
+  });
+
+  test('trends have a point for every day of the period', () => {
+    const trends = section(build('trends'), 'trends');
+    expect(trends.frameworks).toEqual([{ id: 'tf-1', name: 'Test Framework' }]);
+    expect(trends.points).toEqual([
+      { date: '2026-03-08', discovered: 1, resolved: 0, active: 2, scans: 0, hostsFound: 0, compliance: {} },
+      { date: '2026-03-09', discovered: 1, resolved: 1, active: 2, scans: 1, hostsFound: 2, compliance: { 'tf-1': 75 } },
+      { date: '2026-03-10', discovered: 0, resolved: 0, active: 2, scans: 0, hostsFound: 0, compliance: {} }
+    ]);
+  });
+
+  test('without a subnet every host and scan counts', () => {
+    const report = build('trends', { subnet: undefined });
+    expect(section(report, 'trends').points.map(point => [point.scans, point.hostsFound, point.active])).toEqual([[0, 0, 3], [1, 3, 3], [1, 1, 3]]);
+  });
+});
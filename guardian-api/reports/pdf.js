@@ -0,0 +1,264 @@
+// PDF rendering of a report model - the same sections as the HTML report,
+// laid out with PDFKit
+
+const PDFDocument = require('pdfkit');
+
+const MARGIN = 40;
+const SEVERITY_COLORS = {
+  critical: '#d32f2f',
+  high: '#f57c00',
+  medium: '#b28704',
+  low: '#388e3c'
+};
+
+const percent = value => (value === null || value === undefined ? '-' : `${value}%`);
+const date = value => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) : '-');
+const day = value => (value ? String(value).slice(0, 10) : '-');
+
+function heading(doc, text, size = 15) {
+  if (doc.y > doc.page.height - MARGIN - 80) {
+    doc.addPage();
+  }
+  doc.moveDown(0.8).font('Helvetica-Bold').fontSize(size).fillColor('#1a2332').text(text, MARGIN);
+  doc.moveDown(0.3).font('Helvetica').fontSize(9);
+}
+
+// Rows of cell text under a header row; `widths` are fractions of the page
+function table(doc, columns, rows) {
+  const width = doc.page.width - MARGIN * 2;
+  const widths = columns.map(column => column.width * width);
+
+  const drawRow = (cells, { bold = false, colors = [] } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    const height = Math.max(...cells.map((cell, index) =>
+      doc.heightOfString(String(cell), { width: widths[index] - 6 }))) + 6;
+    if (doc.y + height > doc.page.height - MARGIN) {
+      doc.addPage();
+    }
+    const top = doc.y;
+    let x = MARGIN;
+    cells.forEach((cell, index) => {
+      doc.fillColor(colors[index] || '#1a2332').text(String(cell), x + 3, top + 3, { width: widths[index] - 6 });
+      x += widths[index];
+    });
+    doc.moveTo(MARGIN, top + height).lineTo(MARGIN + width, top + height).strokeColor('#e6eaef').stroke();
+    doc.x = MARGIN;
+    doc.y = top + height;
+  };
+
+  drawRow(columns.map(column => column.label), { bold: true });
+  rows.forEach(row => drawRow(row.cells, { colors: row.colors }));
+  if (rows.length === 0) {
+    drawRow(['None', ...columns.slice(1).map(() => '')], { colors: ['#888888'] });
+  }
+  doc.moveDown(0.5);
+}
+
+function findingsTable(doc, findings) {
+  table(doc, [
+    { label: 'Finding', width: 0.18 },
+    { label: 'Host', width: 0.14 },
+    { label: 'Severity', width: 0.1 },
+    { label: 'CVSS', width: 0.07 },
+    { label: 'Status', width: 0.12 },
+    { label: 'Due', width: 0.11 },
+    { label: 'Remediation', width: 0.28 }
+  ], findings.map(finding => ({
+    cells: [
+      `${finding.id}${finding.knownExploited ? ' (KEV)' : ''}`,
+      finding.host,
+      finding.severity,
+      finding.cvss === undefined ? '-' : finding.cvss,
+      finding.status,
+      day(finding.dueDate),
+      finding.remediation || ''
+    ],
+    colors: [null, null, SEVERITY_COLORS[finding.severity], null, null, finding.overdue ? SEVERITY_COLORS.critical : null]
+  })));
+}
+
+const SECTIONS = {
+  summary(doc, section) {
+    const { findings, remediations, risk } = section;
+    table(doc, [
+      { label: 'Hosts', width: 1 / 7 },
+      { label: 'Active findings', width: 1 / 7 },
+      { label: 'Critical', width: 1 / 7 },
+      { label: 'High', width: 1 / 7 },
+      { label: 'Past SLA', width: 1 / 7 },
+      { label: 'Known exploited', width: 1 / 7 },
+      { label: 'Resolved in period', width: 1 / 7 }
+    ], [{
+      cells: [section.hosts, findings.active, findings.bySeverity.critical, findings.bySeverity.high, findings.overdue, findings.knownExploited, findings.resolved],
+      colors: [null, null, SEVERITY_COLORS.critical, SEVERITY_COLORS.high]
+    }]);
+    table(doc, [
+      { label: 'Critical risk hosts', width: 0.25 },
+      { label: 'High', width: 0.25 },
+      { label: 'Medium', width: 0.25 },
+      { label: 'Low', width: 0.25 }
+    ], [{ cells: [risk.critical, risk.high, risk.medium, risk.low] }]);
+    table(doc, [
+      { label: 'Remediation runs', width: 0.25 },
+      { label: 'Succeeded', width: 0.25 },
+      { label: 'Failed', width: 0.25 },
+      { label: 'Pending', width: 0.25 }
+    ], [{ cells: [remediations.total, remediations.succeeded, remediations.failed, remediations.pending] }]);
+    if (section.compliance.length) {
+      table(doc, [
+        { label: 'Framework', width: 0.5 },
+        { label: 'Score', width: 0.25 },
+        { label: 'Controls assessed', width: 0.25 }
+      ], section.compliance.map(framework => ({
+        cells: [`${framework.name} ${framework.version || ''}`, percent(framework.score), `${framework.coverage}%`]
+      })));
+    }
+  },
+
+  topRisks(doc, section) {
+    table(doc, [
+      { label: 'Host', width: 0.35 },
+      { label: 'Type', width: 0.2 },
+      { label: 'Risk', width: 0.15 },
+      { label: 'Score', width: 0.15 },
+      { label: 'Active findings', width: 0.15 }
+    ], section.hosts.map(host => ({
+      cells: [`${host.ip} ${host.hostname || ''}`, host.type || '', host.risk || '', host.riskScore === undefined ? '-' : host.riskScore, host.findings],
+      colors: [null, null, SEVERITY_COLORS[host.risk]]
+    })));
+    findingsTable(doc, section.findings);
+  },
+
+  hosts(doc, section) {
+    section.hosts.forEach(host => {
+      heading(doc, `${host.ip} ${host.hostname || ''}`, 11);
+      doc.fillColor('#555555').text(
+        `${host.type || '-'} / ${host.os || '-'} - risk ${host.risk || '-'} (${host.riskScore === undefined ? '-' : host.riskScore})` +
+        `${host.criticality ? ` - criticality ${host.criticality}` : ''} - last seen ${date(host.lastSeen)}`,
+        MARGIN
+      );
+      doc.moveDown(0.3);
+      table(doc, [
+        { label: 'Port', width: 0.15 },
+        { label: 'Service', width: 0.35 },
+        { label: 'Version', width: 0.5 }
+      ], host.services.map(service => ({ cells: [service.port, service.name || '', service.version || ''] })));
+      if (host.findings.length) {
+        findingsTable(doc, host.findings);
+      }
+    });
+    if (section.hosts.length === 0) {
+      doc.fillColor('#888888').text('No hosts match the filters.', MARGIN);
+    }
+  },
+
+  remediations(doc, section) {
+    table(doc, [
+      { label: 'Requested', width: 0.15 },
+      { label: 'Playbook', width: 0.2 },
+      { label: 'Finding', width: 0.15 },
+      { label: 'Host', width: 0.13 },
+      { label: 'Status', width: 0.14 },
+      { label: 'Approved by', width: 0.1 },
+      { label: 'Finished', width: 0.13 }
+    ], section.runs.map(run => ({
+      cells: [date(run.requestedAt), run.playbook, run.vulnerabilityId, run.host, run.error ? `${run.status}: ${run.error}` : run.status, run.approvedBy || '-', date(run.finishedAt)]
+    })));
+  },
+
+  compliance(doc, section) {
+    section.frameworks.forEach(framework => {
+      heading(doc, `${framework.name} ${framework.version || ''} - ${percent(framework.score)} (${framework.coverage}% of controls assessed)`, 11);
+      table(doc, [
+        { label: 'Category', width: 0.4 },
+        { label: 'Score', width: 0.12 },
+        { label: 'Compliant', width: 0.12 },
+        { label: 'Partial', width: 0.12 },
+        { label: 'Non-compliant', width: 0.12 },
+        { label: 'Not assessed', width: 0.12 }
+      ], framework.categories.map(category => ({
+        cells: [`${category.id} ${category.name}`, percent(category.score), category.counts.compliant, category.counts.partial, category.counts.non_compliant, category.counts.not_assessed]
+      })));
+      if (framework.failing.length) {
+        table(doc, [
+          { label: 'Failing control', width: 0.45 },
+          { label: 'Status', width: 0.15 },
+          { label: 'Score', width: 0.1 },
+          { label: 'Hosts', width: 0.3 }
+        ], framework.failing.map(control => ({
+          cells: [`${control.id} ${control.name}`, control.status, percent(control.score), control.hosts.join(', ')]
+        })));
+      }
+    });
+  },
+
+  violations(doc, section) {
+    table(doc, [
+      { label: 'Policy', width: 0.3 },
+      { label: 'Severity', width: 0.1 },
+      { label: 'Controls', width: 0.2 },
+      { label: 'Host', width: 0.25 },
+      { label: 'First seen', width: 0.15 }
+    ], section.violations.map(violation => ({
+      cells: [violation.policy, violation.severity, `${violation.framework || ''} ${violation.controls.join(', ')}`, `${violation.host} ${violation.hostname || ''}`, date(violation.firstSeen)],
+      colors: [null, SEVERITY_COLORS[violation.severity]]
+    })));
+  },
+
+  trends(doc, section) {
+    const frameworkWidth = section.frameworks.length ? 0.4 / section.frameworks.length : 0;
+    const baseWidth = section.frameworks.length ? 0.1 : 1 / 6;
+    table(doc, [
+      { label: 'Day', width: baseWidth },
+      { label: 'Discovered', width: baseWidth },
+      { label: 'Resolved', width: baseWidth },
+      { label: 'Active', width: baseWidth },
+      { label: 'Scans', width: baseWidth },
+      { label: 'Hosts', width: baseWidth },
+      ...section.frameworks.map(framework => ({ label: framework.name, width: frameworkWidth }))
+    ], section.points.map(point => ({
+      cells: [
+        point.date,
+        point.discovered,
+        point.resolved,
+        point.active,
+        point.scans,
+        point.hostsFound,
+        ...section.frameworks.map(framework => percent(point.compliance[framework.id]))
+      ]
+    })));
+  }
+};
+
+// Resolves to the PDF as a Buffer
+function renderPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: report.title, Creator: 'Guardian Security Platform' } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { filters } = report;
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#1a2332').text(report.title);
+    doc.font('Helvetica').fontSize(9).fillColor('#666666').text(
+      `Generated ${date(report.generatedAt)} - period ${day(filters.from)} to ${day(filters.to)}` +
+      `${filters.subnet ? ` - subnet ${filters.subnet}` : ''}` +
+      `${filters.severities ? ` - severity ${filters.severities.join(', ')}` : ''}`
+    );
+
+    try {
+      report.sections.forEach(section => {
+        heading(doc, section.title);
+        SECTIONS[section.type](doc, section);
+      });
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+module.exports = {
+  renderPdf
+};
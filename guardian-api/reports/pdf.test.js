@@ -0,0 +1,27 @@
+const { REPORT_TYPES, validateReportRequest, buildReport } = require('.');
+const { renderPdf } = require('./pdf');
+
+const empty = { hosts: [], findings: [], remediations: [], scans: [], violations: [], assessments: [], complianceHistory: [] };
+
+const options = (type) => validateReportRequest({ type, filters: { from: '2026-03-08', to: '2026-03-10' } });
+const pages = (pdf) => (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+
+describe('renderPdf', () => {
+  test.each(Object.keys(REPORT_TYPES))('renders an empty %s report', async (type) => {
+    const pdf = await renderPdf(buildReport(options(type), empty));
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pages(pdf)).toBe(1);
+  });
+
+  test('long sections continue on new pages', async () => {
+    const hosts = Array.from({ length: 80 }, (_, index) => ({
+      ip: `10.0.0.${index + 1}`,
+      hostname: `host-${index + 1}`,
+      risk: 'low',
+      riskScore: 1,
+      services: [{ port: 22, name: 'SSH', version: 'OpenSSH 9.6' }]
+    }));
+    const pdf = await renderPdf(buildReport(options('technical'), { ...empty, hosts }));
+    expect(pages(pdf)).toBeGreaterThan(5);
+  });
+});
@@ -0,0 +1,179 @@
+// CVSS vector parsing and scoring for v2.0, v3.0, v3.1 and v4.0
+//
+// Vectors are validated here against each version's metric definitions;
+// the arithmetic (including the v4.0 macrovector tables) is delegated to
+// ae-cvss-calculator. Each metric group is scored separately so callers get
+// base, temporal (v4.0: threat) and environmental scores side by side.
+
+const { Cvss2, Cvss3P0, Cvss3P1, Cvss4P0 } = require('ae-cvss-calculator');
+
+const V3_METRICS = {
+  base: {
+    AV: ['N', 'A', 'L', 'P'], AC: ['L', 'H'], PR: ['N', 'L', 'H'], UI: ['N', 'R'],
+    S: ['U', 'C'], C: ['H', 'L', 'N'], I: ['H', 'L', 'N'], A: ['H', 'L', 'N']
+  },
+  temporal: {
+    E: ['X', 'U', 'P', 'F', 'H'], RL: ['X', 'O', 'T', 'W', 'U'], RC: ['X', 'U', 'R', 'C']
+  },
+  environmental: {
+    CR: ['X', 'L', 'M', 'H'], IR: ['X', 'L', 'M', 'H'], AR: ['X', 'L', 'M', 'H'],
+    MAV: ['X', 'N', 'A', 'L', 'P'], MAC: ['X', 'L', 'H'], MPR: ['X', 'N', 'L', 'H'], MUI: ['X', 'N', 'R'],
+    MS: ['X', 'U', 'C'], MC: ['X', 'H', 'L', 'N'], MI: ['X', 'H', 'L', 'N'], MA: ['X', 'H', 'L', 'N']
+  }
+};
+
+const VERSIONS = {
+  '2.0': {
+    prefix: '',
+    calculator: Cvss2,
+    metrics: {
+      base: {
+        AV: ['L', 'A', 'N'], AC: ['H', 'M', 'L'], Au: ['M', 'S', 'N'],
+        C: ['N', 'P', 'C'], I: ['N', 'P', 'C'], A: ['N', 'P', 'C']
+      },
+      temporal: {
+        E: ['U', 'POC', 'F', 'H', 'ND'], RL: ['OF', 'TF', 'W', 'U', 'ND'], RC: ['UC', 'UR', 'C', 'ND']
+      },
+      environmental: {
+        CDP: ['N', 'L', 'LM', 'MH', 'H', 'ND'], TD: ['N', 'L', 'M', 'H', 'ND'],
+        CR: ['L', 'M', 'H', 'ND'], IR: ['L', 'M', 'H', 'ND'], AR: ['L', 'M', 'H', 'ND']
+      }
+    }
+  },
+  '3.0': { prefix: 'CVSS:3.0/', calculator: Cvss3P0, metrics: V3_METRICS },
+  '3.1': { prefix: 'CVSS:3.1/', calculator: Cvss3P1, metrics: V3_METRICS },
+  '4.0': {
+    prefix: 'CVSS:4.0/',
+    calculator: Cvss4P0,
+    metrics: {
+      base: {
+        AV: ['N', 'A', 'L', 'P'], AC: ['L', 'H'], AT: ['N', 'P'], PR: ['N', 'L', 'H'], UI: ['N', 'P', 'A'],
+        VC: ['H', 'L', 'N'], VI: ['H', 'L', 'N'], VA: ['H', 'L', 'N'],
+        SC: ['H', 'L', 'N'], SI: ['H', 'L', 'N'], SA: ['H', 'L', 'N']
+      },
+      temporal: {
+        E: ['X', 'A', 'P', 'U']
+      },
+      environmental: {
+        CR: ['X', 'H', 'M', 'L'], IR: ['X', 'H', 'M', 'L'], AR: ['X', 'H', 'M', 'L'],
+        MAV: ['X', 'N', 'A', 'L', 'P'], MAC: ['X', 'L', 'H'], MAT: ['X', 'N', 'P'], MPR: ['X', 'N', 'L', 'H'],
+        MUI: ['X', 'N', 'P', 'A'], MVC: ['X', 'H', 'L', 'N'], MVI: ['X', 'H', 'L', 'N'], MVA: ['X', 'H', 'L', 'N'],
+        MSC: ['X', 'H', 'L', 'N'], MSI: ['X', 'S', 'H', 'L', 'N'], MSA: ['X', 'S', 'H', 'L', 'N']
+      },
+      // Supplemental metrics carry information but never change the score
+      supplemental: {
+        S: ['X', 'N', 'P'], AU: ['X', 'N', 'Y'], R: ['X', 'A', 'U', 'I'], V: ['X', 'D', 'C'],
+        RE: ['X', 'L', 'M', 'H'], U: ['X', 'Clear', 'Green', 'Amber', 'Red']
+      }
+    }
+  }
+};
+
+function severityFor(score) {
+  if (score === null || score === undefined) return null;
+  if (score >= 9) return 'critical';
+  if (score >= 7) return 'high';
+  if (score >= 4) return 'medium';
+  if (score > 0) return 'low';
+  return 'none';
+}
+
+function groupOf(definition, metric) {
+  return Object.keys(definition.metrics).find(group => definition.metrics[group][metric]);
+}
+
+// { version, metrics } - throws on anything that isn't a complete, valid vector
+function parseVector(vector) {
+  const text = String(vector || '').trim().replace(/^\((.*)\)$/, '$1');
+  const prefix = text.match(/^CVSS:(\d\.\d)\//);
+  const version = prefix ? prefix[1] : '2.0';
+  const definition = VERSIONS[version];
+  if (!definition) {
+    throw new Error(`Unsupported CVSS version: ${version}`);
+  }
+
+  const metrics = {};
+  for (const part of text.slice(definition.prefix.length).split('/')) {
+    const [metric, value] = part.split(':');
+    const group = groupOf(definition, metric);
+    if (!group || !definition.metrics[group][metric].includes(value)) {
+      throw new Error(`Invalid CVSS ${version} vector: ${vector}`);
+    }
+    if (metrics[metric] !== undefined) {
+      throw new Error(`Duplicate metric ${metric} in CVSS vector: ${vector}`);
+    }
+    metrics[metric] = value;
+  }
+
+  const missing = Object.keys(definition.metrics.base).filter(metric => !metrics[metric]);
+  if (missing.length > 0) {
+    throw new Error(`CVSS ${version} vector is missing base metrics ${missing.join(', ')}: ${vector}`);
+  }
+
+  return { version, metrics };
+}
+
+function formatVector(version, metrics) {
+  const parts = Object.entries(metrics).map(([metric, value]) => `${metric}:${value}`);
+  return `${VERSIONS[version].prefix}${parts.join('/')}`;
+}
+
+// Only metrics that actually change the score count as "set"
+function isSet(value) {
+  return value !== undefined && value !== 'X' && value !== 'ND';
+}
+
+function pick(version, metrics, groups) {
+  const definition = VERSIONS[version];
+  return Object.fromEntries(Object.entries(metrics)
+    .filter(([metric]) => groups.includes(groupOf(definition, metric))));
+}
+
+function scoreMetrics(version, metrics) {
+  const calculator = new VERSIONS[version].calculator(formatVector(version, metrics));
+  return calculator.calculateScores().overall;
+}
+
+// Scores for a vector. `overrides` adds or replaces metrics, e.g. the
+// confidentiality/integrity/availability requirements of the affected asset.
+// temporalScore/environmentalScore are null when the vector has no metrics in
+// that group; `score` is the most specific score available.
+function scoreVector(vector, overrides = {}) {
+  const { version, metrics: parsed } = parseVector(vector);
+  const metrics = { ...parsed };
+  for (const [metric, value] of Object.entries(overrides)) {
+    if (!isSet(metrics[metric]) && groupOf(VERSIONS[version], metric)) {
+      metrics[metric] = value;
+    }
+  }
+
+  const definition = VERSIONS[version];
+  const hasGroup = (group) => Object.keys(definition.metrics[group]).some(metric => isSet(metrics[metric]));
+
+  const baseScore = scoreMetrics(version, pick(version, metrics, ['base']));
+  const temporalScore = hasGroup('temporal')
+    ? scoreMetrics(version, pick(version, metrics, ['base', 'temporal']))
+    : null;
+  const environmentalScore = hasGroup('environmental')
+    ? scoreMetrics(version, pick(version, metrics, ['base', 'temporal', 'environmental']))
+    : null;
+  const score = environmentalScore !== null ? environmentalScore : (temporalScore !== null ? temporalScore : baseScore);
+
+  return {
+    version,
+    vector: formatVector(version, metrics),
+    baseScore,
+    temporalScore,
+    environmentalScore,
+    score,
+    severity: severityFor(score)
+  };
+}
+
+module.exports = {
+  VERSIONS,
+  severityFor,
+  parseVector,
+  formatVector,
+  scoreVector
+};
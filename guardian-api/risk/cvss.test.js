@@ -0,0 +1,77 @@
+const { parseVector, scoreVector, severityFor } = require('./cvss');
+
+const V31_CRITICAL = 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H';
+const V40_CRITICAL = 'CVSS:4.0/AV:N/AC:L/AT:N/PR:N/UI:N/VC:H/VI:H/VA:H/SC:N/SI:N/SA:N';
+
+describe('scoreVector', () => {
+  test.each([
+    ['AV:N/AC:L/Au:N/C:P/I:P/A:P', '2.0', 7.5],
+    ['CVSS:3.0/AV:N/AC:L/PR:N/UI:R/S:U/C:L/I:L/A:N', '3.0', 5.4],
+    [V31_CRITICAL, '3.1', 9.8],
+    ['CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:C/C:H/I:H/A:H', '3.1', 10],
+    ['CVSS:3.1/AV:L/AC:H/PR:H/UI:R/S:U/C:N/I:N/A:N', '3.1', 0],
+    [V40_CRITICAL, '4.0', 9.3]
+  ])('base score of %s', (vector, version, score) => {
+    const result = scoreVector(vector);
+    expect(result).toMatchObject({ version, baseScore: score, temporalScore: null, environmentalScore: null, score });
+    expect(result.severity).toBe(severityFor(score));
+  });
+
+  test('temporal metrics give a temporal score', () => {
+    const result = scoreVector(`${V31_CRITICAL}/E:U/RL:O/RC:C`);
+    expect(result.baseScore).toBe(9.8);
+    expect(result.temporalScore).toBe(8.5);
+    expect(result.score).toBe(8.5);
+    expect(result.severity).toBe('high');
+  });
+
+  test('overrides fill in metrics the vector leaves unset', () => {
+    const result = scoreVector(V31_CRITICAL, { CR: 'L', IR: 'L', AR: 'L' });
+    expect(result.vector).toBe(`${V31_CRITICAL}/CR:L/IR:L/AR:L`);
+    expect(result.environmentalScore).toBeLessThan(result.baseScore);
+    expect(result.score).toBe(result.environmentalScore);
+  });
+
+  test('overrides never replace metrics set in the vector', () => {
+    const result = scoreVector(`${V31_CRITICAL}/CR:H`, { CR: 'L' });
+    expect(result.vector).toContain('CR:H');
+    expect(result.vector).not.toContain('CR:L');
+  });
+
+  test('overrides a version has no metric for are ignored', () => {
+    expect(scoreVector('AV:N/AC:L/Au:N/C:P/I:P/A:P', { MAV: 'L' }).environmentalScore).toBeNull();
+  });
+});
+
+describe('parseVector', () => {
+  test('accepts a parenthesised v2 vector', () => {
+    expect(parseVector('(AV:N/AC:L/Au:N/C:C/I:C/A:C)')).toEqual({
+      version: '2.0',
+      metrics: { AV: 'N', AC: 'L', Au: 'N', C: 'C', I: 'C', A: 'C' }
+    });
+  });
+
+  test.each([
+    ['CVSS:5.0/AV:N', 'Unsupported CVSS version: 5.0'],
+    ['CVSS:3.1/AV:X/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H', 'Invalid CVSS 3.1 vector'],
+    ['CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H', 'missing base metrics A'],
+    [`${V31_CRITICAL}/AV:L`, 'Duplicate metric AV'],
+    ['', 'Invalid CVSS 2.0 vector']
+  ])('rejects %j', (vector, message) => {
+    expect(() => parseVector(vector)).toThrow(message);
+  });
+});
+
+describe('severityFor', () => {
+  test.each([
+    [null, null],
+    [0, 'none'],
+    [0.1, 'low'],
+    [4, 'medium'],
+    [6.9, 'medium'],
+    [7, 'high'],
+    [9, 'critical']
+  ])('%p is %p', (score, severity) => {
+    expect(severityFor(score)).toBe(severity);
+  });
+});
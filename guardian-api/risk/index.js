@@ -0,0 +1,106 @@
+// Host risk model - combines a host's open findings, the services it exposes
+// and how critical the asset is into a 0-10 score and a low/medium/high/critical
+// bucket (the buckets the dashboard colours by)
+
+const { scoreVector, severityFor } = require('./cvss');
+
+const CRITICALITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+const DEFAULT_CRITICALITY = 'medium';
+
+const CRITICALITY_MULTIPLIER = { low: 0.8, medium: 1, high: 1.15, critical: 1.3 };
+
+// CVSS security requirements (CR/IR/AR) implied by asset criticality. A
+// medium asset leaves them unset: CVSS 4.0 reads an unset requirement as
+// High, so CR:M would lower the score of every ordinary host.
+const CRITICALITY_REQUIREMENT = { low: 'L', high: 'H', critical: 'H' };
+
+// Fallback when a finding has neither a vector nor a numeric score
+const SEVERITY_SCORE = { critical: 9.5, high: 8, medium: 5.5, low: 2.5 };
+
+// Remotely reachable services that are common entry points
+const SERVICE_EXPOSURE = {
+  23: 3, // Telnet
+  3389: 2.5, // RDP
+  445: 2.5, // SMB
+  139: 2, // NetBIOS
+  5900: 2.5, // VNC
+  21: 2, // FTP
+  6379: 2, // Redis
+  27017: 2, // MongoDB
+  9200: 2, // Elasticsearch
+  1433: 1.5, // MSSQL
+  3306: 1.5, // MySQL
+  5432: 1.5 // PostgreSQL
+};
+const DEFAULT_SERVICE_EXPOSURE = 0.3;
+
+// Findings that no longer put the host at risk
+const INACTIVE_STATUSES = ['remediated', 'verified', 'false_positive', 'risk_accepted'];
+
+function requirementsFor(criticality) {
+  const level = CRITICALITY_REQUIREMENT[criticality];
+  return level ? { CR: level, IR: level, AR: level } : {};
+}
+
+// CVSS scores for a finding, with environmental requirements from the asset
+function scoreFinding(finding, criticality = DEFAULT_CRITICALITY) {
+  if (!finding.cvssVector) {
+    return null;
+  }
+  try {
+    return scoreVector(finding.cvssVector, requirementsFor(criticality));
+  } catch (error) {
+    return null;
+  }
+}
+
+function findingScore(finding) {
+  if (finding.cvssScores) return finding.cvssScores.score;
+  if (typeof finding.cvss === 'number') return finding.cvss;
+  return SEVERITY_SCORE[finding.severity] || 0;
+}
+
+function bucket(score) {
+  const severity = severityFor(score);
+  return severity === 'none' || !severity ? 'low' : severity;
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+
+function hostRisk({ findings = [], services = [], criticality = DEFAULT_CRITICALITY }) {
+  const scores = findings
+    .filter(finding => !INACTIVE_STATUSES.includes(finding.status))
+    .map(findingScore)
+    .sort((a, b) => b - a);
+
+  // The worst finding dominates; each further one adds a little
+  const vulnerabilityScore = scores.length
+    ? Math.min(10, scores[0] + 0.1 * scores.slice(1).reduce((sum, score) => sum + score, 0))
+    : 0;
+  const exposureScore = Math.min(10, services
+    .reduce((sum, service) => sum + (SERVICE_EXPOSURE[service.port] || DEFAULT_SERVICE_EXPOSURE), 0));
+  const multiplier = CRITICALITY_MULTIPLIER[criticality] || 1;
+
+  const score = round(Math.min(10, (vulnerabilityScore + 0.15 * exposureScore) * multiplier));
+
+  return {
+    score,
+    risk: bucket(score),
+    factors: {
+      vulnerabilities: round(vulnerabilityScore),
+      openFindings: scores.length,
+      exposure: round(exposureScore),
+      exposedServices: services.length,
+      criticality,
+      multiplier
+    }
+  };
+}
+
+module.exports = {
+  CRITICALITY_LEVELS,
+  DEFAULT_CRITICALITY,
+  INACTIVE_STATUSES,
+  scoreFinding,
+  hostRisk
+};
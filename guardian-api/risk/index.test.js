@@ -0,0 +1,59 @@
+const { scoreFinding, hostRisk } = require('.');
+
+const V40 = 'CVSS:4.0/AV:N/AC:L/AT:N/PR:N/UI:N/VC:H/VI:H/VA:H/SC:N/SI:N/SA:N';
+const V31 = 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H';
+
+describe('scoreFinding', () => {
+  test('a medium-criticality asset keeps the base score', () => {
+    expect(scoreFinding({ cvssVector: V40 }, 'medium')).toMatchObject({ baseScore: 9.3, environmentalScore: null, score: 9.3 });
+    expect(scoreFinding({ cvssVector: V31 }, 'medium')).toMatchObject({ score: 9.8, vector: V31 });
+  });
+
+  test('unknown criticality is treated as medium', () => {
+    expect(scoreFinding({ cvssVector: V40 }, 'unknown').score).toBe(9.3);
+  });
+
+  test('asset criticality sets the security requirements', () => {
+    const low = scoreFinding({ cvssVector: V40 }, 'low');
+    const critical = scoreFinding({ cvssVector: V40 }, 'critical');
+    expect(low.vector).toBe(`${V40}/CR:L/IR:L/AR:L`);
+    expect(low.score).toBeLessThan(9.3);
+    expect(critical.vector).toBe(`${V40}/CR:H/IR:H/AR:H`);
+    expect(critical.score).toBe(9.3);
+  });
+
+  test('findings without a usable vector have no CVSS scores', () => {
+    expect(scoreFinding({ cvss: 7.5 })).toBeNull();
+    expect(scoreFinding({ cvssVector: 'not a vector' })).toBeNull();
+  });
+});
+
+describe('hostRisk', () => {
+  test('a host with nothing open is low risk', () => {
+    expect(hostRisk({})).toMatchObject({ score: 0, risk: 'low' });
+  });
+
+  test('the worst active finding dominates', () => {
+    const risk = hostRisk({
+      findings: [
+        { cvssScores: { score: 9.8 } },
+        { severity: 'medium' },
+        { cvss: 9.9, status: 'remediated' }
+      ],
+      services: [{ port: 443 }]
+    });
+    expect(risk.factors).toMatchObject({ vulnerabilities: 10, openFindings: 2, exposure: 0.3, exposedServices: 1 });
+    expect(risk).toMatchObject({ score: 10, risk: 'critical' });
+  });
+
+  test('exposed services and criticality raise the score', () => {
+    const services = [{ port: 23 }, { port: 3389 }];
+    const medium = hostRisk({ findings: [{ severity: 'medium' }], services });
+    const critical = hostRisk({ findings: [{ severity: 'medium' }], services, criticality: 'critical' });
+    expect(medium.factors.exposure).toBe(5.5);
+    expect(medium.score).toBe(6.3);
+    expect(medium.risk).toBe('medium');
+    expect(critical.score).toBe(8.2);
+    expect(critical.risk).toBe('high');
+  });
+});
@@ -0,0 +1,125 @@
+// Scan-to-scan comparison - what changed between two snapshots of a network
+
+const { parseTargets, contains } = require('./targets');
+
+// Hosts are matched by asset so a DHCP address change is not reported as
+// one host disappearing and another appearing
+function hostKey(host) {
+  return host.assetId || host.ip;
+}
+
+// The addresses a scan probed, or null if its targets cannot be read
+function scannedRanges(scan) {
+  try {
+    return parseTargets(scan.subnet, scan.exclude || []).ranges;
+  } catch (error) {
+    return null;
+  }
+}
+
+function serviceSummary(service) {
+  return { port: service.port, name: service.name, version: service.version || null };
+}
+
+function vulnSummary(vuln) {
+  return { id: vuln.id, name: vuln.name, severity: vuln.severity, cvss: vuln.cvss };
+}
+
+function compareHost(before, after) {
+  const beforePorts = new Map((before.services || []).map(service => [service.port, service]));
+  const afterPorts = new Map((after.services || []).map(service => [service.port, service]));
+  const beforeVulns = new Map((before.vulnerabilities || []).map(vuln => [vuln.id, vuln]));
+  const afterVulns = new Map((after.vulnerabilities || []).map(vuln => [vuln.id, vuln]));
+
+  const portsOpened = [...afterPorts.values()].filter(s => !beforePorts.has(s.port)).map(serviceSummary);
+  const portsClosed = [...beforePorts.values()].filter(s => !afterPorts.has(s.port)).map(serviceSummary);
+  const serviceChanges = [...afterPorts.values()]
+    .filter(s => beforePorts.has(s.port))
+    .map(s => ({ port: s.port, before: serviceSummary(beforePorts.get(s.port)), after: serviceSummary(s) }))
+    .filter(change => change.before.name !== change.after.name || change.before.version !== change.after.version);
+  const newVulnerabilities = [...afterVulns.values()].filter(v => !beforeVulns.has(v.id)).map(vulnSummary);
+  const resolvedVulnerabilities = [...beforeVulns.values()].filter(v => !afterVulns.has(v.id)).map(vulnSummary);
+
+  const attributeChanges = ['ip', 'hostname', 'os', 'type', 'risk']
+    .filter(field => (before[field] || null) !== (after[field] || null))
+    .map(field => ({ field, before: before[field] || null, after: after[field] || null }));
+
+  const changed = portsOpened.length + portsClosed.length + serviceChanges.length +
+    newVulnerabilities.length + resolvedVulnerabilities.length + attributeChanges.length > 0;
+
+  return changed ? {
+    assetId: after.assetId || null,
+    ip: after.ip,
+    hostname: after.hostname,
+    attributeChanges,
+    portsOpened,
+    portsClosed,
+    serviceChanges,
+    newVulnerabilities,
+    resolvedVulnerabilities
+  } : null;
+}
+
+function hostSummary(host) {
+  return {
+    assetId: host.assetId || null,
+    ip: host.ip,
+    hostname: host.hostname,
+    type: host.type,
+    services: (host.services || []).map(serviceSummary),
+    vulnerabilities: (host.vulnerabilities || []).map(vulnSummary)
+  };
+}
+
+function diffScans(baseline, current) {
+  const beforeHosts = new Map((baseline.hosts || []).map(host => [hostKey(host), host]));
+  const afterHosts = new Map((current.hosts || []).map(host => [hostKey(host), host]));
+
+  const newHosts = [...afterHosts.entries()]
+    .filter(([key]) => !beforeHosts.has(key))
+    .map(([, host]) => hostSummary(host));
+
+  // Only report a host as gone if the current scan actually looked for it
+  const scanned = scannedRanges(current);
+  const disappearedHosts = [...beforeHosts.entries()]
+    .filter(([key, host]) => !afterHosts.has(key) && (!scanned || contains(scanned, host.ip)))
+    .map(([, host]) => hostSummary(host));
+
+  const changedHosts = [...afterHosts.entries()]
+    .filter(([key]) => beforeHosts.has(key))
+    .map(([key, host]) => compareHost(beforeHosts.get(key), host))
+    .filter(Boolean);
+
+  const count = (field) => changedHosts.reduce((total, host) => total + host[field].length, 0);
+
+  return {
+    baselineScanId: baseline.scanId,
+    scanId: current.scanId,
+    subnet: current.subnet,
+    baselineTime: baseline.startTime,
+    scanTime: current.startTime,
+    summary: {
+      newHosts: newHosts.length,
+      disappearedHosts: disappearedHosts.length,
+      changedHosts: changedHosts.length,
+      portsOpened: count('portsOpened'),
+      portsClosed: count('portsClosed'),
+      serviceChanges: count('serviceChanges'),
+      newVulnerabilities: count('newVulnerabilities') +
+        newHosts.reduce((total, host) => total + host.vulnerabilities.length, 0),
+      resolvedVulnerabilities: count('resolvedVulnerabilities')
+    },
+    newHosts,
+    disappearedHosts,
+    changedHosts
+  };
+}
+
+function hasChanges(diff) {
+  return Object.values(diff.summary).some(value => value > 0);
+}
+
+module.exports = {
+  diffScans,
+  hasChanges
+};
@@ -0,0 +1,71 @@
+const { diffScans, hasChanges } = require('./diff');
+
+const ssh = (version = 'OpenSSH 8.9p1') => ({ port: 22, name: 'SSH', version });
+const http = { port: 80, name: 'HTTP', version: 'nginx/1.24.0' };
+const cve = (id, severity = 'high') => ({ id, name: id, severity, cvss: 7.5 });
+
+const scan = (scanId, hosts, fields = {}) => ({ scanId, subnet: '10.0.0.0/24', startTime: `2026-01-0${scanId.slice(-1)}T00:00:00.000Z`, hosts, ...fields });
+
+describe('diffScans', () => {
+  test('identical scans have no changes', () => {
+    const hosts = [{ assetId: 'asset-1', ip: '10.0.0.5', services: [ssh()], vulnerabilities: [cve('CVE-1')] }];
+    const diff = diffScans(scan('scan-1', hosts), scan('scan-2', hosts));
+    expect(hasChanges(diff)).toBe(false);
+    expect(diff).toMatchObject({ baselineScanId: 'scan-1', scanId: 'scan-2', newHosts: [], disappearedHosts: [], changedHosts: [] });
+  });
+
+  test('reports ports, services, findings and attributes that changed on a host', () => {
+    const before = { assetId: 'asset-1', ip: '10.0.0.5', os: 'Ubuntu 22.04', services: [ssh(), http], vulnerabilities: [cve('CVE-1')] };
+    const after = {
+      assetId: 'asset-1',
+      ip: '10.0.0.5',
+      os: 'Ubuntu 24.04',
+      services: [ssh('OpenSSH 9.8p1'), { port: 3306, name: 'MySQL', version: '8.0.36' }],
+      vulnerabilities: [cve('CVE-2', 'critical')]
+    };
+    const diff = diffScans(scan('scan-1', [before]), scan('scan-2', [after]));
+
+    expect(diff.summary).toEqual({
+      newHosts: 0,
+      disappearedHosts: 0,
+      changedHosts: 1,
+      portsOpened: 1,
+      portsClosed: 1,
+      serviceChanges: 1,
+      newVulnerabilities: 1,
+      resolvedVulnerabilities: 1
+    });
+    expect(diff.changedHosts[0]).toMatchObject({
+      attributeChanges: [{ field: 'os', before: 'Ubuntu 22.04', after: 'Ubuntu 24.04' }],
+      portsOpened: [{ port: 3306, name: 'MySQL', version: '8.0.36' }],
+      portsClosed: [http],
+      serviceChanges: [{ port: 22, before: ssh(), after: ssh('OpenSSH 9.8p1') }],
+      newVulnerabilities: [cve('CVE-2', 'critical')],
+      resolvedVulnerabilities: [cve('CVE-1')]
+    });
+  });
+
+  test('a host that changed address is the same host, by asset', () => {
+    const diff = diffScans(
+      scan('scan-1', [{ assetId: 'asset-1', ip: '10.0.0.5', services: [ssh()] }]),
+      scan('scan-2', [{ assetId: 'asset-1', ip: '10.0.0.9', services: [ssh()] }])
+    );
+    expect(diff.summary).toMatchObject({ newHosts: 0, disappearedHosts: 0, changedHosts: 1 });
+    expect(diff.changedHosts[0].attributeChanges).toEqual([{ field: 'ip', before: '10.0.0.5', after: '10.0.0.9' }]);
+  });
+
+  test('new hosts count their findings as new', () => {
+    const diff = diffScans(scan('scan-1', []), scan('scan-2', [{ ip: '10.0.0.7', vulnerabilities: [cve('CVE-1'), cve('CVE-2')] }]));
+    expect(diff.newHosts).toEqual([expect.objectContaining({ assetId: null, ip: '10.0.0.7' })]);
+    expect(diff.summary).toMatchObject({ newHosts: 1, newVulnerabilities: 2 });
+  });
+
+  test('hosts outside the current scan have not disappeared', () => {
+    const baseline = scan('scan-1', [{ ip: '10.0.0.5' }, { ip: '10.0.0.200' }]);
+    const current = scan('scan-2', [], { subnet: '10.0.0.0/25', exclude: ['10.0.0.5'] });
+    expect(diffScans(baseline, current).disappearedHosts).toEqual([]);
+
+    const all = scan('scan-2', [], { subnet: '10.0.0.0/24' });
+    expect(diffScans(baseline, all).disappearedHosts.map(host => host.ip)).toEqual(['10.0.0.5', '10.0.0.200']);
+  });
+});
@@ -0,0 +1,62 @@
+// nmap scanner driver - shells out to the nmap binary through node-nmap
+
+const nmap = require('node-nmap');
+const { serviceNameForPort, inferDeviceType } = require('../fingerprint');
+const { parsePortSpec } = require('../ports');
+
+const name = 'nmap';
+const description = 'Runs nmap (must be installed) with NMAP_OPTIONS';
+
+const DEFAULT_OPTIONS = '-sV -O';
+
+// The scan job's timeout and cancellation both arrive through `signal`
+function runScan(ip, args, signal) {
+  return new Promise((resolve, reject) => {
+    const scan = new nmap.NmapScan(ip, args);
+    if (signal) {
+      signal.addEventListener('abort', () => scan.cancelScan(), { once: true });
+    }
+    scan.on('complete', resolve);
+    scan.on('error', (error) => reject(new Error(`nmap: ${error}`)));
+    scan.startScan();
+  });
+}
+
+async function probe(ip, options = {}) {
+  let args = options.nmapOptions || process.env.NMAP_OPTIONS || DEFAULT_OPTIONS;
+  if (options.ports) {
+    args = `${args} -p ${parsePortSpec(options.ports).join(',')}`;
+  }
+  const started = Date.now();
+
+  const results = await runScan(ip, args, options.signal);
+  const result = results && results[0];
+  if (!result) {
+    return null;
+  }
+
+  const services = (result.openPorts || []).map(port => ({
+    port: port.port,
+    name: port.service ? port.service.toUpperCase() : serviceNameForPort(port.port),
+    version: port.product || null,
+    state: 'open'
+  }));
+
+  return {
+    ip: result.ip || ip,
+    hostname: result.hostname,
+    mac: result.mac,
+    vendor: result.vendor || null,
+    type: inferDeviceType(services, result.osNmap),
+    os: result.osNmap,
+    services,
+    vulnerabilities: [],
+    responseTime: Date.now() - started
+  };
+}
+
+module.exports = {
+  name,
+  description,
+  probe
+};
@@ -0,0 +1,93 @@
+// Simulated scanner driver - fabricates hosts for demos and local development
+
+const crypto = require('crypto');
+
+const name = 'simulated';
+const description = 'Generates random hosts and services (no network traffic)';
+
+async function probe(ip, options = {}) {
+  // The .1 of every /24 is always up, as its router
+  const isRouter = ip.endsWith('.1');
+  const isActive = isRouter || Math.random() > 0.6;
+  if (!isActive) {
+    return null;
+  }
+
+  // Add some delay to simulate real scanning
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  const os = isRouter ? 'RouterOS' : getRandomOS();
+  return {
+    ip,
+    hostname: `host-${ip.split('.').pop()}.local`,
+    mac: generateMAC(ip),
+    type: isRouter ? 'router' : getRandomDeviceType(),
+    os,
+    services: generateServices(),
+    responseTime: Math.floor(Math.random() * 100) + 1,
+    ttl: initialTtl(os)
+  };
+}
+
+// Helper functions
+
+// Derived from the IP so a simulated machine keeps its MAC between scans
+function generateMAC(ip) {
+  const digest = crypto.createHash('md5').update(ip).digest();
+  return Array.from(digest.subarray(0, 6))
+    .map(byte => byte.toString(16).padStart(2, '0').toUpperCase())
+    .join(':');
+}
+
+// Every simulated host is on the scanner's segment, so replies arrive with
+// the TTL the OS started with
+function initialTtl(os) {
+  if (os === 'RouterOS') return 255;
+  return os.startsWith('Windows') ? 128 : 64;
+}
+
+function getRandomDeviceType() {
+  const types = ['server', 'workstation', 'router', 'switch', 'firewall', 'printer', 'iot', 'mobile'];
+  return types[Math.floor(Math.random() * types.length)];
+}
+
+function getRandomOS() {
+  const oses = ['Windows Server 2019', 'Ubuntu 22.04', 'CentOS 8', 'Windows 11', 'macOS Ventura', 'Debian 11', 'RouterOS', 'iOS 16'];
+  return oses[Math.floor(Math.random() * oses.length)];
+}
+
+// Real-world version strings (some with known CVEs) so vulnerability
+// matching has something to find
+function generateServices() {
+  const allServices = [
+    { port: 22, name: 'SSH', versions: ['OpenSSH 7.4', 'OpenSSH 8.9p1', 'OpenSSH 9.8p1'] },
+    { port: 80, name: 'HTTP', versions: ['Apache/2.4.49 (Unix)', 'Apache/2.4.58 (Ubuntu)'] },
+    { port: 443, name: 'HTTPS', versions: ['nginx/1.20.0', 'nginx/1.24.0'] },
+    { port: 3306, name: 'MySQL', versions: ['8.0.27', '8.0.36'] },
+    { port: 5432, name: 'PostgreSQL', versions: ['14.5', '16.2'] },
+    { port: 3389, name: 'RDP', versions: ['Windows RDP'] },
+    { port: 445, name: 'SMB', versions: ['SMBv3'] },
+    { port: 8080, name: 'HTTP-Alt', versions: ['Apache Tomcat 9.0.30', 'Apache Tomcat 9.0.85'] }
+  ];
+
+  const count = Math.floor(Math.random() * 4) + 1;
+  const services = [];
+  for (let i = 0; i < count; i++) {
+    const { versions, ...service } = allServices[Math.floor(Math.random() * allServices.length)];
+    if (!services.find(s => s.port === service.port)) {
+      const version = versions[Math.floor(Math.random() * versions.length)];
+      const entry = {...service, version, state: 'open'};
+      if (service.name === 'SSH') {
+        entry.authMethods = Math.random() > 0.5 ? ['password', 'publickey'] : ['publickey'];
+      }
+      services.push(entry);
+    }
+  }
+  return services;
+}
+
+module.exports = {
+  name,
+  description,
+  probe
+};
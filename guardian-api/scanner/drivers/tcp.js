@@ -0,0 +1,67 @@
+// TCP/ICMP scanner driver - ICMP echo via the system ping utility, falling
+// back to TCP connect probes for hosts that drop ICMP
+
+const ping = require('ping');
+const { reverseLookup, lookupMac, replyTtl, traceroute } = require('../net');
+const { hopsFromTtl } = require('../../topology');
+const { inferDeviceType } = require('../fingerprint');
+const { discoverServices, DEFAULTS } = require('../services');
+
+const name = 'tcp';
+const description = 'ICMP echo plus TCP connect port scan with banner grabbing';
+
+async function probe(ip, options = {}) {
+  const timeout = options.portTimeout || DEFAULTS.timeout;
+
+  let alive = false;
+  let responseTime = null;
+  let ttl = null;
+
+  try {
+    const reply = await ping.promise.probe(ip, { timeout: Math.max(1, Math.ceil(timeout / 1000)) });
+    alive = reply.alive;
+    if (alive && reply.time !== 'unknown') {
+      responseTime = Math.round(parseFloat(reply.time));
+    }
+    if (alive) {
+      ttl = replyTtl(reply.output);
+    }
+  } catch (error) {
+    // ping binary missing or not permitted - rely on TCP probes alone
+  }
+
+  const discovered = await discoverServices(ip, options);
+  if (discovered.alive) {
+    alive = true;
+    if (responseTime === null) responseTime = discovered.responseTime;
+  }
+  const services = discovered.services;
+
+  if (!alive) {
+    return null;
+  }
+
+  // Only routed hosts need a traceroute; it is slow, so it is opt-in
+  const hops = hopsFromTtl(ttl);
+  const wantRoute = options.traceroute === undefined ? process.env.SCAN_TRACEROUTE === 'true' : options.traceroute;
+  const route = wantRoute && hops !== 0 ? await traceroute(ip, { timeout }) : null;
+
+  return {
+    ip,
+    hostname: await reverseLookup(ip),
+    mac: lookupMac(ip),
+    type: inferDeviceType(services),
+    os: null,
+    services,
+    vulnerabilities: [],
+    responseTime,
+    ttl,
+    route
+  };
+}
+
+module.exports = {
+  name,
+  description,
+  probe
+};
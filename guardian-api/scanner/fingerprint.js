@@ -0,0 +1,57 @@
+// Heuristics for classifying hosts from the services they expose
+
+const WELL_KNOWN_PORTS = {
+  21: 'FTP',
+  22: 'SSH',
+  23: 'Telnet',
+  25: 'SMTP',
+  53: 'DNS',
+  80: 'HTTP',
+  110: 'POP3',
+  135: 'MSRPC',
+  139: 'NetBIOS',
+  143: 'IMAP',
+  161: 'SNMP',
+  389: 'LDAP',
+  443: 'HTTPS',
+  445: 'SMB',
+  515: 'LPD',
+  631: 'IPP',
+  1433: 'MSSQL',
+  1883: 'MQTT',
+  3306: 'MySQL',
+  3389: 'RDP',
+  5432: 'PostgreSQL',
+  5900: 'VNC',
+  6379: 'Redis',
+  8080: 'HTTP-Alt',
+  8443: 'HTTPS-Alt',
+  9100: 'JetDirect',
+  27017: 'MongoDB'
+};
+
+function serviceNameForPort(port) {
+  return WELL_KNOWN_PORTS[port] || 'unknown';
+}
+
+function inferDeviceType(services = [], os = '') {
+  const ports = new Set(services.map(s => s.port));
+  const osName = (os || '').toLowerCase();
+
+  if (ports.has(9100) || ports.has(515) || ports.has(631)) return 'printer';
+  if (/routeros|ios xe|junos|edgeos|openwrt/.test(osName)) return 'router';
+  if (/fortios|pan-os|pfsense|opnsense/.test(osName)) return 'firewall';
+  if (/android|ios \d|iphone/.test(osName)) return 'mobile';
+  if (ports.has(1883) || ports.has(5683)) return 'iot';
+  if (ports.has(53) && ports.has(23)) return 'router';
+  if (ports.has(3389) && !ports.has(1433) && !ports.has(80)) return 'workstation';
+  if (/windows (10|11|7)|macos|mac os/.test(osName)) return 'workstation';
+  if (services.length > 0) return 'server';
+  return 'unknown';
+}
+
+module.exports = {
+  WELL_KNOWN_PORTS,
+  serviceNameForPort,
+  inferDeviceType
+};
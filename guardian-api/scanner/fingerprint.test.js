@@ -0,0 +1,29 @@
+const { serviceNameForPort, inferDeviceType } = require('./fingerprint');
+
+describe('serviceNameForPort', () => {
+  test('names well-known ports', () => {
+    expect(serviceNameForPort(22)).toBe('SSH');
+    expect(serviceNameForPort(9100)).toBe('JetDirect');
+    expect(serviceNameForPort(31337)).toBe('unknown');
+  });
+});
+
+describe('inferDeviceType', () => {
+  const ports = (...list) => list.map(port => ({ port }));
+
+  test.each([
+    [ports(22, 9100), '', 'printer'],
+    [ports(22), 'RouterOS 7.1', 'router'],
+    [ports(443), 'FortiOS 7.2', 'firewall'],
+    [[], 'Android 14', 'mobile'],
+    [ports(1883), 'Linux', 'iot'],
+    [ports(23, 53), '', 'router'],
+    [ports(3389), '', 'workstation'],
+    [ports(3389, 1433), '', 'server'],
+    [[], 'Windows 11', 'workstation'],
+    [ports(22, 80), 'Ubuntu 22.04', 'server'],
+    [[], null, 'unknown']
+  ])('%j on %j is a %s', (services, os, type) => {
+    expect(inferDeviceType(services, os)).toBe(type);
+  });
+});
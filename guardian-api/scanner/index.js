@@ -0,0 +1,52 @@
+// Scanner driver registry
+//
+// A driver exports { name, description, probe(ip, options) } where probe
+// resolves to a partial host record ({ ip, hostname, mac, type, os, services,
+// vulnerabilities, responseTime, ttl, route }) or null when the address does
+// not respond. `ttl` is the reply TTL and `route` the traceroute hops to the
+// host, for topology inference; both are optional.
+
+const drivers = new Map();
+
+function registerDriver(driver) {
+  if (!driver || !driver.name || typeof driver.probe !== 'function') {
+    throw new Error('Scanner driver must have a name and a probe() function');
+  }
+  drivers.set(driver.name, driver);
+}
+
+registerDriver(require('./drivers/simulated'));
+registerDriver(require('./drivers/tcp'));
+registerDriver(require('./drivers/nmap'));
+
+// SCANNER_DRIVER wins; otherwise MOCK_SCANNER=false switches to real probing
+function defaultDriverName() {
+  if (process.env.SCANNER_DRIVER) {
+    return process.env.SCANNER_DRIVER;
+  }
+  return process.env.MOCK_SCANNER === 'false' ? 'tcp' : 'simulated';
+}
+
+function getDriver(requested) {
+  const driverName = requested || defaultDriverName();
+  const driver = drivers.get(driverName);
+  if (!driver) {
+    throw new Error(`Unknown scanner driver: ${driverName}`);
+  }
+  return driver;
+}
+
+function listDrivers() {
+  const current = defaultDriverName();
+  return Array.from(drivers.values()).map(driver => ({
+    name: driver.name,
+    description: driver.description,
+    default: driver.name === current
+  }));
+}
+
+module.exports = {
+  registerDriver,
+  getDriver,
+  listDrivers
+};
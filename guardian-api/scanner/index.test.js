@@ -0,0 +1,61 @@
+const { registerDriver, getDriver, listDrivers } = require('.');
+const simulated = require('./drivers/simulated');
+
+describe('driver registry', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  test('the built-in drivers are registered', () => {
+    expect(listDrivers().map(driver => driver.name)).toEqual(expect.arrayContaining(['simulated', 'tcp', 'nmap']));
+  });
+
+  test('SCANNER_DRIVER picks the default, then MOCK_SCANNER', () => {
+    delete process.env.SCANNER_DRIVER;
+    delete process.env.MOCK_SCANNER;
+    expect(getDriver().name).toBe('simulated');
+    process.env.MOCK_SCANNER = 'false';
+    expect(getDriver().name).toBe('tcp');
+    process.env.SCANNER_DRIVER = 'nmap';
+    expect(getDriver().name).toBe('nmap');
+    expect(listDrivers().filter(driver => driver.default).map(driver => driver.name)).toEqual(['nmap']);
+    expect(getDriver('simulated').name).toBe('simulated');
+  });
+
+  test('unknown and malformed drivers are refused', () => {
+    expect(() => getDriver('masscan')).toThrow('Unknown scanner driver: masscan');
+    expect(() => registerDriver({ name: 'broken' })).toThrow('Scanner driver must have a name and a probe() function');
+  });
+
+  test('registered drivers can be chosen by name', () => {
+    const driver = { name: 'fixture', description: 'Test driver', probe: async () => null };
+    registerDriver(driver);
+    expect(getDriver('fixture')).toBe(driver);
+  });
+});
+
+describe('simulated driver', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('the .1 of a /24 always answers as its router', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    const host = await simulated.probe('10.0.0.1');
+    expect(host).toMatchObject({ ip: '10.0.0.1', type: 'router', os: 'RouterOS', ttl: 255, hostname: 'host-1.local' });
+  });
+
+  test('a host keeps its MAC between scans', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.9);
+    const first = await simulated.probe('10.0.0.7');
+    const second = await simulated.probe('10.0.0.7');
+    expect(first.mac).toMatch(/^([0-9A-F]{2}:){5}[0-9A-F]{2}$/);
+    expect(second.mac).toBe(first.mac);
+    expect((await simulated.probe('10.0.0.8')).mac).not.toBe(first.mac);
+  });
+
+  test('most addresses are empty', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    expect(await simulated.probe('10.0.0.7')).toBeNull();
+  });
+});
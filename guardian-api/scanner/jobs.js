@@ -0,0 +1,171 @@
+// Scan job queue - assigns scan IDs up front, runs at most `maxConcurrent`
+// scans at a time, tracks progress/ETA and supports cancellation and timeouts.
+// `timeout` is in ms, or a function of (subnet, options) giving each scan its
+// own.
+//
+// Emits 'update' with a job snapshot whenever a job changes state or makes
+// progress.
+
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+const JOB_STATES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const TERMINAL_STATES = ['completed', 'failed', 'cancelled'];
+
+// Don't flood listeners with progress for every probed address
+const PROGRESS_INTERVAL = 1000;
+
+function createScanQueue({ run, maxConcurrent = 3, timeout = 300000, jobs = new Map() }) {
+  const queue = new EventEmitter();
+  const waiting = [];
+  let runningCount = 0;
+
+  function snapshot(job) {
+    return {
+      scanId: job.scanId,
+      subnet: job.subnet,
+      driver: job.driver,
+      scheduleId: job.scheduleId,
+      status: job.status,
+      progress: job.progress,
+      eta: job.eta,
+      scanned: job.scanned,
+      total: job.total,
+      hostsFound: job.hostsFound,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      error: job.error
+    };
+  }
+
+  function update(job, changes) {
+    Object.assign(job, changes);
+    queue.emit('update', snapshot(job));
+  }
+
+  function submit(subnet, options = {}) {
+    const job = {
+      scanId: uuidv4(),
+      subnet,
+      driver: options.driver,
+      scheduleId: options.scheduleId || null,
+      options,
+      status: 'queued',
+      progress: 0,
+      eta: null,
+      scanned: 0,
+      total: null,
+      hostsFound: 0,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      controller: new AbortController(),
+      lastProgressAt: 0
+    };
+
+    jobs.set(job.scanId, job);
+    waiting.push(job);
+    queue.emit('update', snapshot(job));
+    setImmediate(drain);
+
+    return snapshot(job);
+  }
+
+  function drain() {
+    while (runningCount < maxConcurrent && waiting.length > 0) {
+      start(waiting.shift());
+    }
+  }
+
+  function reportProgress(job, scanned, total, hostsFound) {
+    const now = Date.now();
+    const elapsed = now - new Date(job.startedAt).getTime();
+    const progress = total > 0 ? Math.floor((scanned / total) * 100) : 0;
+    const eta = scanned > 0 ? Math.round((elapsed / scanned) * (total - scanned)) : null;
+
+    Object.assign(job, { scanned, total, hostsFound });
+
+    if (now - job.lastProgressAt >= PROGRESS_INTERVAL || scanned === total) {
+      job.lastProgressAt = now;
+      update(job, { progress, eta });
+    }
+  }
+
+  async function start(job) {
+    runningCount++;
+    update(job, { status: 'running', startedAt: new Date().toISOString() });
+
+    const { signal } = job.controller;
+    const limit = typeof timeout === 'function' ? timeout(job.subnet, job.options) : timeout;
+    const timer = setTimeout(() => job.controller.abort('timeout'), limit);
+
+    try {
+      const result = await run(job.scanId, job.subnet, {
+        ...job.options,
+        signal,
+        reportProgress: (scanned, total, hostsFound) => reportProgress(job, scanned, total, hostsFound)
+      });
+      update(job, {
+        status: 'completed',
+        progress: 100,
+        eta: 0,
+        hostsFound: result ? result.hostsFound : job.hostsFound,
+        finishedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      Object.assign(job, {
+        progress: job.total ? Math.floor((job.scanned / job.total) * 100) : job.progress,
+        eta: null
+      });
+      if (signal.aborted && signal.reason === 'timeout') {
+        update(job, { status: 'failed', error: `Scan timed out after ${limit}ms`, finishedAt: new Date().toISOString() });
+      } else if (signal.aborted) {
+        update(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+      } else {
+        update(job, { status: 'failed', error: error.message, finishedAt: new Date().toISOString() });
+      }
+    } finally {
+      clearTimeout(timer);
+      runningCount--;
+      jobs.delete(job.scanId);
+      drain();
+    }
+  }
+
+  // Returns the job snapshot, or null when the scan is not queued or running
+  function cancel(scanId) {
+    const job = jobs.get(scanId);
+    if (!job) {
+      return null;
+    }
+
+    if (job.status === 'queued') {
+      waiting.splice(waiting.indexOf(job), 1);
+      jobs.delete(scanId);
+      update(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    } else {
+      job.controller.abort('cancelled');
+    }
+
+    return snapshot(job);
+  }
+
+  function get(scanId) {
+    const job = jobs.get(scanId);
+    return job ? snapshot(job) : null;
+  }
+
+  function list() {
+    return Array.from(jobs.values()).map(snapshot);
+  }
+
+  return Object.assign(queue, { submit, cancel, get, list });
+}
+
+module.exports = {
+  JOB_STATES,
+  TERMINAL_STATES,
+  createScanQueue
+};
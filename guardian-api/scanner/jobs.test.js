@@ -0,0 +1,53 @@
+const { createScanQueue } = require('./jobs');
+
+// A scan that runs until it is aborted
+function untilAborted(scanId, subnet, { signal }) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('stopped')), { once: true });
+  });
+}
+
+function finished(queue, scanId) {
+  return new Promise(resolve => {
+    queue.on('update', job => {
+      if (job.scanId === scanId && !['queued', 'running'].includes(job.status)) resolve(job);
+    });
+  });
+}
+
+describe('scan queue', () => {
+  test('completes a scan with its result', async () => {
+    const queue = createScanQueue({ run: async () => ({ hostsFound: 3 }) });
+    const job = queue.submit('10.0.0.0/24');
+    expect(job.status).toBe('queued');
+    await expect(finished(queue, job.scanId)).resolves.toMatchObject({ status: 'completed', progress: 100, hostsFound: 3 });
+    expect(queue.get(job.scanId)).toBeNull();
+  });
+
+  test('gives each scan the timeout the function returns for it', async () => {
+    const asked = [];
+    const queue = createScanQueue({
+      run: untilAborted,
+      timeout: (subnet, options) => {
+        asked.push([subnet, options.rate]);
+        return 50;
+      }
+    });
+    const job = queue.submit('10.0.0.0/16', { rate: 10 });
+    await expect(finished(queue, job.scanId)).resolves.toMatchObject({ status: 'failed', error: 'Scan timed out after 50ms' });
+    expect(asked).toEqual([['10.0.0.0/16', 10]]);
+  });
+
+  test('cancels running and queued scans', async () => {
+    const queue = createScanQueue({ run: untilAborted, maxConcurrent: 1, timeout: 10000 });
+    const running = queue.submit('10.0.0.0/24');
+    const queued = queue.submit('10.0.1.0/24');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(queue.cancel(queued.scanId)).toMatchObject({ status: 'cancelled' });
+    const done = finished(queue, running.scanId);
+    queue.cancel(running.scanId);
+    await expect(done).resolves.toMatchObject({ status: 'cancelled' });
+    expect(queue.cancel(running.scanId)).toBeNull();
+  });
+});
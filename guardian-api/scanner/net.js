@@ -0,0 +1,105 @@
+// Low-level network helpers shared by the real scanner drivers
+
+const net = require('net');
+const dns = require('dns');
+const fs = require('fs');
+const { execFile } = require('child_process');
+
+// Attempt a TCP connection. Resolves with { state, time } where state is
+// 'open', 'closed' (refused - the host is up) or 'filtered' (no answer).
+function tcpConnect(ip, port, timeout = 1000) {
+  return new Promise(resolve => {
+    const started = Date.now();
+    const socket = new net.Socket();
+    let settled = false;
+
+    const finish = (state) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      resolve({ state, time: Date.now() - started });
+    };
+
+    socket.setTimeout(timeout);
+    socket.once('connect', () => finish('open'));
+    socket.once('timeout', () => finish('filtered'));
+    socket.once('error', (error) => finish(error.code === 'ECONNREFUSED' ? 'closed' : 'filtered'));
+    socket.connect(port, ip);
+  });
+}
+
+async function reverseLookup(ip) {
+  try {
+    const names = await dns.promises.reverse(ip);
+    return names[0] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Read the kernel ARP cache (Linux only) to resolve MAC addresses on the local segment
+function lookupMac(ip) {
+  try {
+    const table = fs.readFileSync('/proc/net/arp', 'utf8');
+    const line = table.split('\n').find(row => row.split(/\s+/)[0] === ip);
+    if (!line) return null;
+    const mac = line.split(/\s+/)[3];
+    return mac && mac !== '00:00:00:00:00:00' ? mac.toUpperCase() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The scanner's own default gateway from the kernel routing table (Linux
+// only), or null
+function defaultGateway() {
+  try {
+    const rows = fs.readFileSync('/proc/net/route', 'utf8').trim().split('\n').slice(1);
+    const route = rows.map(row => row.trim().split(/\s+/)).find(fields => fields[1] === '00000000' && fields[2] !== '00000000');
+    if (!route) return null;
+    // Little-endian hex
+    const value = parseInt(route[2], 16);
+    return [value & 255, (value >>> 8) & 255, (value >>> 16) & 255, value >>> 24].join('.');
+  } catch (error) {
+    return null;
+  }
+}
+
+// The reply TTL from ping output, or null
+function replyTtl(output) {
+  const match = String(output || '').match(/ttl[=:\s]+(\d+)/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Routers between us and `ip` using the system traceroute, one probe per
+// hop. Hops that did not answer are null; resolves with null when traceroute
+// is not available.
+function traceroute(ip, { maxHops = 16, timeout = 1000 } = {}) {
+  const wait = Math.max(1, Math.ceil(timeout / 1000));
+  const args = ['-n', '-q', '1', '-w', String(wait), '-m', String(maxHops), ip];
+  return new Promise(resolve => {
+    execFile('traceroute', args, { timeout: (maxHops + 1) * wait * 1000 }, (error, stdout) => {
+      if (error && !stdout) {
+        return resolve(null);
+      }
+      const hops = String(stdout).split('\n').slice(1)
+        .map(line => line.match(/^\s*\d+\s+(\S+)/))
+        .filter(Boolean)
+        .map(match => (net.isIPv4(match[1]) ? match[1] : null));
+      // The last hop is the target itself
+      if (hops[hops.length - 1] === ip) {
+        hops.pop();
+      }
+      resolve(hops);
+    });
+  });
+}
+
+module.exports = {
+  tcpConnect,
+  reverseLookup,
+  lookupMac,
+  defaultGateway,
+  replyTtl,
+  traceroute
+};
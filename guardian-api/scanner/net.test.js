@@ -0,0 +1,41 @@
+const net = require('net');
+const { tcpConnect, replyTtl } = require('./net');
+
+describe('replyTtl', () => {
+  test.each([
+    ['64 bytes from 10.0.0.1: icmp_seq=1 ttl=63 time=0.41 ms', 63],
+    ['Reply from 10.0.0.1: bytes=32 time<1ms TTL=128', 128],
+    ['Request timed out.', null],
+    [undefined, null]
+  ])('reads %j', (output, ttl) => {
+    expect(replyTtl(output)).toBe(ttl);
+  });
+});
+
+describe('tcpConnect', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    server = net.createServer(socket => socket.end());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('a listening port is open', async () => {
+    await expect(tcpConnect('127.0.0.1', port)).resolves.toMatchObject({ state: 'open', time: expect.any(Number) });
+  });
+
+  test('a refused connection means the host is up but the port closed', async () => {
+    const closed = net.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const unused = closed.address().port;
+    await new Promise(resolve => closed.close(resolve));
+
+    await expect(tcpConnect('127.0.0.1', unused)).resolves.toMatchObject({ state: 'closed' });
+  });
+});
@@ -0,0 +1,46 @@
+const { TOP_100, TOP_1000, parsePortSpec } = require('./ports');
+
+describe('parsePortSpec', () => {
+  test('expands lists and ranges, dropping duplicates', () => {
+    expect(parsePortSpec('22, 80,8000-8003,80')).toEqual([22, 80, 8000, 8001, 8002, 8003]);
+  });
+
+  test('accepts an array of ports', () => {
+    expect(parsePortSpec([443, '8443', 443])).toEqual([443, 8443]);
+  });
+
+  test('returns a copy of a profile', () => {
+    const ports = parsePortSpec('top-100');
+    expect(ports).toEqual(TOP_100);
+    ports.pop();
+    expect(TOP_100).toHaveLength(100);
+  });
+
+  test.each(['0-10', '1-65536', '100-10', '4294967295-4294967295'])('rejects the range %s before expanding it', (spec) => {
+    expect(() => parsePortSpec(spec)).toThrow(`Invalid port range: ${spec}`);
+  });
+
+  test.each([
+    ['0', 'Invalid port: 0'],
+    ['65536', 'Invalid port: 65536'],
+    ['ssh', 'Invalid port specification: ssh'],
+    ['', 'Port specification is empty'],
+    [[], 'Port specification is empty']
+  ])('rejects %j', (spec, message) => {
+    expect(() => parsePortSpec(spec)).toThrow(message);
+  });
+});
+
+describe('profiles', () => {
+  test('top-1000 is 1000 distinct ports starting with the top 100', () => {
+    expect(TOP_1000).toHaveLength(1000);
+    expect(new Set(TOP_1000).size).toBe(1000);
+    expect(TOP_1000.slice(0, 100)).toEqual(TOP_100);
+  });
+
+  test('top-1000 is nmap\'s set, not a run of low ports', () => {
+    expect(TOP_1000).toEqual(expect.arrayContaining([1, 3389, 5432, 8080, 31337, 49152, 65389]));
+    expect(TOP_1000).not.toContain(2);
+    expect(TOP_1000).not.toContain(1015);
+  });
+});
@@ -0,0 +1,218 @@
+// Service discovery stage - TCP connect port scanning with banner grabbing
+
+const net = require('net');
+const tls = require('tls');
+const { tcpConnect } = require('./net');
+const { parsePortSpec } = require('./ports');
+const { serviceNameForPort } = require('./fingerprint');
+const { sshAuthMethods } = require('./ssh');
+
+const TLS_PORTS = new Set([443, 465, 636, 993, 995, 4443, 8443, 9443]);
+const HTTP_PORTS = new Set([80, 81, 443, 591, 3000, 5000, 8000, 8008, 8080, 8081, 8088, 8443, 8888, 9000, 9080, 9443]);
+
+const DEFAULTS = {
+  ports: process.env.SCAN_PORTS || 'top-100',
+  concurrency: parseInt(process.env.SCAN_PORT_CONCURRENCY) || 100,
+  timeout: parseInt(process.env.SCAN_PORT_TIMEOUT) || 1000,
+  bannerTimeout: parseInt(process.env.SCAN_BANNER_TIMEOUT) || 2000
+};
+
+// Run async work over items with at most `limit` in flight
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+// Connect and collect whatever the service sends. Server-first protocols
+// (SSH, SMTP, FTP, MySQL...) greet us; for the rest an HTTP probe is sent
+// once the socket has been idle for a short while.
+function grabBanner(ip, port, options = {}) {
+  const timeout = options.bannerTimeout || DEFAULTS.bannerTimeout;
+  const useTls = options.tls !== undefined ? options.tls : TLS_PORTS.has(port);
+
+  return new Promise(resolve => {
+    const chunks = [];
+    let received = 0;
+    let probed = false;
+    let settled = false;
+    let idleTimer = null;
+    let hardTimer = null;
+
+    const socket = useTls
+      ? tls.connect({ host: ip, port, rejectUnauthorized: false, servername: net.isIP(ip) ? undefined : ip })
+      : net.connect({ host: ip, port });
+
+    const finish = () => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(idleTimer);
+      clearTimeout(hardTimer);
+      socket.destroy();
+      resolve(Buffer.concat(chunks));
+    };
+
+    const sendProbe = () => {
+      if (probed || settled) return;
+      probed = true;
+      socket.write(`HEAD / HTTP/1.0\r\nHost: ${ip}\r\nUser-Agent: Guardian-Scanner\r\n\r\n`);
+    };
+
+    hardTimer = setTimeout(finish, timeout);
+
+    socket.once(useTls ? 'secureConnect' : 'connect', () => {
+      if (HTTP_PORTS.has(port)) {
+        sendProbe();
+      } else {
+        idleTimer = setTimeout(sendProbe, Math.min(500, timeout / 2));
+      }
+    });
+
+    socket.on('data', (chunk) => {
+      clearTimeout(idleTimer);
+      chunks.push(chunk);
+      received += chunk.length;
+      // A single greeting or header block is all we need
+      if (received >= 4096 || /\r?\n\r?\n/.test(Buffer.concat(chunks).toString('latin1'))) {
+        finish();
+      } else {
+        idleTimer = setTimeout(finish, 300);
+      }
+    });
+
+    socket.once('end', finish);
+    socket.once('close', finish);
+    socket.once('error', finish);
+  });
+}
+
+function firstLine(text) {
+  return text.split(/\r?\n/)[0].replace(/[^\x20-\x7e]/g, '').trim();
+}
+
+// Turn raw banner bytes into { name, version }
+function parseBanner(buffer, port, options = {}) {
+  const secure = options.tls !== undefined ? options.tls : TLS_PORTS.has(port);
+  const text = buffer.toString('latin1');
+  const line = firstLine(text);
+
+  if (buffer.length === 0) {
+    return { name: serviceNameForPort(port), version: null };
+  }
+
+  // SSH-2.0-OpenSSH_8.9p1 Ubuntu-3ubuntu0.1
+  const ssh = line.match(/^SSH-([\d.]+)-(\S+)(?:\s+(.*))?$/);
+  if (ssh) {
+    const software = ssh[2].replace(/_/g, ' ');
+    return { name: 'SSH', version: ssh[3] ? `${software} ${ssh[3]}` : software };
+  }
+
+  // HTTP response - report the Server header
+  if (/^HTTP\/\d/.test(line)) {
+    const server = text.match(/^server:\s*(.+)$/im);
+    const powered = text.match(/^x-powered-by:\s*(.+)$/im);
+    return {
+      name: secure ? 'HTTPS' : 'HTTP',
+      version: server ? server[1].trim() : (powered ? powered[1].trim() : null)
+    };
+  }
+
+  // MySQL initial handshake: 3-byte length, sequence id, protocol 10, NUL-terminated version
+  if (buffer.length > 5 && buffer[3] === 0 && buffer[4] === 0x0a) {
+    const end = buffer.indexOf(0, 5);
+    if (end > 5) {
+      const version = buffer.slice(5, end).toString('latin1');
+      return { name: /mariadb/i.test(version) ? 'MariaDB' : 'MySQL', version };
+    }
+  }
+  // MySQL error packet (e.g. "Host is not allowed to connect")
+  if (buffer.length > 7 && buffer[4] === 0xff && /mysql|mariadb/i.test(text)) {
+    return { name: 'MySQL', version: null };
+  }
+
+  // 220 greetings: SMTP or FTP
+  const greeting = line.match(/^220[ -](.*)$/);
+  if (greeting) {
+    const isFtp = port === 21 || port === 2121 || /ftp/i.test(greeting[1]);
+    const detail = greeting[1].replace(/^\S+\s+(?=E?SMTP)/i, '').replace(/^\((.*)\)$/, '$1').trim();
+    return { name: isFtp ? 'FTP' : 'SMTP', version: detail || null };
+  }
+
+  if (/^\+OK/.test(line)) {
+    return { name: 'POP3', version: line.replace(/^\+OK\s*/, '') || null };
+  }
+  if (/^\* OK/.test(line)) {
+    return { name: 'IMAP', version: line.replace(/^\* OK\s*(\[[^\]]*\]\s*)?/, '') || null };
+  }
+  if (/^RFB \d{3}\.\d{3}/.test(line)) {
+    return { name: 'VNC', version: line.replace(/^RFB\s*/, 'RFB ') };
+  }
+  if (/^-ERR|^\+PONG|redis/i.test(line)) {
+    return { name: 'Redis', version: null };
+  }
+
+  const fallback = serviceNameForPort(port);
+  return { name: fallback, version: line ? line.slice(0, 80) : null };
+}
+
+async function identifyService(ip, port, options = {}) {
+  const banner = await grabBanner(ip, port, options);
+  const { name, version } = parseBanner(banner, port, options);
+  const service = {
+    port,
+    name,
+    version,
+    state: 'open',
+    banner: firstLine(banner.toString('latin1')).slice(0, 200) || null
+  };
+
+  // Which logins the server offers, for policies such as "no password auth"
+  if (name === 'SSH') {
+    service.authMethods = await sshAuthMethods(ip, port, options.bannerTimeout || DEFAULTS.bannerTimeout);
+  }
+
+  return service;
+}
+
+// Scan a host's ports and fingerprint the open ones. Resolves with the
+// services in host.services shape plus whether the host answered at all.
+async function discoverServices(ip, options = {}) {
+  const ports = parsePortSpec(options.ports || DEFAULTS.ports);
+  const concurrency = options.portConcurrency || DEFAULTS.concurrency;
+  const timeout = options.portTimeout || DEFAULTS.timeout;
+
+  const results = await mapWithConcurrency(ports, concurrency, port => tcpConnect(ip, port, timeout));
+
+  const openPorts = ports.filter((port, idx) => results[idx].state === 'open');
+  const responded = results.filter(result => result.state !== 'filtered');
+  const responseTime = responded.length ? Math.min(...responded.map(result => result.time)) : null;
+
+  const services = options.banners === false
+    ? openPorts.map(port => ({ port, name: serviceNameForPort(port), version: null, state: 'open' }))
+    : await mapWithConcurrency(openPorts, Math.min(concurrency, 10), port => identifyService(ip, port, options));
+
+  return {
+    alive: responded.length > 0,
+    responseTime,
+    portsScanned: ports.length,
+    services: services.sort((a, b) => a.port - b.port)
+  };
+}
+
+module.exports = {
+  DEFAULTS,
+  mapWithConcurrency,
+  grabBanner,
+  parseBanner,
+  identifyService,
+  discoverServices
+};
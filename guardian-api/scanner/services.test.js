@@ -0,0 +1,104 @@
+const net = require('net');
+const { discoverServices, parseBanner } = require('./services');
+const tcp = require('./drivers/tcp');
+
+// A local listener that plays one service; `greet` runs on connect and
+// `reply` on the first data the scanner sends
+function listen({ greet, reply }) {
+  const sockets = new Set();
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    if (greet) greet(socket);
+    if (reply) socket.once('data', () => reply(socket));
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      port: server.address().port,
+      close: () => new Promise(done => {
+        sockets.forEach(socket => socket.destroy());
+        server.close(done);
+      })
+    }));
+  });
+}
+
+function mysqlHandshake(version) {
+  const payload = Buffer.concat([Buffer.from([0x0a]), Buffer.from(`${version}\0`, 'latin1'), Buffer.alloc(20)]);
+  const header = Buffer.from([payload.length & 0xff, (payload.length >> 8) & 0xff, 0, 0]);
+  return Buffer.concat([header, payload]);
+}
+
+async function closedPort() {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+const OPTIONS = { portTimeout: 500, bannerTimeout: 1000 };
+
+describe('service discovery against local listeners', () => {
+  let listeners;
+
+  beforeAll(async () => {
+    listeners = {
+      ssh: await listen({ greet: socket => socket.write('SSH-2.0-OpenSSH_8.9p1 Ubuntu-3ubuntu0.6\r\n') }),
+      http: await listen({ reply: socket => socket.end('HTTP/1.1 200 OK\r\nServer: nginx/1.24.0\r\nContent-Length: 0\r\n\r\n') }),
+      smtp: await listen({ greet: socket => socket.write('220 mail.example.com ESMTP Postfix\r\n') }),
+      mysql: await listen({ greet: socket => socket.write(mysqlHandshake('8.0.36')) })
+    };
+  });
+
+  afterAll(async () => {
+    await Promise.all(Object.values(listeners).map(listener => listener.close()));
+  });
+
+  test('the tcp driver fills host.services from what each socket returns', async () => {
+    const closed = await closedPort();
+    const { ssh, http, smtp, mysql } = listeners;
+    const host = await tcp.probe('127.0.0.1', { ...OPTIONS, ports: [ssh.port, http.port, smtp.port, mysql.port, closed] });
+
+    expect(host).not.toBeNull();
+    const byPort = Object.fromEntries(host.services.map(service => [service.port, service]));
+    expect(Object.keys(byPort).map(Number).sort()).toEqual([ssh.port, http.port, smtp.port, mysql.port].sort());
+    expect(byPort[ssh.port]).toMatchObject({ name: 'SSH', version: 'OpenSSH 8.9p1 Ubuntu-3ubuntu0.6', state: 'open' });
+    expect(byPort[http.port]).toMatchObject({ name: 'HTTP', version: 'nginx/1.24.0', state: 'open' });
+    expect(byPort[smtp.port]).toMatchObject({ name: 'SMTP', version: 'ESMTP Postfix', state: 'open' });
+    expect(byPort[mysql.port]).toMatchObject({ name: 'MySQL', version: '8.0.36', state: 'open' });
+  }, 20000);
+
+  test('banners can be skipped', async () => {
+    const result = await discoverServices('127.0.0.1', { ...OPTIONS, ports: [listeners.smtp.port], banners: false });
+    expect(result.alive).toBe(true);
+    expect(result.portsScanned).toBe(1);
+    expect(result.services).toEqual([{ port: listeners.smtp.port, name: expect.any(String), version: null, state: 'open' }]);
+  });
+
+  test('a host with nothing listening has no services', async () => {
+    const result = await discoverServices('127.0.0.1', { ...OPTIONS, ports: [await closedPort()] });
+    expect(result.services).toEqual([]);
+  });
+});
+
+describe('parseBanner', () => {
+  test.each([
+    ['220 (vsFTPd 3.0.5)\r\n', 21, { name: 'FTP', version: 'vsFTPd 3.0.5' }],
+    ['+OK Dovecot ready.\r\n', 110, { name: 'POP3', version: 'Dovecot ready.' }],
+    ['* OK [CAPABILITY IMAP4rev1] Dovecot ready.\r\n', 143, { name: 'IMAP', version: 'Dovecot ready.' }],
+    ['RFB 003.008\n', 5900, { name: 'VNC', version: 'RFB 003.008' }],
+    ['HTTP/1.1 200 OK\r\nX-Powered-By: Express\r\n\r\n', 8443, { name: 'HTTPS', version: 'Express' }]
+  ])('%j on port %i', (banner, port, expected) => {
+    expect(parseBanner(Buffer.from(banner, 'latin1'), port)).toEqual(expected);
+  });
+
+  test('MariaDB is told apart from MySQL', () => {
+    expect(parseBanner(mysqlHandshake('10.11.6-MariaDB-0+deb12u1'), 3306)).toEqual({ name: 'MariaDB', version: '10.11.6-MariaDB-0+deb12u1' });
+  });
+
+  test('a silent service is named after its port', () => {
+    expect(parseBanner(Buffer.alloc(0), 22)).toEqual({ name: expect.any(String), version: null });
+  });
+});
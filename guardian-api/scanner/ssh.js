@@ -0,0 +1,52 @@
+// SSH authentication method discovery - asks the server which methods it
+// offers by attempting the "none" method, which every server rejects with
+// the list of methods that may continue. No credentials are ever sent.
+
+const { Client } = require('ssh2');
+
+const PROBE_USER = 'guardian-scanner';
+
+function sshAuthMethods(ip, port, timeout = 5000) {
+  return new Promise(resolve => {
+    const client = new Client();
+    let methods = null;
+    let settled = false;
+
+    const finish = () => {
+      if (settled) return;
+      settled = true;
+      client.end();
+      resolve(methods);
+    };
+
+    client.on('error', finish);
+    client.on('close', finish);
+    // "none" accepted - the server lets anyone in without authenticating
+    client.on('ready', () => {
+      methods = ['none'];
+      finish();
+    });
+
+    try {
+      client.connect({
+        host: ip,
+        port,
+        username: PROBE_USER,
+        readyTimeout: timeout,
+        authHandler: (methodsLeft, partialSuccess, next) => {
+          if (methodsLeft === null) {
+            return next({ type: 'none', username: PROBE_USER });
+          }
+          methods = [...methodsLeft].sort();
+          return next(false);
+        }
+      });
+    } catch (error) {
+      finish();
+    }
+  });
+}
+
+module.exports = {
+  sshAuthMethods
+};
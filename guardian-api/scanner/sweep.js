@@ -0,0 +1,70 @@
+// Address sweep - probes a stream of addresses with at most `concurrency`
+// probes in flight and no more than `rate` probes started per second (0 for
+// no limit). Addresses are pulled from the iterator as workers free up, so
+// the whole range is never held in memory.
+
+const DEFAULTS = {
+  concurrency: parseInt(process.env.SCAN_CONCURRENCY) || 32,
+  rate: process.env.SCAN_RATE === undefined ? 100 : parseInt(process.env.SCAN_RATE) || 0
+};
+
+// Resolves after `ms`, or straight away once `signal` aborts
+function pause(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', done);
+      resolve();
+    }
+    if (signal) signal.addEventListener('abort', done, { once: true });
+  });
+}
+
+// Resolves once every address has been probed or `signal` aborts, to the
+// number of probes that threw. Each failure is passed to onError(error,
+// address) and the sweep carries on; one bad address is not a failed scan.
+async function sweep(addresses, probe, { concurrency, rate, signal, onError = () => {} } = {}) {
+  const limit = Math.max(1, concurrency || DEFAULTS.concurrency);
+  const perSecond = rate === undefined || rate === null ? DEFAULTS.rate : rate;
+  const interval = perSecond > 0 ? 1000 / perSecond : 0;
+  const iterator = addresses[Symbol.iterator]();
+  let nextSlot = Date.now();
+  let failed = 0;
+
+  // Each probe claims the next start slot, so the rate holds across workers
+  async function throttle() {
+    if (!interval) return;
+    const now = Date.now();
+    const wait = nextSlot - now;
+    nextSlot = Math.max(now, nextSlot) + interval;
+    if (wait > 0) {
+      await pause(wait, signal);
+    }
+  }
+
+  const runners = Array.from({ length: limit }, async () => {
+    while (!(signal && signal.aborted)) {
+      const { value, done } = iterator.next();
+      if (done) return;
+      await throttle();
+      if (signal && signal.aborted) return;
+      try {
+        await probe(value);
+      } catch (error) {
+        // Probes cut short by the abort have not failed
+        if (signal && signal.aborted) return;
+        failed++;
+        onError(error, value);
+      }
+    }
+  });
+
+  await Promise.all(runners);
+  return failed;
+}
+
+module.exports = {
+  DEFAULTS,
+  sweep
+};
@@ -0,0 +1,95 @@
+const { sweep } = require('./sweep');
+
+function range(count) {
+  return Array.from({ length: count }, (_, index) => `10.0.0.${index + 1}`);
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('sweep', () => {
+  test('probes every address with at most `concurrency` in flight', async () => {
+    const probed = [];
+    let inFlight = 0;
+    let peak = 0;
+    await sweep(range(20), async (ip) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await wait(5);
+      probed.push(ip);
+      inFlight--;
+    }, { concurrency: 4, rate: 0 });
+
+    expect(probed.sort()).toEqual(range(20).sort());
+    expect(peak).toBe(4);
+  });
+
+  test('pulls addresses from the iterator as workers free up', async () => {
+    let pulled = 0;
+    function* lazy() {
+      for (let index = 1; index <= 1000000; index++) {
+        pulled++;
+        yield `10.0.0.${index}`;
+      }
+    }
+    const controller = new AbortController();
+    let probed = 0;
+    await sweep(lazy(), async () => {
+      if (++probed === 10) controller.abort();
+    }, { concurrency: 2, rate: 0, signal: controller.signal });
+
+    expect(pulled).toBeLessThan(20);
+  });
+
+  test('starts no more than `rate` probes a second', async () => {
+    const started = [];
+    await sweep(range(5), async () => {
+      started.push(Date.now());
+    }, { concurrency: 5, rate: 50 });
+
+    // Five probes at 50/s are spread over at least 80ms
+    expect(started[4] - started[0]).toBeGreaterThanOrEqual(75);
+  });
+
+  test('stops starting probes once the signal aborts', async () => {
+    const controller = new AbortController();
+    const probed = [];
+    const done = sweep(range(100), async (ip) => {
+      probed.push(ip);
+    }, { concurrency: 2, rate: 20, signal: controller.signal });
+
+    await wait(120);
+    controller.abort();
+    await done;
+    const count = probed.length;
+    expect(count).toBeGreaterThan(0);
+    expect(count).toBeLessThan(100);
+    await wait(120);
+    expect(probed).toHaveLength(count);
+  });
+
+  test('a failed probe is reported and the sweep carries on', async () => {
+    const probed = [];
+    const errors = [];
+    const failed = await sweep(range(10), async (ip) => {
+      probed.push(ip);
+      if (ip === '10.0.0.3' || ip === '10.0.0.7') throw new Error(`no route to ${ip}`);
+    }, { concurrency: 2, rate: 0, onError: (error, ip) => errors.push([ip, error.message]) });
+
+    expect(failed).toBe(2);
+    expect(probed.sort()).toEqual(range(10).sort());
+    expect(errors.sort()).toEqual([['10.0.0.3', 'no route to 10.0.0.3'], ['10.0.0.7', 'no route to 10.0.0.7']]);
+  });
+
+  test('probes cut short by the abort are not failures', async () => {
+    const controller = new AbortController();
+    const errors = [];
+    const done = sweep(range(4), () => new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => reject(new Error('cancelled')), { once: true });
+    }), { concurrency: 4, rate: 0, signal: controller.signal, onError: error => errors.push(error) });
+
+    await wait(10);
+    controller.abort();
+    await expect(done).resolves.toBe(0);
+    expect(errors).toEqual([]);
+  });
+});
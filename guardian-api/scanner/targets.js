@@ -0,0 +1,187 @@
+// Scan targets - CIDR blocks, address ranges and single addresses, minus
+// exclusions
+//
+// A target list is a comma separated string or an array of entries:
+//   10.0.0.0/16          every host address (network and broadcast skipped)
+//   10.0.0.10-10.0.0.50  an inclusive range
+//   10.0.0.10-50         a range within the last octet
+//   10.0.0.7             a single address
+// Targets are kept as sorted, non-overlapping ranges of 32-bit addresses and
+// addresses are generated lazily, so a /8 costs no more memory than a /24.
+
+const MAX_ADDRESSES = parseInt(process.env.SCAN_MAX_ADDRESSES) || 1048576;
+
+const IP_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+function ipToInt(ip) {
+  const match = String(ip).match(IP_PATTERN);
+  if (!match) return null;
+  const octets = match.slice(1).map(Number);
+  if (octets.some(octet => octet > 255)) return null;
+  return ((octets[0] << 24) >>> 0) + (octets[1] << 16) + (octets[2] << 8) + octets[3];
+}
+
+function intToIp(value) {
+  return [value >>> 24, (value >>> 16) & 255, (value >>> 8) & 255, value & 255].join('.');
+}
+
+function splitList(list) {
+  const items = Array.isArray(list) ? list : String(list || '').split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+// One entry as { start, end, entry } with `entry` in canonical form. With
+// `hostsOnly`, a CIDR block of /30 or larger leaves out its network and
+// broadcast addresses.
+function parseEntry(entry, { hostsOnly = true } = {}) {
+  const invalid = () => new Error(`Invalid scan target: ${entry}`);
+
+  const cidr = entry.match(/^([\d.]+)\/(\d{1,2})$/);
+  if (cidr) {
+    const base = ipToInt(cidr[1]);
+    const bits = Number(cidr[2]);
+    if (base === null || bits > 32) throw invalid();
+    const size = 2 ** (32 - bits);
+    const start = base - (base % size);
+    const end = start + size - 1;
+    const skip = hostsOnly && bits < 31 ? 1 : 0;
+    return { start: start + skip, end: end - skip, entry: `${intToIp(start)}/${bits}` };
+  }
+
+  const range = entry.match(/^([\d.]+)\s*-\s*([\d.]+)$/);
+  if (range) {
+    const start = ipToInt(range[1]);
+    let end = ipToInt(range[2]);
+    if (start !== null && end === null && /^\d{1,3}$/.test(range[2]) && Number(range[2]) <= 255) {
+      end = start - (start & 255) + Number(range[2]);
+    }
+    if (start === null || end === null || end < start) throw invalid();
+    return { start, end, entry: `${intToIp(start)}-${intToIp(end)}` };
+  }
+
+  const address = ipToInt(entry);
+  if (address === null) throw invalid();
+  return { start: address, end: address, entry: intToIp(address) };
+}
+
+function mergeRanges(ranges) {
+  const merged = [];
+  [...ranges].sort((a, b) => a.start - b.start).forEach(({ start, end }) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = Math.max(last.end, end);
+    } else {
+      merged.push({ start, end });
+    }
+  });
+  return merged;
+}
+
+// Both lists sorted and merged
+function subtractRanges(ranges, removed) {
+  const result = [];
+  for (const range of ranges) {
+    let start = range.start;
+    for (const cut of removed) {
+      if (cut.end < start || cut.start > range.end) continue;
+      if (cut.start > start) {
+        result.push({ start, end: cut.start - 1 });
+      }
+      start = cut.end + 1;
+      if (start > range.end) break;
+    }
+    if (start <= range.end) {
+      result.push({ start, end: range.end });
+    }
+  }
+  return result;
+}
+
+function countAddresses(ranges) {
+  return ranges.reduce((sum, { start, end }) => sum + end - start + 1, 0);
+}
+
+// Merged ranges covering the whole of every entry, for scope checks
+function addressRanges(list) {
+  return mergeRanges(splitList(list).map(entry => parseEntry(entry, { hostsOnly: false })));
+}
+
+// Throws on an invalid entry, an empty result or more than SCAN_MAX_ADDRESSES
+// addresses, rather than scanning part of what was asked for
+function parseTargets(include, exclude = []) {
+  const includeEntries = splitList(include).map(entry => parseEntry(entry));
+  if (includeEntries.length === 0) {
+    throw new Error('At least one scan target is required');
+  }
+  const excludeEntries = splitList(exclude).map(entry => parseEntry(entry, { hostsOnly: false }));
+
+  const ranges = subtractRanges(mergeRanges(includeEntries), mergeRanges(excludeEntries));
+  const count = countAddresses(ranges);
+  if (count === 0) {
+    throw new Error('The exclusions leave no addresses to scan');
+  }
+  if (count > MAX_ADDRESSES) {
+    throw new Error(`Scan covers ${count} addresses; the limit is ${MAX_ADDRESSES} (SCAN_MAX_ADDRESSES)`);
+  }
+
+  return {
+    include: includeEntries.map(item => item.entry),
+    exclude: excludeEntries.map(item => item.entry),
+    ranges,
+    count
+  };
+}
+
+// The canonical form of a target list, used to group scans of the same targets
+function formatTargets(list) {
+  return splitList(list).map(entry => parseEntry(entry).entry).join(', ');
+}
+
+function* addresses(ranges) {
+  for (const { start, end } of ranges) {
+    for (let value = start; value <= end; value++) {
+      yield intToIp(value);
+    }
+  }
+}
+
+function contains(ranges, ip) {
+  const value = ipToInt(ip);
+  if (value === null) return false;
+  let low = 0;
+  let high = ranges.length - 1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (value < ranges[middle].start) {
+      high = middle - 1;
+    } else if (value > ranges[middle].end) {
+      low = middle + 1;
+    } else {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Whether every address in `inner` is also in `outer`
+function covers(outer, inner) {
+  return subtractRanges(inner, outer).length === 0;
+}
+
+// Whether any address is in both `a` and `b`
+function overlaps(a, b) {
+  return a.some(range => b.some(other => range.start <= other.end && other.start <= range.end));
+}
+
+module.exports = {
+  MAX_ADDRESSES,
+  ipToInt,
+  intToIp,
+  addressRanges,
+  parseTargets,
+  formatTargets,
+  addresses,
+  contains,
+  covers,
+  overlaps
+};
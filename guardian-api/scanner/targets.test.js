@@ -0,0 +1,92 @@
+const { parseTargets, formatTargets, addresses, addressRanges, contains, covers, overlaps, ipToInt } = require('./targets');
+
+const list = (targets) => Array.from(addresses(targets.ranges));
+
+describe('parseTargets', () => {
+  test('a CIDR block leaves out its network and broadcast addresses', () => {
+    const targets = parseTargets('192.168.1.0/29');
+    expect(targets.include).toEqual(['192.168.1.0/29']);
+    expect(targets.count).toBe(6);
+    expect(list(targets)).toEqual(['192.168.1.1', '192.168.1.2', '192.168.1.3', '192.168.1.4', '192.168.1.5', '192.168.1.6']);
+  });
+
+  test('/31 and /32 blocks are scanned whole', () => {
+    expect(parseTargets('10.0.0.4/31').count).toBe(2);
+    expect(list(parseTargets('10.0.0.4/32'))).toEqual(['10.0.0.4']);
+  });
+
+  test('a CIDR block is aligned to its prefix', () => {
+    expect(parseTargets('10.1.2.77/24').include).toEqual(['10.1.2.0/24']);
+  });
+
+  test('ranges, short ranges and single addresses', () => {
+    const targets = parseTargets(['10.0.0.250-10.0.1.2', '10.0.2.10-12', '10.0.3.7']);
+    expect(targets.include).toEqual(['10.0.0.250-10.0.1.2', '10.0.2.10-10.0.2.12', '10.0.3.7']);
+    expect(targets.count).toBe(13);
+  });
+
+  test('overlapping entries are only scanned once, in address order', () => {
+    const targets = parseTargets('10.0.0.5-10.0.0.9, 10.0.0.1-6, 10.0.0.9');
+    expect(list(targets)).toEqual(['10.0.0.1', '10.0.0.2', '10.0.0.3', '10.0.0.4', '10.0.0.5', '10.0.0.6', '10.0.0.7', '10.0.0.8', '10.0.0.9']);
+  });
+
+  test('exclusions are cut out of the ranges', () => {
+    const targets = parseTargets('10.0.0.0/24', '10.0.0.0/25, 10.0.0.200-10.0.0.254');
+    expect(targets.exclude).toEqual(['10.0.0.0/25', '10.0.0.200-10.0.0.254']);
+    expect(targets.ranges).toEqual([{ start: ipToInt('10.0.0.128'), end: ipToInt('10.0.0.199') }]);
+    expect(targets.count).toBe(72);
+  });
+
+  test('a /8 is counted without listing its addresses', () => {
+    const targets = parseTargets('10.0.0.0/8', '10.16.0.0/12, 10.32.0.0/11, 10.64.0.0/10, 10.128.0.0/9');
+    expect(targets.ranges).toEqual([{ start: ipToInt('10.0.0.1'), end: ipToInt('10.15.255.255') }]);
+    expect(targets.count).toBe(2 ** 20 - 1);
+  });
+
+  test.each([
+    ['', 'At least one scan target is required'],
+    ['10.0.0.256', 'Invalid scan target: 10.0.0.256'],
+    ['10.0.0.0/33', 'Invalid scan target: 10.0.0.0/33'],
+    ['10.0.0.9-10.0.0.1', 'Invalid scan target: 10.0.0.9-10.0.0.1'],
+    ['10.0.0.1-300', 'Invalid scan target: 10.0.0.1-300'],
+    ['example.com', 'Invalid scan target: example.com']
+  ])('rejects %j', (include, message) => {
+    expect(() => parseTargets(include)).toThrow(message);
+  });
+
+  test('rejects exclusions that leave nothing to scan', () => {
+    expect(() => parseTargets('10.0.0.0/30', '10.0.0.0/24')).toThrow('The exclusions leave no addresses to scan');
+  });
+
+  test('rejects more than SCAN_MAX_ADDRESSES addresses', () => {
+    expect(() => parseTargets('10.0.0.0/8')).toThrow(/^Scan covers 16777214 addresses; the limit is \d+/);
+  });
+});
+
+describe('range helpers', () => {
+  test('formatTargets gives the canonical form', () => {
+    expect(formatTargets(' 10.0.0.77/24 ,10.0.1.1-3')).toBe('10.0.0.0/24, 10.0.1.1-10.0.1.3');
+  });
+
+  test('contains finds an address in sorted ranges', () => {
+    const { ranges } = parseTargets('10.0.0.1-10.0.0.9, 10.0.5.0/24, 10.9.9.9');
+    expect(contains(ranges, '10.0.0.9')).toBe(true);
+    expect(contains(ranges, '10.0.5.128')).toBe(true);
+    expect(contains(ranges, '10.9.9.9')).toBe(true);
+    expect(contains(ranges, '10.0.0.10')).toBe(false);
+    expect(contains(ranges, 'not-an-ip')).toBe(false);
+  });
+
+  test('covers checks scope including network and broadcast addresses', () => {
+    const scope = addressRanges('10.0.0.0/16');
+    expect(covers(scope, addressRanges('10.0.0.0/24, 10.0.255.255'))).toBe(true);
+    expect(covers(scope, addressRanges('10.0.255.0-10.1.0.0'))).toBe(false);
+  });
+
+  test('overlaps finds any shared address', () => {
+    const subnet = addressRanges('10.0.1.0/24');
+    expect(overlaps(addressRanges('10.0.0.0/16'), subnet)).toBe(true);
+    expect(overlaps(addressRanges('10.0.0.250-10.0.1.0'), subnet)).toBe(true);
+    expect(overlaps(addressRanges('10.0.0.0/24, 10.0.2.1'), subnet)).toBe(false);
+  });
+});
@@ -0,0 +1,271 @@
+// Scan scheduler - runs recurring discovery for a subnet on a cron expression
+// or a fixed interval.
+//
+// Schedules are stored documents; the scheduler checks for due schedules on a
+// short tick rather than holding one long timer per schedule, so edits and
+// restarts need no timer bookkeeping. Emits 'run', 'skipped' and 'missed'
+// with the schedule and details of what happened.
+
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const cronParser = require('cron-parser');
+
+const TICK_INTERVAL = parseInt(process.env.SCHEDULER_TICK) || 15000;
+const MIN_INTERVAL = (parseInt(process.env.SCHEDULE_MIN_INTERVAL) || 60) * 1000;
+const MISSED_RUN_POLICIES = ['run', 'skip'];
+
+// Give up counting missed occurrences after this many (e.g. a per-minute cron
+// after a week of downtime)
+const MAX_MISSED_COUNT = 1000;
+
+const INTERVAL_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+// Intervals are seconds, or a number with an s/m/h/d suffix ("15m", "6h")
+function parseInterval(interval) {
+  const match = String(interval).trim().match(/^(\d+)\s*([smhd]?)$/i);
+  if (!match) {
+    throw new Error(`Invalid interval: ${interval}`);
+  }
+  const ms = parseInt(match[1]) * INTERVAL_UNITS[(match[2] || 's').toLowerCase()];
+  if (ms < MIN_INTERVAL) {
+    throw new Error(`Interval must be at least ${MIN_INTERVAL / 1000} seconds`);
+  }
+  return ms;
+}
+
+function validateTiming({ cron, interval, timezone }) {
+  if (cron && interval) {
+    throw new Error('Specify either a cron expression or an interval, not both');
+  }
+  if (!cron && !interval) {
+    throw new Error('A cron expression or an interval is required');
+  }
+  if (cron) {
+    try {
+      cronParser.parseExpression(cron, { tz: timezone || undefined });
+    } catch (error) {
+      throw new Error(`Invalid cron expression: ${cron}`);
+    }
+  } else {
+    parseInterval(interval);
+  }
+}
+
+function validateSchedule(schedule) {
+  validateTiming(schedule);
+  if (schedule.missedRuns && !MISSED_RUN_POLICIES.includes(schedule.missedRuns)) {
+    throw new Error(`missedRuns must be one of: ${MISSED_RUN_POLICIES.join(', ')}`);
+  }
+}
+
+function mergeSchedule(existing, fields) {
+  const schedule = { ...existing };
+  for (const field of ['name', 'subnet', 'timezone', 'scan', 'enabled', 'missedRuns']) {
+    if (fields[field] !== undefined) {
+      schedule[field] = fields[field];
+    }
+  }
+  // Switching between cron and interval replaces the other one
+  if (fields.cron !== undefined || fields.interval !== undefined) {
+    schedule.cron = fields.cron || null;
+    schedule.interval = fields.interval || null;
+  }
+  return schedule;
+}
+
+// First run strictly after `from`
+function nextRunTime(schedule, from) {
+  if (schedule.cron) {
+    return cronParser.parseExpression(schedule.cron, {
+      currentDate: from,
+      tz: schedule.timezone || undefined
+    }).next().toDate();
+  }
+  return new Date(from.getTime() + parseInterval(schedule.interval));
+}
+
+function countMissed(schedule, since, now) {
+  let count = 0;
+  let next = since;
+  while (next <= now && count < MAX_MISSED_COUNT) {
+    count++;
+    next = nextRunTime(schedule, next);
+  }
+  return count;
+}
+
+function createScheduler({ schedules, submit, isActive, tickInterval = TICK_INTERVAL }) {
+  const scheduler = new EventEmitter();
+  let timer = null;
+  let ticking = false;
+
+  async function create(fields) {
+    validateSchedule(fields);
+    const now = new Date();
+    const schedule = {
+      id: `schedule-${uuidv4()}`,
+      name: fields.name || fields.subnet,
+      subnet: fields.subnet,
+      cron: fields.cron || null,
+      interval: fields.interval || null,
+      timezone: fields.timezone || null,
+      scan: fields.scan || {},
+      enabled: fields.enabled !== false,
+      missedRuns: fields.missedRuns || 'run',
+      nextRun: null,
+      lastRun: null,
+      lastScanId: null,
+      lastStatus: null,
+      skippedRuns: 0,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+    schedule.nextRun = schedule.enabled ? nextRunTime(schedule, now).toISOString() : null;
+    return schedules.set(schedule.id, schedule);
+  }
+
+  async function update(id, fields) {
+    const existing = await schedules.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const schedule = mergeSchedule(existing, fields);
+    validateSchedule(schedule);
+
+    const now = new Date();
+    schedule.nextRun = schedule.enabled ? nextRunTime(schedule, now).toISOString() : null;
+    schedule.updatedAt = now.toISOString();
+    return schedules.set(id, schedule);
+  }
+
+  async function remove(id) {
+    return schedules.delete(id);
+  }
+
+  async function get(id) {
+    return schedules.get(id);
+  }
+
+  async function list() {
+    return schedules.list();
+  }
+
+  // Start a scan for the schedule unless its previous scan is still going
+  async function fire(schedule, now, reason) {
+    if (schedule.lastScanId && isActive(schedule.lastScanId)) {
+      schedule.skippedRuns = (schedule.skippedRuns || 0) + 1;
+      schedule.lastSkippedAt = now.toISOString();
+      scheduler.emit('skipped', schedule, { reason: 'previous scan still active', scanId: schedule.lastScanId });
+      return null;
+    }
+
+    const job = submit(schedule.subnet, { ...schedule.scan, scheduleId: schedule.id });
+    schedule.lastRun = now.toISOString();
+    schedule.lastScanId = job.scanId;
+    schedule.lastStatus = job.status;
+    scheduler.emit('run', schedule, { scanId: job.scanId, reason });
+    return job;
+  }
+
+  async function runNow(id) {
+    const schedule = await schedules.get(id);
+    if (!schedule) {
+      return null;
+    }
+    const job = await fire(schedule, new Date(), 'manual');
+    await schedules.set(id, schedule);
+    return { schedule, job };
+  }
+
+  async function tick() {
+    // A slow storage backend must not let ticks overlap and double-fire
+    if (ticking) return;
+    ticking = true;
+    try {
+      const now = new Date();
+      for (const schedule of await schedules.find({ enabled: true })) {
+        if (!schedule.nextRun || new Date(schedule.nextRun) > now) continue;
+        await fire(schedule, now, 'scheduled');
+        schedule.nextRun = nextRunTime(schedule, now).toISOString();
+        await schedules.set(schedule.id, schedule);
+      }
+    } catch (error) {
+      scheduler.emit('error', error);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  // Runs that fell due while the server was down are either run once now or
+  // skipped, per schedule; either way the schedule resumes from the present
+  async function recoverMissed() {
+    const now = new Date();
+    for (const schedule of await schedules.find({ enabled: true })) {
+      if (!schedule.nextRun) {
+        schedule.nextRun = nextRunTime(schedule, now).toISOString();
+        await schedules.set(schedule.id, schedule);
+        continue;
+      }
+
+      const due = new Date(schedule.nextRun);
+      if (now.getTime() - due.getTime() <= tickInterval) continue;
+
+      const missed = countMissed(schedule, due, now);
+      schedule.missedCount = (schedule.missedCount || 0) + missed;
+      schedule.lastMissedAt = now.toISOString();
+      scheduler.emit('missed', schedule, { missed, since: schedule.nextRun, policy: schedule.missedRuns });
+
+      if (schedule.missedRuns === 'run') {
+        await fire(schedule, now, 'missed');
+      }
+      schedule.nextRun = nextRunTime(schedule, now).toISOString();
+      await schedules.set(schedule.id, schedule);
+    }
+  }
+
+  // Keep the schedule's view of its last scan current
+  async function recordScan(job) {
+    if (!job.scheduleId) return;
+    const schedule = await schedules.get(job.scheduleId);
+    if (!schedule || schedule.lastScanId !== job.scanId) return;
+    schedule.lastStatus = job.status;
+    await schedules.set(schedule.id, schedule);
+  }
+
+  async function start() {
+    await recoverMissed();
+    timer = setInterval(tick, tickInterval);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  Object.assign(scheduler, {
+    create,
+    update,
+    remove,
+    get,
+    list,
+    runNow,
+    recordScan,
+    tick,
+    start,
+    stop
+  });
+
+  return scheduler;
+}
+
+module.exports = {
+  MISSED_RUN_POLICIES,
+  parseInterval,
+  validateTiming,
+  validateSchedule,
+  mergeSchedule,
+  nextRunTime,
+  createScheduler
+};
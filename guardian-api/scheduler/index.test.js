@@ -0,0 +1,158 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStorage } = require('../storage/file');
+const { parseInterval, validateSchedule, mergeSchedule, nextRunTime, createScheduler } = require('.');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('timing', () => {
+  test.each([
+    ['3600', HOUR],
+    ['15m', 15 * 60 * 1000],
+    ['6H', 6 * HOUR],
+    [' 2d ', 48 * HOUR]
+  ])('parseInterval reads %j', (interval, ms) => {
+    expect(parseInterval(interval)).toBe(ms);
+  });
+
+  test.each([
+    [{ interval: 'hourly' }, 'Invalid interval: hourly'],
+    [{ interval: '10s' }, 'Interval must be at least 60 seconds'],
+    [{ cron: '0 * * * *', interval: '1h' }, 'Specify either a cron expression or an interval, not both'],
+    [{}, 'A cron expression or an interval is required'],
+    [{ cron: '61 * * * *' }, 'Invalid cron expression: 61 * * * *'],
+    [{ interval: '1h', missedRuns: 'queue' }, 'missedRuns must be one of: run, skip']
+  ])('validateSchedule rejects %j', (schedule, message) => {
+    expect(() => validateSchedule(schedule)).toThrow(message);
+  });
+
+  test('cron runs follow the schedule timezone', () => {
+    const from = new Date('2026-03-10T12:00:00.000Z');
+    expect(nextRunTime({ cron: '0 2 * * *', timezone: 'UTC' }, from).toISOString()).toBe('2026-03-11T02:00:00.000Z');
+    expect(nextRunTime({ cron: '0 2 * * *', timezone: 'America/New_York' }, from).toISOString()).toBe('2026-03-11T06:00:00.000Z');
+    expect(nextRunTime({ interval: '6h' }, from).toISOString()).toBe('2026-03-10T18:00:00.000Z');
+  });
+
+  test('switching to an interval drops the cron expression', () => {
+    const existing = { name: 'Nightly', subnet: '10.0.0.0/24', cron: '0 2 * * *', interval: null, enabled: true };
+    expect(mergeSchedule(existing, { interval: '12h', enabled: false })).toEqual({ ...existing, cron: null, interval: '12h', enabled: false });
+    expect(mergeSchedule(existing, { name: 'Renamed' })).toEqual({ ...existing, name: 'Renamed' });
+  });
+});
+
+describe('scheduler', () => {
+  let dataDir;
+  let storage;
+  let schedules;
+  let submitted;
+  let active;
+  let scheduler;
+  let events;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-scheduler-'));
+    storage = createFileStorage({ dataDir });
+    schedules = storage.collection('schedules');
+    submitted = [];
+    active = new Set();
+    scheduler = createScheduler({
+      schedules,
+      submit: (subnet, options) => {
+        const job = { scanId: `scan-${submitted.length + 1}`, status: 'queued' };
+        submitted.push({ subnet, options });
+        return job;
+      },
+      isActive: (scanId) => active.has(scanId),
+      tickInterval: 1000
+    });
+    events = [];
+    ['run', 'skipped', 'missed'].forEach(name => scheduler.on(name, (schedule, details) => events.push([name, details])));
+  });
+
+  afterEach(async () => {
+    scheduler.stop();
+    await storage.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  // Makes a schedule due `ago` milliseconds in the past
+  async function dueAgo(schedule, ago) {
+    const due = { ...schedule, nextRun: new Date(Date.now() - ago).toISOString() };
+    await schedules.set(schedule.id, due);
+    return due;
+  }
+
+  test('new schedules get their first run time; disabled ones none', async () => {
+    const before = Date.now();
+    const hourly = await scheduler.create({ subnet: '10.0.0.0/24', interval: '1h' });
+    expect(hourly).toMatchObject({ name: '10.0.0.0/24', enabled: true, missedRuns: 'run', lastRun: null });
+    expect(new Date(hourly.nextRun).getTime() - before).toBeGreaterThanOrEqual(HOUR);
+
+    const off = await scheduler.create({ subnet: '10.0.1.0/24', cron: '0 2 * * *', enabled: false });
+    expect(off.nextRun).toBeNull();
+    await expect(scheduler.create({ subnet: '10.0.2.0/24' })).rejects.toThrow('A cron expression or an interval is required');
+  });
+
+  test('a tick runs due schedules with their scan options', async () => {
+    const due = await dueAgo(await scheduler.create({ subnet: '10.0.0.0/24', interval: '1h', scan: { driver: 'tcp' } }), 10);
+    await scheduler.create({ subnet: '10.0.1.0/24', interval: '1h' });
+
+    await scheduler.tick();
+    expect(submitted).toEqual([{ subnet: '10.0.0.0/24', options: { driver: 'tcp', scheduleId: due.id } }]);
+    expect(events).toEqual([['run', { scanId: 'scan-1', reason: 'scheduled' }]]);
+    const stored = await scheduler.get(due.id);
+    expect(stored).toMatchObject({ lastScanId: 'scan-1', lastStatus: 'queued' });
+    expect(new Date(stored.nextRun).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('a run is skipped while the previous scan is still going', async () => {
+    const schedule = await dueAgo({ ...(await scheduler.create({ subnet: '10.0.0.0/24', interval: '1h' })), lastScanId: 'scan-0' }, 10);
+    active.add('scan-0');
+
+    await scheduler.tick();
+    expect(submitted).toEqual([]);
+    expect(events).toEqual([['skipped', { reason: 'previous scan still active', scanId: 'scan-0' }]]);
+    expect(await scheduler.get(schedule.id)).toMatchObject({ skippedRuns: 1, lastScanId: 'scan-0' });
+  });
+
+  test.each([
+    ['run', 1],
+    ['skip', 0]
+  ])('runs missed while stopped are counted, and with missedRuns=%s run %i times', async (missedRuns, runs) => {
+    const schedule = await dueAgo(await scheduler.create({ subnet: '10.0.0.0/24', interval: '1h', missedRuns }), 3.5 * HOUR);
+
+    await scheduler.start();
+    expect(events[0]).toEqual(['missed', { missed: 4, since: schedule.nextRun, policy: missedRuns }]);
+    expect(submitted).toHaveLength(runs);
+    expect(await scheduler.get(schedule.id)).toMatchObject({ missedCount: 4 });
+  });
+
+  test('a run that is only just due is left to the next tick', async () => {
+    await dueAgo(await scheduler.create({ subnet: '10.0.0.0/24', interval: '1h' }), 500);
+    await scheduler.start();
+    expect(events).toEqual([]);
+  });
+
+  test('manual runs and scan updates are recorded on the schedule', async () => {
+    const schedule = await scheduler.create({ subnet: '10.0.0.0/24', interval: '1h' });
+    const { job } = await scheduler.runNow(schedule.id);
+    expect(events).toEqual([['run', { scanId: job.scanId, reason: 'manual' }]]);
+
+    await scheduler.recordScan({ scheduleId: schedule.id, scanId: job.scanId, status: 'completed' });
+    await scheduler.recordScan({ scheduleId: schedule.id, scanId: 'scan-old', status: 'failed' });
+    expect(await scheduler.get(schedule.id)).toMatchObject({ lastScanId: job.scanId, lastStatus: 'completed' });
+    expect(await scheduler.runNow('schedule-missing')).toBeNull();
+  });
+
+  test('updates recompute the next run', async () => {
+    const schedule = await scheduler.create({ subnet: '10.0.0.0/24', interval: '1h' });
+    const paused = await scheduler.update(schedule.id, { enabled: false });
+    expect(paused.nextRun).toBeNull();
+    const daily = await scheduler.update(schedule.id, { enabled: true, cron: '0 2 * * *', timezone: 'UTC' });
+    expect(daily).toMatchObject({ cron: '0 2 * * *', interval: null });
+    expect(new Date(daily.nextRun).getUTCHours()).toBe(2);
+    await expect(scheduler.update(schedule.id, { interval: '5s' })).rejects.toThrow('Interval must be at least 60 seconds');
+    expect(await scheduler.update('schedule-missing', {})).toBeNull();
+  });
+});
@@ -0,0 +1,37 @@
+// Import NVD JSON 2.0 feed files into the vulnerability database
+//
+//   npm run vulndb:import -- [feed-dir]    (defaults to NVD_FEED_DIR)
+//
+// With the file storage backend, stop the API first (or use
+// POST /api/vulndb/import) so the two processes don't overwrite each other.
+
+const path = require('path');
+const { createStorage, migrations } = require('../storage');
+const { createVulnDb } = require('../vulndb');
+
+async function main() {
+  const dir = path.resolve(process.argv[2] || process.env.NVD_FEED_DIR || path.join(__dirname, '..', '..', 'data', 'nvd'));
+  const storage = createStorage();
+  await storage.init(migrations);
+
+  const vulndb = createVulnDb({
+    cves: storage.collection('cves'),
+    products: storage.collection('cpe_products'),
+    meta: storage.collection('meta')
+  });
+
+  console.log(`Importing NVD feeds from ${dir}`);
+  try {
+    const summary = await vulndb.importFeeds(dir, {
+      onFile: (file, count) => console.log(`  ${file}: ${count} CVEs with CPE data`)
+    });
+    console.log(`Done: ${summary.added} added, ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.skipped} skipped`);
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch(error => {
+  console.error(`Import failed: ${error.message}`);
+  process.exit(1);
+});
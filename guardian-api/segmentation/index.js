@@ -0,0 +1,272 @@
+// Network segmentation - zones, firewall rules between them, reachability
+// and segmentation violations
+//
+// The configuration is one document, usually imported from a JSON or YAML
+// file:
+//   zones:         [{ id, name, description, cidrs, tags }]
+//   rules:         [{ from, to, action, ports, protocol, description }]
+//   defaultAction: allow | deny (deny when left out) for traffic between zones
+//   intraZone:     allow | deny (allow when left out) inside a zone
+//
+// A host belongs to the first zone sharing one of its asset's tags, else to
+// the zone with the most specific CIDR containing its address, so a
+// 0.0.0.0/0 "internet" zone only catches what nothing else does. Rules are
+// checked in order and the first one whose `from`/`to` (a zone id or '*')
+// and ports match decides; a rule without ports covers every port. Inside a
+// zone only rules naming that zone as both `from` and `to` apply.
+//
+// Violations are evidence that traffic can avoid the rules: two zones with
+// restricted traffic between them sharing a network segment (shared_segment),
+// or an imported flow the rules deny (denied_flow).
+
+const yaml = require('js-yaml');
+const { addressRanges, contains } = require('../scanner/targets');
+const { parsePortSpec } = require('../scanner/ports');
+
+const ACTIONS = ['allow', 'deny'];
+const ZONE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+// Hosts that route between zones rather than live in one
+const BOUNDARY_TYPES = ['router', 'firewall'];
+
+const EMPTY = { zones: [], rules: [], defaultAction: 'deny', intraZone: 'allow' };
+
+function prefixLength(cidr) {
+  const match = String(cidr).match(/\/(\d+)$/);
+  return match ? Number(match[1]) : 32;
+}
+
+function validateAction(action, field) {
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`${field} must be one of: ${ACTIONS.join(', ')}`);
+  }
+}
+
+function validateZone(zone, index) {
+  const label = `Zone ${index + 1}`;
+  if (!zone || !ZONE_ID_PATTERN.test(String(zone.id || ''))) {
+    throw new Error(`${label}: id must be lowercase letters, digits, dashes or underscores`);
+  }
+  const cidrs = [].concat(zone.cidrs || []);
+  const tags = [].concat(zone.tags || []).map(String);
+  if (cidrs.length === 0 && tags.length === 0) {
+    throw new Error(`${label} (${zone.id}): cidrs or tags is required`);
+  }
+  cidrs.forEach(cidr => {
+    try {
+      addressRanges(cidr);
+    } catch (error) {
+      throw new Error(`${label} (${zone.id}): invalid CIDR ${cidr}`);
+    }
+  });
+  return {
+    id: zone.id,
+    name: zone.name || zone.id,
+    description: zone.description || null,
+    cidrs,
+    tags
+  };
+}
+
+function validateRule(rule, index, zoneIds) {
+  const label = `Rule ${index + 1}`;
+  if (!rule) {
+    throw new Error(`${label} is empty`);
+  }
+  ['from', 'to'].forEach(field => {
+    if (rule[field] !== '*' && !zoneIds.includes(rule[field])) {
+      throw new Error(`${label}: ${field} must be a zone id or '*'`);
+    }
+  });
+  validateAction(rule.action, `${label}: action`);
+  let ports = null;
+  if (rule.ports !== undefined && rule.ports !== null && rule.ports !== 'any') {
+    try {
+      ports = parsePortSpec(rule.ports);
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+  }
+  return {
+    id: rule.id || `rule-${index + 1}`,
+    from: rule.from,
+    to: rule.to,
+    action: rule.action,
+    ports,
+    protocol: rule.protocol ? String(rule.protocol).toLowerCase() : 'tcp',
+    description: rule.description || null
+  };
+}
+
+// Normalised configuration from a parsed document; throws on invalid input
+function validateSegmentation(body) {
+  if (!body || typeof body !== 'object') {
+    throw new Error('Segmentation configuration must be an object with zones and rules');
+  }
+  if (!Array.isArray(body.zones)) {
+    throw new Error('zones must be a list');
+  }
+  const zones = body.zones.map(validateZone);
+  const ids = zones.map(zone => zone.id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) {
+    throw new Error(`Zone ${duplicate} is defined twice`);
+  }
+  if (body.rules !== undefined && !Array.isArray(body.rules)) {
+    throw new Error('rules must be a list');
+  }
+  const rules = (body.rules || []).map((rule, index) => validateRule(rule, index, ids));
+  const defaultAction = body.defaultAction || EMPTY.defaultAction;
+  const intraZone = body.intraZone || EMPTY.intraZone;
+  validateAction(defaultAction, 'defaultAction');
+  validateAction(intraZone, 'intraZone');
+  return { zones, rules, defaultAction, intraZone };
+}
+
+// JSON is valid YAML, so one parser reads either kind of file
+function parseSegmentationFile(text) {
+  let body;
+  try {
+    body = yaml.load(String(text));
+  } catch (error) {
+    throw new Error(`Cannot parse segmentation file: ${error.message}`);
+  }
+  return validateSegmentation(body);
+}
+
+// Resolves hosts to zones; `tagsFor(host)` gives the tags of the host's asset
+function createZoneResolver(config, tagsFor = host => host.tags || []) {
+  const cidrZones = config.zones
+    .flatMap(zone => zone.cidrs.map(cidr => ({ zone, ranges: addressRanges(cidr), prefix: prefixLength(cidr) })))
+    .sort((a, b) => b.prefix - a.prefix);
+
+  return function zoneOf(host) {
+    const tags = tagsFor(host) || [];
+    const tagged = config.zones.find(zone => zone.tags.some(tag => tags.includes(tag)));
+    if (tagged) return tagged.id;
+    const match = host.ip && cidrZones.find(entry => contains(entry.ranges, host.ip));
+    return match ? match.zone.id : null;
+  };
+}
+
+// { action, rule } for traffic from one zone to a port in another; a null
+// port asks whether every port is covered, which only port-less rules decide
+function decide(config, from, to, port = null, protocol = 'tcp') {
+  if (from && from === to) {
+    const rule = config.rules.find(candidate => candidate.from === from && candidate.to === to && ruleMatches(candidate, port, protocol));
+    return rule ? { action: rule.action, rule: rule.id } : { action: config.intraZone, rule: null };
+  }
+  const rule = config.rules.find(candidate =>
+    (candidate.from === '*' || candidate.from === from) &&
+    (candidate.to === '*' || candidate.to === to) &&
+    ruleMatches(candidate, port, protocol));
+  return rule ? { action: rule.action, rule: rule.id } : { action: config.defaultAction, rule: null };
+}
+
+function ruleMatches(rule, port, protocol) {
+  if (rule.protocol !== protocol) return false;
+  if (port === null) return rule.ports === null;
+  return rule.ports === null || rule.ports.includes(port);
+}
+
+// Services on hosts in zone `to` that zone `from` may reach; hosts carry
+// their `zone`
+function reachability(config, hosts, from, to) {
+  const reachable = [];
+  let blocked = 0;
+  hosts.filter(host => host.zone === to).forEach(host => {
+    (host.services || []).forEach(service => {
+      const decision = decide(config, from, to, service.port);
+      if (decision.action === 'allow') {
+        reachable.push({
+          assetId: host.assetId,
+          ip: host.ip,
+          hostname: host.hostname,
+          port: service.port,
+          service: service.name,
+          version: service.version || null,
+          rule: decision.rule
+        });
+      } else {
+        blocked++;
+      }
+    });
+  });
+  return { from, to, reachable, blocked };
+}
+
+// Reachable service counts for every pair of zones
+function reachabilityMatrix(config, hosts) {
+  const ids = config.zones.map(zone => zone.id);
+  return ids.flatMap(from => ids.map(to => {
+    const { reachable, blocked } = reachability(config, hosts, from, to);
+    return { from, to, reachable: reachable.length, blocked };
+  }));
+}
+
+// Zones with restricted traffic between them should not share a segment
+function restricted(config, a, b) {
+  return decide(config, a, b).action === 'deny' || decide(config, b, a).action === 'deny';
+}
+
+// Violations from hosts with `zone` and `segment` and the topology's links;
+// `nodeZones` maps topology node ids to zones
+function findViolations(config, hosts, links = [], nodeZones = new Map()) {
+  const violations = [];
+
+  const bySegment = new Map();
+  hosts.filter(host => host.zone && host.segment && !BOUNDARY_TYPES.includes(host.type)).forEach(host => {
+    if (!bySegment.has(host.segment)) bySegment.set(host.segment, new Map());
+    const zones = bySegment.get(host.segment);
+    if (!zones.has(host.zone)) zones.set(host.zone, []);
+    zones.get(host.zone).push(host.ip);
+  });
+  bySegment.forEach((zones, segment) => {
+    const ids = Array.from(zones.keys()).sort();
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        if (!restricted(config, ids[i], ids[j])) continue;
+        violations.push({
+          type: 'shared_segment',
+          segment,
+          zones: [ids[i], ids[j]],
+          hosts: [...zones.get(ids[i]), ...zones.get(ids[j])],
+          description: `${ids[i]} and ${ids[j]} share segment ${segment}, so traffic between them bypasses the firewall rules`
+        });
+      }
+    }
+  });
+
+  links.filter(link => link.type === 'observed_flow').forEach(link => {
+    const from = nodeZones.get(link.source.id || link.source);
+    const to = nodeZones.get(link.target.id || link.target);
+    if (!from || !to) return;
+    const denied = (link.services || []).filter(service => {
+      const [protocol, port] = service.split('/');
+      return decide(config, from, to, Number(port), protocol).action === 'deny';
+    });
+    if (denied.length === 0) return;
+    violations.push({
+      type: 'denied_flow',
+      zones: [from, to],
+      source: link.source.id || link.source,
+      target: link.target.id || link.target,
+      services: denied,
+      description: `Traffic from ${from} to ${to} on ${denied.join(', ')} was observed although the rules deny it`
+    });
+  });
+
+  return violations;
+}
+
+module.exports = {
+  ACTIONS,
+  EMPTY,
+  validateSegmentation,
+  parseSegmentationFile,
+  createZoneResolver,
+  decide,
+  reachability,
+  reachabilityMatrix,
+  findViolations
+};
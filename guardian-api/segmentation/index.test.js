@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  validateSegmentation,
+  parseSegmentationFile,
+  createZoneResolver,
+  decide,
+  reachability,
+  reachabilityMatrix,
+  findViolations
+} = require('.');
+
+// The zones shipped as the seed configuration
+const config = parseSegmentationFile(fs.readFileSync(path.join(__dirname, '..', '..', 'zones.yaml'), 'utf8'));
+
+describe('parseSegmentationFile', () => {
+  test('reads the bundled zones file', () => {
+    expect(config.zones.map(zone => zone.id)).toEqual(['dmz', 'corporate', 'ot', 'guest', 'internet']);
+    expect(config.zones[4]).toEqual({ id: 'internet', name: 'Internet', description: null, cidrs: ['0.0.0.0/0'], tags: [] });
+    expect(config.rules[0]).toEqual({ id: 'guest-internet-only', from: 'guest', to: 'internet', action: 'allow', ports: [53, 80, 443], protocol: 'tcp', description: null });
+    expect(config.rules[1].ports).toBeNull();
+    expect(config).toMatchObject({ defaultAction: 'deny', intraZone: 'allow' });
+  });
+
+  test('reads JSON and fills in the defaults', () => {
+    expect(parseSegmentationFile('{"zones": [{"id": "lab", "cidrs": "10.1.0.0/16"}], "rules": [{"from": "lab", "to": "*", "action": "deny", "protocol": "UDP"}]}')).toEqual({
+      zones: [{ id: 'lab', name: 'lab', description: null, cidrs: ['10.1.0.0/16'], tags: [] }],
+      rules: [{ id: 'rule-1', from: 'lab', to: '*', action: 'deny', ports: null, protocol: 'udp', description: null }],
+      defaultAction: 'deny',
+      intraZone: 'allow'
+    });
+  });
+
+  test('reports files that are not YAML', () => {
+    expect(() => parseSegmentationFile('zones: [unclosed')).toThrow(/^Cannot parse segmentation file: /);
+  });
+});
+
+describe('validateSegmentation', () => {
+  const zones = [{ id: 'lab', cidrs: ['10.1.0.0/16'] }];
+
+  test.each([
+    ['Segmentation configuration must be an object with zones and rules', 'zones'],
+    ['zones must be a list', { zones: 'lab' }],
+    ['Zone 1: id must be lowercase letters, digits, dashes or underscores', { zones: [{ id: 'Lab', cidrs: ['10.1.0.0/16'] }] }],
+    ['Zone 1 (lab): cidrs or tags is required', { zones: [{ id: 'lab' }] }],
+    ['Zone 1 (lab): invalid CIDR 10.1.0.0/40', { zones: [{ id: 'lab', cidrs: ['10.1.0.0/40'] }] }],
+    ['Zone lab is defined twice', { zones: [...zones, { id: 'lab', tags: ['lab'] }] }],
+    ['rules must be a list', { zones, rules: {} }],
+    ['Rule 1 is empty', { zones, rules: [null] }],
+    ['Rule 1: to must be a zone id or \'*\'', { zones, rules: [{ from: 'lab', to: 'office', action: 'deny' }] }],
+    ['Rule 1: action must be one of: allow, deny', { zones, rules: [{ from: '*', to: 'lab', action: 'drop' }] }],
+    ['Rule 1: Invalid port range: 90-80', { zones, rules: [{ from: '*', to: 'lab', action: 'allow', ports: '90-80' }] }],
+    ['defaultAction must be one of: allow, deny', { zones, defaultAction: 'reject' }],
+    ['intraZone must be one of: allow, deny', { zones, intraZone: 'block' }]
+  ])('%s', (message, body) => {
+    expect(() => validateSegmentation(body)).toThrow(message);
+  });
+});
+
+describe('createZoneResolver', () => {
+  const zoneOf = createZoneResolver(config);
+
+  test('a tag puts a host in a zone before its address does', () => {
+    expect(zoneOf({ ip: '10.0.5.20', tags: ['scada'] })).toBe('ot');
+    expect(zoneOf({ ip: '10.0.5.20', tags: ['printer'] })).toBe('corporate');
+  });
+
+  test('the most specific CIDR wins, so the catch-all only gets the rest', () => {
+    expect(zoneOf({ ip: '192.168.100.5' })).toBe('dmz');
+    expect(zoneOf({ ip: '192.168.7.5' })).toBe('corporate');
+    expect(zoneOf({ ip: '8.8.8.8' })).toBe('internet');
+    expect(zoneOf({ ip: null })).toBeNull();
+  });
+
+  test('tags can come from the host\'s asset', () => {
+    const assetTags = new Map([['asset-1', ['guest']]]);
+    const resolve = createZoneResolver(config, host => assetTags.get(host.assetId));
+    expect(resolve({ assetId: 'asset-1', ip: '10.0.5.20', tags: ['ot'] })).toBe('guest');
+    expect(resolve({ assetId: 'asset-2', ip: '10.0.5.20' })).toBe('corporate');
+  });
+});
+
+describe('decide', () => {
+  test.each([
+    ['guest', 'internet', 443, 'tcp', 'allow', 'guest-internet-only'],
+    ['guest', 'internet', 22, 'tcp', 'deny', 'guest-isolated'],
+    ['internet', 'dmz', 443, 'tcp', 'allow', 'public-web'],
+    ['corporate', 'dmz', 3389, 'tcp', 'allow', 'dmz-admin'],
+    ['corporate', 'dmz', 5432, 'tcp', 'deny', null],
+    ['corporate', 'ot', 502, 'tcp', 'deny', 'nothing-into-ot'],
+    ['corporate', 'internet', 53, 'udp', 'deny', null],
+    ['corporate', 'corporate', 445, 'tcp', 'allow', null]
+  ])('%s to %s on %s/%s is %s (%s)', (from, to, port, protocol, action, rule) => {
+    expect(decide(config, from, to, port, protocol)).toEqual({ action, rule });
+  });
+
+  test('without a port only rules covering every port decide', () => {
+    expect(decide(config, 'guest', 'internet')).toEqual({ action: 'deny', rule: 'guest-isolated' });
+    expect(decide(config, 'internet', 'dmz')).toEqual({ action: 'deny', rule: null });
+    expect(decide(config, 'corporate', 'internet')).toEqual({ action: 'allow', rule: 'corporate-outbound' });
+  });
+
+  test('inside a zone only rules naming it on both sides apply', () => {
+    const locked = validateSegmentation({
+      zones: [{ id: 'ot', tags: ['ot'] }],
+      rules: [{ id: 'modbus', from: 'ot', to: 'ot', action: 'allow', ports: 502 }, { from: '*', to: '*', action: 'allow' }],
+      intraZone: 'deny'
+    });
+    expect(decide(locked, 'ot', 'ot', 502)).toEqual({ action: 'allow', rule: 'modbus' });
+    expect(decide(locked, 'ot', 'ot', 22)).toEqual({ action: 'deny', rule: null });
+  });
+});
+
+describe('reachability', () => {
+  const hosts = [
+    { assetId: 'asset-1', ip: '192.168.100.10', hostname: 'web-01', zone: 'dmz', services: [{ port: 22, name: 'SSH', version: 'OpenSSH 9.6' }, { port: 443, name: 'HTTPS' }, { port: 5432, name: 'PostgreSQL' }] },
+    { assetId: 'asset-2', ip: '192.168.100.11', hostname: 'web-02', zone: 'dmz' },
+    { assetId: 'asset-3', ip: '172.16.0.5', hostname: 'plc-01', zone: 'ot', services: [{ port: 502, name: 'Modbus' }] }
+  ];
+
+  test('lists the services one zone may reach in another', () => {
+    expect(reachability(config, hosts, 'corporate', 'dmz')).toEqual({
+      from: 'corporate',
+      to: 'dmz',
+      reachable: [
+        { assetId: 'asset-1', ip: '192.168.100.10', hostname: 'web-01', port: 22, service: 'SSH', version: 'OpenSSH 9.6', rule: 'dmz-admin' },
+        { assetId: 'asset-1', ip: '192.168.100.10', hostname: 'web-01', port: 443, service: 'HTTPS', version: null, rule: 'public-web' }
+      ],
+      blocked: 1
+    });
+    expect(reachability(config, hosts, 'dmz', 'ot')).toMatchObject({ reachable: [], blocked: 1 });
+  });
+
+  test('the matrix counts every pair of zones', () => {
+    const matrix = reachabilityMatrix(config, hosts);
+    expect(matrix).toHaveLength(25);
+    expect(matrix.find(cell => cell.from === 'internet' && cell.to === 'dmz')).toEqual({ from: 'internet', to: 'dmz', reachable: 1, blocked: 2 });
+    expect(matrix.find(cell => cell.from === 'ot' && cell.to === 'ot')).toEqual({ from: 'ot', to: 'ot', reachable: 1, blocked: 0 });
+  });
+});
+
+describe('findViolations', () => {
+  test('restricted zones sharing a segment are reported, boundary devices aside', () => {
+    const hosts = [
+      { ip: '10.0.5.1', zone: 'corporate', segment: '10.0.5.0/24', type: 'router' },
+      { ip: '10.0.5.20', zone: 'corporate', segment: '10.0.5.0/24', type: 'workstation' },
+      { ip: '10.0.5.30', zone: 'ot', segment: '10.0.5.0/24', type: 'plc' },
+      { ip: '10.0.6.20', zone: 'corporate', segment: '10.0.6.0/24', type: 'workstation' },
+      { ip: '10.0.6.21', zone: 'corporate', segment: '10.0.6.0/24', type: 'server' },
+      { ip: '10.0.7.1', zone: 'ot', segment: '10.0.7.0/24', type: 'firewall' },
+      { ip: '10.0.7.20', zone: 'corporate', segment: '10.0.7.0/24', type: 'server' }
+    ];
+    expect(findViolations(config, hosts)).toEqual([{
+      type: 'shared_segment',
+      segment: '10.0.5.0/24',
+      zones: ['corporate', 'ot'],
+      hosts: ['10.0.5.20', '10.0.5.30'],
+      description: 'corporate and ot share segment 10.0.5.0/24, so traffic between them bypasses the firewall rules'
+    }]);
+
+    const open = validateSegmentation({ zones: config.zones, defaultAction: 'allow' });
+    expect(findViolations(open, hosts)).toEqual([]);
+  });
+
+  test('observed flows the rules deny are reported', () => {
+    const nodeZones = new Map([['host-1', 'corporate'], ['host-2', 'dmz'], ['host-3', 'ot']]);
+    const links = [
+      { source: 'host-1', target: 'host-2', type: 'observed_flow', services: ['tcp/22', 'tcp/5432'] },
+      { source: { id: 'host-1' }, target: { id: 'host-3' }, type: 'observed_flow', services: ['tcp/502'] },
+      { source: 'host-1', target: 'host-2', type: 'observed_flow', services: ['tcp/443'] },
+      { source: 'host-1', target: 'host-9', type: 'observed_flow', services: ['tcp/8080'] },
+      { source: 'host-1', target: 'host-3', type: 'l2_neighbor', evidence: ['arp'] }
+    ];
+    expect(findViolations(config, [], links, nodeZones)).toEqual([
+      {
+        type: 'denied_flow',
+        zones: ['corporate', 'dmz'],
+        source: 'host-1',
+        target: 'host-2',
+        services: ['tcp/5432'],
+        description: 'Traffic from corporate to dmz on tcp/5432 was observed although the rules deny it'
+      },
+      expect.objectContaining({ zones: ['corporate', 'ot'], source: 'host-1', target: 'host-3', services: ['tcp/502'] })
+    ]);
+  });
+});
@@ -6,14 +6,47 @@ const http = require('http');
 const { v4: uuidv4 } = require('uuid');
 const winston = require('winston');
 const morgan = require('morgan');
-const IPCIDR = require('ip-cidr');
 const { Netmask } = require('netmask');
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
+const { Readable } = require('stream');
+const scanner = require('./scanner');
+const { parsePortSpec } = require('./scanner/ports');
+const { parseTargets, formatTargets, addressRanges, addresses, contains, overlaps, ipToInt } = require('./scanner/targets');
+const { sweep, DEFAULTS: SWEEP_DEFAULTS } = require('./scanner/sweep');
+const { defaultGateway } = require('./scanner/net');
+const { buildGraph, hopsFromTtl, segmentOf } = require('./topology');
+const { parseImport, importId } = require('./topology/imports');
+const segmentation = require('./segmentation');
+const { analyzeAttackPaths } = require('./attack');
+const { createScanQueue } = require('./scanner/jobs');
+const { diffScans, hasChanges } = require('./scanner/diff');
+const { createStorage, migrations } = require('./storage');
+const { createInventory } = require('./inventory');
+const { createScheduler, validateSchedule, mergeSchedule } = require('./scheduler');
+const { createVulnDb, SAMPLE_FEED_DIR } = require('./vulndb');
+const { scoreVector } = require('./risk/cvss');
+const { hostRisk, scoreFinding, CRITICALITY_LEVELS, DEFAULT_CRITICALITY } = require('./risk');
+const lifecycle = require('./findings/lifecycle');
+const { createVerifier } = require('./findings/verification');
+const { LIBRARY_DIR, loadPlaybooks, applicablePlaybooks } = require('./playbooks');
+const { createPlaybookRunner } = require('./playbooks/runner');
+const { createPolicyEngine, validatePolicy, readPolicyFiles } = require('./policy');
+const { loadFrameworks, assessFramework, summarizeAssessment } = require('./compliance');
+const { REPORT_TYPES, validateReportRequest } = require('./reports');
+const { CONTENT_TYPES, createReportGenerator } = require('./reports/generator');
+const { FORMATS: EXPORT_FORMATS, RESOURCES: EXPORT_RESOURCES, exportRecords } = require('./exporters');
+const { createAuth, requestCredential } = require('./auth');
+const { createAuditLog } = require('./audit');
+const { createRealtime } = require('./realtime');
+const { EVENT_TYPES: WEBHOOK_EVENTS, generateSecret, validateWebhook, publicWebhook, createWebhooks } = require('./webhooks');
+const { ROLES, permissionsFor, requirePermission, hasPermission, inScope } = require('./auth/roles');
 
 // Configure Winston logger
 const logger = winston.createLogger({
   level: 'info',
+  silent: process.env.NODE_ENV === 'test',
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.json()
@@ -32,20 +65,64 @@ const logger = winston.createLogger({
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ server, verifyClient: verifyWebSocketClient });
 
 // Middleware
-app.use(cors());
-app.use(bodyParser.json());
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
+// Topology imports parse their own, larger bodies once the caller is authorised
+const jsonBody = bodyParser.json();
+app.use((req, res, next) => (req.method === 'POST' && req.path === '/api/topology/imports' ? next() : jsonBody(req, res, next)));
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(morgan('combined', { stream: { write: msg => logger.info(msg.trim()) }}));
 
-// In-memory data stores
-let scanResults = new Map();
-let networkTopology = new Map();
-let vulnerabilities = new Map();
-let policies = new Map();
-let remediations = new Map();
+// Persistent data stores (see storage/ - file-backed or PostgreSQL)
+const storage = createStorage();
+const scanResults = storage.collection('scans');
+const networkTopology = storage.collection('hosts');
+const vulnerabilities = storage.collection('vulnerabilities');
+const policies = storage.collection('policies');
+const remediations = storage.collection('remediations');
+const meta = storage.collection('meta');
+const assets = storage.collection('assets');
+const schedules = storage.collection('schedules');
+const verifications = storage.collection('verifications');
+const policyViolations = storage.collection('policy_violations');
+const complianceHistory = storage.collection('compliance_history');
+const reports = storage.collection('reports');
+const users = storage.collection('users');
+const topologyImports = storage.collection('topology_imports');
+const inventory = createInventory({ assets, hosts: networkTopology, vulnerabilities });
+const vulndb = createVulnDb({
+  cves: storage.collection('cves'),
+  products: storage.collection('cpe_products'),
+  meta
+});
+const NVD_FEED_DIR = process.env.NVD_FEED_DIR || path.join(__dirname, '..', 'data', 'nvd');
+const PLAYBOOK_DIR = process.env.PLAYBOOK_DIR || path.join(__dirname, '..', 'data', 'playbooks');
+const POLICY_DIR = process.env.POLICY_DIR || path.join(__dirname, '..', 'policies');
+const FRAMEWORK_DIR = process.env.FRAMEWORK_DIR || path.join(__dirname, '..', 'frameworks');
+const REPORT_DIR = process.env.REPORT_DIR || path.join(__dirname, '..', 'data', 'reports');
+const ZONE_FILE = process.env.ZONE_FILE || path.join(__dirname, '..', 'zones.yaml');
+
+// Without a real JWT_SECRET sessions are signed with a per-process secret and
+// do not survive a restart
+const PLACEHOLDER_SECRET = 'change-this-in-production-use-openssl-rand-base64-32';
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret || jwtSecret === PLACEHOLDER_SECRET) {
+  logger.warn('JWT_SECRET is not set; using a random secret, sessions will end when the server restarts');
+  jwtSecret = crypto.randomBytes(32).toString('base64');
+}
+const audit = createAuditLog({ entries: storage.collection('audit_log'), meta });
+const auth = createAuth({
+  users,
+  sessions: storage.collection('sessions'),
+  apiKeys: storage.collection('api_keys'),
+  secret: jwtSecret,
+  expiry: process.env.JWT_EXPIRY || '7d',
+  bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 10
+});
+
+// In-memory state
 let systemLogs = [];
 let activeScans = new Map();
 let metrics = {
@@ -56,26 +133,52 @@ let metrics = {
   remediationsApplied: 0,
   lastUpdateTime: new Date()
 };
+let slaPolicy = { ...lifecycle.DEFAULT_SLA_DAYS };
 
-// WebSocket connections
-const wsClients = new Set();
+// Live updates over WebSocket (see realtime/)
+const realtime = createRealtime({
+  snapshot: async () => ({
+    topology: await buildTopology(),
+    metrics: metrics,
+    logs: systemLogs.slice(-50)
+  }),
+  logger
+});
 
-wss.on('connection', (ws) => {
-  wsClients.add(ws);
-  logger.info('New WebSocket client connected');
-  
-  // Send initial data
-  ws.send(JSON.stringify({
-    type: 'initial',
-    data: {
-      topology: Array.from(networkTopology.values()),
-      metrics: metrics,
-      logs: systemLogs.slice(-50)
+// Longest delay setTimeout accepts
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Browsers cannot set headers on a WebSocket, so the dashboard passes its
+// token as ?token=; other clients may send an Authorization header instead
+function verifyWebSocketClient({ req }, done) {
+  const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+  auth.verify(token || requestCredential(req.headers)).then(identity => {
+    if (!identity) {
+      return done(false, 401, 'Unauthorized');
     }
-  }));
+    req.auth = identity;
+    done(true);
+  }, error => {
+    logger.error(`WebSocket authentication failed: ${error.message}`);
+    done(false, 500);
+  });
+}
+
+wss.on('connection', (ws, req) => {
+  ws.auth = req.auth;
+  logger.info(`New WebSocket client connected: ${ws.auth.user.username}`);
+  
+  // Close the connection when its session runs out
+  if (ws.auth.expiresAt) {
+    const remaining = Math.max(0, Date.parse(ws.auth.expiresAt) - Date.now());
+    ws.expiryTimer = setTimeout(() => ws.close(4001, 'Session expired'), Math.min(remaining, MAX_TIMER_DELAY));
+  }
+  
+  // Snapshot or replay, then live events
+  realtime.connect(ws, req.url);
   
   ws.on('close', () => {
-    wsClients.delete(ws);
+    clearTimeout(ws.expiryTimer);
     logger.info('WebSocket client disconnected');
   });
   
@@ -84,16 +187,52 @@ wss.on('connection', (ws) => {
   });
 });
 
-// Broadcast to all WebSocket clients
+// Broadcast to the WebSocket clients subscribed to the event's topics
 function broadcast(data) {
-  const message = JSON.stringify(data);
-  wsClients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message);
+  realtime.publish(data);
+}
+
+// Who did something, for the audit trail: the user behind an authenticated
+// request, or an anonymous caller
+function auditActor(req) {
+  if (!req.auth) {
+    return { type: 'anonymous', ip: req.ip };
+  }
+  const { user, type } = req.auth;
+  return { type: 'user', userId: user.id, username: user.username, via: type, ip: req.ip };
+}
+
+// System components act under their own name, e.g. 'scheduler'
+function systemActor(name) {
+  return { type: 'system', name };
+}
+
+// A request whose audit entry cannot be written fails with a 500, so no
+// caller is told an action succeeded without a record of it. System
+// components have nobody to tell; their failed writes go to the system log.
+function recordAudit(action, actor, fields) {
+  return audit.record(action, actor, fields).catch(error => {
+    const message = `Failed to write audit entry ${action}: ${error.message}`;
+    if (actor.type !== 'system') {
+      throw new Error(message);
     }
+    addLog('error', message, { action });
+    return null;
   });
 }
 
+// Ended sessions, revoked keys and disabled users lose their live updates too
+auth.on('revoked', ({ sessionId, keyId, userId, except }) => {
+  realtime.sockets().forEach(client => {
+    const identity = client.auth;
+    if ((sessionId && identity.sessionId === sessionId) ||
+        (keyId && identity.keyId === keyId) ||
+        (userId && identity.user.id === userId && !(except && identity.sessionId === except))) {
+      client.close(4001, 'Credentials revoked');
+    }
+  });
+});
+
 // Add system log
 function addLog(level, message, details = {}) {
   const log = {
@@ -119,59 +258,444 @@ function addLog(level, message, details = {}) {
   return log;
 }
 
+// Persist metrics counters alongside the rest of the data
+function saveMetrics() {
+  metrics.lastUpdateTime = new Date();
+  meta.set('metrics', metrics).catch(error => {
+    logger.error('Failed to persist metrics:', error);
+  });
+}
+
+// Scan records are written from both discoverNetwork and the job queue;
+// serialize the writes so a late status update never overwrites a result
+let scanWrites = Promise.resolve();
+function saveScan(scan) {
+  scanWrites = scanWrites
+    .then(() => scanResults.set(scan.scanId, scan))
+    .catch(error => logger.error('Failed to persist scan:', error));
+  return scanWrites;
+}
+
+// Findings are keyed by asset and vulnerability so their status survives
+// rescans and DHCP address changes
+function findingKey(assetId, vulnerabilityId) {
+  return `${assetId}:${vulnerabilityId}`;
+}
+
+async function recordFindings(host, found, { criticality = DEFAULT_CRITICALITY, scanId } = {}) {
+  const now = new Date().toISOString();
+  const findings = [];
+  
+  for (const vuln of found) {
+    const key = findingKey(host.assetId, vuln.id);
+    const existing = await vulnerabilities.get(key);
+    let finding = existing
+      ? { ...existing, evidence: vuln.evidence || existing.evidence, host: host.ip, hostname: host.hostname, lastSeen: now }
+      : {
+          ...vuln,
+          ...lifecycle.initialState(vuln, { now, policy: slaPolicy }),
+          key,
+          assetId: host.assetId,
+          host: host.ip,
+          hostname: host.hostname,
+          discovered: vuln.discovered || now,
+          lastSeen: now
+        };
+    finding.cvssVector = finding.cvssVector || vuln.cvssVector || null;
+    finding.cvssScores = scoreFinding(finding, criticality);
+    
+    if (!existing) {
+      metrics.vulnerabilitiesFound++;
+      notifyWebhooks('vulnerability_found', finding);
+    }
+    
+    // A fix that didn't hold - the vulnerability is back
+    if (existing && (existing.status === 'remediated' || existing.status === 'verified')) {
+      finding = lifecycle.applyTransition(finding, 'reopened', {
+        actor: 'scanner',
+        comment: scanId ? `Detected again by scan ${scanId}` : 'Detected again',
+        now,
+        policy: slaPolicy
+      });
+      addLog('warn', `Finding ${vuln.id} on ${host.ip} reopened`, { scanId, finding: key });
+    }
+    
+    await vulnerabilities.set(key, finding);
+    findings.push(finding);
+  }
+  
+  return findings;
+}
+
+function riskFields(risk) {
+  return { risk: risk.risk, riskScore: risk.score, riskFactors: risk.factors };
+}
+
+// Re-score an asset's findings and host after its findings or criticality change
+async function refreshRisk(assetId) {
+  const asset = await assets.get(assetId);
+  if (!asset) {
+    return null;
+  }
+  const criticality = asset.criticality || DEFAULT_CRITICALITY;
+  
+  const findings = await vulnerabilities.find({ assetId });
+  for (const finding of findings) {
+    finding.cvssScores = scoreFinding(finding, criticality);
+    await vulnerabilities.set(findingKey(assetId, finding.id), finding);
+  }
+  
+  const host = asset.ip ? await networkTopology.get(asset.ip) : null;
+  const risk = hostRisk({ findings, services: asset.services || [], criticality });
+  if (host && host.assetId === assetId) {
+    await networkTopology.set(asset.ip, { ...host, ...riskFields(risk) });
+  }
+  await inventory.update(assetId, riskFields(risk));
+  
+  broadcast({
+    type: 'risk_updated',
+    data: { assetId, ip: asset.ip, ...riskFields(risk) }
+  });
+  
+  return risk;
+}
+
+// Move a finding through its lifecycle and re-score the host
+// `req` is the request of a user moving the finding; other moves come from
+// system components named by `actor`
+async function transitionFinding(finding, status, { actor, comment, req }) {
+  const key = finding.key || findingKey(finding.assetId, finding.id);
+  const updated = lifecycle.applyTransition({ ...finding, key }, status, { actor, comment, policy: slaPolicy });
+  await vulnerabilities.set(key, updated);
+  await recordAudit('finding.transitioned', req ? auditActor(req) : systemActor(actor), {
+    target: key,
+    before: { status: finding.status, assignee: finding.assignee || null },
+    after: { status: updated.status, assignee: updated.assignee || null },
+    details: { comment: comment || null }
+  });
+  await refreshRisk(finding.assetId);
+  
+  addLog('info', `Finding ${finding.id} on ${finding.host}: ${finding.status} -> ${status}`, {
+    finding: key,
+    actor
+  });
+  
+  broadcast({
+    type: 'finding_updated',
+    data: lifecycle.withSla(updated)
+  });
+  
+  return updated;
+}
+
+// Load a host document with its current findings attached
+async function loadHost(ip) {
+  const host = await networkTopology.get(ip);
+  if (!host) {
+    return null;
+  }
+  host.vulnerabilities = await vulnerabilities.find({ assetId: host.assetId });
+  return host;
+}
+
+// Zones, firewall rules and when they were imported (see segmentation/)
+const SEGMENTATION_KEY = 'segmentation';
+
+async function loadSegmentation() {
+  return (await meta.get(SEGMENTATION_KEY)) || segmentation.EMPTY;
+}
+
+// Hosts with the zone and segment they are in
+async function zonedHosts(hosts) {
+  const [hostList, assetList, config] = await Promise.all([
+    hosts || networkTopology.list(),
+    assets.list(),
+    loadSegmentation()
+  ]);
+  const tags = new Map(assetList.map(asset => [asset.id, asset.tags || []]));
+  const zoneOf = segmentation.createZoneResolver(config, host => tags.get(host.assetId));
+  return {
+    config,
+    zoneOf,
+    hosts: hostList.map(host => ({ ...host, tags: tags.get(host.assetId) || [], zone: zoneOf(host), segment: segmentOf(host.ip) }))
+  };
+}
+
+// Topology of `hosts` (every known host by default) from the scan evidence
+// and imported neighbour tables, grouped into zones; see topology/ and
+// segmentation/
+async function buildTopology(hosts) {
+  const [{ config, zoneOf, hosts: zoned }, imports] = await Promise.all([
+    zonedHosts(hosts),
+    topologyImports.list()
+  ]);
+  let findingCounts = null;
+  if (!hosts) {
+    findingCounts = new Map();
+    (await vulnerabilities.list()).forEach(finding => {
+      findingCounts.set(finding.assetId, (findingCounts.get(finding.assetId) || 0) + 1);
+    });
+  }
+  const graph = buildGraph({ hosts: zoned, imports, defaultGateway: defaultGateway(), findingCounts });
+  
+  // Devices only seen in the evidence go by address
+  graph.nodes.filter(node => node.inferred && node.ip).forEach(node => {
+    node.zone = zoneOf({ ip: node.ip });
+  });
+  
+  // Flag the nodes and links behind each violation
+  const nodeZones = new Map(graph.nodes.map(node => [node.id, node.zone]));
+  const violations = segmentation.findViolations(config, zoned, graph.links, nodeZones);
+  violations.forEach(violation => {
+    if (violation.type === 'shared_segment') {
+      graph.nodes.filter(node => violation.hosts.includes(node.ip)).forEach(node => {
+        node.violation = violation.type;
+      });
+    } else {
+      graph.links.filter(link => link.type === 'observed_flow' && link.source === violation.source && link.target === violation.target)
+        .forEach(link => {
+          link.violation = violation.type;
+        });
+    }
+  });
+  
+  return {
+    ...graph,
+    zones: config.zones.map(zone => ({
+      id: zone.id,
+      name: zone.name,
+      hosts: graph.nodes.filter(node => node.zone === zone.id).length
+    })),
+    violations
+  };
+}
+
+// Hosts as policies see them: current findings and asset criticality attached
+async function policyHosts() {
+  const [hosts, findings, assetList] = await Promise.all([
+    networkTopology.list(),
+    vulnerabilities.list(),
+    assets.list()
+  ]);
+  const criticality = new Map(assetList.map(asset => [asset.id, asset.criticality || DEFAULT_CRITICALITY]));
+  return hosts.map(host => ({
+    ...host,
+    criticality: criticality.get(host.assetId) || DEFAULT_CRITICALITY,
+    findings: findings.filter(finding => finding.assetId === host.assetId && lifecycle.ACTIVE_STATUSES.includes(finding.status))
+  }));
+}
+
+const policyEngine = createPolicyEngine({
+  policies,
+  violations: policyViolations,
+  loadHosts: policyHosts
+});
+
+async function evaluatePolicies(options = {}, details = {}) {
+  const result = await policyEngine.evaluate(options);
+  const opened = result.policies.flatMap(policy => policy.opened);
+  const resolved = result.policies.flatMap(policy => policy.resolved);
+  
+  opened.forEach(violation => {
+    addLog('warn', `Policy violation: ${violation.policyName} on ${violation.hostname || violation.host}`, {
+      ...details,
+      policyId: violation.policyId,
+      assetId: violation.assetId,
+      severity: violation.severity
+    });
+    notifyWebhooks('policy_violation', violation);
+  });
+  addLog('info', `Evaluated ${result.policies.length} policies against ${result.hosts} hosts`, {
+    ...details,
+    opened: opened.length,
+    resolved: resolved.length
+  });
+  
+  broadcast({
+    type: 'policy_evaluated',
+    data: {
+      evaluatedAt: result.evaluatedAt,
+      hosts: result.hosts,
+      policies: result.policies.map(({ opened, resolved, ...summary }) => summary),
+      opened,
+      resolved
+    }
+  });
+  
+  await recordCompliance(details);
+  return result;
+}
+
+// Compliance frameworks - control catalogues scored from policy violations
+// and active findings
+let frameworks = new Map();
+
+function reloadFrameworks() {
+  const loaded = loadFrameworks(FRAMEWORK_DIR);
+  frameworks = loaded.frameworks;
+  loaded.errors.forEach(({ file, error }) => {
+    addLog('error', `Invalid framework ${file}: ${error}`);
+  });
+  return loaded;
+}
+
+async function complianceState() {
+  const [hosts, policyList, violations] = await Promise.all([
+    policyHosts(),
+    policies.list(),
+    policyViolations.find({ status: 'open' })
+  ]);
+  return { hosts, policies: policyList, violations };
+}
+
+// Score every framework and keep the scores (without evidence) as history
+async function recordCompliance(details = {}) {
+  if (frameworks.size === 0) {
+    return [];
+  }
+  const state = await complianceState();
+  const summaries = [];
+  for (const framework of frameworks.values()) {
+    const summary = summarizeAssessment(assessFramework(framework, state));
+    const id = uuidv4();
+    await complianceHistory.set(id, { id, ...summary, ...details });
+    summaries.push(summary);
+  }
+  broadcast({ type: 'compliance_updated', data: summaries });
+  return summaries;
+}
+
+// Reports are built from everything at once: hosts with their active
+// findings, all findings, remediation runs, scans and compliance
+const reportGenerator = createReportGenerator({
+  reports,
+  dir: REPORT_DIR,
+  loadData: async () => {
+    const state = await complianceState();
+    const [findings, runs, scans, history] = await Promise.all([
+      vulnerabilities.list(),
+      remediations.list(),
+      scanResults.list(),
+      complianceHistory.list()
+    ]);
+    return {
+      hosts: state.hosts,
+      findings,
+      remediations: runs,
+      scans,
+      violations: state.violations,
+      assessments: Array.from(frameworks.values()).map(framework => assessFramework(framework, state)),
+      complianceHistory: history
+    };
+  }
+});
+
+reportGenerator.on('complete', (report) => {
+  if (report.status === 'completed') {
+    addLog('info', `Report "${report.title}" generated`, { report: report.id, formats: report.formats, size: report.size });
+  } else {
+    addLog('error', `Report "${report.title}" failed: ${report.error}`, { report: report.id });
+  }
+  broadcast({ type: 'report_complete', data: report });
+});
+
+reportGenerator.on('error', (error) => {
+  addLog('error', `Report generation error: ${error.message}`);
+});
+
+async function countEnabledPolicies() {
+  metrics.policiesEnforced = (await policies.find({ enabled: true })).length;
+  saveMetrics();
+}
+
+// Completed scans of a subnet, oldest first
+async function completedScans(subnet) {
+  const scans = await scanResults.find({ subnet, status: 'completed' });
+  return scans.sort((a, b) => a.startTime.localeCompare(b.startTime));
+}
+
+async function previousScan(scan) {
+  const earlier = (await completedScans(scan.subnet))
+    .filter(other => other.scanId !== scan.scanId && other.startTime < scan.startTime);
+  return earlier.length ? earlier[earlier.length - 1] : null;
+}
+
+// What scans stopped by a timeout or cancellation had found, kept until the
+// queue reports their final state and they are stored together
+const stoppedScans = new Map();
+
+// Probe errors kept on a scan result; the rest are only counted
+const MAX_SCAN_ERRORS = 100;
+
 // Network discovery function
-async function discoverNetwork(subnet) {
-  const scanId = uuidv4();
+async function discoverNetwork(scanId, subnet, options = {}) {
   const startTime = Date.now();
+  const { signal, reportProgress = () => {} } = options;
+  const driver = scanner.getDriver(options.driver);
   
-  addLog('info', `Starting network discovery for ${subnet}`, { scanId, subnet });
+  addLog('info', `Starting network discovery for ${subnet}`, { scanId, subnet, driver: driver.name });
   
   try {
-    const cidr = new IPCIDR(subnet);
+    const targets = parseTargets(subnet, options.exclude);
     const hosts = [];
-    const topology = {
-      nodes: [],
-      links: []
-    };
+    let scanned = 0;
+    // Addresses whose probe failed; their assets are not marked stale
+    const failed = new Set();
+    const errors = [];
     
-    // Parse subnet and generate IPs
-    const ipList = cidr.toArray({ from: 1, limit: 254 });
+    addLog('info', `Scanning ${targets.count} addresses`, { scanId, count: targets.count, exclude: targets.exclude });
+    reportProgress(0, targets.count, 0);
     
-    addLog('info', `Scanning ${ipList.length} potential hosts`, { scanId, count: ipList.length });
-    
-    // Simulate progressive discovery
-    for (let i = 0; i < Math.min(ipList.length, 50); i++) {
-      const ip = ipList[i];
-      const isActive = Math.random() > 0.6;
+    // Progressive discovery - addresses are streamed to the selected driver
+    // a few at a time, within the scan's rate limit
+    await sweep(addresses(targets.ranges), async (ip) => {
+      const probed = await driver.probe(ip, options);
       
-      if (isActive) {
+      if (probed) {
+        // Driver-reported findings plus feed matches for the services and OS seen
+        const found = [...(probed.vulnerabilities || []), ...await vulndb.match(probed)];
+        
         const host = {
-          id: `host-${ip.replace(/\./g, '-')}`,
           ip: ip,
-          hostname: `host-${i}.local`,
-          mac: generateMAC(),
+          hostname: probed.hostname || ip,
+          mac: probed.mac || null,
           status: 'active',
-          type: getRandomDeviceType(),
-          os: getRandomOS(),
-          services: generateServices(),
-          vulnerabilities: generateVulnerabilities(),
-          risk: calculateRiskScore(),
+          type: probed.type || 'unknown',
+          os: probed.os || null,
+          services: probed.services || [],
           lastSeen: new Date().toISOString(),
-          responseTime: Math.floor(Math.random() * 100) + 1
+          responseTime: probed.responseTime,
+          ttl: probed.ttl || null,
+          hops: hopsFromTtl(probed.ttl),
+          route: probed.route || null,
+          scanner: driver.name
         };
         
-        hosts.push(host);
-        networkTopology.set(ip, host);
+        // Correlate with the asset inventory for a stable identity
+        const { asset, created, merged, previousIp } = await inventory.observe(host, scanId);
+        host.id = asset.id;
+        host.assetId = asset.id;
+        host.firstSeen = asset.firstSeen;
         
-        // Add to topology
-        topology.nodes.push({
-          id: host.id,
-          ip: host.ip,
-          label: host.hostname,
-          type: host.type,
-          risk: host.risk,
-          status: host.status
-        });
+        if (previousIp) {
+          addLog('info', `Asset ${asset.id} moved from ${previousIp} to ${ip}`, { scanId, assetId: asset.id });
+        }
+        if (merged.length > 0) {
+          addLog('info', `Merged duplicate assets into ${asset.id}`, { scanId, assetId: asset.id, merged });
+        }
+        
+        const criticality = asset.criticality || DEFAULT_CRITICALITY;
+        host.vulnerabilities = await recordFindings(host, found, { criticality, scanId });
+        const risk = hostRisk({ findings: host.vulnerabilities, services: host.services, criticality });
+        Object.assign(host, riskFields(risk));
+        await inventory.update(asset.id, riskFields(risk));
+        
+        await networkTopology.set(ip, host);
+        hosts.push(host);
+        if (created) {
+          metrics.hostsDiscovered++;
+          notifyWebhooks('host_discovered', host);
+        }
         
         // Broadcast real-time update
         broadcast({
@@ -179,43 +703,80 @@ async function discoverNetwork(subnet) {
           data: host
         });
         
-        metrics.hostsDiscovered++;
-        
-        // Add some delay to simulate real scanning
-        await new Promise(resolve => setTimeout(resolve, 50));
-      }
-    }
-    
-    // Create network links
-    if (topology.nodes.length > 1) {
-      // Create a star topology with gateway
-      const gateway = topology.nodes[0];
-      for (let i = 1; i < topology.nodes.length; i++) {
-        topology.links.push({
-          source: gateway.id,
-          target: topology.nodes[i].id,
-          type: 'network'
-        });
       }
       
-      // Add some mesh connections
-      for (let i = 1; i < Math.min(topology.nodes.length, 10); i++) {
-        if (Math.random() > 0.7) {
-          const randomTarget = Math.floor(Math.random() * topology.nodes.length);
-          if (randomTarget !== i && randomTarget !== 0) {
-            topology.links.push({
-              source: topology.nodes[i].id,
-              target: topology.nodes[randomTarget].id,
-              type: 'communication'
-            });
-          }
+      scanned++;
+      reportProgress(scanned, targets.count, hosts.length);
+    }, {
+      concurrency: options.concurrency,
+      rate: options.rate,
+      signal,
+      // A probe that fails leaves that address unscanned, not the whole scan
+      onError: (error, ip) => {
+        failed.add(ip);
+        if (errors.length < MAX_SCAN_ERRORS) {
+          errors.push({ ip, error: error.message });
+          addLog('warn', `Probe of ${ip} failed: ${error.message}`, { scanId, ip });
         }
+        scanned++;
+        reportProgress(scanned, targets.count, hosts.length);
       }
+    });
+    
+    if (signal && signal.aborted) {
+      hosts.sort((a, b) => ipToInt(a.ip) - ipToInt(b.ip));
+      stoppedScans.set(scanId, {
+        targets: targets.include,
+        exclude: targets.exclude,
+        addressesTotal: targets.count,
+        addressesScanned: scanned,
+        addressesFailed: failed.size,
+        errors,
+        startTime: new Date(startTime).toISOString(),
+        endTime: new Date().toISOString(),
+        duration: Date.now() - startTime,
+        hostsFound: hosts.length,
+        hosts,
+        partial: true
+      });
+      throw new Error(signal.reason === 'timeout' ? 'Scan timed out' : 'Scan cancelled');
+    }
+    // Nothing was scanned at all - most likely the driver itself is broken
+    if (failed.size > 0 && failed.size === targets.count) {
+      throw new Error(`Every probe failed, e.g. ${errors[0].ip}: ${errors[0].error}`);
+    }
+    
+    // Assets at probed addresses that stopped answering go stale
+    const stale = await inventory.markUnseen(ip => contains(targets.ranges, ip) && !failed.has(ip), hosts.map(host => host.assetId));
+    stale.forEach(asset => {
+      addLog('warn', `Asset ${asset.hostname || asset.id} (${asset.ip}) marked stale`, { scanId, assetId: asset.id });
+      broadcast({
+        type: 'asset_stale',
+        data: asset
+      });
+    });
+    
+    // Probes finish out of order; keep hosts in address order
+    hosts.sort((a, b) => ipToInt(a.ip) - ipToInt(b.ip));
+    const topology = await buildTopology(hosts);
+    if (topology.violations.length > 0) {
+      addLog('warn', `${topology.violations.length} segmentation violations on ${subnet}`, {
+        scanId,
+        violations: topology.violations.map(violation => violation.description)
+      });
     }
     
     const scanResult = {
       scanId,
       subnet,
+      targets: targets.include,
+      exclude: targets.exclude,
+      addressesTotal: targets.count,
+      addressesScanned: scanned,
+      addressesFailed: failed.size,
+      errors,
+      driver: driver.name,
+      scheduleId: options.scheduleId || null,
       startTime: new Date(startTime).toISOString(),
       endTime: new Date().toISOString(),
       duration: Date.now() - startTime,
@@ -225,13 +786,15 @@ async function discoverNetwork(subnet) {
       status: 'completed'
     };
     
-    scanResults.set(scanId, scanResult);
+    await saveScan(scanResult);
     metrics.totalScans++;
-    metrics.lastUpdateTime = new Date();
+    saveMetrics();
     
-    addLog('info', `Network discovery completed: ${hosts.length} hosts found`, {
+    addLog('info', `Network discovery completed: ${hosts.length} hosts found in ${scanned} addresses`, {
       scanId,
       hostsFound: hosts.length,
+      addressesScanned: scanned,
+      addressesFailed: failed.size,
       duration: scanResult.duration
     });
     
@@ -240,332 +803,1848 @@ async function discoverNetwork(subnet) {
       type: 'scan_complete',
       data: scanResult
     });
+    // Webhook receivers get the summary; the full result is at /api/scanner/results/:scanId
+    notifyWebhooks('scan_complete', {
+      scanId,
+      subnet,
+      driver: scanResult.driver,
+      scheduleId: scanResult.scheduleId,
+      startTime: scanResult.startTime,
+      endTime: scanResult.endTime,
+      duration: scanResult.duration,
+      addressesScanned: scanned,
+      hostsFound: hosts.length,
+      hosts: hosts.map(host => ({ assetId: host.assetId, ip: host.ip, hostname: host.hostname, risk: host.risk })),
+      segmentationViolations: topology.violations.length
+    });
+    
+    // Report what changed if this subnet has been scanned before
+    const previous = await previousScan(scanResult);
+    if (previous) {
+      const diff = diffScans(previous, scanResult);
+      if (hasChanges(diff)) {
+        addLog('info', `Changes detected on ${subnet} since scan ${previous.scanId}`, { scanId, ...diff.summary });
+      }
+      broadcast({
+        type: 'scan_diff',
+        data: diff
+      });
+    }
+    
+    // Re-check policies against the updated hosts; a policy problem must not fail the scan
+    await evaluatePolicies({}, { scanId }).catch(error => {
+      addLog('error', `Policy evaluation failed: ${error.message}`, { scanId });
+    });
     
     return scanResult;
     
   } catch (error) {
-    addLog('error', `Network discovery failed: ${error.message}`, { scanId, error: error.stack });
+    if (signal && signal.aborted) {
+      addLog('warn', `Network discovery stopped: ${error.message}`, { scanId });
+    } else {
+      addLog('error', `Network discovery failed: ${error.message}`, { scanId, error: error.stack });
+    }
     throw error;
   }
 }
 
 // Helper functions
-function generateMAC() {
-  const hex = '0123456789ABCDEF';
-  let mac = '';
-  for (let i = 0; i < 6; i++) {
-    if (i > 0) mac += ':';
-    mac += hex[Math.floor(Math.random() * 16)];
-    mac += hex[Math.floor(Math.random() * 16)];
-  }
-  return mac;
-}
-
-function getRandomDeviceType() {
-  const types = ['server', 'workstation', 'router', 'switch', 'firewall', 'printer', 'iot', 'mobile'];
-  return types[Math.floor(Math.random() * types.length)];
-}
-
-function getRandomOS() {
-  const oses = ['Windows Server 2019', 'Ubuntu 22.04', 'CentOS 8', 'Windows 11', 'macOS Ventura', 'Debian 11', 'RouterOS', 'iOS 16'];
-  return oses[Math.floor(Math.random() * oses.length)];
-}
-
-function generateServices() {
-  const allServices = [
-    { port: 22, name: 'SSH', version: 'OpenSSH 8.0' },
-    { port: 80, name: 'HTTP', version: 'Apache 2.4' },
-    { port: 443, name: 'HTTPS', version: 'nginx 1.20' },
-    { port: 3306, name: 'MySQL', version: '8.0' },
-    { port: 5432, name: 'PostgreSQL', version: '14.0' },
-    { port: 3389, name: 'RDP', version: 'Windows RDP' },
-    { port: 445, name: 'SMB', version: 'SMBv3' },
-    { port: 8080, name: 'HTTP-Alt', version: 'Tomcat 9.0' }
-  ];
-  
-  const count = Math.floor(Math.random() * 4) + 1;
-  const services = [];
-  for (let i = 0; i < count; i++) {
-    const service = allServices[Math.floor(Math.random() * allServices.length)];
-    if (!services.find(s => s.port === service.port)) {
-      services.push({...service, state: 'open'});
-    }
-  }
-  return services;
-}
-
-function generateVulnerabilities() {
-  const vulnTemplates = [
-    { 
-      id: 'CVE-2021-44228', 
-      name: 'Log4Shell', 
-      severity: 'critical', 
-      cvss: 10.0,
-      description: 'Apache Log4j2 Remote Code Execution',
-      remediation: 'Update Log4j to version 2.17.0 or later'
-    },
-    { 
-      id: 'CVE-2021-34527', 
-      name: 'PrintNightmare', 
-      severity: 'critical', 
-      cvss: 8.8,
-      description: 'Windows Print Spooler Remote Code Execution',
-      remediation: 'Apply Windows security update KB5004945'
-    },
-    { 
-      id: 'CVE-2020-1472', 
-      name: 'Zerologon', 
-      severity: 'critical', 
-      cvss: 10.0,
-      description: 'Netlogon Elevation of Privilege Vulnerability',
-      remediation: 'Apply Windows security update and enforce secure RPC'
-    },
-    { 
-      id: 'CVE-2022-30190', 
-      name: 'Follina', 
-      severity: 'high', 
-      cvss: 7.8,
-      description: 'Microsoft Windows Support Diagnostic Tool RCE',
-      remediation: 'Disable MSDT URL protocol'
-    },
-    { 
-      id: 'VULN-001', 
-      name: 'Weak SSH Configuration', 
-      severity: 'medium', 
-      cvss: 5.3,
-      description: 'SSH allows password authentication',
-      remediation: 'Disable password authentication, use key-based auth'
-    }
-  ];
-  
-  const vulns = [];
-  const count = Math.floor(Math.random() * 3);
-  for (let i = 0; i < count; i++) {
-    const vuln = vulnTemplates[Math.floor(Math.random() * vulnTemplates.length)];
-    if (!vulns.find(v => v.id === vuln.id)) {
-      vulns.push({
-        ...vuln,
-        discovered: new Date().toISOString(),
-        status: 'open'
-      });
-      metrics.vulnerabilitiesFound++;
-    }
-  }
-  return vulns;
-}
+const SCAN_TIMEOUT = parseInt(process.env.SCAN_TIMEOUT) || 300000;
 
-function calculateRiskScore() {
-  const scores = ['low', 'medium', 'high', 'critical'];
-  return scores[Math.floor(Math.random() * scores.length)];
+// SCAN_TIMEOUT on top of the time the rate limit needs to start every probe,
+// so a large range is not cut short just for being large
+function scanTimeout(subnet, options) {
+  const rate = options.rate === undefined || options.rate === null ? SWEEP_DEFAULTS.rate : options.rate;
+  if (!rate) return SCAN_TIMEOUT;
+  try {
+    const { count } = parseTargets(subnet, options.exclude);
+    return Math.min(MAX_TIMER_DELAY, SCAN_TIMEOUT + Math.ceil((count / rate) * 1000));
+  } catch (error) {
+    // discoverNetwork reports the bad target
+    return SCAN_TIMEOUT;
+  }
 }
 
-// API Routes
-
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
-    service: 'guardian-api',
-    uptime: process.uptime(),
-    metrics: metrics
-  });
+// Scan job queue
+const scanQueue = createScanQueue({
+  run: discoverNetwork,
+  maxConcurrent: parseInt(process.env.MAX_CONCURRENT_SCANS) || 3,
+  timeout: scanTimeout,
+  jobs: activeScans
 });
 
-// Logs endpoint
-app.get('/api/logs', (req, res) => {
-  const limit = parseInt(req.query.limit) || 100;
-  const level = req.query.level;
-  
-  let logs = systemLogs.slice(-limit);
-  if (level) {
-    logs = logs.filter(log => log.level === level);
+scanQueue.on('update', (job) => {
+  // Completed scans are stored by discoverNetwork with their full results,
+  // stopped ones with whatever they found before they stopped
+  if (job.status !== 'completed') {
+    const partial = stoppedScans.get(job.scanId);
+    stoppedScans.delete(job.scanId);
+    saveScan(partial ? { ...job, ...partial } : job);
   }
   
-  res.json(logs);
-});
-
-// Network scanning
-app.post('/api/scanner/discover', async (req, res) => {
-  const { subnet } = req.body;
-  
-  if (!subnet) {
-    return res.status(400).json({ error: 'Subnet is required' });
+  if (job.scheduleId && job.status !== 'running') {
+    scheduler.recordScan(job).catch(error => {
+      logger.error(`Failed to update schedule ${job.scheduleId}: ${error.message}`);
+    });
   }
   
-  try {
-    addLog('info', `API: Network discovery initiated for ${subnet}`);
-    
-    // Start async scan
-    const scanPromise = discoverNetwork(subnet);
-    
-    // Return immediately with scan ID
-    res.json({ 
-      message: 'Network discovery initiated',
-      subnet,
-      scanId: 'pending'
-    });
-    
-    // Continue scanning in background
-    scanPromise.catch(error => {
-      addLog('error', `Background scan failed: ${error.message}`);
-    });
-    
-  } catch (error) {
-    addLog('error', `API error: ${error.message}`);
-    res.status(500).json({ error: error.message });
+  if (job.status === 'failed' || job.status === 'cancelled') {
+    saveMetrics();
   }
-});
-
-// Get scan results
-app.get('/api/scanner/results/:scanId', (req, res) => {
-  const { scanId } = req.params;
-  const result = scanResults.get(scanId);
   
-  if (!result) {
-    return res.status(404).json({ error: 'Scan not found' });
+  if (job.status === 'failed') {
+    addLog('error', `Scan ${job.scanId} failed: ${job.error}`, { scanId: job.scanId });
+  } else if (job.status === 'cancelled') {
+    addLog('info', `Scan ${job.scanId} cancelled`, { scanId: job.scanId });
   }
   
-  res.json(result);
+  broadcast({
+    type: 'scan_progress',
+    data: job
+  });
 });
 
-// Get all scan results
-app.get('/api/scanner/results', (req, res) => {
-  const results = Array.from(scanResults.values());
-  res.json(results);
+// Recurring discovery
+const scheduler = createScheduler({
+  schedules,
+  submit: (subnet, options) => scanQueue.submit(subnet, options),
+  isActive: (scanId) => scanQueue.get(scanId) !== null
 });
 
-// Get network topology
-app.get('/api/topology', (req, res) => {
-  const topology = {
-    nodes: [],
-    links: []
-  };
-  
-  const hosts = Array.from(networkTopology.values());
-  
-  hosts.forEach(host => {
-    topology.nodes.push({
-      id: host.id,
-      ip: host.ip,
-      label: host.hostname,
-      type: host.type,
-      risk: host.risk,
-      status: host.status,
-      vulnerabilities: host.vulnerabilities.length
+scheduler.on('run', (schedule, { scanId, reason }) => {
+  addLog('info', `Schedule "${schedule.name}" started scan of ${schedule.subnet}`, { scheduleId: schedule.id, scanId, reason });
+  // Manual runs are audited as the user who asked for them
+  if (reason !== 'manual') {
+    recordAudit('scan.started', systemActor('scheduler'), {
+      target: schedule.subnet,
+      details: { scanId, scheduleId: schedule.id, reason }
     });
-  });
-  
-  // Generate links
-  if (topology.nodes.length > 1) {
-    const gateway = topology.nodes[0];
-    for (let i = 1; i < topology.nodes.length; i++) {
-      topology.links.push({
-        source: gateway.id,
-        target: topology.nodes[i].id,
-        type: 'network'
-      });
-    }
   }
-  
-  res.json(topology);
+  broadcast({
+    type: 'schedule_run',
+    data: { scheduleId: schedule.id, name: schedule.name, subnet: schedule.subnet, scanId, reason }
+  });
 });
 
-// Get host details
-app.get('/api/hosts/:ip', (req, res) => {
-  const { ip } = req.params;
-  const host = networkTopology.get(ip);
-  
-  if (!host) {
-    return res.status(404).json({ error: 'Host not found' });
-  }
-  
-  res.json(host);
+scheduler.on('skipped', (schedule, { reason, scanId }) => {
+  addLog('warn', `Schedule "${schedule.name}" skipped: ${reason}`, { scheduleId: schedule.id, scanId });
 });
 
-// Vulnerability management
-app.get('/api/vulnerabilities', (req, res) => {
-  const allVulns = [];
-  
-  networkTopology.forEach(host => {
-    host.vulnerabilities.forEach(vuln => {
-      allVulns.push({
-        ...vuln,
-        host: host.ip,
-        hostname: host.hostname
-      });
-    });
+scheduler.on('missed', (schedule, { missed, since, policy }) => {
+  addLog('warn', `Schedule "${schedule.name}" missed ${missed} run(s) since ${since} while the server was down`, {
+    scheduleId: schedule.id,
+    action: policy === 'run' ? 'running now' : 'skipped'
   });
-  
-  res.json(allVulns);
 });
 
-// Apply remediation
-app.post('/api/remediate', (req, res) => {
-  const { hostIp, vulnerabilityId, action } = req.body;
-  
-  const host = networkTopology.get(hostIp);
-  if (!host) {
+scheduler.on('error', (error) => {
+  addLog('error', `Scheduler error: ${error.message}`);
+});
+
+// Post-remediation verification rescans
+const VERIFY_REMEDIATION = process.env.VERIFY_REMEDIATION !== 'false';
+
+const verifier = createVerifier({
+  verifications,
+  loadFinding: (key) => vulnerabilities.get(key),
+  probe: (ip, options) => scanner.getDriver(options.driver || undefined).probe(ip, options),
+  match: (host) => vulndb.match(host)
+});
+
+// Apply a verification outcome to its finding
+async function completeVerification(verification) {
+  const { id, findingKey, status, reason } = verification;
+  let finding = await vulnerabilities.get(findingKey);
+  const target = status === 'verified' ? 'verified' : status === 'reopened' ? 'reopened' : null;
+  
+  if (finding && (target || status === 'inconclusive')) {
+    finding.lastVerification = { id, status, completedAt: verification.completedAt };
+    if (target && lifecycle.canTransition(finding.status, target)) {
+      if (target === 'reopened' && verification.evidence.detected.length > 0) {
+        finding.evidence = verification.evidence.detected;
+      }
+      finding = await transitionFinding(finding, target, { actor: 'verifier', comment: `Verification ${id}: ${reason}` });
+    } else {
+      await vulnerabilities.set(findingKey, finding);
+    }
+  }
+  
+  const level = status === 'verified' || status === 'cancelled' ? 'info' : 'warn';
+  addLog(level, `Verification of ${verification.vulnerabilityId} on ${verification.host}: ${status} - ${reason}`, {
+    verification: id,
+    finding: findingKey
+  });
+  
+  broadcast({
+    type: 'verification_complete',
+    data: { verification, finding: finding ? lifecycle.withSla(finding) : null }
+  });
+}
+
+verifier.on('complete', (verification) => {
+  completeVerification(verification).catch(error => {
+    addLog('error', `Failed to apply verification ${verification.id}: ${error.message}`);
+  });
+});
+
+verifier.on('error', (error) => {
+  addLog('error', `Verification error: ${error.message}`);
+});
+
+// Outbound webhooks (see webhooks/)
+const webhooks = createWebhooks({
+  webhooks: storage.collection('webhooks'),
+  deliveries: storage.collection('webhook_deliveries')
+});
+
+webhooks.on('failed', (delivery) => {
+  addLog('warn', `Webhook delivery ${delivery.id} (${delivery.event}) failed: ${delivery.lastError}; retrying at ${delivery.nextAttemptAt}`, {
+    webhookId: delivery.webhookId,
+    attempts: delivery.attempts
+  });
+});
+
+webhooks.on('dead_letter', (delivery) => {
+  addLog('error', `Webhook delivery ${delivery.id} (${delivery.event}) gave up after ${delivery.attempts} attempts: ${delivery.lastError}`, {
+    webhookId: delivery.webhookId
+  });
+});
+
+webhooks.on('error', (error) => {
+  addLog('error', `Webhook error: ${error.message}`);
+});
+
+// Webhooks never hold up or fail the action that triggered them
+function notifyWebhooks(event, data) {
+  webhooks.dispatch(event, data).catch(error => {
+    addLog('error', `Failed to queue ${event} webhooks: ${error.message}`);
+  });
+}
+
+async function requestVerification(finding, { driver, delay, requestedBy }) {
+  const verification = await verifier.request(finding, { driver, delay, requestedBy });
+  
+  addLog('info', `Verification rescan of ${finding.id} on ${finding.host} scheduled`, {
+    verification: verification.id,
+    ports: verification.ports,
+    runAt: verification.runAt
+  });
+  broadcast({
+    type: 'verification_scheduled',
+    data: verification
+  });
+  
+  return verification;
+}
+
+function verifyDelay(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const delay = Number(value);
+  if (!Number.isInteger(delay) || delay < 0) {
+    throw new Error('verifyDelay must be a whole number of seconds');
+  }
+  return delay;
+}
+
+// Remediation playbooks - the bundled library plus PLAYBOOK_DIR, which can
+// override bundled playbooks by id
+let playbooks = new Map();
+
+function reloadPlaybooks() {
+  const loaded = loadPlaybooks([LIBRARY_DIR, PLAYBOOK_DIR]);
+  playbooks = loaded.playbooks;
+  loaded.errors.forEach(({ file, error }) => {
+    addLog('error', `Invalid playbook ${file}: ${error}`);
+  });
+  return loaded;
+}
+
+// Steps run for real only alongside a real scanner, like the scanner drivers;
+// without FEATURE_AUTOMATED_REMEDIATION every run waits for approval
+const playbookRunner = createPlaybookRunner({
+  remediations,
+  automated: process.env.FEATURE_AUTOMATED_REMEDIATION === 'true',
+  simulate: (process.env.PLAYBOOK_EXECUTION || (process.env.MOCK_SCANNER === 'false' ? 'execute' : 'simulate')) === 'simulate'
+});
+
+async function moveFinding(key, status, options) {
+  const finding = await vulnerabilities.get(key);
+  if (finding && lifecycle.canTransition(finding.status, status)) {
+    return transitionFinding(finding, status, options);
+  }
+  return finding;
+}
+
+async function playbookRunChanged(run) {
+  const actor = `playbook:${run.playbookId}`;
+  const label = `Playbook "${run.playbookName}" for ${run.vulnerabilityId} on ${run.host}`;
+  
+  if (run.status === 'pending_approval') {
+    addLog('info', `${label} is awaiting approval`, { remediation: run.id });
+  } else if (run.status === 'running') {
+    addLog('info', `${label} started`, { remediation: run.id, approvedBy: run.approvedBy, simulated: run.simulated });
+    await moveFinding(run.findingKey, 'in_progress', { actor, comment: `Remediation run ${run.id} started` });
+  } else if (run.status === 'succeeded') {
+    addLog('info', `${label} succeeded`, { remediation: run.id });
+    metrics.remediationsApplied++;
+    saveMetrics();
+    
+    const finding = await moveFinding(run.findingKey, 'remediated', {
+      actor,
+      comment: `Remediated by playbook ${run.playbookId} (run ${run.id})`
+    });
+    broadcast({
+      type: 'remediation_applied',
+      data: { host: run.host, vulnerability: run.vulnerabilityId, playbook: run.playbookId, remediation: run.id }
+    });
+    notifyWebhooks('remediation_applied', {
+      host: run.host,
+      vulnerability: run.vulnerabilityId,
+      playbook: run.playbookId,
+      playbookName: run.playbookName,
+      remediation: run.id,
+      simulated: run.simulated,
+      finding: finding ? lifecycle.withSla(finding) : null
+    });
+    
+    // Confirm the fix with a targeted rescan rather than taking it on trust
+    if (finding && finding.status === 'remediated' && run.verify && run.verify.enabled) {
+      const host = await networkTopology.get(run.host);
+      await requestVerification(finding, {
+        driver: host ? host.scanner : undefined,
+        delay: run.verify.delay,
+        requestedBy: actor
+      });
+    }
+  } else if (run.status === 'rejected' || run.status === 'cancelled') {
+    addLog('info', `${label} ${run.status}`, { remediation: run.id, by: run.approvedBy, reason: run.error });
+  } else if (run.status !== 'previewed') {
+    addLog(run.status === 'rolled_back' ? 'warn' : 'error', `${label} ${run.status.replace('_', ' ')}: ${run.error}`, {
+      remediation: run.id
+    });
+  }
+  
+  // Finished runs, whatever the outcome
+  if (!run.dryRun && ['succeeded', 'failed', 'rolled_back', 'cancelled'].includes(run.status)) {
+    await recordAudit(`remediation.${run.status}`, systemActor(actor), {
+      target: run.id,
+      after: { status: run.status, finding: run.findingKey, host: run.host },
+      details: { error: run.error || null, approvedBy: run.approvedBy || null }
+    });
+  }
+  
+  broadcast({
+    type: 'remediation_run',
+    data: run
+  });
+}
+
+playbookRunner.on('run', (run) => {
+  playbookRunChanged(run).catch(error => {
+    addLog('error', `Failed to process remediation run ${run.id}: ${error.message}`);
+  });
+});
+
+playbookRunner.on('step', (run, phase, index) => {
+  const step = run[phase][index];
+  if (step.status !== 'running') {
+    addLog(step.status === 'failed' ? 'error' : 'info', `${phase === 'rollback' ? 'Rollback' : 'Step'} "${step.name}" ${step.status}`, {
+      remediation: run.id,
+      output: step.output,
+      error: step.error
+    });
+  }
+  broadcast({
+    type: 'remediation_step',
+    data: { remediationId: run.id, phase, index, step }
+  });
+});
+
+playbookRunner.on('error', (error) => {
+  addLog('error', `Remediation run error: ${error.message}`);
+});
+
+function playbookSummary(playbook) {
+  const { steps, rollback, ...summary } = playbook;
+  return { ...summary, steps: steps.length, rollbackSteps: rollback.length };
+}
+
+// Validate the scan parameters shared by ad-hoc scans and schedules.
+// `subnet` is a target list (CIDRs, ranges and addresses); `exclude` takes
+// the same forms, `concurrency` and `rate` (probes per second) pace the sweep
+// and `traceroute` overrides SCAN_TRACEROUTE for drivers that support it.
+function scanOptions({ subnet, exclude, driver, ports, portConcurrency, portTimeout, concurrency, rate, traceroute }) {
+  if (!subnet || (Array.isArray(subnet) && subnet.length === 0)) {
+    throw new Error('Subnet is required');
+  }
+  
+  const scanDriver = scanner.getDriver(driver);
+  if (ports) {
+    parsePortSpec(ports);
+  }
+  
+  const targets = parseTargets(subnet, exclude);
+  if (rate !== undefined && rate !== null && !(Number(rate) >= 0)) {
+    throw new Error('rate must be a number of probes per second, or 0 for no limit');
+  }
+  
+  return {
+    driver: scanDriver.name,
+    ports,
+    portConcurrency: parseInt(portConcurrency) || undefined,
+    portTimeout: parseInt(portTimeout) || undefined,
+    exclude: targets.exclude.length > 0 ? targets.exclude : undefined,
+    concurrency: parseInt(concurrency) || undefined,
+    rate: rate === undefined || rate === null ? undefined : Number(rate),
+    traceroute: traceroute === undefined || traceroute === null ? undefined : Boolean(traceroute)
+  };
+}
+
+// Subnet scopes limit where a user may scan and remediate; answers 403 and
+// returns false when `target` (a CIDR or address) is outside the scope
+function withinScope(req, res, target) {
+  if (inScope(req.auth.user, target)) {
+    return true;
+  }
+  res.status(403).json({ error: `${target} is outside the subnets you may scan`, subnets: req.auth.user.subnets });
+  return false;
+}
+
+// Express 4 does not catch rejected promises from async handlers
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// API Routes
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'healthy', 
+    service: 'guardian-api',
+    uptime: process.uptime(),
+    metrics: metrics,
+    realtime: realtime.status()
+  });
+});
+
+// Authentication - every other /api route needs a session token or API key
+app.post('/api/auth/login', asyncRoute(async (req, res) => {
+  const { username, password } = req.body;
+  if (!username || !password) {
+    return res.status(400).json({ error: 'username and password are required' });
+  }
+  
+  try {
+    const session = await auth.login(username, password, { ip: req.ip, userAgent: req.get('user-agent') });
+    addLog('info', `User logged in: ${session.user.username}`, { userId: session.user.id, ip: req.ip });
+    await recordAudit('auth.login', { type: 'user', userId: session.user.id, username: session.user.username, via: 'password', ip: req.ip }, {
+      target: session.user.id
+    });
+    res.json(session);
+  } catch (error) {
+    if (!error.code) throw error;
+    addLog('warn', `Failed login for ${username}`, { ip: req.ip, reason: error.code });
+    await recordAudit('auth.login_failed', auditActor(req), { details: { username, reason: error.code } });
+    res.status(error.code === 'locked_out' ? 429 : 401).json({ error: error.message });
+  }
+}));
+
+app.use('/api', auth.middleware);
+
+app.get('/api/auth/me', (req, res) => {
+  res.json(req.auth);
+});
+
+app.post('/api/auth/logout', asyncRoute(async (req, res) => {
+  if (req.auth.type !== 'session') {
+    return res.status(400).json({ error: 'API keys are revoked, not logged out' });
+  }
+  await auth.logout(req.auth.sessionId);
+  await recordAudit('auth.logout', auditActor(req), { target: req.auth.user.id });
+  res.status(204).end();
+}));
+
+app.put('/api/auth/password', asyncRoute(async (req, res) => {
+  const { currentPassword, password } = req.body;
+  try {
+    if (!(await auth.changePassword(req.auth.user.id, currentPassword, password, req.auth.sessionId))) {
+      return res.status(403).json({ error: 'Current password is incorrect' });
+    }
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  addLog('info', `Password changed: ${req.auth.user.username}`, { userId: req.auth.user.id });
+  await recordAudit('auth.password_changed', auditActor(req), { target: req.auth.user.id });
+  res.status(204).end();
+}));
+
+// API keys belong to the user who creates them and act as that user
+app.get('/api/auth/keys', asyncRoute(async (req, res) => {
+  res.json(await auth.listApiKeys(req.auth.user.id));
+}));
+
+app.post('/api/auth/keys', asyncRoute(async (req, res) => {
+  let key;
+  try {
+    key = await auth.createApiKey(req.auth.user.id, { name: req.body.name, expiresAt: req.body.expiresAt || null });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  addLog('info', `API key created: ${key.name}`, { keyId: key.id, userId: req.auth.user.id });
+  const { key: secret, ...stored } = key;
+  await recordAudit('auth.api_key_created', auditActor(req), { target: key.id, after: stored });
+  res.status(201).json(key);
+}));
+
+app.delete('/api/auth/keys/:id', asyncRoute(async (req, res) => {
+  if (!(await auth.revokeApiKey(req.auth.user.id, req.params.id))) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+  addLog('info', `API key revoked: ${req.params.id}`, { userId: req.auth.user.id });
+  await recordAudit('auth.api_key_revoked', auditActor(req), { target: req.params.id });
+  res.status(204).end();
+}));
+
+app.get('/api/roles', (req, res) => {
+  res.json(ROLES.map(role => ({ role, permissions: permissionsFor(role) })));
+});
+
+app.get('/api/users', requirePermission('users:manage'), asyncRoute(async (req, res) => {
+  res.json(await auth.listUsers());
+}));
+
+app.post('/api/users', requirePermission('users:manage'), asyncRoute(async (req, res) => {
+  const { username, password, name, role, subnets } = req.body;
+  let user;
+  try {
+    user = await auth.createUser({ username, password, name, role, subnets });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  addLog('info', `User created: ${user.username}`, { userId: user.id, by: req.auth.user.username });
+  await recordAudit('user.created', auditActor(req), { target: user.id, after: user });
+  res.status(201).json(user);
+}));
+
+// Any of { role, subnets, disabled, password }; admins cannot lock
+// themselves out by changing their own role or disabling themselves
+app.put('/api/users/:id', requirePermission('users:manage'), asyncRoute(async (req, res) => {
+  const { role, subnets, disabled, password } = req.body;
+  if (req.params.id === req.auth.user.id && (disabled !== undefined || role !== undefined)) {
+    return res.status(400).json({ error: 'You cannot change the role of or disable your own account' });
+  }
+  
+  const before = await auth.getUser(req.params.id);
+  if (!before) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  let user = before;
+  try {
+    if (role !== undefined || subnets !== undefined) {
+      user = await auth.setAccess(user.id, { role, subnets });
+    }
+    if (password !== undefined) {
+      await auth.setPassword(user.id, password, user.id === req.auth.user.id ? req.auth.sessionId : null);
+    }
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (disabled !== undefined) {
+    user = await auth.setDisabled(user.id, Boolean(disabled));
+  }
+  addLog('info', `User updated: ${user.username}`, { userId: user.id, by: req.auth.user.username });
+  await recordAudit('user.updated', auditActor(req), {
+    target: user.id,
+    before,
+    after: user,
+    details: { passwordReset: password !== undefined }
+  });
+  res.json(user);
+}));
+
+app.delete('/api/users/:id', requirePermission('users:manage'), asyncRoute(async (req, res) => {
+  if (req.params.id === req.auth.user.id) {
+    return res.status(400).json({ error: 'You cannot delete your own account' });
+  }
+  const user = await auth.deleteUser(req.params.id);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  addLog('info', `User deleted: ${user.username}`, { userId: user.id, by: req.auth.user.username });
+  await recordAudit('user.deleted', auditActor(req), { target: user.id, before: user });
+  res.status(204).end();
+}));
+
+// Audit trail, newest first: ?action=policy (or policy.updated), actor,
+// target, from, to, limit, offset
+app.get('/api/audit', requirePermission('audit:read'), asyncRoute(async (req, res) => {
+  const { action, actor, target, from, to } = req.query;
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && Number.isNaN(Date.parse(value))) {
+      return res.status(400).json({ error: `${name} must be a date` });
+    }
+  }
+  res.json(await audit.query({
+    action,
+    actor,
+    target,
+    from: from && new Date(from).toISOString(),
+    to: to && new Date(to).toISOString(),
+    limit: Math.min(parseInt(req.query.limit) || 100, 1000),
+    offset: parseInt(req.query.offset) || 0
+  }));
+}));
+
+// Recomputes the whole hash chain
+app.get('/api/audit/verify', requirePermission('audit:read'), asyncRoute(async (req, res) => {
+  const result = await audit.verify();
+  if (!result.valid) {
+    addLog('error', `Audit trail verification failed: ${result.problems.length} problem(s)`, { problems: result.problems.slice(0, 10) });
+  }
+  await recordAudit('audit.verified', auditActor(req), { details: { valid: result.valid, entries: result.entries, head: result.head } });
+  res.json(result);
+}));
+
+// Outbound webhooks. A webhook's secret is only returned when it is set:
+// on creation, or an update with a new secret or rotateSecret: true
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead_letter'];
+
+app.get('/api/webhooks', requirePermission('settings:manage'), asyncRoute(async (req, res) => {
+  res.json((await webhooks.list()).map(publicWebhook));
+}));
+
+app.post('/api/webhooks', requirePermission('settings:manage'), asyncRoute(async (req, res) => {
+  let fields;
+  try {
+    fields = validateWebhook(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  const webhook = await webhooks.create(fields);
+  addLog('info', `Webhook "${webhook.name}" created for ${webhook.events.join(', ')}`, { webhookId: webhook.id });
+  await recordAudit('webhook.created', auditActor(req), { target: webhook.id, after: publicWebhook(webhook) });
+  
+  res.status(201).json(webhook);
+}));
+
+// Delivery log, newest first: ?webhookId=, ?status=pending|delivered|dead_letter
+app.get('/api/webhooks/deliveries', requirePermission('settings:manage'), asyncRoute(async (req, res) => {
+  const { webhookId, status } = req.query;
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+  }
+  const filter = {};
+  if (webhookId) filter.webhookId = webhookId;
+  if (status) filter.status = status;
+  const list = await webhooks.deliveries(filter, Math.min(parseInt(req.query.limit) || 100, 1000));
+  res.json(list.map(({ body, history, ...delivery }) => delivery));
+}));
+
+app.get('/api/webhooks/deliveries/:id', requirePermission('settings:manage'), asyncRoute(async (req, res) => {
+  const delivery = await webhooks.delivery(req.params.id);
+  if (!delivery) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  res.json({ ...delivery, body: JSON.parse(delivery.body) });
+}));
+
+app.post('/api/webhooks/deliveries/:id/redeliver', requirePermission('settings:manage'), asyncRoute(async (req, res) => {
+  let delivery;
+  try {
+    delivery = await webhooks.redeliver(req.params.id);
+  } catch (error) {
+    return res.status(409).json({ error: error.message });
+  }
+  if (!delivery) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  
+  addLog('info', `Webhook delivery ${req.params.id} queued again as ${delivery.id}`, { webhookId: delivery.webhookId });
+  await recordAudit('webhook.redelivered', auditActor(req), {
+    target: delivery.webhookId,
+    details: { delivery: req.params.id, redelivery: delivery.id, event: delivery.event }
+  });
+  
+  const { body, ...queued } = delivery;
+  res.status(202).json(queued);
+}));
+
+app.get('/api/webhooks/:id', requirePermission('settings:manage'), asyncRoute(async (req, res) => {
+  const webhook = await webhooks.get(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json(publicWebhook(webhook));
+}));
+
+app.put('/api/webhooks/:id', requirePermission('settings:manage'), asyncRoute(async (req, res) => {
+  const existing = await webhooks.get(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  
+  let fields;
+  try {
+    fields = validateWebhook(req.body, existing);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (req.body.rotateSecret) {
+    fields.secret = generateSecret();
+  }
+  
+  const webhook = await webhooks.update(req.params.id, fields);
+  const secretChanged = webhook.secret !== existing.secret;
+  addLog('info', `Webhook "${webhook.name}" updated`, { webhookId: webhook.id, secretChanged });
+  await recordAudit('webhook.updated', auditActor(req), {
+    target: webhook.id,
+    before: publicWebhook(existing),
+    after: publicWebhook(webhook),
+    details: { secretChanged }
+  });
+  
+  res.json(secretChanged ? webhook : publicWebhook(webhook));
+}));
+
+app.delete('/api/webhooks/:id', requirePermission('settings:manage'), asyncRoute(async (req, res) => {
+  const webhook = await webhooks.remove(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  addLog('info', `Webhook "${webhook.name}" deleted`, { webhookId: webhook.id });
+  await recordAudit('webhook.deleted', auditActor(req), { target: webhook.id, before: publicWebhook(webhook) });
+  res.status(204).end();
+}));
+
+// Logs endpoint
+app.get('/api/logs', (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
+  const level = req.query.level;
+  
+  let logs = systemLogs.slice(-limit);
+  if (level) {
+    logs = logs.filter(log => log.level === level);
+  }
+  
+  res.json(logs);
+});
+
+// Network scanning
+app.post('/api/scanner/discover', requirePermission('scans:run'), async (req, res) => {
+  let subnet;
+  let options;
+  try {
+    options = scanOptions(req.body);
+    subnet = formatTargets(req.body.subnet);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!withinScope(req, res, subnet)) return;
+  
+  try {
+    // Queue the scan; it runs in the background once a slot is free
+    const job = scanQueue.submit(subnet, options);
+    
+    addLog('info', `API: Network discovery initiated for ${subnet}`, { scanId: job.scanId, driver: options.driver });
+    await recordAudit('scan.started', auditActor(req), { target: subnet, details: { scanId: job.scanId, ...options } });
+    
+    // Return immediately with scan ID
+    res.status(202).json({ 
+      message: 'Network discovery initiated',
+      subnet,
+      driver: options.driver,
+      scanId: job.scanId,
+      status: job.status
+    });
+    
+  } catch (error) {
+    addLog('error', `API error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Available scanner drivers
+app.get('/api/scanner/drivers', (req, res) => {
+  res.json(scanner.listDrivers());
+});
+
+// Queued and running scans
+app.get('/api/scanner/jobs', (req, res) => {
+  res.json(scanQueue.list());
+});
+
+app.get('/api/scanner/jobs/:scanId', asyncRoute(async (req, res) => {
+  const job = scanQueue.get(req.params.scanId) || await scanResults.get(req.params.scanId);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Scan not found' });
+  }
+  
+  const { hosts, topology, ...status } = job;
+  res.json(status);
+}));
+
+// Cancel a queued or running scan
+app.delete('/api/scanner/jobs/:scanId', requirePermission('scans:run'), asyncRoute(async (req, res) => {
+  const { scanId } = req.params;
+  const queued = scanQueue.get(scanId);
+  if (queued && !withinScope(req, res, queued.subnet)) return;
+  const job = scanQueue.cancel(scanId);
+  
+  if (!job) {
+    const finished = await scanResults.get(scanId);
+    if (finished) {
+      return res.status(409).json({ error: `Scan already ${finished.status}` });
+    }
+    return res.status(404).json({ error: 'Scan not found' });
+  }
+  
+  addLog('info', `API: Cancellation requested for scan ${scanId}`, { scanId });
+  await recordAudit('scan.cancelled', auditActor(req), { target: job.subnet, details: { scanId } });
+  
+  res.status(202).json({
+    message: 'Scan cancellation requested',
+    scanId,
+    status: job.status
+  });
+}));
+
+// Compare two scans, or the latest scan of a subnet against its baseline
+// (or the scan before it when no baseline has been pinned)
+app.get('/api/scanner/diff', asyncRoute(async (req, res) => {
+  const { from, to, subnet, against = 'baseline' } = req.query;
+  let baseline;
+  let current;
+  
+  if (from && to) {
+    baseline = await scanResults.get(from);
+    current = await scanResults.get(to);
+  } else if (subnet) {
+    const scans = await completedScans(subnet);
+    current = scans[scans.length - 1];
+    const baselines = (await meta.get('baselines')) || {};
+    if (against === 'baseline' && baselines[subnet] && baselines[subnet] !== (current && current.scanId)) {
+      baseline = await scanResults.get(baselines[subnet]);
+    } else {
+      baseline = scans[scans.length - 2];
+    }
+  } else {
+    return res.status(400).json({ error: 'Either from and to scan IDs or a subnet is required' });
+  }
+  
+  if (!baseline || !current) {
+    return res.status(404).json({ error: 'Not enough completed scans to compare' });
+  }
+  if (baseline.status !== 'completed' || current.status !== 'completed') {
+    return res.status(409).json({ error: 'Only completed scans can be compared' });
+  }
+  
+  res.json(diffScans(baseline, current));
+}));
+
+// Pinned baseline scans, one per subnet
+app.get('/api/scanner/baselines', asyncRoute(async (req, res) => {
+  res.json((await meta.get('baselines')) || {});
+}));
+
+app.post('/api/scanner/baselines', requirePermission('scans:run'), asyncRoute(async (req, res) => {
+  const { scanId } = req.body;
+  const scan = scanId ? await scanResults.get(scanId) : null;
+  
+  if (!scan) {
+    return res.status(404).json({ error: 'Scan not found' });
+  }
+  if (scan.status !== 'completed') {
+    return res.status(409).json({ error: 'Only a completed scan can be a baseline' });
+  }
+  if (!withinScope(req, res, scan.subnet)) return;
+  
+  const baselines = (await meta.get('baselines')) || {};
+  baselines[scan.subnet] = scan.scanId;
+  await meta.set('baselines', baselines);
+  
+  addLog('info', `Baseline for ${scan.subnet} set to scan ${scan.scanId}`, { scanId: scan.scanId });
+  
+  res.json({ subnet: scan.subnet, scanId: scan.scanId });
+}));
+
+// Get scan results
+app.get('/api/scanner/results/:scanId', asyncRoute(async (req, res) => {
+  const { scanId } = req.params;
+  const result = await scanResults.get(scanId);
+  
+  if (!result) {
+    return res.status(404).json({ error: 'Scan not found' });
+  }
+  
+  res.json(result);
+}));
+
+// Get all scan results
+app.get('/api/scanner/results', asyncRoute(async (req, res) => {
+  const results = await scanResults.list();
+  res.json(results);
+}));
+
+// Scan schedules
+
+// Pull the schedule fields and scan options out of a request body
+function scheduleFields(body, existing = {}) {
+  const fields = {};
+  for (const field of ['name', 'subnet', 'cron', 'interval', 'timezone', 'enabled', 'missedRuns']) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  
+  const scan = { ...existing.scan };
+  for (const field of ['driver', 'ports', 'portConcurrency', 'portTimeout', 'exclude', 'concurrency', 'rate', 'traceroute']) {
+    if (body[field] !== undefined) {
+      scan[field] = body[field];
+    }
+  }
+  fields.scan = scanOptions({ subnet: fields.subnet || existing.subnet, ...scan });
+  if (fields.subnet !== undefined) {
+    fields.subnet = formatTargets(fields.subnet);
+  }
+  
+  return fields;
+}
+
+app.get('/api/schedules', asyncRoute(async (req, res) => {
+  res.json(await scheduler.list());
+}));
+
+app.get('/api/schedules/:id', asyncRoute(async (req, res) => {
+  const schedule = await scheduler.get(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  res.json(schedule);
+}));
+
+app.post('/api/schedules', requirePermission('scans:run'), asyncRoute(async (req, res) => {
+  let fields;
+  try {
+    fields = scheduleFields(req.body);
+    validateSchedule(fields);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!withinScope(req, res, fields.subnet)) return;
+  
+  const schedule = await scheduler.create(fields);
+  addLog('info', `Schedule "${schedule.name}" created for ${schedule.subnet}`, { scheduleId: schedule.id, nextRun: schedule.nextRun });
+  await recordAudit('schedule.created', auditActor(req), { target: schedule.id, after: schedule });
+  
+  res.status(201).json(schedule);
+}));
+
+app.put('/api/schedules/:id', requirePermission('scans:run'), asyncRoute(async (req, res) => {
+  const existing = await scheduler.get(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  
+  if (!withinScope(req, res, existing.subnet)) return;
+  
+  let fields;
+  try {
+    fields = scheduleFields(req.body, existing);
+    validateSchedule(mergeSchedule(existing, fields));
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!withinScope(req, res, mergeSchedule(existing, fields).subnet)) return;
+  
+  const schedule = await scheduler.update(req.params.id, fields);
+  addLog('info', `Schedule "${schedule.name}" updated`, { scheduleId: schedule.id, nextRun: schedule.nextRun });
+  await recordAudit('schedule.updated', auditActor(req), { target: schedule.id, before: existing, after: schedule });
+  
+  res.json(schedule);
+}));
+
+app.delete('/api/schedules/:id', requirePermission('scans:run'), asyncRoute(async (req, res) => {
+  const schedule = await scheduler.get(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  if (!withinScope(req, res, schedule.subnet)) return;
+  
+  await scheduler.remove(req.params.id);
+  addLog('info', `Schedule "${schedule.name}" deleted`, { scheduleId: schedule.id });
+  await recordAudit('schedule.deleted', auditActor(req), { target: schedule.id, before: schedule });
+  
+  res.status(204).end();
+}));
+
+// Run a schedule now without changing when it next runs
+app.post('/api/schedules/:id/run', requirePermission('scans:run'), asyncRoute(async (req, res) => {
+  const schedule = await scheduler.get(req.params.id);
+  if (schedule && !withinScope(req, res, schedule.subnet)) return;
+  
+  const result = await scheduler.runNow(req.params.id);
+  if (!result) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  if (!result.job) {
+    return res.status(409).json({ error: 'Previous scan for this schedule is still active', scanId: result.schedule.lastScanId });
+  }
+  await recordAudit('scan.started', auditActor(req), {
+    target: result.schedule.subnet,
+    details: { scanId: result.job.scanId, scheduleId: result.schedule.id, reason: 'manual' }
+  });
+  
+  res.status(202).json({ scheduleId: result.schedule.id, scanId: result.job.scanId, status: result.job.status });
+}));
+
+// Get network topology
+app.get('/api/topology', asyncRoute(async (req, res) => {
+  res.json(await buildTopology());
+}));
+
+// Neighbour tables and flow records imported from network devices
+app.get('/api/topology/imports', asyncRoute(async (req, res) => {
+  const list = await topologyImports.list();
+  res.json(list
+    .map(({ entries, ...record }) => ({ ...record, entries: entries.length }))
+    .sort((a, b) => b.importedAt.localeCompare(a.importedAt)));
+}));
+
+app.get('/api/topology/imports/:id', asyncRoute(async (req, res) => {
+  const record = await topologyImports.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: 'Topology import not found' });
+  }
+  res.json(record);
+}));
+
+// Device tables can hold tens of thousands of entries
+const importBody = bodyParser.json({ limit: process.env.TOPOLOGY_IMPORT_LIMIT || '20mb' });
+
+app.post('/api/topology/imports', requirePermission('assets:manage'), importBody, asyncRoute(async (req, res) => {
+  let fields;
+  try {
+    fields = parseImport(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  const id = importId(fields.type, fields.device);
+  const previous = await topologyImports.get(id);
+  const record = {
+    id,
+    ...fields,
+    importedAt: new Date().toISOString(),
+    importedBy: req.auth.user.username
+  };
+  await topologyImports.set(id, record);
+  
+  addLog('info', `Imported ${fields.type} table from ${fields.device}`, { importId: id, entries: fields.entries.length });
+  await recordAudit('topology.imported', auditActor(req), {
+    target: id,
+    details: { type: fields.type, device: fields.device, entries: fields.entries.length, replaced: Boolean(previous) }
+  });
+  broadcast({
+    type: 'topology_update',
+    data: await buildTopology()
+  });
+  
+  res.status(previous ? 200 : 201).json({ ...record, entries: record.entries.length });
+}));
+
+app.delete('/api/topology/imports/:id', requirePermission('assets:manage'), asyncRoute(async (req, res) => {
+  const record = await topologyImports.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: 'Topology import not found' });
+  }
+  
+  await topologyImports.delete(record.id);
+  
+  addLog('info', `Removed ${record.type} table from ${record.device}`, { importId: record.id });
+  await recordAudit('topology.import_deleted', auditActor(req), {
+    target: record.id,
+    details: { type: record.type, device: record.device, entries: record.entries.length }
+  });
+  broadcast({
+    type: 'topology_update',
+    data: await buildTopology()
+  });
+  
+  res.status(204).end();
+}));
+
+// Segmentation zones and the firewall rules between them
+app.get('/api/zones', asyncRoute(async (req, res) => {
+  const { config, hosts } = await zonedHosts();
+  res.json({
+    ...config,
+    zones: config.zones.map(zone => ({ ...zone, hosts: hosts.filter(host => host.zone === zone.id).length })),
+    unzoned: hosts.filter(host => !host.zone).length
+  });
+}));
+
+// Replace the configuration with a JSON/YAML file's contents ({ file }) or
+// the configuration itself
+app.put('/api/zones', requirePermission('policies:manage'), asyncRoute(async (req, res) => {
+  let config;
+  try {
+    config = typeof req.body.file === 'string'
+      ? segmentation.parseSegmentationFile(req.body.file)
+      : segmentation.validateSegmentation(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  const previous = await loadSegmentation();
+  const record = { ...config, importedAt: new Date().toISOString(), importedBy: req.auth.user.username };
+  await meta.set(SEGMENTATION_KEY, record);
+  
+  addLog('info', `Segmentation updated: ${config.zones.length} zones, ${config.rules.length} rules`);
+  await recordAudit('zones.updated', auditActor(req), {
+    target: SEGMENTATION_KEY,
+    before: { zones: previous.zones.map(zone => zone.id), rules: previous.rules.length },
+    after: { zones: config.zones.map(zone => zone.id), rules: config.rules.length }
+  });
+  const topology = await buildTopology();
+  broadcast({
+    type: 'topology_update',
+    data: topology
+  });
+  
+  res.json({ ...record, violations: topology.violations.length });
+}));
+
+// ?from=&to= lists the services in zone `to` reachable from zone `from`;
+// without them, reachable service counts for every pair of zones
+app.get('/api/zones/reachability', asyncRoute(async (req, res) => {
+  const { from, to } = req.query;
+  const { config, hosts } = await zonedHosts();
+  if (!from && !to) {
+    return res.json(segmentation.reachabilityMatrix(config, hosts));
+  }
+  const ids = config.zones.map(zone => zone.id);
+  if (!ids.includes(from) || !ids.includes(to)) {
+    return res.status(400).json({ error: `from and to must both be zones: ${ids.join(', ')}` });
+  }
+  res.json(segmentation.reachability(config, hosts, from, to));
+}));
+
+app.get('/api/zones/violations', asyncRoute(async (req, res) => {
+  res.json((await buildTopology()).violations);
+}));
+
+// Attack paths from the internet (or ?entries=) to crown jewels (or
+// ?targets=); both take comma-separated host ids, asset ids or addresses.
+// See attack/
+app.get('/api/attack-paths', asyncRoute(async (req, res) => {
+  const list = value => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : null);
+  const maxHops = req.query.maxHops === undefined ? undefined : Number(req.query.maxHops);
+  if (maxHops !== undefined && !(Number.isInteger(maxHops) && maxHops >= 1 && maxHops <= 32)) {
+    return res.status(400).json({ error: 'maxHops must be 1-32' });
+  }
+  
+  const { config, hosts } = await zonedHosts(await policyHosts());
+  let result;
+  try {
+    result = analyzeAttackPaths({
+      hosts,
+      segmentation: config,
+      entries: list(req.query.entries),
+      targets: list(req.query.targets),
+      maxHops
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  res.json(result);
+}));
+
+// Get host details
+app.get('/api/hosts/:ip', asyncRoute(async (req, res) => {
+  const { ip } = req.params;
+  const host = await loadHost(ip);
+  
+  if (!host) {
     return res.status(404).json({ error: 'Host not found' });
   }
   
-  const vuln = host.vulnerabilities.find(v => v.id === vulnerabilityId);
-  if (!vuln) {
+  res.json(host);
+}));
+
+// Asset inventory
+app.get('/api/assets', asyncRoute(async (req, res) => {
+  const { status } = req.query;
+  const list = status ? await assets.find({ status }) : await assets.list();
+  res.json(list);
+}));
+
+app.get('/api/assets/:id', asyncRoute(async (req, res) => {
+  const asset = await assets.get(req.params.id);
+  
+  if (!asset) {
+    return res.status(404).json({ error: 'Asset not found' });
+  }
+  
+  asset.vulnerabilities = await vulnerabilities.find({ assetId: asset.id });
+  res.json(asset);
+}));
+
+// How much the business depends on this asset - feeds CVSS environmental
+// scores and the host risk score
+app.put('/api/assets/:id/criticality', requirePermission('assets:manage'), asyncRoute(async (req, res) => {
+  const { criticality } = req.body;
+  if (!CRITICALITY_LEVELS.includes(criticality)) {
+    return res.status(400).json({ error: `criticality must be one of: ${CRITICALITY_LEVELS.join(', ')}` });
+  }
+  
+  const asset = await inventory.update(req.params.id, { criticality });
+  if (!asset) {
+    return res.status(404).json({ error: 'Asset not found' });
+  }
+  
+  const risk = await refreshRisk(asset.id);
+  addLog('info', `Asset ${asset.id} criticality set to ${criticality}`, { assetId: asset.id, riskScore: risk.score });
+  
+  res.json({ ...asset, ...riskFields(risk) });
+}));
+
+// Tags place an asset in a zone whatever its address
+app.put('/api/assets/:id/tags', requirePermission('assets:manage'), asyncRoute(async (req, res) => {
+  const { tags } = req.body;
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+    return res.status(400).json({ error: 'tags must be a list of strings' });
+  }
+  
+  const asset = await inventory.update(req.params.id, { tags: Array.from(new Set(tags.map(tag => tag.trim()))) });
+  if (!asset) {
+    return res.status(404).json({ error: 'Asset not found' });
+  }
+  
+  addLog('info', `Asset ${asset.id} tagged ${asset.tags.join(', ') || '(none)'}`, { assetId: asset.id });
+  broadcast({
+    type: 'topology_update',
+    data: await buildTopology()
+  });
+  
+  res.json(asset);
+}));
+
+// Merge a duplicate asset into this one
+app.post('/api/assets/:id/merge', requirePermission('assets:manage'), asyncRoute(async (req, res) => {
+  const { assetId } = req.body;
+  
+  if (!assetId || assetId === req.params.id) {
+    return res.status(400).json({ error: 'assetId of a different asset is required' });
+  }
+  
+  const asset = await inventory.merge(req.params.id, assetId);
+  if (!asset) {
+    return res.status(404).json({ error: 'Asset not found' });
+  }
+  
+  addLog('info', `Asset ${assetId} merged into ${asset.id}`, { assetId: asset.id, merged: assetId });
+  
+  res.json(asset);
+}));
+
+// Vulnerability management
+// Findings matching the list filters: status, severity, assignee, overdue
+async function findVulnerabilities({ status, severity, assignee, overdue }) {
+  const query = {};
+  if (status) query.status = status;
+  if (severity) query.severity = severity;
+  if (assignee) query.assignee = assignee;
+  
+  let allVulns = (await vulnerabilities.find(query)).map(finding => lifecycle.withSla(finding));
+  if (overdue !== undefined) {
+    allVulns = allVulns.filter(finding => finding.overdue === (overdue === 'true'));
+  }
+  return allVulns;
+}
+
+app.get('/api/vulnerabilities', asyncRoute(async (req, res) => {
+  res.json(await findVulnerabilities(req.query));
+}));
+
+// Remediation SLA - days allowed per severity
+app.get('/api/vulnerabilities/sla', (req, res) => {
+  res.json(slaPolicy);
+});
+
+app.put('/api/vulnerabilities/sla', requirePermission('settings:manage'), asyncRoute(async (req, res) => {
+  const policy = { ...slaPolicy };
+  for (const [severity, days] of Object.entries(req.body)) {
+    if (!(severity in lifecycle.DEFAULT_SLA_DAYS) || !Number.isInteger(days) || days < 1) {
+      return res.status(400).json({ error: `Invalid SLA entry: ${severity}=${days}` });
+    }
+    policy[severity] = days;
+  }
+  
+  const before = slaPolicy;
+  slaPolicy = policy;
+  await meta.set('sla', slaPolicy);
+  addLog('info', 'Remediation SLA policy updated', slaPolicy);
+  await recordAudit('settings.sla_updated', auditActor(req), { target: 'sla', before, after: slaPolicy });
+  
+  res.json(slaPolicy);
+}));
+
+app.get('/api/vulnerabilities/:key', asyncRoute(async (req, res) => {
+  const finding = await vulnerabilities.get(req.params.key);
+  if (!finding) {
+    return res.status(404).json({ error: 'Vulnerability not found' });
+  }
+  res.json(lifecycle.withSla(finding));
+}));
+
+app.get('/api/vulnerabilities/:key/history', asyncRoute(async (req, res) => {
+  const finding = await vulnerabilities.get(req.params.key);
+  if (!finding) {
+    return res.status(404).json({ error: 'Vulnerability not found' });
+  }
+  res.json(finding.history || []);
+}));
+
+// Move a finding to a new status, e.g. { status: 'risk_accepted', comment: '...' }
+app.post('/api/vulnerabilities/:key/transition', requirePermission('findings:update'), asyncRoute(async (req, res) => {
+  const { status, comment, assignee } = req.body;
+  const actor = req.auth.user.username;
+  
+  const finding = await vulnerabilities.get(req.params.key);
+  if (!finding) {
+    return res.status(404).json({ error: 'Vulnerability not found' });
+  }
+  if (!withinScope(req, res, finding.host)) return;
+  if (!lifecycle.STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${lifecycle.STATUSES.join(', ')}` });
+  }
+  if (!lifecycle.canTransition(finding.status, status)) {
+    return res.status(409).json({
+      error: `Cannot move finding from ${finding.status} to ${status}`,
+      allowed: lifecycle.TRANSITIONS[finding.status] || []
+    });
+  }
+  if (status === 'remediated' && !hasPermission(req.auth.user, 'remediations:run')) {
+    return res.status(403).json({ error: 'Marking a finding remediated needs the remediations:run permission', permission: 'remediations:run' });
+  }
+  if (lifecycle.REQUIRES_COMMENT.includes(status) && !comment) {
+    return res.status(400).json({ error: `A comment explaining why is required for ${status}` });
+  }
+  
+  if (assignee !== undefined) {
+    finding.assignee = assignee || null;
+  }
+  const updated = await transitionFinding(finding, status, { actor, comment, req });
+  
+  res.json(lifecycle.withSla(updated));
+}));
+
+app.put('/api/vulnerabilities/:key/assignee', requirePermission('findings:update'), asyncRoute(async (req, res) => {
+  const { assignee } = req.body;
+  const actor = req.auth.user.username;
+  
+  const finding = await vulnerabilities.get(req.params.key);
+  if (!finding) {
+    return res.status(404).json({ error: 'Vulnerability not found' });
+  }
+  if (!withinScope(req, res, finding.host)) return;
+  
+  const now = new Date().toISOString();
+  finding.history = [...(finding.history || []), {
+    from: finding.status,
+    to: finding.status,
+    at: now,
+    actor,
+    comment: assignee ? `Assigned to ${assignee}` : 'Unassigned'
+  }];
+  const before = { status: finding.status, assignee: finding.assignee || null };
+  finding.assignee = assignee || null;
+  await vulnerabilities.set(req.params.key, finding);
+  await recordAudit('finding.assigned', auditActor(req), {
+    target: req.params.key,
+    before,
+    after: { status: finding.status, assignee: finding.assignee }
+  });
+  
+  broadcast({ type: 'finding_updated', data: lifecycle.withSla(finding) });
+  
+  res.json(lifecycle.withSla(finding));
+}));
+
+app.post('/api/vulnerabilities/:key/comments', requirePermission('findings:update'), asyncRoute(async (req, res) => {
+  const { text } = req.body;
+  const author = req.auth.user.username;
+  if (!text) {
+    return res.status(400).json({ error: 'Comment text is required' });
+  }
+  
+  const finding = await vulnerabilities.get(req.params.key);
+  if (!finding) {
     return res.status(404).json({ error: 'Vulnerability not found' });
   }
+  if (!withinScope(req, res, finding.host)) return;
+  
+  const comment = { author, text, at: new Date().toISOString() };
+  finding.comments = [...(finding.comments || []), comment];
+  await vulnerabilities.set(req.params.key, finding);
   
-  vuln.status = 'remediated';
-  vuln.remediatedAt = new Date().toISOString();
-  vuln.remediationAction = action;
+  broadcast({ type: 'finding_updated', data: lifecycle.withSla(finding) });
+  
+  res.status(201).json(comment);
+}));
+
+app.get('/api/vulnerabilities/:key/verifications', asyncRoute(async (req, res) => {
+  const found = await verifications.find({ findingKey: req.params.key });
+  res.json(found.sort((a, b) => b.requestedAt.localeCompare(a.requestedAt)));
+}));
+
+// Rescan a remediated finding's host and ports now or after `delay` seconds
+app.post('/api/vulnerabilities/:key/verify', requirePermission('findings:update'), asyncRoute(async (req, res) => {
+  const finding = await vulnerabilities.get(req.params.key);
+  if (!finding) {
+    return res.status(404).json({ error: 'Vulnerability not found' });
+  }
+  if (finding.status !== 'remediated') {
+    return res.status(409).json({ error: `Only remediated findings can be verified (finding is ${finding.status})` });
+  }
+  if (!withinScope(req, res, finding.host)) return;
   
-  metrics.remediationsApplied++;
+  let delay;
+  try {
+    delay = verifyDelay(req.body.delay);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
   
-  addLog('info', `Remediation applied: ${vulnerabilityId} on ${hostIp}`, {
-    host: hostIp,
-    vulnerability: vulnerabilityId,
-    action
+  const host = await networkTopology.get(finding.host);
+  const verification = await requestVerification(finding, {
+    driver: host ? host.scanner : undefined,
+    delay,
+    requestedBy: req.auth.user.username
   });
   
-  broadcast({
-    type: 'remediation_applied',
-    data: {
-      host: hostIp,
-      vulnerability: vulnerabilityId,
-      action
+  res.status(202).json(verification);
+}));
+
+// Verification rescans
+app.get('/api/verifications', asyncRoute(async (req, res) => {
+  const { status, assetId } = req.query;
+  const query = {};
+  if (status) query.status = status;
+  if (assetId) query.assetId = assetId;
+  
+  const found = await verifications.find(query);
+  res.json(found.sort((a, b) => b.requestedAt.localeCompare(a.requestedAt)));
+}));
+
+app.get('/api/verifications/:id', asyncRoute(async (req, res) => {
+  const verification = await verifications.get(req.params.id);
+  if (!verification) {
+    return res.status(404).json({ error: 'Verification not found' });
+  }
+  res.json(verification);
+}));
+
+// CVSS calculator - scores a v2.0/v3.x/v4.0 vector, optionally with extra
+// temporal/environmental metrics
+app.post('/api/cvss', (req, res) => {
+  const { vector, metrics: overrides } = req.body;
+  try {
+    res.json(scoreVector(vector, overrides || {}));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Vulnerability database (NVD feed import)
+app.get('/api/vulndb', asyncRoute(async (req, res) => {
+  res.json({ ...await vulndb.status(), feedDir: NVD_FEED_DIR });
+}));
+
+// Re-import the configured feed directory - picks up new and modified CVEs
+app.post('/api/vulndb/import', requirePermission('settings:manage'), asyncRoute(async (req, res) => {
+  let summary;
+  try {
+    summary = await vulndb.importFeeds(NVD_FEED_DIR);
+  } catch (error) {
+    addLog('error', `Vulnerability feed import failed: ${error.message}`);
+    return res.status(400).json({ error: error.message });
+  }
+  
+  addLog('info', `Imported NVD feeds: ${summary.added} new, ${summary.updated} updated CVEs`, summary);
+  
+  res.json(summary);
+}));
+
+// Remediation playbooks
+app.get('/api/playbooks', (req, res) => {
+  res.json(Array.from(playbooks.values()).map(playbookSummary));
+});
+
+app.post('/api/playbooks/reload', requirePermission('policies:manage'), (req, res) => {
+  const { errors } = reloadPlaybooks();
+  addLog('info', `Reloaded ${playbooks.size} remediation playbooks`, { errors: errors.length });
+  res.json({ loaded: playbooks.size, errors });
+});
+
+app.get('/api/playbooks/:id', (req, res) => {
+  const playbook = playbooks.get(req.params.id);
+  if (!playbook) {
+    return res.status(404).json({ error: 'Playbook not found' });
+  }
+  res.json(playbook);
+});
+
+app.get('/api/vulnerabilities/:key/playbooks', asyncRoute(async (req, res) => {
+  const finding = await vulnerabilities.get(req.params.key);
+  if (!finding) {
+    return res.status(404).json({ error: 'Vulnerability not found' });
+  }
+  const host = (await networkTopology.get(finding.host)) || { ip: finding.host };
+  res.json(applicablePlaybooks(playbooks, finding, host).map(playbookSummary));
+}));
+
+// Run (or with dryRun, preview) a playbook against a finding. Without a
+// `playbook` the best match for the finding is used.
+app.post('/api/remediate', requirePermission('remediations:run'), asyncRoute(async (req, res) => {
+  const {
+    hostIp,
+    vulnerabilityId,
+    playbook: playbookId,
+    params,
+    dryRun = false,
+    verify = VERIFY_REMEDIATION
+  } = req.body;
+  const requestedBy = req.auth.user.username;
+  
+  let delay;
+  try {
+    delay = verifyDelay(req.body.verifyDelay);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  const host = await networkTopology.get(hostIp);
+  if (!host) {
+    return res.status(404).json({ error: 'Host not found' });
+  }
+  if (!withinScope(req, res, host.ip)) return;
+  
+  const key = findingKey(host.assetId, vulnerabilityId);
+  const vuln = await vulnerabilities.get(key);
+  if (!vuln) {
+    return res.status(404).json({ error: 'Vulnerability not found' });
+  }
+  if (!dryRun && !lifecycle.canTransition(vuln.status, 'remediated')) {
+    return res.status(409).json({ error: `Cannot remediate a finding that is ${vuln.status}` });
+  }
+  
+  const applicable = applicablePlaybooks(playbooks, vuln, host);
+  let playbook = applicable[0];
+  if (playbookId) {
+    if (!playbooks.has(playbookId)) {
+      return res.status(404).json({ error: `Playbook not found: ${playbookId}` });
+    }
+    playbook = applicable.find(candidate => candidate.id === playbookId);
+    if (!playbook) {
+      return res.status(422).json({ error: `Playbook ${playbookId} does not apply to ${vulnerabilityId} on ${hostIp}` });
+    }
+  }
+  if (!playbook) {
+    return res.status(422).json({ error: `No remediation playbook applies to ${vulnerabilityId} on ${hostIp}` });
+  }
+  
+  if (!dryRun) {
+    const active = await playbookRunner.activeRun(key);
+    if (active) {
+      return res.status(409).json({ error: `Remediation run ${active.id} is already ${active.status}`, remediation: active.id });
     }
+  }
+  
+  let run;
+  try {
+    run = await playbookRunner.create({
+      playbook,
+      finding: vuln,
+      host,
+      params: params || {},
+      dryRun,
+      verify: { enabled: Boolean(verify), delay },
+      requestedBy
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!dryRun) {
+    await recordAudit('remediation.requested', auditActor(req), {
+      target: run.id,
+      after: { status: run.status, playbook: run.playbookId, finding: key, host: run.host, params: run.params }
+    });
+  }
+  
+  res.status(dryRun ? 200 : 202).json(run);
+}));
+
+// Remediation runs
+app.get('/api/remediations', asyncRoute(async (req, res) => {
+  const { status, host, finding } = req.query;
+  const query = {};
+  if (status) query.status = status;
+  if (host) query.host = host;
+  if (finding) query.findingKey = finding;
+  
+  const runs = await remediations.find(query);
+  res.json(runs.sort((a, b) => b.requestedAt.localeCompare(a.requestedAt)));
+}));
+
+app.get('/api/remediations/:id', asyncRoute(async (req, res) => {
+  const run = await remediations.get(req.params.id);
+  if (!run) {
+    return res.status(404).json({ error: 'Remediation run not found' });
+  }
+  res.json(run);
+}));
+
+app.post('/api/remediations/:id/approve', requirePermission('remediations:approve'), asyncRoute(async (req, res) => {
+  const approver = req.auth.user.username;
+  
+  const pending = await remediations.get(req.params.id);
+  if (pending && !withinScope(req, res, pending.host)) return;
+  // Approval is a second pair of eyes; nobody signs off their own request
+  if (pending && pending.requestedBy === approver) {
+    return res.status(403).json({ error: 'Remediation runs must be approved by someone other than the requester' });
+  }
+  const finding = pending && await vulnerabilities.get(pending.findingKey);
+  if (finding && pending.status === 'pending_approval' && !lifecycle.canTransition(finding.status, 'remediated')) {
+    return res.status(409).json({ error: `Finding is ${finding.status}; cancel this run instead` });
+  }
+  
+  const run = await playbookRunner.approve(req.params.id, approver);
+  if (!run) {
+    return res.status(404).json({ error: 'Remediation run not found' });
+  }
+  if (run.approvedBy !== approver || run.status !== 'running') {
+    return res.status(409).json({ error: `Remediation run is ${run.status}` });
+  }
+  await recordAudit('remediation.approved', auditActor(req), {
+    target: run.id,
+    before: { status: 'pending_approval' },
+    after: { status: run.status }
   });
+  res.status(202).json(run);
+}));
+
+app.post('/api/remediations/:id/reject', requirePermission('remediations:approve'), asyncRoute(async (req, res) => {
+  const { reason } = req.body;
+  const approver = req.auth.user.username;
   
-  res.json({ 
-    message: 'Remediation applied successfully',
-    host: hostIp,
-    vulnerability: vulnerabilityId
+  const pending = await remediations.get(req.params.id);
+  if (pending && !withinScope(req, res, pending.host)) return;
+  const run = await playbookRunner.reject(req.params.id, approver, reason);
+  if (!run) {
+    return res.status(404).json({ error: 'Remediation run not found' });
+  }
+  if (run.status !== 'rejected') {
+    return res.status(409).json({ error: `Remediation run is ${run.status}` });
+  }
+  await recordAudit('remediation.rejected', auditActor(req), {
+    target: run.id,
+    before: { status: 'pending_approval' },
+    after: { status: run.status },
+    details: { reason: reason || null }
   });
-});
+  res.json(run);
+}));
+
+app.post('/api/remediations/:id/cancel', requirePermission('remediations:run'), asyncRoute(async (req, res) => {
+  const pending = await remediations.get(req.params.id);
+  if (pending && !withinScope(req, res, pending.host)) return;
+  const run = await playbookRunner.cancel(req.params.id);
+  if (!run) {
+    return res.status(404).json({ error: 'Remediation run not found' });
+  }
+  if (run.status !== 'cancelled' && run.status !== 'running') {
+    return res.status(409).json({ error: `Remediation run is ${run.status}` });
+  }
+  await recordAudit('remediation.cancel_requested', auditActor(req), { target: run.id, after: { status: run.status } });
+  res.json(run);
+}));
 
 // Policy management
-app.get('/api/policies', (req, res) => {
-  res.json(Array.from(policies.values()));
-});
+app.get('/api/policies', asyncRoute(async (req, res) => {
+  res.json(await policies.list());
+}));
 
-app.post('/api/policies', (req, res) => {
+app.get('/api/policies/violations', asyncRoute(async (req, res) => {
+  const { status = 'open', policy, host, severity } = req.query;
+  const query = {};
+  if (status !== 'all') query.status = status;
+  if (policy) query.policyId = policy;
+  if (host) query.host = host;
+  if (severity) query.severity = severity;
+  
+  const found = await policyViolations.find(query);
+  res.json(found.sort((a, b) => b.lastSeen.localeCompare(a.lastSeen)));
+}));
+
+// Evaluate every enabled policy now
+app.post('/api/policies/evaluate', requirePermission('policies:manage'), asyncRoute(async (req, res) => {
+  const result = await evaluatePolicies({}, { trigger: 'api' });
+  res.json(result);
+}));
+
+app.get('/api/policies/:id', asyncRoute(async (req, res) => {
+  const policy = await policies.get(req.params.id);
+  if (!policy) {
+    return res.status(404).json({ error: 'Policy not found' });
+  }
+  res.json(policy);
+}));
+
+app.post('/api/policies', requirePermission('policies:manage'), asyncRoute(async (req, res) => {
+  let fields;
+  try {
+    fields = validatePolicy(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
   const policy = {
     id: uuidv4(),
-    ...req.body,
+    ...fields,
     created: new Date().toISOString(),
-    status: 'active'
+    updated: new Date().toISOString()
   };
   
-  policies.set(policy.id, policy);
-  metrics.policiesEnforced++;
+  await policies.set(policy.id, policy);
+  await countEnabledPolicies();
   
   addLog('info', `Policy created: ${policy.name}`, { policyId: policy.id });
+  await recordAudit('policy.created', auditActor(req), { target: policy.id, after: policy });
   
   broadcast({
     type: 'policy_created',
     data: policy
   });
   
-  res.json(policy);
-});
+  if (policy.enabled) {
+    await evaluatePolicies({ policyIds: [policy.id] }, { trigger: 'policy_created' });
+  }
+  res.status(201).json(await policies.get(policy.id));
+}));
+
+app.put('/api/policies/:id', requirePermission('policies:manage'), asyncRoute(async (req, res) => {
+  const existing = await policies.get(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Policy not found' });
+  }
+  
+  let fields;
+  try {
+    fields = validatePolicy({ ...existing, ...req.body });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  const policy = { ...existing, ...fields, updated: new Date().toISOString() };
+  await policies.set(policy.id, policy);
+  await countEnabledPolicies();
+  
+  addLog('info', `Policy updated: ${policy.name}`, { policyId: policy.id });
+  await recordAudit('policy.updated', auditActor(req), { target: policy.id, before: existing, after: policy });
+  broadcast({
+    type: 'policy_updated',
+    data: policy
+  });
+  
+  if (policy.enabled) {
+    await evaluatePolicies({ policyIds: [policy.id] }, { trigger: 'policy_updated' });
+  } else if (existing.enabled) {
+    await policyEngine.resolveAll(policy.id, 'policy disabled');
+  }
+  res.json(await policies.get(policy.id));
+}));
+
+app.delete('/api/policies/:id', requirePermission('policies:manage'), asyncRoute(async (req, res) => {
+  const policy = await policies.get(req.params.id);
+  if (!policy) {
+    return res.status(404).json({ error: 'Policy not found' });
+  }
+  
+  await policies.delete(policy.id);
+  await policyEngine.resolveAll(policy.id, 'policy deleted');
+  await countEnabledPolicies();
+  
+  addLog('info', `Policy deleted: ${policy.name}`, { policyId: policy.id });
+  await recordAudit('policy.deleted', auditActor(req), { target: policy.id, before: policy });
+  broadcast({
+    type: 'policy_deleted',
+    data: { id: policy.id }
+  });
+  
+  res.status(204).end();
+}));
+
+async function setPolicyEnabled(req, res, enabled) {
+  const existing = await policies.get(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Policy not found' });
+  }
+  if (enabled && !existing.when) {
+    return res.status(409).json({ error: 'Policy has no `when` condition to evaluate' });
+  }
+  
+  const policy = { ...existing, enabled, updated: new Date().toISOString() };
+  await policies.set(policy.id, policy);
+  await countEnabledPolicies();
+  
+  addLog('info', `Policy ${enabled ? 'enabled' : 'disabled'}: ${policy.name}`, { policyId: policy.id });
+  await recordAudit(enabled ? 'policy.enabled' : 'policy.disabled', auditActor(req), {
+    target: policy.id,
+    before: { enabled: existing.enabled },
+    after: { enabled }
+  });
+  broadcast({
+    type: 'policy_updated',
+    data: policy
+  });
+  
+  if (enabled) {
+    await evaluatePolicies({ policyIds: [policy.id] }, { trigger: 'policy_enabled' });
+  } else {
+    await policyEngine.resolveAll(policy.id, 'policy disabled');
+  }
+  res.json(await policies.get(policy.id));
+}
+
+app.post('/api/policies/:id/enable', requirePermission('policies:manage'), asyncRoute((req, res) => setPolicyEnabled(req, res, true)));
+app.post('/api/policies/:id/disable', requirePermission('policies:manage'), asyncRoute((req, res) => setPolicyEnabled(req, res, false)));
+
+app.post('/api/policies/:id/evaluate', requirePermission('policies:manage'), asyncRoute(async (req, res) => {
+  const policy = await policies.get(req.params.id);
+  if (!policy) {
+    return res.status(404).json({ error: 'Policy not found' });
+  }
+  if (!policy.enabled) {
+    return res.status(409).json({ error: 'Policy is disabled' });
+  }
+  
+  const result = await evaluatePolicies({ policyIds: [policy.id] }, { trigger: 'api' });
+  res.json(result.policies[0]);
+}));
+
+app.get('/api/policies/:id/violations', asyncRoute(async (req, res) => {
+  const { status = 'open' } = req.query;
+  const query = { policyId: req.params.id };
+  if (status !== 'all') query.status = status;
+  res.json(await policyViolations.find(query));
+}));
 
 // Metrics endpoint
 app.get('/api/metrics', (req, res) => {
@@ -573,50 +2652,350 @@ app.get('/api/metrics', (req, res) => {
 });
 
 // Framework compliance
-app.get('/api/frameworks', (req, res) => {
-  const frameworksPath = path.join(__dirname, '..', 'frameworks', 'nist_csf.json');
+app.get('/api/frameworks', asyncRoute(async (req, res) => {
+  const state = await complianceState();
+  res.json(Array.from(frameworks.values()).map(framework => ({
+    ...summarizeAssessment(assessFramework(framework, state)),
+    description: framework.description || null,
+    source: framework.source
+  })));
+}));
+
+app.post('/api/frameworks/reload', requirePermission('policies:manage'), (req, res) => {
+  const { errors } = reloadFrameworks();
+  addLog('info', `Reloaded ${frameworks.size} compliance frameworks`, { errors: errors.length });
+  res.json({ loaded: frameworks.size, errors });
+});
+
+// Current per-category and per-control scores with their evidence
+app.get('/api/frameworks/:id', asyncRoute(async (req, res) => {
+  const framework = frameworks.get(req.params.id);
+  if (!framework) {
+    return res.status(404).json({ error: 'Framework not found' });
+  }
+  res.json(assessFramework(framework, await complianceState()));
+}));
+
+app.get('/api/frameworks/:id/controls/:controlId', asyncRoute(async (req, res) => {
+  const framework = frameworks.get(req.params.id);
+  if (!framework) {
+    return res.status(404).json({ error: 'Framework not found' });
+  }
+  const assessment = assessFramework(framework, await complianceState());
+  for (const category of assessment.categories) {
+    const control = category.controls.find(candidate => candidate.id === req.params.controlId);
+    if (control) {
+      return res.json({ ...control, category: { id: category.id, name: category.name }, assessedAt: assessment.assessedAt });
+    }
+  }
+  res.status(404).json({ error: 'Control not found' });
+}));
+
+// Score snapshots, oldest first; ?from / ?to bound the time range
+app.get('/api/frameworks/:id/history', asyncRoute(async (req, res) => {
+  if (!frameworks.has(req.params.id)) {
+    return res.status(404).json({ error: 'Framework not found' });
+  }
+  const { from, to } = req.query;
+  const limit = parseInt(req.query.limit) || 100;
+  const history = (await complianceHistory.find({ frameworkId: req.params.id }))
+    .filter(entry => (!from || entry.assessedAt >= from) && (!to || entry.assessedAt <= to))
+    .sort((a, b) => a.assessedAt.localeCompare(b.assessedAt));
+  res.json(history.slice(-limit));
+}));
+
+// Reports
+app.get('/api/reports/types', (req, res) => {
+  res.json(Object.entries(REPORT_TYPES).map(([type, { title, sections }]) => ({ type, title, sections })));
+});
+
+app.get('/api/reports', asyncRoute(async (req, res) => {
+  const list = await reports.list();
+  res.json(list.sort((a, b) => b.requestedAt.localeCompare(a.requestedAt)));
+}));
+
+// Generate a report: { type, title, formats, filters: { subnet, severity, from, to } }
+app.post('/api/reports', requirePermission('reports:create'), asyncRoute(async (req, res) => {
+  let options;
+  try {
+    options = validateReportRequest(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
   
-  if (fs.existsSync(frameworksPath)) {
-    const framework = JSON.parse(fs.readFileSync(frameworksPath, 'utf8'));
-    res.json(framework);
-  } else {
-    res.json({
-      name: "NIST Cybersecurity Framework",
-      version: "2.0",
-      categories: [
-        {
-          id: "IDENTIFY",
-          name: "Identify",
-          subcategories: ["Asset Management", "Risk Assessment"]
-        },
-        {
-          id: "PROTECT",
-          name: "Protect",
-          subcategories: ["Access Control", "Data Security"]
-        },
-        {
-          id: "DETECT",
-          name: "Detect",
-          subcategories: ["Anomalies", "Security Monitoring"]
-        },
-        {
-          id: "RESPOND",
-          name: "Respond",
-          subcategories: ["Incident Response", "Mitigation"]
-        },
-        {
-          id: "RECOVER",
-          name: "Recover",
-          subcategories: ["Recovery Planning", "Improvements"]
-        }
-      ]
-    });
+  const report = await reportGenerator.request(options, { requestedBy: req.auth.user.username });
+  addLog('info', `Generating report "${report.title}"`, { report: report.id, filters: report.filters });
+  res.status(202).json(report);
+}));
+
+app.get('/api/reports/:id', asyncRoute(async (req, res) => {
+  const report = await reports.get(req.params.id);
+  if (!report) {
+    return res.status(404).json({ error: 'Report not found' });
+  }
+  res.json(report);
+}));
+
+app.get('/api/reports/:id/download/:format', asyncRoute(async (req, res) => {
+  const report = await reports.get(req.params.id);
+  if (!report) {
+    return res.status(404).json({ error: 'Report not found' });
+  }
+  const file = reportGenerator.filePath(report, req.params.format);
+  if (!file || !fs.existsSync(file)) {
+    return res.status(404).json({ error: `No ${req.params.format} file for this report` });
+  }
+  
+  const name = `${report.type}-report-${report.requestedAt.slice(0, 10)}.${req.params.format}`;
+  res.type(CONTENT_TYPES[req.params.format]);
+  res.attachment(name);
+  res.sendFile(file);
+}));
+
+app.delete('/api/reports/:id', requirePermission('reports:create'), asyncRoute(async (req, res) => {
+  const report = await reports.get(req.params.id);
+  if (!report) {
+    return res.status(404).json({ error: 'Report not found' });
+  }
+  if (report.status === 'generating') {
+    return res.status(409).json({ error: 'Report is still being generated' });
+  }
+  await reportGenerator.remove(report);
+  res.status(204).end();
+}));
+
+// Exports - ?format=csv|jsonl|sarif|stix with the same filters as the list
+// routes; hosts also take subnet, type and risk, scans subnet and status
+function inSubnet(ip, subnet) {
+  try {
+    return new Netmask(subnet).contains(ip);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Scans match when any of their targets fall inside the subnet
+function targetsInSubnet(targets, subnet) {
+  try {
+    return overlaps(addressRanges(targets), addressRanges(subnet));
+  } catch (error) {
+    return false;
+  }
+}
+
+async function exportData(resource, filters) {
+  if (resource === 'vulnerabilities') {
+    return findVulnerabilities(filters);
+  }
+  if (resource === 'hosts') {
+    const { subnet, type, risk } = filters;
+    return (await policyHosts()).filter(host =>
+      (!subnet || inSubnet(host.ip, subnet)) && (!type || host.type === type) && (!risk || host.risk === risk));
+  }
+  const { subnet, status } = filters;
+  const scans = await scanResults.list();
+  return scans
+    .filter(scan => (!subnet || targetsInSubnet(scan.subnet, subnet)) && (!status || scan.status === status))
+    .sort((a, b) => a.startTime.localeCompare(b.startTime));
+}
+
+async function sendExport(req, res, resource, format, records) {
+  const hostsByIp = resource === 'vulnerabilities' && format === 'stix'
+    ? new Map((await policyHosts()).map(host => [host.ip, host]))
+    : undefined;
+  
+  let chunks;
+  try {
+    chunks = exportRecords(resource, format, records, { hostsByIp });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  addLog('info', `Exporting ${records.length} ${resource} as ${format}`, { filters: req.query });
+  res.type(EXPORT_FORMATS[format].contentType);
+  res.attachment(`guardian-${resource}-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`);
+  Readable.from(chunks)
+    .on('error', error => {
+      addLog('error', `Export of ${resource} failed: ${error.message}`);
+      res.destroy(error);
+    })
+    .pipe(res);
+}
+
+app.get('/api/export/:resource', asyncRoute(async (req, res) => {
+  const { resource } = req.params;
+  const { format = 'csv', ...filters } = req.query;
+  if (!EXPORT_RESOURCES.includes(resource)) {
+    return res.status(404).json({ error: `Unknown export: ${resource}` });
+  }
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  
+  await sendExport(req, res, resource, format, await exportData(resource, filters));
+}));
+
+// Export selected findings: { format, keys: [finding key, ...] }
+app.post('/api/export/vulnerabilities', asyncRoute(async (req, res) => {
+  const { format = 'csv', keys } = req.body;
+  if (!Array.isArray(keys) || keys.length === 0) {
+    return res.status(400).json({ error: 'keys must be a non-empty list of finding keys' });
+  }
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  
+  const selected = [];
+  for (const key of new Set(keys)) {
+    const finding = await vulnerabilities.get(key);
+    if (finding) {
+      selected.push(lifecycle.withSla(finding));
+    }
+  }
+  await sendExport(req, res, 'vulnerabilities', format, selected);
+}));
+
+// Error handler for failed async routes; body parser errors carry their own
+// status (400 for bad JSON, 413 for an oversized body)
+app.use((error, req, res, next) => {
+  if (error.type && error.status < 500) {
+    return res.status(error.status).json({ error: error.message });
   }
+  addLog('error', `API error: ${error.message}`, { path: req.path, error: error.stack });
+  res.status(500).json({ error: error.message });
 });
 
 // Start server
 const PORT = process.env.PORT || 8080;
-server.listen(PORT, () => {
-  logger.info(`Guardian API server running on port ${PORT}`);
-  addLog('info', 'Guardian Security Platform API started', { port: PORT });
-});
\ No newline at end of file
+
+// Loads stored state and starts the background services
+async function init() {
+  const applied = await storage.init(migrations);
+  if (applied.length > 0) {
+    logger.info(`Applied ${storage.backend} storage migrations: ${applied.join(', ')}`);
+  }
+  await audit.start();
+  
+  const savedSla = await meta.get('sla');
+  if (savedSla) {
+    slaPolicy = { ...slaPolicy, ...savedSla };
+  }
+  
+  const savedMetrics = await meta.get('metrics');
+  if (savedMetrics) {
+    Object.assign(metrics, savedMetrics, { lastUpdateTime: new Date(savedMetrics.lastUpdateTime) });
+  }
+  
+  // Scans that were queued or running when the process stopped can never finish
+  const scans = await scanResults.list();
+  for (const scan of scans.filter(s => s.status === 'queued' || s.status === 'running')) {
+    await scanResults.set(scan.scanId, {
+      ...scan,
+      status: 'failed',
+      error: 'Interrupted by server restart',
+      finishedAt: new Date().toISOString()
+    });
+  }
+  
+  // Start out with the bundled policies; they can be edited or removed
+  if ((await policies.count()) === 0) {
+    const bundled = readPolicyFiles(POLICY_DIR);
+    const now = new Date().toISOString();
+    for (const policy of bundled) {
+      await policies.set(policy.id, { ...policy, created: now, updated: now });
+    }
+    logger.info(`Seeded ${bundled.length} policies from ${POLICY_DIR}`);
+  }
+  await countEnabledPolicies();
+  
+  // Start out with the bundled zones; PUT /api/zones replaces them
+  if (!(await meta.get(SEGMENTATION_KEY)) && fs.existsSync(ZONE_FILE)) {
+    const config = segmentation.parseSegmentationFile(fs.readFileSync(ZONE_FILE, 'utf8'));
+    await meta.set(SEGMENTATION_KEY, { ...config, importedAt: new Date().toISOString(), importedBy: null, source: path.basename(ZONE_FILE) });
+    logger.info(`Seeded ${config.zones.length} segmentation zones from ${ZONE_FILE}`);
+  }
+  
+  // Seed an empty vulnerability database with the bundled sample feed so
+  // matching works out of the box; real feeds come from npm run vulndb:import
+  if (await vulndb.isEmpty()) {
+    const summary = await vulndb.importFeeds(SAMPLE_FEED_DIR);
+    logger.info(`Seeded vulnerability database with ${summary.added} sample CVEs`);
+  }
+  
+  // The first start creates an administrator; without ADMIN_PASSWORD a
+  // random password is generated and written to the server log once
+  if ((await users.count()) === 0) {
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+    const admin = await auth.createUser({ username, password, name: 'Administrator', role: 'admin' });
+    await recordAudit('user.created', systemActor('bootstrap'), { target: admin.id, after: admin });
+    logger.warn(process.env.ADMIN_PASSWORD
+      ? `Created initial user ${username}`
+      : `Created initial user ${username} with password ${password} - change it after logging in`);
+  }
+  // WEBHOOK_URL subscribes one receiver to every event without going
+  // through the API
+  if (process.env.WEBHOOK_URL && !(await webhooks.list()).some(webhook => webhook.source === 'env')) {
+    const fields = validateWebhook({
+      name: 'WEBHOOK_URL',
+      url: process.env.WEBHOOK_URL,
+      events: WEBHOOK_EVENTS,
+      secret: process.env.WEBHOOK_SECRET || undefined
+    });
+    const webhook = await webhooks.create({ ...fields, source: 'env' });
+    logger.warn(process.env.WEBHOOK_SECRET
+      ? `Created webhook for ${webhook.url}`
+      : `Created webhook for ${webhook.url} with secret ${webhook.secret} - set WEBHOOK_SECRET to choose it`);
+  }
+  await auth.purgeExpiredSessions();
+  setInterval(() => auth.purgeExpiredSessions().catch(error => logger.error(`Session cleanup failed: ${error.message}`)), 60 * 60 * 1000).unref();
+  await webhooks.purgeDeliveries();
+  setInterval(() => webhooks.purgeDeliveries().catch(error => logger.error(`Webhook delivery cleanup failed: ${error.message}`)), 60 * 60 * 1000).unref();
+  
+  reloadPlaybooks();
+  reloadFrameworks();
+  await reportGenerator.start();
+  await playbookRunner.start();
+  await scheduler.start();
+  await verifier.start();
+  await webhooks.start();
+}
+
+async function start() {
+  await init();
+  server.listen(PORT, () => {
+    logger.info(`Guardian API server running on port ${PORT}`);
+    addLog('info', 'Guardian Security Platform API started', { port: PORT, storage: storage.backend });
+  });
+}
+
+async function stop() {
+  server.close();
+  realtime.close();
+  scheduler.stop();
+  verifier.stop();
+  webhooks.stop();
+  await storage.close();
+}
+
+async function shutdown(signal) {
+  logger.info(`Received ${signal}, shutting down`);
+  try {
+    await stop();
+  } finally {
+    process.exit(0);
+  }
+}
+
+// Route tests require the app without starting a server
+if (require.main === module) {
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  start().catch(error => {
+    logger.error(`Failed to start Guardian API: ${error.message}`, { error: error.stack });
+    process.exit(1);
+  });
+}
+
+module.exports = { app, storage, init, stop };
@@ -0,0 +1,227 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-server-'));
+Object.assign(process.env, {
+  STORAGE_BACKEND: 'file',
+  DATA_DIR: dataDir,
+  REPORT_DIR: path.join(dataDir, 'reports'),
+  PLAYBOOK_DIR: path.join(dataDir, 'playbooks'),
+  JWT_SECRET: 'guardian-route-test-secret',
+  ADMIN_USERNAME: 'admin',
+  ADMIN_PASSWORD: 'admin-password-1',
+  BCRYPT_ROUNDS: '4'
+});
+const { app, storage, init, stop } = require('./server');
+const scanner = require('./scanner');
+
+// Answers at .1, fails at .2 and is silent elsewhere
+scanner.registerDriver({
+  name: 'flaky',
+  async probe(ip) {
+    if (ip.endsWith('.2')) throw new Error('driver crashed');
+    return ip.endsWith('.1') ? { ip, hostname: `host-${ip}`, services: [] } : null;
+  }
+});
+
+const PASSWORD = 'route-test-password';
+
+// Tokens by username
+const tokens = {};
+
+async function login(username, password = PASSWORD) {
+  const res = await request(app).post('/api/auth/login').send({ username, password });
+  expect(res.status).toBe(200);
+  tokens[username] = res.body.token;
+}
+
+function as(username) {
+  const agent = {};
+  ['get', 'post', 'put', 'delete'].forEach(method => {
+    agent[method] = (url) => request(app)[method](url).set('Authorization', `Bearer ${tokens[username]}`);
+  });
+  return agent;
+}
+
+beforeAll(async () => {
+  await init();
+  await login('admin', process.env.ADMIN_PASSWORD);
+
+  const users = [
+    { username: 'viewer', role: 'viewer' },
+    { username: 'analyst', role: 'analyst' },
+    { username: 'operator', role: 'operator' },
+    { username: 'scoped-analyst', role: 'analyst', subnets: ['10.9.0.0/16'] },
+    { username: 'scoped-operator', role: 'operator', subnets: ['10.9.0.0/16'] },
+    { username: 'scoped-admin', role: 'admin', subnets: ['10.9.0.0/16'] }
+  ];
+  for (const user of users) {
+    const res = await as('admin').post('/api/users').send({ ...user, password: PASSWORD });
+    expect(res.status).toBe(201);
+    await login(user.username);
+  }
+
+  const now = new Date().toISOString();
+  await storage.collection('vulnerabilities').set('asset-1:ssh-weak', {
+    key: 'asset-1:ssh-weak',
+    id: 'ssh-weak',
+    host: '10.0.0.5',
+    severity: 'high',
+    status: 'open',
+    comments: [],
+    history: [],
+    discovered: now
+  });
+  await storage.collection('scans').set('scan-1', { scanId: 'scan-1', subnet: '10.0.0.0/24', status: 'completed', startTime: now });
+  await storage.collection('remediations').set('run-1', {
+    id: 'run-1',
+    host: '10.0.0.5',
+    findingKey: 'asset-1:ssh-weak',
+    status: 'pending_approval',
+    requestedBy: 'operator',
+    requestedAt: now
+  });
+});
+
+afterAll(async () => {
+  await stop();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('authentication', () => {
+  test('API routes need a token', async () => {
+    await request(app).get('/api/vulnerabilities').expect(401);
+    await request(app).get('/api/vulnerabilities').set('Authorization', 'Bearer not-a-token').expect(401);
+  });
+});
+
+describe('role permissions', () => {
+  test.each([
+    ['viewer', 'post', '/api/vulnerabilities/asset-1:ssh-weak/transition', 'findings:update'],
+    ['viewer', 'post', '/api/reports', 'reports:create'],
+    ['viewer', 'post', '/api/scanner/discover', 'scans:run'],
+    ['analyst', 'post', '/api/scanner/discover', 'scans:run'],
+    ['analyst', 'post', '/api/scanner/baselines', 'scans:run'],
+    ['analyst', 'post', '/api/remediate', 'remediations:run'],
+    ['analyst', 'post', '/api/remediations/run-1/cancel', 'remediations:run'],
+    ['operator', 'post', '/api/remediations/run-1/approve', 'remediations:approve'],
+    ['operator', 'post', '/api/remediations/run-1/reject', 'remediations:approve'],
+    ['operator', 'post', '/api/policies', 'policies:manage'],
+    ['operator', 'put', '/api/vulnerabilities/sla', 'settings:manage'],
+    ['operator', 'get', '/api/users', 'users:manage'],
+    ['operator', 'get', '/api/audit', 'audit:read']
+  ])('%s cannot %s %s', async (username, method, url, permission) => {
+    const res = await as(username)[method](url).send({});
+    expect(res.status).toBe(403);
+    expect(res.body.permission).toBe(permission);
+  });
+
+  test('every role can read', async () => {
+    for (const username of ['viewer', 'analyst', 'operator']) {
+      await as(username).get('/api/vulnerabilities/asset-1:ssh-weak').expect(200);
+    }
+  });
+});
+
+describe('subnet scope', () => {
+  test.each([
+    ['scoped-analyst', 'post', '/api/vulnerabilities/asset-1:ssh-weak/transition', { status: 'triaged' }],
+    ['scoped-analyst', 'put', '/api/vulnerabilities/asset-1:ssh-weak/assignee', { assignee: 'scoped-analyst' }],
+    ['scoped-analyst', 'post', '/api/vulnerabilities/asset-1:ssh-weak/comments', { text: 'Looking at it' }],
+    ['scoped-operator', 'post', '/api/scanner/baselines', { scanId: 'scan-1' }],
+    ['scoped-operator', 'post', '/api/remediations/run-1/cancel', {}],
+    ['scoped-admin', 'post', '/api/remediations/run-1/approve', {}],
+    ['scoped-admin', 'post', '/api/remediations/run-1/reject', { reason: 'Not now' }]
+  ])('%s cannot %s %s outside their subnets', async (username, method, url, body) => {
+    const res = await as(username)[method](url).send(body);
+    expect(res.status).toBe(403);
+    expect(res.body.subnets).toEqual(['10.9.0.0/16']);
+  });
+
+  test('out-of-scope requests change nothing', async () => {
+    const finding = await as('admin').get('/api/vulnerabilities/asset-1:ssh-weak').expect(200);
+    expect(finding.body).toMatchObject({ status: 'open', comments: [] });
+    expect((await storage.collection('remediations').get('run-1')).status).toBe('pending_approval');
+    expect(await storage.collection('meta').get('baselines')).toBeNull();
+  });
+
+  test('users without a scope reach every subnet', async () => {
+    const res = await as('analyst').post('/api/vulnerabilities/asset-1:ssh-weak/transition').send({ status: 'triaged' });
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('triaged');
+    await as('operator').post('/api/scanner/baselines').send({ scanId: 'scan-1' }).expect(200);
+  });
+});
+
+describe('scans', () => {
+  async function finished(scanId) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const res = await as('operator').get(`/api/scanner/results/${scanId}`);
+      if (res.status === 200 && res.body.status !== 'running' && res.body.status !== 'queued') return res.body;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Scan ${scanId} did not finish`);
+  }
+
+  test('a failed probe is recorded and the rest of the range is still scanned', async () => {
+    const res = await as('operator').post('/api/scanner/discover').send({ subnet: '10.0.7.0/29', driver: 'flaky', rate: 0 });
+    expect(res.status).toBe(202);
+    const scan = await finished(res.body.scanId);
+
+    expect(scan).toMatchObject({ status: 'completed', addressesTotal: 6, addressesScanned: 6, addressesFailed: 1, hostsFound: 1 });
+    expect(scan.errors).toEqual([{ ip: '10.0.7.2', error: 'driver crashed' }]);
+    expect(scan.hosts.map(host => host.ip)).toEqual(['10.0.7.1']);
+  });
+
+  test('a scan where every probe fails has failed', async () => {
+    const res = await as('operator').post('/api/scanner/discover').send({ subnet: '10.0.8.2', driver: 'flaky' });
+    const scan = await finished(res.body.scanId);
+    expect(scan).toMatchObject({ status: 'failed', error: 'Every probe failed, e.g. 10.0.8.2: driver crashed' });
+  });
+});
+
+describe('audit trail', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a request whose audit entry cannot be written fails', async () => {
+    jest.spyOn(storage.collection('audit_log'), 'set').mockRejectedValueOnce(new Error('disk full'));
+    const res = await as('admin').put('/api/vulnerabilities/sla').send({ critical: 5 });
+    expect(res.status).toBe(500);
+    expect(res.body.error).toBe('Failed to write audit entry settings.sla_updated: disk full');
+
+    await as('admin').put('/api/vulnerabilities/sla').send({ critical: 6 }).expect(200);
+    const { body } = await as('admin').get('/api/audit').query({ action: 'settings.sla_updated' });
+    expect(body.entries[0]).toMatchObject({ actor: { username: 'admin' }, after: { critical: 6 } });
+  });
+
+  test('an unrecorded failed login is a 500 rather than a 401', async () => {
+    jest.spyOn(storage.collection('audit_log'), 'set').mockRejectedValueOnce(new Error('disk full'));
+    const res = await request(app).post('/api/auth/login').send({ username: 'viewer', password: 'wrong-password' });
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ error: 'Failed to write audit entry auth.login_failed: disk full' });
+  });
+});
+
+describe('exports', () => {
+  const exported = async (query) => {
+    const res = await as('viewer').get('/api/export/scans').query({ format: 'jsonl', ...query }).buffer(true).parse((stream, done) => {
+      let text = '';
+      stream.on('data', chunk => { text += chunk; });
+      stream.on('end', () => done(null, text));
+    });
+    expect(res.status).toBe(200);
+    return res.body.split('\n').filter(Boolean).map(line => JSON.parse(line).scanId);
+  };
+
+  test('the scans subnet filter matches scans with any target inside it', async () => {
+    await storage.collection('scans').set('scan-2', { scanId: 'scan-2', subnet: '10.0.3.0/24, 10.0.4.1', status: 'completed', startTime: new Date().toISOString() });
+
+    expect(await exported({ subnet: '10.0.0.128/25' })).toEqual(['scan-1']);
+    expect(await exported({ subnet: '10.0.4.0/24' })).toEqual(['scan-2']);
+    expect(await exported({ subnet: '10.0.0.0/21', status: 'completed' })).toEqual(expect.arrayContaining(['scan-1', 'scan-2']));
+    expect(await exported({ subnet: '10.0.5.0/24' })).toEqual([]);
+    expect(await exported({ subnet: 'nonsense' })).toEqual([]);
+  });
+});
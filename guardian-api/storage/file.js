@@ -0,0 +1,130 @@
+// File-backed storage for local development - one JSON file per collection,
+// held in memory and flushed to disk shortly after each write
+
+const fs = require('fs');
+const path = require('path');
+const { validateQuery } = require('./query');
+
+const FLUSH_DELAY = 100;
+
+function createFileStorage({ dataDir }) {
+  const collections = new Map();
+  const migrationsFile = path.join(dataDir, '_migrations.json');
+
+  function collectionFile(name) {
+    return path.join(dataDir, `${name}.json`);
+  }
+
+  function writeAtomic(file, contents) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, contents);
+    fs.renameSync(tmp, file);
+  }
+
+  function createCollection(name) {
+    const file = collectionFile(name);
+    const docs = new Map();
+    let flushTimer = null;
+
+    if (fs.existsSync(file)) {
+      const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+      entries.forEach(([key, doc]) => docs.set(key, doc));
+    }
+
+    function flush() {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+      writeAtomic(file, JSON.stringify(Array.from(docs.entries())));
+    }
+
+    function scheduleFlush() {
+      if (!flushTimer) {
+        flushTimer = setTimeout(flush, FLUSH_DELAY);
+      }
+    }
+
+    // Hand out copies so callers must set() to persist, as with PostgreSQL
+    const copy = (doc) => (doc === undefined ? null : structuredClone(doc));
+    const matches = (doc, query) => Object.entries(query).every(([field, value]) => doc[field] === value);
+
+    return {
+      name,
+      async get(key) {
+        return copy(docs.get(key));
+      },
+      async set(key, doc) {
+        docs.set(key, structuredClone(doc));
+        scheduleFlush();
+        return doc;
+      },
+      async delete(key) {
+        const existed = docs.delete(key);
+        if (existed) scheduleFlush();
+        return existed;
+      },
+      async list() {
+        return Array.from(docs.values()).map(copy);
+      },
+      async find(query = {}) {
+        validateQuery(query);
+        return Array.from(docs.values()).filter(doc => matches(doc, query)).map(copy);
+      },
+      async count() {
+        return docs.size;
+      },
+      flush() {
+        if (flushTimer) flush();
+      }
+    };
+  }
+
+  function collection(name) {
+    if (!collections.has(name)) {
+      collections.set(name, createCollection(name));
+    }
+    return collections.get(name);
+  }
+
+  async function migrate(migrations) {
+    const applied = fs.existsSync(migrationsFile)
+      ? JSON.parse(fs.readFileSync(migrationsFile, 'utf8'))
+      : [];
+    const pending = migrations.filter(migration => !applied.find(entry => entry.version === migration.version));
+
+    for (const migration of pending) {
+      (migration.collections || []).forEach(name => {
+        collection(name);
+        if (!fs.existsSync(collectionFile(name))) {
+          writeAtomic(collectionFile(name), '[]');
+        }
+      });
+      if (migration.data) {
+        await migration.data({ collection });
+      }
+      applied.push({ version: migration.version, description: migration.description, appliedAt: new Date().toISOString() });
+      writeAtomic(migrationsFile, JSON.stringify(applied, null, 2));
+    }
+
+    return pending.map(migration => migration.version);
+  }
+
+  async function init(migrations) {
+    fs.mkdirSync(dataDir, { recursive: true });
+    return migrate(migrations);
+  }
+
+  async function close() {
+    collections.forEach(store => store.flush());
+  }
+
+  return {
+    backend: 'file',
+    init,
+    collection,
+    close
+  };
+}
+
+module.exports = {
+  createFileStorage
+};
@@ -0,0 +1,39 @@
+// Storage layer - picks the backend from STORAGE_BACKEND and applies migrations
+//
+// Every backend exposes collection(name) returning an async document store:
+//   get(key), set(key, doc), delete(key), list(), find(query), count()
+// where find() matches documents whose top-level fields equal the query's
+// (see query.js).
+
+const path = require('path');
+const migrations = require('./migrations');
+const { createFileStorage } = require('./file');
+const { createPostgresStorage } = require('./postgres');
+
+function createStorage(env = process.env) {
+  const backend = env.STORAGE_BACKEND || 'file';
+
+  if (backend === 'postgres') {
+    if (!env.DATABASE_URL) {
+      throw new Error('DATABASE_URL is required when STORAGE_BACKEND=postgres');
+    }
+    return createPostgresStorage({
+      connectionString: env.DATABASE_URL,
+      ssl: env.DATABASE_SSL === 'true',
+      poolSize: parseInt(env.DATABASE_POOL_SIZE) || 10
+    });
+  }
+
+  if (backend === 'file') {
+    return createFileStorage({
+      dataDir: env.DATA_DIR || path.join(__dirname, '..', '..', 'data')
+    });
+  }
+
+  throw new Error(`Unknown storage backend: ${backend}`);
+}
+
+module.exports = {
+  createStorage,
+  migrations
+};
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('.');
+
+// The same checks run against every backend. PostgreSQL needs a database to
+// write to, so it only runs when TEST_DATABASE_URL is set.
+const backends = [
+  ['file', () => ({ STORAGE_BACKEND: 'file', DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-storage-')) })]
+];
+if (process.env.TEST_DATABASE_URL) {
+  backends.push(['postgres', () => ({ STORAGE_BACKEND: 'postgres', DATABASE_URL: process.env.TEST_DATABASE_URL })]);
+}
+
+const migrations = [{ version: 'contract-001', description: 'Storage contract test collection', collections: ['contract_docs'] }];
+
+describe.each(backends)('%s storage', (backend, environment) => {
+  let env;
+  let storage;
+  let docs;
+
+  beforeEach(async () => {
+    env = environment();
+    storage = createStorage(env);
+    await storage.init(migrations);
+    docs = storage.collection('contract_docs');
+    for (const doc of await docs.list()) {
+      await docs.delete(doc.id);
+    }
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    if (env.DATA_DIR) {
+      fs.rmSync(env.DATA_DIR, { recursive: true, force: true });
+    }
+  });
+
+  test('get, set, delete and count', async () => {
+    expect(await docs.get('a')).toBeNull();
+    await docs.set('a', { id: 'a', name: 'first' });
+    await docs.set('b', { id: 'b', name: 'second' });
+    await docs.set('a', { id: 'a', name: 'changed' });
+
+    expect(await docs.get('a')).toEqual({ id: 'a', name: 'changed' });
+    expect(await docs.count()).toBe(2);
+    expect(await docs.delete('a')).toBe(true);
+    expect(await docs.delete('a')).toBe(false);
+    expect(await docs.list()).toEqual([{ id: 'b', name: 'second' }]);
+  });
+
+  test('list keeps the order documents were first stored in', async () => {
+    for (const id of ['c', 'a', 'b']) {
+      await docs.set(id, { id });
+    }
+    await docs.set('c', { id: 'c', updated: true });
+    expect((await docs.list()).map(doc => doc.id)).toEqual(['c', 'a', 'b']);
+  });
+
+  test('documents are copies; changes need set()', async () => {
+    const doc = { id: 'a', tags: ['x'] };
+    await docs.set('a', doc);
+    doc.tags.push('y');
+    const read = await docs.get('a');
+    read.tags.push('z');
+    expect(await docs.get('a')).toEqual({ id: 'a', tags: ['x'] });
+  });
+
+  test('find compares top-level fields strictly', async () => {
+    await docs.set('a', { id: 'a', port: 22, open: true, owner: null, tags: ['ssh'], service: { name: 'SSH' } });
+    await docs.set('b', { id: 'b', port: '22', open: 'true', tags: [] });
+    await docs.set('c', { id: 'c', port: 22, open: false, owner: 'alice' });
+    const ids = async (query) => (await docs.find(query)).map(doc => doc.id);
+
+    expect(await ids({ port: 22 })).toEqual(['a', 'c']);
+    expect(await ids({ port: '22' })).toEqual(['b']);
+    expect(await ids({ open: true })).toEqual(['a']);
+    expect(await ids({ port: 22, open: false })).toEqual(['c']);
+    expect(await ids({ owner: null })).toEqual(['a']);
+    expect(await ids({ owner: undefined })).toEqual(['b']);
+    expect(await ids({ tags: 'ssh' })).toEqual([]);
+    expect(await ids({ name: 'SSH' })).toEqual([]);
+    expect(await ids({})).toEqual(['a', 'b', 'c']);
+  });
+
+  test('find refuses lists and objects', async () => {
+    await expect(docs.find({ tags: ['ssh'] })).rejects.toThrow('find() compares tags with a single value, not a list');
+    await expect(docs.find({ service: { name: 'SSH' } })).rejects.toThrow('find() compares service with a single value, not an object');
+  });
+
+  test('documents survive closing and reopening', async () => {
+    await docs.set('a', { id: 'a', name: 'kept' });
+    await storage.close();
+
+    storage = createStorage(env);
+    expect(await storage.init(migrations)).toEqual([]);
+    docs = storage.collection('contract_docs');
+    expect(await docs.get('a')).toEqual({ id: 'a', name: 'kept' });
+  });
+});
+
+describe('createStorage', () => {
+  test('postgres needs DATABASE_URL', () => {
+    expect(() => createStorage({ STORAGE_BACKEND: 'postgres' })).toThrow('DATABASE_URL is required when STORAGE_BACKEND=postgres');
+  });
+
+  test('rejects unknown backends', () => {
+    expect(() => createStorage({ STORAGE_BACKEND: 'mongo' })).toThrow('Unknown storage backend: mongo');
+  });
+});
@@ -0,0 +1,11 @@
+// Initial document collections for the data that used to live in module-level Maps
+
+module.exports = {
+  version: '001',
+  description: 'Create scans, hosts, vulnerabilities, policies, remediations and meta collections',
+  collections: ['scans', 'hosts', 'vulnerabilities', 'policies', 'remediations', 'meta'],
+  postgres: `
+    CREATE INDEX IF NOT EXISTS vulnerabilities_host_idx ON vulnerabilities ((data->>'host'));
+    CREATE INDEX IF NOT EXISTS scans_subnet_idx ON scans ((data->>'subnet'));
+  `
+};
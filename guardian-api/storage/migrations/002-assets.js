@@ -0,0 +1,51 @@
+// Asset inventory - give every existing host an asset and re-key its findings by asset
+
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = {
+  version: '002',
+  description: 'Create assets collection and key findings by asset',
+  collections: ['assets'],
+  postgres: `
+    CREATE INDEX IF NOT EXISTS assets_ip_idx ON assets ((data->>'ip'));
+    CREATE INDEX IF NOT EXISTS vulnerabilities_asset_idx ON vulnerabilities ((data->>'assetId'));
+  `,
+  async data({ collection }) {
+    const hosts = collection('hosts');
+    const assets = collection('assets');
+    const vulnerabilities = collection('vulnerabilities');
+
+    for (const host of await hosts.list()) {
+      if (host.assetId) continue;
+
+      const assetId = `asset-${uuidv4()}`;
+      const seen = host.lastSeen || new Date().toISOString();
+      await assets.set(assetId, {
+        id: assetId,
+        ip: host.ip,
+        mac: host.mac || null,
+        hostname: host.hostname,
+        macs: host.mac ? [host.mac.toUpperCase()] : [],
+        hostnames: host.hostname && host.hostname !== host.ip ? [host.hostname.toLowerCase()] : [],
+        ipHistory: [{ ip: host.ip, firstSeen: seen, lastSeen: seen }],
+        type: host.type,
+        os: host.os,
+        services: host.services || [],
+        fingerprint: (host.services || []).map(s => `${s.port}/${(s.name || '').toLowerCase()}`).sort(),
+        risk: host.risk,
+        status: 'active',
+        missedScans: 0,
+        firstSeen: seen,
+        lastSeen: seen,
+        mergedFrom: []
+      });
+      await hosts.set(host.ip, { ...host, id: assetId, assetId, firstSeen: seen });
+
+      for (const finding of await vulnerabilities.find({ host: host.ip })) {
+        if (finding.assetId) continue;
+        await vulnerabilities.delete(`${host.ip}:${finding.id}`);
+        await vulnerabilities.set(`${assetId}:${finding.id}`, { ...finding, assetId });
+      }
+    }
+  }
+};
@@ -0,0 +1,7 @@
+// Recurring scan schedules
+
+module.exports = {
+  version: '003',
+  description: 'Create schedules collection',
+  collections: ['schedules']
+};
@@ -0,0 +1,7 @@
+// Local CVE database imported from NVD feeds, indexed by vendor:product
+
+module.exports = {
+  version: '004',
+  description: 'Create cves and cpe_products collections',
+  collections: ['cves', 'cpe_products']
+};
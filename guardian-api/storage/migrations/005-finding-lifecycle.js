@@ -0,0 +1,55 @@
+// Finding lifecycle - give existing findings a key, SLA due date and history
+
+// The SLA table and due date rule as they were when this migration shipped,
+// so later changes to findings/lifecycle.js do not change what it does
+const SLA_DAYS = {
+  critical: parseInt(process.env.SLA_CRITICAL_DAYS) || 7,
+  high: parseInt(process.env.SLA_HIGH_DAYS) || 30,
+  medium: parseInt(process.env.SLA_MEDIUM_DAYS) || 90,
+  low: parseInt(process.env.SLA_LOW_DAYS) || 180
+};
+const DAY = 24 * 60 * 60 * 1000;
+
+function dueDateFor(severity, from) {
+  const days = SLA_DAYS[severity] || SLA_DAYS.low;
+  return new Date(new Date(from).getTime() + days * DAY).toISOString();
+}
+
+module.exports = {
+  version: '005',
+  description: 'Add lifecycle fields to findings',
+  collections: [],
+  postgres: `
+    CREATE INDEX IF NOT EXISTS vulnerabilities_status_idx ON vulnerabilities ((data->>'status'));
+  `,
+  async data({ collection }) {
+    const vulnerabilities = collection('vulnerabilities');
+
+    for (const finding of await vulnerabilities.list()) {
+      if (finding.key || !finding.assetId) continue;
+
+      const key = `${finding.assetId}:${finding.id}`;
+      const discovered = finding.discovered || new Date().toISOString();
+      const history = [{ from: null, to: 'open', at: discovered, actor: 'scanner', comment: null }];
+      if (finding.status === 'remediated') {
+        history.push({
+          from: 'open',
+          to: 'remediated',
+          at: finding.remediatedAt || discovered,
+          actor: 'system',
+          comment: finding.remediationAction || null
+        });
+      }
+
+      await vulnerabilities.set(key, {
+        ...finding,
+        key,
+        status: finding.status || 'open',
+        assignee: finding.assignee || null,
+        dueDate: dueDateFor(finding.severity, discovered),
+        comments: [],
+        history
+      });
+    }
+  }
+};
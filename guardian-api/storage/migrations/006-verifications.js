@@ -0,0 +1,7 @@
+// Post-remediation verification rescans
+
+module.exports = {
+  version: '006',
+  description: 'Create verifications collection',
+  collections: ['verifications']
+};
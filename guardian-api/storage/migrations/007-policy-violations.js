@@ -0,0 +1,28 @@
+// Policy evaluation - violations collection, and `enabled` in place of the
+// old free-form `status` on stored policies
+
+module.exports = {
+  version: '007',
+  description: 'Create policy_violations collection and add enabled flag to policies',
+  collections: ['policy_violations'],
+  postgres: `
+    CREATE INDEX IF NOT EXISTS policy_violations_policy_idx ON policy_violations ((data->>'policyId'));
+    CREATE INDEX IF NOT EXISTS policy_violations_status_idx ON policy_violations ((data->>'status'));
+  `,
+  async data({ collection }) {
+    const policies = collection('policies');
+
+    for (const policy of await policies.list()) {
+      if (policy.enabled !== undefined) continue;
+
+      const { status, ...rest } = policy;
+      // Policies saved before there was a rule language have nothing to evaluate
+      await policies.set(policy.id, {
+        ...rest,
+        controls: policy.controls || [],
+        severity: policy.severity || 'medium',
+        enabled: Boolean(policy.when) && status !== 'disabled'
+      });
+    }
+  }
+};
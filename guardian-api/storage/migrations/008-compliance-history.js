@@ -0,0 +1,10 @@
+// Framework compliance - score snapshots taken after each policy evaluation
+
+module.exports = {
+  version: '008',
+  description: 'Create compliance_history collection',
+  collections: ['compliance_history'],
+  postgres: `
+    CREATE INDEX IF NOT EXISTS compliance_history_framework_idx ON compliance_history ((data->>'frameworkId'));
+  `
+};
@@ -0,0 +1,7 @@
+// Generated reports - request records; the rendered files live in REPORT_DIR
+
+module.exports = {
+  version: '009',
+  description: 'Create reports collection',
+  collections: ['reports']
+};
@@ -0,0 +1,12 @@
+// Authentication - local users, their JWT sessions and hashed API keys
+
+module.exports = {
+  version: '010',
+  description: 'Create users, sessions and api_keys collections',
+  collections: ['users', 'sessions', 'api_keys'],
+  postgres: `
+    CREATE UNIQUE INDEX IF NOT EXISTS users_username_idx ON users ((data->>'username'));
+    CREATE INDEX IF NOT EXISTS sessions_user_idx ON sessions ((data->>'userId'));
+    CREATE INDEX IF NOT EXISTS api_keys_user_idx ON api_keys ((data->>'userId'));
+  `
+};
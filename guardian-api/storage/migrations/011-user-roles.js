@@ -0,0 +1,16 @@
+// User roles - accounts created before roles existed could do everything, so
+// they become admins with no subnet restriction
+
+module.exports = {
+  version: '011',
+  description: 'Give existing users a role and subnet scope',
+  collections: [],
+  async data({ collection }) {
+    const users = collection('users');
+
+    for (const user of await users.list()) {
+      if (user.role) continue;
+      await users.set(user.id, { ...user, role: 'admin', subnets: null });
+    }
+  }
+};
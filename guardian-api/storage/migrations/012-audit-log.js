@@ -0,0 +1,11 @@
+// Audit trail - append-only, hash-chained entries keyed by zero-padded
+// sequence number (see audit/)
+
+module.exports = {
+  version: '012',
+  description: 'Create audit_log collection',
+  collections: ['audit_log'],
+  postgres: `
+    CREATE INDEX IF NOT EXISTS audit_log_action_idx ON audit_log ((data->>'action'));
+  `
+};
@@ -0,0 +1,8 @@
+// Topology imports - router ARP tables, LLDP/CDP neighbours and flow records
+// keyed by `<type>:<device>` (see topology/imports.js)
+
+module.exports = {
+  version: '013',
+  description: 'Create topology_imports collection',
+  collections: ['topology_imports']
+};
@@ -0,0 +1,11 @@
+// Outbound webhook subscriptions and their delivery log (see webhooks/)
+
+module.exports = {
+  version: '014',
+  description: 'Create webhooks and webhook_deliveries collections',
+  collections: ['webhooks', 'webhook_deliveries'],
+  postgres: `
+    CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook_idx ON webhook_deliveries ((data->>'webhookId'));
+    CREATE INDEX IF NOT EXISTS webhook_deliveries_status_idx ON webhook_deliveries ((data->>'status'));
+  `
+};
@@ -0,0 +1,23 @@
+// Ordered list of schema migrations.
+//
+// Each migration declares the collections it creates and, optionally, extra
+// SQL for PostgreSQL (`postgres`) and a data transform run against either
+// backend through the collection API (`data({ collection })`). Append new
+// migrations; never edit one that has shipped.
+
+module.exports = [
+  require('./001-initial'),
+  require('./002-assets'),
+  require('./003-schedules'),
+  require('./004-vulndb'),
+  require('./005-finding-lifecycle'),
+  require('./006-verifications'),
+  require('./007-policy-violations'),
+  require('./008-compliance-history'),
+  require('./009-reports'),
+  require('./010-auth'),
+  require('./011-user-roles'),
+  require('./012-audit-log'),
+  require('./013-topology-imports'),
+  require('./014-webhooks')
+];
@@ -0,0 +1,154 @@
+// PostgreSQL storage - each collection is a table of JSONB documents
+
+const { Pool } = require('pg');
+const { validateQuery } = require('./query');
+
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/;
+
+function createPostgresStorage({ connectionString, ssl, poolSize }) {
+  const pool = new Pool({
+    connectionString,
+    ssl: ssl ? { rejectUnauthorized: false } : false,
+    max: poolSize
+  });
+  const collections = new Map();
+
+  function tableName(name) {
+    if (!IDENTIFIER.test(name)) {
+      throw new Error(`Invalid collection name: ${name}`);
+    }
+    return name;
+  }
+
+  function createCollection(name) {
+    const table = tableName(name);
+
+    return {
+      name,
+      async get(key) {
+        const { rows } = await pool.query(`SELECT data FROM ${table} WHERE id = $1`, [key]);
+        return rows.length ? rows[0].data : null;
+      },
+      async set(key, doc) {
+        await pool.query(
+          `INSERT INTO ${table} (id, data) VALUES ($1, $2)
+           ON CONFLICT (id) DO UPDATE SET data = EXCLUDED.data, updated_at = now()`,
+          [key, JSON.stringify(doc)]
+        );
+        return doc;
+      },
+      async delete(key) {
+        const { rowCount } = await pool.query(`DELETE FROM ${table} WHERE id = $1`, [key]);
+        return rowCount > 0;
+      },
+      async list() {
+        const { rows } = await pool.query(`SELECT data FROM ${table} ORDER BY created_at, id`);
+        return rows.map(row => row.data);
+      },
+      // Containment on scalar fields is equality and can use the GIN index.
+      // Fields queried as undefined must be absent; a stored null is jsonb
+      // 'null', not SQL NULL, so it does not count as absent.
+      async find(query = {}) {
+        validateQuery(query);
+        const fields = Object.entries(query);
+        const values = [JSON.stringify(Object.fromEntries(fields.filter(([, value]) => value !== undefined)))];
+        const absent = fields.filter(([, value]) => value === undefined).map(([field]) => {
+          values.push(field);
+          return ` AND data -> $${values.length}::text IS NULL`;
+        });
+        const { rows } = await pool.query(
+          `SELECT data FROM ${table} WHERE data @> $1::jsonb${absent.join('')} ORDER BY created_at, id`,
+          values
+        );
+        return rows.map(row => row.data);
+      },
+      async count() {
+        const { rows } = await pool.query(`SELECT count(*)::int AS count FROM ${table}`);
+        return rows[0].count;
+      }
+    };
+  }
+
+  function collection(name) {
+    if (!collections.has(name)) {
+      collections.set(name, createCollection(name));
+    }
+    return collections.get(name);
+  }
+
+  function collectionSql(name) {
+    const table = tableName(name);
+    return `
+      CREATE TABLE IF NOT EXISTS ${table} (
+        id TEXT PRIMARY KEY,
+        data JSONB NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+      CREATE INDEX IF NOT EXISTS ${table}_data_idx ON ${table} USING GIN (data jsonb_path_ops);
+    `;
+  }
+
+  async function migrate(migrations) {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        description TEXT,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      )
+    `);
+
+    const { rows } = await pool.query('SELECT version FROM schema_migrations');
+    const applied = new Set(rows.map(row => row.version));
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+
+    for (const migration of pending) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        for (const name of migration.collections || []) {
+          await client.query(collectionSql(name));
+        }
+        if (migration.postgres) {
+          await client.query(migration.postgres);
+        }
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.version} failed: ${error.message}`);
+      } finally {
+        client.release();
+      }
+
+      // Schema changes are idempotent, so a failed data step is simply retried on next start
+      if (migration.data) {
+        await migration.data({ collection });
+      }
+      await pool.query(
+        'INSERT INTO schema_migrations (version, description) VALUES ($1, $2)',
+        [migration.version, migration.description]
+      );
+    }
+
+    return pending.map(migration => migration.version);
+  }
+
+  async function init(migrations) {
+    return migrate(migrations);
+  }
+
+  async function close() {
+    await pool.end();
+  }
+
+  return {
+    backend: 'postgres',
+    init,
+    collection,
+    close
+  };
+}
+
+module.exports = {
+  createPostgresStorage
+};
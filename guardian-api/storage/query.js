@@ -0,0 +1,22 @@
+// find() queries, checked the same way by every backend
+//
+// A query maps top-level field names to a string, number, boolean or null,
+// compared with ===. An undefined value matches documents without the field.
+// Lists and objects are refused: the file backend would compare them by
+// reference and PostgreSQL by containment, so neither answer is useful.
+
+function validateQuery(query) {
+  if (!query || typeof query !== 'object' || Array.isArray(query)) {
+    throw new Error('find() needs an object of field values');
+  }
+  for (const [field, value] of Object.entries(query)) {
+    if (value !== null && typeof value === 'object') {
+      throw new Error(`find() compares ${field} with a single value, not ${Array.isArray(value) ? 'a list' : 'an object'}`);
+    }
+  }
+  return query;
+}
+
+module.exports = {
+  validateQuery
+};
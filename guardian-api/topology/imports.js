@@ -0,0 +1,122 @@
+// Topology imports - neighbour tables and flow records from network devices
+//
+// An import is { type, device, entries } where `device` is the address or
+// name of the device the table came from:
+//   arp   entries [{ ip, mac, interface }], or `text` holding the output of
+//         `show ip arp`, `arp -an` or /proc/net/arp
+//   lldp  entries [{ localPort, neighbor, neighborAddress, neighborPort }]
+//   cdp   the same as lldp
+//   flow  entries [{ source, destination, protocol, port, bytes }]
+// A new import of the same type from the same device replaces the last one.
+
+const { ipToInt } = require('../scanner/targets');
+
+const IMPORT_TYPES = ['arp', 'lldp', 'cdp', 'flow'];
+
+const MAX_ENTRIES = 50000;
+
+const MAC_PATTERN = /\b([0-9a-f]{1,2}(?:[:-][0-9a-f]{1,2}){5}|[0-9a-f]{4}\.[0-9a-f]{4}\.[0-9a-f]{4})\b/i;
+const IP_PATTERN = /\b(\d{1,3}(?:\.\d{1,3}){3})\b/;
+
+function normalizeMac(mac) {
+  const hex = String(mac).replace(/[^0-9a-f]/gi, '');
+  const parts = /[:-]/.test(mac)
+    ? String(mac).split(/[:-]/).map(part => part.padStart(2, '0'))
+    : hex.match(/.{2}/g);
+  return parts.join(':').toUpperCase();
+}
+
+function importId(type, device) {
+  return `${type}:${String(device).toLowerCase()}`;
+}
+
+function requireIp(value, field, index) {
+  if (ipToInt(value) === null) {
+    throw new Error(`Entry ${index + 1}: ${field} must be an IPv4 address`);
+  }
+  return value;
+}
+
+// One ARP entry per line that has both an address and a MAC; incomplete
+// entries and headers are skipped
+function parseArpText(text) {
+  return String(text).split('\n').map(line => {
+    const ip = line.match(IP_PATTERN);
+    const mac = line.match(MAC_PATTERN);
+    if (!ip || !mac || ipToInt(ip[1]) === null || /^0{1,2}([:-]0{1,2}){5}$/.test(mac[1])) return null;
+    return { ip: ip[1], mac: mac[1] };
+  }).filter(Boolean);
+}
+
+function arpEntry(entry, index) {
+  return {
+    ip: requireIp(entry.ip, 'ip', index),
+    mac: entry.mac ? normalizeMac(entry.mac) : null,
+    interface: entry.interface || null
+  };
+}
+
+function neighborEntry(entry, index) {
+  if (!entry.neighbor && !entry.neighborAddress) {
+    throw new Error(`Entry ${index + 1}: neighbor or neighborAddress is required`);
+  }
+  return {
+    localPort: entry.localPort || null,
+    neighbor: entry.neighbor || null,
+    neighborAddress: entry.neighborAddress ? requireIp(entry.neighborAddress, 'neighborAddress', index) : null,
+    neighborPort: entry.neighborPort || null
+  };
+}
+
+function flowEntry(entry, index) {
+  const port = entry.port === undefined || entry.port === null ? null : Number(entry.port);
+  if (port !== null && !(Number.isInteger(port) && port >= 0 && port <= 65535)) {
+    throw new Error(`Entry ${index + 1}: port must be 0-65535`);
+  }
+  return {
+    source: requireIp(entry.source, 'source', index),
+    destination: requireIp(entry.destination, 'destination', index),
+    protocol: entry.protocol ? String(entry.protocol).toLowerCase() : 'tcp',
+    port,
+    bytes: Number(entry.bytes) || 0
+  };
+}
+
+const ENTRY_PARSERS = {
+  arp: arpEntry,
+  lldp: neighborEntry,
+  cdp: neighborEntry,
+  flow: flowEntry
+};
+
+// Validates a request body into an import record (without id and metadata)
+function parseImport({ type, device, entries, text }) {
+  if (!IMPORT_TYPES.includes(type)) {
+    throw new Error(`type must be one of: ${IMPORT_TYPES.join(', ')}`);
+  }
+  if (!device || typeof device !== 'string') {
+    throw new Error('device (the address or name of the device the table came from) is required');
+  }
+  let list = entries;
+  if (list === undefined && text !== undefined && type === 'arp') {
+    list = parseArpText(text);
+  }
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error(type === 'arp' ? 'entries or text with at least one ARP entry is required' : 'entries must be a non-empty list');
+  }
+  if (list.length > MAX_ENTRIES) {
+    throw new Error(`An import may have at most ${MAX_ENTRIES} entries`);
+  }
+  return {
+    type,
+    device: device.trim(),
+    entries: list.map((entry, index) => ENTRY_PARSERS[type](entry || {}, index))
+  };
+}
+
+module.exports = {
+  IMPORT_TYPES,
+  importId,
+  parseArpText,
+  parseImport
+};
@@ -0,0 +1,72 @@
+const { importId, parseArpText, parseImport } = require('./imports');
+
+describe('parseArpText', () => {
+  test('reads Cisco, BSD and Linux ARP tables', () => {
+    const cisco = [
+      'Protocol  Address          Age (min)  Hardware Addr   Type   Interface',
+      'Internet  10.0.1.1                -   0011.2233.4455  ARPA   Vlan10',
+      'Internet  10.0.1.5               12   0011.2233.4466  ARPA   Vlan10',
+      'Internet  10.0.1.9                0   Incomplete      ARPA'
+    ].join('\n');
+    expect(parseArpText(cisco)).toEqual([
+      { ip: '10.0.1.1', mac: '0011.2233.4455' },
+      { ip: '10.0.1.5', mac: '0011.2233.4466' }
+    ]);
+
+    const bsd = '? (10.0.1.5) at 0:11:22:33:44:66 on en0 ifscope [ethernet]\n? (10.0.1.7) at (incomplete) on en0';
+    expect(parseArpText(bsd)).toEqual([{ ip: '10.0.1.5', mac: '0:11:22:33:44:66' }]);
+
+    const linux = [
+      'IP address       HW type     Flags       HW address            Mask     Device',
+      '10.0.1.5         0x1         0x2         00:11:22:33:44:66     *        eth0',
+      '10.0.1.8         0x1         0x0         00:00:00:00:00:00     *        eth0'
+    ].join('\n');
+    expect(parseArpText(linux)).toEqual([{ ip: '10.0.1.5', mac: '00:11:22:33:44:66' }]);
+  });
+});
+
+describe('parseImport', () => {
+  test('normalises ARP entries, from a list or from text', () => {
+    expect(parseImport({ type: 'arp', device: ' 10.0.1.1 ', entries: [{ ip: '10.0.1.5', mac: '0:11:22:33:44:66', interface: 'eth0' }, { ip: '10.0.1.6' }] })).toEqual({
+      type: 'arp',
+      device: '10.0.1.1',
+      entries: [
+        { ip: '10.0.1.5', mac: '00:11:22:33:44:66', interface: 'eth0' },
+        { ip: '10.0.1.6', mac: null, interface: null }
+      ]
+    });
+    expect(parseImport({ type: 'arp', device: 'edge-rtr', text: 'Internet  10.0.1.5  12  0011.2233.4466  ARPA  Vlan10' }).entries)
+      .toEqual([{ ip: '10.0.1.5', mac: '00:11:22:33:44:66', interface: null }]);
+  });
+
+  test('normalises neighbour and flow entries', () => {
+    expect(parseImport({ type: 'cdp', device: 'core-sw', entries: [{ neighbor: 'access-sw', localPort: 'Gi1/0/1' }] }).entries)
+      .toEqual([{ localPort: 'Gi1/0/1', neighbor: 'access-sw', neighborAddress: null, neighborPort: null }]);
+    expect(parseImport({ type: 'flow', device: 'collector', entries: [{ source: '10.0.1.5', destination: '10.0.1.6', protocol: 'UDP', port: '53', bytes: '120' }, { source: '10.0.1.5', destination: '10.0.1.6' }] }).entries)
+      .toEqual([
+        { source: '10.0.1.5', destination: '10.0.1.6', protocol: 'udp', port: 53, bytes: 120 },
+        { source: '10.0.1.5', destination: '10.0.1.6', protocol: 'tcp', port: null, bytes: 0 }
+      ]);
+  });
+
+  test.each([
+    ['type must be one of: arp, lldp, cdp, flow', { type: 'snmp', device: 'sw', entries: [{}] }],
+    ['device (the address or name of the device the table came from) is required', { type: 'arp', entries: [{ ip: '10.0.1.5' }] }],
+    ['entries or text with at least one ARP entry is required', { type: 'arp', device: 'sw', text: 'no entries here' }],
+    ['entries must be a non-empty list', { type: 'flow', device: 'sw', entries: [] }],
+    ['Entry 2: ip must be an IPv4 address', { type: 'arp', device: 'sw', entries: [{ ip: '10.0.1.5' }, { ip: 'fe80::1' }] }],
+    ['Entry 1: neighbor or neighborAddress is required', { type: 'lldp', device: 'sw', entries: [{ localPort: 'Gi1/0/1' }] }],
+    ['Entry 1: neighborAddress must be an IPv4 address', { type: 'lldp', device: 'sw', entries: [{ neighborAddress: 'access-sw' }] }],
+    ['Entry 1: port must be 0-65535', { type: 'flow', device: 'sw', entries: [{ source: '10.0.1.5', destination: '10.0.1.6', port: 70000 }] }],
+    ['Entry 1: destination must be an IPv4 address', { type: 'flow', device: 'sw', entries: [{ source: '10.0.1.5' }] }],
+    ['An import may have at most 50000 entries', { type: 'flow', device: 'sw', entries: new Array(50001).fill({}) }]
+  ])('%s', (message, body) => {
+    expect(() => parseImport(body)).toThrow(message);
+  });
+});
+
+describe('importId', () => {
+  test('one import per type and device, whatever the case of its name', () => {
+    expect(importId('lldp', 'Core-SW')).toBe('lldp:core-sw');
+  });
+});
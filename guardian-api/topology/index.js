@@ -0,0 +1,203 @@
+// Network topology - nodes and typed links inferred from evidence
+//
+// Links are one of:
+//   l2_neighbor    on the same segment: a host and its segment gateway, a
+//                  router and the addresses in its ARP table, or LLDP/CDP
+//                  neighbours
+//   l3_route       consecutive hops on a traceroute to a host
+//   observed_flow  traffic seen between two hosts in imported flow records
+// and carry the list of evidence behind them.
+//
+// Hosts are grouped into segments, the /TOPOLOGY_SEGMENT_PREFIX block they
+// are in. A segment's gateway is the scanner's default gateway when it lies
+// in the segment, else the last traceroute hop before hosts in it, else its
+// lowest-addressed router or firewall. A host is linked to its gateway only
+// when their hop counts (from reply TTLs) agree: the same distance from the
+// scanner, or one hop further.
+
+const { ipToInt, intToIp } = require('../scanner/targets');
+
+const LINK_TYPES = ['l2_neighbor', 'l3_route', 'observed_flow'];
+
+const SEGMENT_PREFIX = parseInt(process.env.TOPOLOGY_SEGMENT_PREFIX) || 24;
+
+const GATEWAY_TYPES = ['router', 'firewall'];
+
+// Operating systems start replies at 64, 128 or 255
+function hopsFromTtl(ttl) {
+  if (!Number.isInteger(ttl) || ttl < 1 || ttl > 255) return null;
+  const initial = ttl <= 64 ? 64 : ttl <= 128 ? 128 : 255;
+  return initial - ttl;
+}
+
+function segmentOf(ip, prefix = SEGMENT_PREFIX) {
+  const value = ipToInt(ip);
+  if (value === null) return null;
+  const size = 2 ** (32 - prefix);
+  return `${intToIp(value - (value % size))}/${prefix}`;
+}
+
+function hostNode(host, findingCounts) {
+  return {
+    id: host.id,
+    ip: host.ip,
+    label: host.hostname,
+    type: host.type,
+    risk: host.risk,
+    riskScore: host.riskScore,
+    status: host.status,
+    vulnerabilities: findingCounts ? findingCounts.get(host.assetId) || 0 : (host.vulnerabilities || []).length,
+    hops: host.hops === undefined ? hopsFromTtl(host.ttl) : host.hops,
+    segment: segmentOf(host.ip),
+    zone: host.zone || null,
+    gateway: false
+  };
+}
+
+// `hosts` are host records (with ttl, hops and route from the scanner),
+// `imports` topology import records (see ./imports), `defaultGateway` the
+// scanner's own default gateway, and `findingCounts` an optional map of
+// asset ID to open finding count
+function buildGraph({ hosts, imports = [], defaultGateway = null, findingCounts = null }) {
+  const nodes = [];
+  const byIp = new Map();
+  const byName = new Map();
+  const links = new Map();
+
+  function addNode(node) {
+    nodes.push(node);
+    if (node.ip) byIp.set(node.ip, node);
+    if (node.label) byName.set(String(node.label).toLowerCase(), node);
+    return node;
+  }
+
+  // A host we know, or a network device only seen in the evidence
+  function deviceNode(device, type = 'router') {
+    const existing = byIp.get(device) || byName.get(String(device).toLowerCase());
+    if (existing) return existing;
+    const isIp = ipToInt(device) !== null;
+    return addNode({
+      id: `device:${device}`,
+      ip: isIp ? device : null,
+      label: device,
+      type,
+      status: 'inferred',
+      hops: null,
+      segment: isIp ? segmentOf(device) : null,
+      zone: null,
+      gateway: false,
+      inferred: true
+    });
+  }
+
+  function link(source, target, type, evidence, details = {}) {
+    if (!source || !target || source === target) return;
+    const [a, b] = type === 'l2_neighbor' && source.id > target.id ? [target, source] : [source, target];
+    const key = `${type}:${a.id}:${b.id}`;
+    const existing = links.get(key);
+    if (existing) {
+      evidence.forEach(item => {
+        if (!existing.evidence.includes(item)) existing.evidence.push(item);
+      });
+      Object.entries(details).forEach(([field, value]) => {
+        existing[field] = Array.isArray(value)
+          ? Array.from(new Set([...(existing[field] || []), ...value]))
+          : typeof value === 'number' ? (existing[field] || 0) + value : value;
+      });
+      return;
+    }
+    links.set(key, { source: a.id, target: b.id, type, evidence: [...evidence], ...details });
+  }
+
+  hosts.forEach(host => addNode(hostNode(host, findingCounts)));
+  const hostNodes = [...nodes];
+
+  // Traceroutes: each hop routes to the next, the last one to the host.
+  // Hops that did not answer leave a gap rather than a guessed link.
+  const lastHops = new Map();
+  hosts.forEach(host => {
+    const route = host.route || [];
+    if (route.length === 0) return;
+    const path = [...route.map(ip => (ip ? deviceNode(ip) : null)), byIp.get(host.ip)];
+    for (let i = 1; i < path.length; i++) {
+      link(path[i - 1], path[i], 'l3_route', ['traceroute']);
+    }
+    const segment = segmentOf(host.ip);
+    const last = path[path.length - 2];
+    if (last && last.segment === segment && !lastHops.has(segment)) {
+      lastHops.set(segment, last);
+    }
+  });
+
+  // Segment gateways
+  const segments = new Map();
+  hostNodes.forEach(node => {
+    if (!segments.has(node.segment)) segments.set(node.segment, []);
+    segments.get(node.segment).push(node);
+  });
+  const byAddress = (a, b) => ipToInt(a.ip) - ipToInt(b.ip);
+  segments.forEach((members, segment) => {
+    let gateway = null;
+    let reason = null;
+    if (defaultGateway && segmentOf(defaultGateway) === segment) {
+      gateway = deviceNode(defaultGateway);
+      reason = 'default_route';
+    } else if (lastHops.has(segment)) {
+      gateway = lastHops.get(segment);
+      reason = 'traceroute';
+    } else {
+      gateway = members.filter(node => GATEWAY_TYPES.includes(node.type)).sort(byAddress)[0] || null;
+      reason = 'device_type';
+    }
+    if (!gateway) return;
+    gateway.gateway = true;
+
+    members.forEach(node => {
+      if (node === gateway || links.has(`l3_route:${gateway.id}:${node.id}`)) return;
+      const known = Number.isInteger(node.hops) && Number.isInteger(gateway.hops);
+      if (known && node.hops !== gateway.hops && node.hops !== gateway.hops + 1) return;
+      link(gateway, node, 'l2_neighbor', known ? ['subnet', reason, 'ttl'] : ['subnet', reason]);
+    });
+  });
+
+  imports.forEach(record => {
+    const evidence = [record.type];
+    if (record.type === 'arp') {
+      const router = deviceNode(record.device);
+      record.entries.forEach(entry => link(router, byIp.get(entry.ip), 'l2_neighbor', evidence));
+    } else if (record.type === 'lldp' || record.type === 'cdp') {
+      const device = deviceNode(record.device, 'switch');
+      record.entries.forEach(entry => {
+        const neighbor = (entry.neighborAddress && byIp.get(entry.neighborAddress)) ||
+          deviceNode(entry.neighbor || entry.neighborAddress, 'switch');
+        const ports = [entry.localPort, entry.neighborPort].filter(Boolean).join(' <-> ');
+        link(device, neighbor, 'l2_neighbor', evidence, ports ? { ports: [ports] } : {});
+      });
+    } else if (record.type === 'flow') {
+      record.entries.forEach(entry => {
+        link(byIp.get(entry.source), byIp.get(entry.destination), 'observed_flow', evidence, {
+          services: entry.port ? [`${entry.protocol || 'tcp'}/${entry.port}`] : [],
+          bytes: entry.bytes || 0
+        });
+      });
+    }
+  });
+
+  return {
+    nodes,
+    links: Array.from(links.values()),
+    segments: Array.from(segments.entries()).map(([segment, members]) => ({
+      segment,
+      hosts: members.length,
+      gateway: (nodes.find(node => node.gateway && node.segment === segment) || {}).id || null
+    }))
+  };
+}
+
+module.exports = {
+  LINK_TYPES,
+  SEGMENT_PREFIX,
+  hopsFromTtl,
+  segmentOf,
+  buildGraph
+};
@@ -0,0 +1,130 @@
+const { hopsFromTtl, segmentOf, buildGraph } = require('.');
+
+const host = (ip, fields = {}) => ({ id: `host-${ip}`, assetId: `asset-${ip}`, ip, hostname: null, type: 'server', status: 'online', ...fields });
+
+describe('hopsFromTtl', () => {
+  test.each([
+    [64, 0],
+    [63, 1],
+    [120, 8],
+    [250, 5],
+    [0, null],
+    [256, null],
+    [undefined, null]
+  ])('TTL %p is %p hops away', (ttl, hops) => {
+    expect(hopsFromTtl(ttl)).toBe(hops);
+  });
+});
+
+describe('segmentOf', () => {
+  test('is the block an address is in', () => {
+    expect(segmentOf('10.0.1.77')).toBe('10.0.1.0/24');
+    expect(segmentOf('10.0.1.77', 16)).toBe('10.0.0.0/16');
+    expect(segmentOf('db-01')).toBeNull();
+  });
+});
+
+describe('buildGraph', () => {
+  const links = (graph, type) => graph.links.filter(item => item.type === type);
+  const find = (graph, source, target, type) => graph.links.find(item => item.type === type &&
+    ((item.source === source && item.target === target) || (item.source === target && item.target === source)));
+
+  test('hosts are linked to the default gateway when their hop counts agree', () => {
+    const graph = buildGraph({
+      hosts: [
+        host('10.0.1.1', { type: 'router', ttl: 255 }),
+        host('10.0.1.5', { ttl: 64 }),
+        host('10.0.1.6', { ttl: 63 }),
+        host('10.0.1.7', { ttl: 60 }),
+        host('10.0.1.8')
+      ],
+      defaultGateway: '10.0.1.1'
+    });
+
+    expect(graph.nodes.find(node => node.ip === '10.0.1.1')).toMatchObject({ gateway: true, hops: 0, segment: '10.0.1.0/24' });
+    expect(links(graph, 'l2_neighbor')).toEqual([
+      { source: 'host-10.0.1.1', target: 'host-10.0.1.5', type: 'l2_neighbor', evidence: ['subnet', 'default_route', 'ttl'] },
+      { source: 'host-10.0.1.1', target: 'host-10.0.1.6', type: 'l2_neighbor', evidence: ['subnet', 'default_route', 'ttl'] },
+      { source: 'host-10.0.1.1', target: 'host-10.0.1.8', type: 'l2_neighbor', evidence: ['subnet', 'default_route'] }
+    ]);
+    expect(graph.segments).toEqual([{ segment: '10.0.1.0/24', hosts: 5, gateway: 'host-10.0.1.1' }]);
+  });
+
+  test('traceroutes link each hop to the next and name the segment gateway', () => {
+    const graph = buildGraph({
+      hosts: [
+        host('10.0.1.1', { type: 'router', hops: 0 }),
+        host('10.0.2.10', { hops: 3, route: ['10.0.1.1', null, '10.0.2.1'] }),
+        host('10.0.2.11', { hops: 3 })
+      ]
+    });
+
+    expect(graph.nodes.find(node => node.id === 'device:10.0.2.1')).toMatchObject({ ip: '10.0.2.1', type: 'router', status: 'inferred', inferred: true, gateway: true });
+    // The unanswered hop leaves a gap
+    expect(links(graph, 'l3_route')).toEqual([{ source: 'device:10.0.2.1', target: 'host-10.0.2.10', type: 'l3_route', evidence: ['traceroute'] }]);
+    expect(find(graph, 'device:10.0.2.1', 'host-10.0.2.11', 'l2_neighbor').evidence).toEqual(['subnet', 'traceroute']);
+    expect(find(graph, 'device:10.0.2.1', 'host-10.0.2.10', 'l2_neighbor')).toBeUndefined();
+    expect(graph.segments).toEqual([
+      { segment: '10.0.1.0/24', hosts: 1, gateway: 'host-10.0.1.1' },
+      { segment: '10.0.2.0/24', hosts: 2, gateway: 'device:10.0.2.1' }
+    ]);
+  });
+
+  test('without other evidence the lowest-addressed router or firewall is the gateway', () => {
+    const graph = buildGraph({
+      hosts: [host('10.0.3.254', { type: 'firewall' }), host('10.0.3.20'), host('10.0.3.9', { type: 'router' })]
+    });
+    expect(graph.segments[0].gateway).toBe('host-10.0.3.9');
+    expect(find(graph, 'host-10.0.3.9', 'host-10.0.3.20', 'l2_neighbor').evidence).toEqual(['subnet', 'device_type']);
+
+    expect(buildGraph({ hosts: [host('10.0.4.1'), host('10.0.4.2')] })).toMatchObject({
+      links: [],
+      segments: [{ segment: '10.0.4.0/24', hosts: 2, gateway: null }]
+    });
+  });
+
+  test('imported ARP, LLDP and flow records add links and their evidence', () => {
+    const graph = buildGraph({
+      hosts: [host('10.0.1.1', { type: 'router', hostname: 'edge-rtr' }), host('10.0.1.5'), host('10.0.1.6')],
+      defaultGateway: '10.0.1.1',
+      imports: [
+        { type: 'arp', device: 'EDGE-RTR', entries: [{ ip: '10.0.1.5' }, { ip: '10.9.9.9' }] },
+        {
+          type: 'lldp',
+          device: 'core-sw',
+          entries: [
+            { localPort: 'Gi1/0/1', neighbor: 'access-sw', neighborPort: 'Gi0/48' },
+            { localPort: 'Gi1/0/2', neighborAddress: '10.0.1.5' }
+          ]
+        },
+        {
+          type: 'flow',
+          device: 'collector',
+          entries: [
+            { source: '10.0.1.5', destination: '10.0.1.6', protocol: 'tcp', port: 5432, bytes: 100 },
+            { source: '10.0.1.5', destination: '10.0.1.6', protocol: 'udp', port: 53, bytes: 200 },
+            { source: '10.0.1.5', destination: '10.9.9.9', port: 443, bytes: 50 }
+          ]
+        }
+      ]
+    });
+
+    expect(find(graph, 'host-10.0.1.1', 'host-10.0.1.5', 'l2_neighbor').evidence).toEqual(['subnet', 'default_route', 'arp']);
+    expect(graph.nodes.filter(node => node.inferred).map(node => [node.id, node.type])).toEqual([
+      ['device:core-sw', 'switch'],
+      ['device:access-sw', 'switch']
+    ]);
+    expect(find(graph, 'device:core-sw', 'device:access-sw', 'l2_neighbor')).toMatchObject({ evidence: ['lldp'], ports: ['Gi1/0/1 <-> Gi0/48'] });
+    expect(find(graph, 'device:core-sw', 'host-10.0.1.5', 'l2_neighbor')).toMatchObject({ evidence: ['lldp'], ports: ['Gi1/0/2'] });
+    expect(links(graph, 'observed_flow')).toEqual([
+      { source: 'host-10.0.1.5', target: 'host-10.0.1.6', type: 'observed_flow', evidence: ['flow'], services: ['tcp/5432', 'udp/53'], bytes: 300 }
+    ]);
+  });
+
+  test('open finding counts come from the map when given', () => {
+    const hosts = [host('10.0.1.5', { vulnerabilities: [{}, {}] })];
+    expect(buildGraph({ hosts }).nodes[0].vulnerabilities).toBe(2);
+    expect(buildGraph({ hosts, findingCounts: new Map([['asset-10.0.1.5', 7]]) }).nodes[0].vulnerabilities).toBe(7);
+    expect(buildGraph({ hosts, findingCounts: new Map() }).nodes[0].vulnerabilities).toBe(0);
+  });
+});
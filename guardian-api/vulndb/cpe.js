@@ -0,0 +1,122 @@
+// CPE mapping - turns what a scan saw (service banners, OS strings) into
+// CPE 2.3 names that can be looked up in the NVD feed
+
+// Each rule names the vendor:product pairs NVD files the software under (some
+// products moved vendor, e.g. nginx) and how to pull the version out of the
+// service version string or banner. `service` limits a rule to a service name
+// for products whose banner is only a version number.
+const SERVICE_RULES = [
+  { pattern: /OpenSSH[ _]([\d.]+(?:p\d+)?)/i, products: ['openbsd:openssh'] },
+  { pattern: /dropbear[ _]([\d.]+)/i, products: ['dropbear_ssh_project:dropbear_ssh'] },
+  { pattern: /Apache(?: httpd)?[/ ]([\d.]+)/i, products: ['apache:http_server'] },
+  { pattern: /Tomcat[/ ]([\d.]+)/i, products: ['apache:tomcat'] },
+  { pattern: /nginx\/([\d.]+)/i, products: ['f5:nginx', 'nginx:nginx'] },
+  { pattern: /Microsoft-IIS\/([\d.]+)/i, products: ['microsoft:internet_information_services'] },
+  { pattern: /lighttpd\/([\d.]+)/i, products: ['lighttpd:lighttpd'] },
+  { pattern: /Jetty\(([\d.]+)/i, products: ['eclipse:jetty'] },
+  { pattern: /OpenSSL\/([\d.]+[a-z]?)/i, products: ['openssl:openssl'] },
+  { pattern: /PHP\/([\d.]+)/i, products: ['php:php'] },
+  { pattern: /vsFTPd ([\d.]+)/i, products: ['beasts:vsftpd'] },
+  { pattern: /ProFTPD ([\d.]+[a-z]?)/i, products: ['proftpd:proftpd'] },
+  { pattern: /Exim ([\d.]+)/i, products: ['exim:exim'] },
+  { pattern: /Postfix/i, products: ['postfix:postfix'] },
+  { pattern: /Dovecot/i, products: ['dovecot:dovecot'] },
+  { pattern: /Samba ([\d.]+)/i, products: ['samba:samba'] },
+  { pattern: /([\d.]+)-MariaDB/i, products: ['mariadb:mariadb'] },
+  { service: /^mysql$/i, pattern: /^([\d.]+)$/, products: ['oracle:mysql', 'mysql:mysql'] },
+  { service: /^postgresql$/i, pattern: /^(?:PostgreSQL )?([\d.]+)/i, products: ['postgresql:postgresql'] },
+  { service: /^redis$/i, pattern: /^(?:Redis )?([\d.]+)?/i, products: ['redis:redis'] }
+];
+
+// OS strings rarely carry a patch level, so most of these match only feed
+// entries that apply to every release of the OS
+const OS_RULES = [
+  { pattern: /Windows Server (\d{4})/i, product: match => `microsoft:windows_server_${match[1]}`, version: () => null },
+  { pattern: /Windows (7|8\.1|10|11)\b/i, product: match => `microsoft:windows_${match[1]}`, version: () => null },
+  { pattern: /Ubuntu (\d+\.\d+)/i, product: () => 'canonical:ubuntu_linux', version: match => match[1] },
+  { pattern: /Debian (\d+)/i, product: () => 'debian:debian_linux', version: match => `${match[1]}.0` },
+  { pattern: /CentOS (\d+)/i, product: () => 'centos:centos', version: match => match[1] },
+  { pattern: /Red Hat Enterprise Linux (\d+)/i, product: () => 'redhat:enterprise_linux', version: match => match[1] },
+  { pattern: /RouterOS(?: ([\d.]+))?/i, product: () => 'mikrotik:routeros', version: match => match[1] || null },
+  { pattern: /macOS(?: (\d+\.\d+(?:\.\d+)?))?/i, product: () => 'apple:macos', version: match => match[1] || null },
+  { pattern: /iOS(?: (\d+\.\d+(?:\.\d+)?))?/i, product: () => 'apple:iphone_os', version: match => match[1] || null }
+];
+
+// CPE 2.3 formatted string: cpe:2.3:part:vendor:product:version:update:...
+function parseCpe(name) {
+  const fields = name.split(/(?<!\\):/);
+  if (fields[0] !== 'cpe' || fields[1] !== '2.3' || fields.length < 13) {
+    throw new Error(`Invalid CPE name: ${name}`);
+  }
+  const unescape = (value) => value.replace(/\\(.)/g, '$1');
+  return {
+    part: fields[2],
+    vendor: unescape(fields[3]),
+    product: unescape(fields[4]),
+    version: unescape(fields[5]),
+    update: unescape(fields[6]),
+    targetSoftware: unescape(fields[10])
+  };
+}
+
+function formatCpe(part, product, version) {
+  const [vendor, name] = product.split(':');
+  return `cpe:2.3:${part}:${vendor}:${name}:${version || '*'}:*:*:*:*:*:*:*`;
+}
+
+function serviceCpes(service) {
+  const text = [service.version, service.banner].filter(Boolean).join(' ');
+  const found = [];
+
+  for (const rule of SERVICE_RULES) {
+    if (rule.service && !rule.service.test(service.name || '')) continue;
+    const match = (rule.service ? (service.version || '') : text).match(rule.pattern);
+    if (!match) continue;
+
+    const version = match[1] || null;
+    for (const product of rule.products) {
+      found.push({
+        part: 'a',
+        product,
+        version,
+        cpe: formatCpe('a', product, version),
+        source: 'service',
+        port: service.port,
+        service: service.name,
+        detected: service.version || service.banner
+      });
+    }
+  }
+  return found;
+}
+
+function osCpes(os) {
+  if (!os) return [];
+  for (const rule of OS_RULES) {
+    const match = os.match(rule.pattern);
+    if (match) {
+      const product = rule.product(match);
+      const version = rule.version(match);
+      return [{ part: 'o', product, version, cpe: formatCpe('o', product, version), source: 'os', detected: os }];
+    }
+  }
+  return [];
+}
+
+// Everything on a host that can be matched against the feed
+function hostCpes(host) {
+  return [
+    ...(host.services || []).flatMap(serviceCpes),
+    ...osCpes(host.os)
+  ];
+}
+
+module.exports = {
+  SERVICE_RULES,
+  OS_RULES,
+  parseCpe,
+  formatCpe,
+  serviceCpes,
+  osCpes,
+  hostCpes
+};
@@ -0,0 +1,65 @@
+const { parseCpe, formatCpe, serviceCpes, osCpes, hostCpes } = require('./cpe');
+
+const products = (found) => found.map(item => [item.product, item.version]);
+
+describe('CPE names', () => {
+  test('parseCpe splits a CPE 2.3 name, honouring escapes', () => {
+    expect(parseCpe('cpe:2.3:a:openbsd:openssh:9.3:p2:*:*:*:*:*:*')).toEqual({
+      part: 'a', vendor: 'openbsd', product: 'openssh', version: '9.3', update: 'p2', targetSoftware: '*'
+    });
+    expect(parseCpe('cpe:2.3:a:vendor:name\\:with\\:colons:1.0:*:*:*:*:*:*:*').product).toBe('name:with:colons');
+    expect(() => parseCpe('cpe:/a:openbsd:openssh:9.3')).toThrow('Invalid CPE name');
+  });
+
+  test('formatCpe leaves unknown versions as a wildcard', () => {
+    expect(formatCpe('a', 'openbsd:openssh', '9.3p2')).toBe('cpe:2.3:a:openbsd:openssh:9.3p2:*:*:*:*:*:*:*');
+    expect(formatCpe('o', 'apple:macos', null)).toBe('cpe:2.3:o:apple:macos:*:*:*:*:*:*:*:*');
+  });
+});
+
+describe('serviceCpes', () => {
+  test.each([
+    [{ port: 22, name: 'SSH', version: 'OpenSSH 8.9p1' }, [['openbsd:openssh', '8.9p1']]],
+    [{ port: 22, name: 'SSH', banner: 'SSH-2.0-OpenSSH_9.3p2 Ubuntu-1' }, [['openbsd:openssh', '9.3p2']]],
+    [{ port: 443, name: 'HTTPS', version: 'nginx/1.20.0' }, [['f5:nginx', '1.20.0'], ['nginx:nginx', '1.20.0']]],
+    [{ port: 80, name: 'HTTP', version: 'Apache/2.4.49 (Unix) OpenSSL/1.1.1k' }, [['apache:http_server', '2.4.49'], ['openssl:openssl', '1.1.1k']]],
+    [{ port: 3306, name: 'MySQL', version: '8.0.27' }, [['oracle:mysql', '8.0.27'], ['mysql:mysql', '8.0.27']]],
+    [{ port: 3306, name: 'MySQL', version: '10.6.12-MariaDB' }, [['mariadb:mariadb', '10.6.12']]],
+    [{ port: 8080, name: 'HTTP-Alt', version: '8.0.27' }, []],
+    [{ port: 3389, name: 'RDP', version: 'Windows RDP' }, []]
+  ])('%j', (service, expected) => {
+    expect(products(serviceCpes(service))).toEqual(expected);
+  });
+
+  test('records where the CPE came from', () => {
+    expect(serviceCpes({ port: 22, name: 'SSH', version: 'OpenSSH 7.4' })[0]).toEqual({
+      part: 'a',
+      product: 'openbsd:openssh',
+      version: '7.4',
+      cpe: 'cpe:2.3:a:openbsd:openssh:7.4:*:*:*:*:*:*:*',
+      source: 'service',
+      port: 22,
+      service: 'SSH',
+      detected: 'OpenSSH 7.4'
+    });
+  });
+});
+
+describe('osCpes', () => {
+  test.each([
+    ['Windows Server 2019', [['microsoft:windows_server_2019', null]]],
+    ['Windows 11', [['microsoft:windows_11', null]]],
+    ['Ubuntu 22.04', [['canonical:ubuntu_linux', '22.04']]],
+    ['Debian 11', [['debian:debian_linux', '11.0']]],
+    ['RouterOS', [['mikrotik:routeros', null]]],
+    ['Plan 9', []],
+    [null, []]
+  ])('%j', (os, expected) => {
+    expect(products(osCpes(os))).toEqual(expected);
+  });
+
+  test('hostCpes covers services and the OS', () => {
+    const host = { os: 'Ubuntu 22.04', services: [{ port: 22, name: 'SSH', version: 'OpenSSH 8.9p1' }] };
+    expect(products(hostCpes(host))).toEqual([['openbsd:openssh', '8.9p1'], ['canonical:ubuntu_linux', '22.04']]);
+  });
+});
@@ -0,0 +1,130 @@
+// NVD JSON 2.0 feed reader - loads the yearly/modified feed files
+// (nvdcve-2.0-*.json, optionally gzipped) and reduces each CVE to what
+// matching and the Vulnerabilities grid need
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { parseCpe } = require('./cpe');
+
+const FEED_FILE = /\.json(\.gz)?$/i;
+const RANGE_FIELDS = ['versionStartIncluding', 'versionStartExcluding', 'versionEndIncluding', 'versionEndExcluding'];
+
+// Preferred score source, newest CVSS first
+const METRIC_KEYS = ['cvssMetricV31', 'cvssMetricV30', 'cvssMetricV40', 'cvssMetricV2'];
+
+function listFeedFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Feed directory not found: ${dir}`);
+  }
+  return fs.readdirSync(dir)
+    .filter(file => FEED_FILE.test(file))
+    .sort()
+    .map(file => path.join(dir, file));
+}
+
+function readFeedFile(file) {
+  let contents = fs.readFileSync(file);
+  if (file.endsWith('.gz')) {
+    contents = zlib.gunzipSync(contents);
+  }
+  const feed = JSON.parse(contents.toString('utf8'));
+  if (!Array.isArray(feed.vulnerabilities)) {
+    throw new Error(`${path.basename(file)} is not an NVD JSON 2.0 CVE feed`);
+  }
+  return feed.vulnerabilities.map(item => item.cve).filter(Boolean);
+}
+
+function primaryMetric(metrics = {}) {
+  for (const key of METRIC_KEYS) {
+    const list = metrics[key] || [];
+    const metric = list.find(m => m.type === 'Primary') || list[0];
+    if (metric) {
+      return {
+        version: metric.cvssData.version,
+        score: metric.cvssData.baseScore,
+        vector: metric.cvssData.vectorString,
+        severity: (metric.cvssData.baseSeverity || metric.baseSeverity || '').toLowerCase() || null
+      };
+    }
+  }
+  return null;
+}
+
+function compactMatch(entry) {
+  const cpe = parseCpe(entry.criteria);
+  const match = {
+    vulnerable: entry.vulnerable,
+    criteria: entry.criteria,
+    part: cpe.part,
+    product: `${cpe.vendor}:${cpe.product}`,
+    version: cpe.version,
+    update: cpe.update
+  };
+  for (const field of RANGE_FIELDS) {
+    if (entry[field]) match[field] = entry[field];
+  }
+  return match;
+}
+
+function compactConfigurations(configurations = []) {
+  return configurations.map(config => ({
+    operator: config.operator || 'OR',
+    nodes: (config.nodes || []).map(node => ({
+      operator: node.operator || 'OR',
+      negate: Boolean(node.negate),
+      cpeMatch: (node.cpeMatch || []).map(compactMatch)
+    }))
+  }));
+}
+
+// Descriptions run to paragraphs; the grid wants something title-length
+function shortName(description) {
+  const sentence = description.split(/\.\s/)[0].replace(/\.$/, '');
+  return sentence.length > 100 ? `${sentence.slice(0, 97)}...` : sentence;
+}
+
+// Returns null for CVEs that can never match (rejected, or no CPE data yet)
+function compactCve(cve) {
+  if (cve.vulnStatus === 'Rejected') {
+    return null;
+  }
+
+  const configurations = compactConfigurations(cve.configurations);
+  const products = new Set();
+  configurations.forEach(config => config.nodes.forEach(node => node.cpeMatch.forEach(match => {
+    if (match.vulnerable) products.add(match.product);
+  })));
+  if (products.size === 0) {
+    return null;
+  }
+
+  const description = ((cve.descriptions || []).find(d => d.lang === 'en') || {}).value || '';
+  const metric = primaryMetric(cve.metrics);
+
+  return {
+    id: cve.id,
+    name: cve.cisaVulnerabilityName || shortName(description) || cve.id,
+    description,
+    severity: metric ? metric.severity : null,
+    cvss: metric ? metric.score : null,
+    cvssVector: metric ? metric.vector : null,
+    cvssVersion: metric ? metric.version : null,
+    published: cve.published,
+    lastModified: cve.lastModified,
+    knownExploited: Boolean(cve.cisaExploitAdd),
+    weaknesses: [...new Set((cve.weaknesses || [])
+      .flatMap(w => w.description || [])
+      .map(d => d.value)
+      .filter(value => /^CWE-\d+$/.test(value)))],
+    references: (cve.references || []).slice(0, 10).map(ref => ref.url),
+    products: [...products],
+    configurations
+  };
+}
+
+module.exports = {
+  listFeedFiles,
+  readFeedFile,
+  compactCve
+};
@@ -0,0 +1,220 @@
+// Vulnerability database - CVEs imported from NVD feeds and matched against
+// the services and OS a scan found on a host
+//
+// CVEs live in the `cves` collection; `cpe_products` maps each vendor:product
+// to the CVEs that list it as vulnerable so a host only loads the CVEs that
+// could apply to it.
+
+const path = require('path');
+const { hostCpes } = require('./cpe');
+const { listFeedFiles, readFeedFile, compactCve } = require('./feed');
+const { compareVersions, inRange, hasRange } = require('./version');
+
+const SAMPLE_FEED_DIR = path.join(__dirname, 'sample-feed');
+
+function criteriaVersion(entry) {
+  const update = entry.update && entry.update !== '*' && entry.update !== '-' ? entry.update : '';
+  return `${entry.version}${update}`;
+}
+
+function matchEntry(entry, found) {
+  if (entry.part !== found.part || entry.product !== found.product) {
+    return false;
+  }
+  if (entry.version === '*') {
+    return hasRange(entry) ? Boolean(found.version) && inRange(found.version, entry) : true;
+  }
+  if (entry.version === '-') {
+    return !found.version;
+  }
+  return Boolean(found.version) && compareVersions(found.version, criteriaVersion(entry)) === 0;
+}
+
+function evaluateNode(node, cpes) {
+  const results = node.cpeMatch.map(entry => ({
+    entry,
+    hits: cpes.filter(found => matchEntry(entry, found)),
+    known: cpes.some(found => found.part === entry.part)
+  }));
+
+  let matched = node.operator === 'AND'
+    ? results.every(result => result.hits.length > 0)
+    : results.some(result => result.hits.length > 0);
+  if (node.negate) {
+    matched = !matched;
+  }
+
+  return {
+    matched,
+    // A platform condition ("running on <OS/hardware>") about something the
+    // scan could not see can't rule the CVE out
+    unknown: !matched && results.every(result => !result.entry.vulnerable && !result.known),
+    evidence: results
+      .filter(result => result.entry.vulnerable)
+      .flatMap(result => result.hits.map(hit => ({ entry: result.entry, hit })))
+  };
+}
+
+function evaluateConfiguration(config, cpes) {
+  const nodes = config.nodes.map(node => evaluateNode(node, cpes));
+  const evidence = nodes.filter(node => node.matched).flatMap(node => node.evidence);
+  if (evidence.length === 0) {
+    return [];
+  }
+  if (config.operator === 'AND' && !nodes.every(node => node.matched || node.unknown)) {
+    return [];
+  }
+  return evidence;
+}
+
+function remediationFor(evidence) {
+  const { entry } = evidence[0];
+  const product = entry.product.split(':')[1].replace(/_/g, ' ');
+  if (entry.versionEndExcluding) {
+    return `Upgrade ${product} to ${entry.versionEndExcluding} or later`;
+  }
+  if (entry.versionEndIncluding) {
+    return `Upgrade ${product} to a release newer than ${entry.versionEndIncluding}`;
+  }
+  return `Apply the vendor fix for ${product} referenced in the advisory`;
+}
+
+function evidenceRecord({ entry, hit }) {
+  const record = {
+    source: hit.source,
+    port: hit.port,
+    service: hit.service,
+    detected: hit.detected,
+    cpe: hit.cpe,
+    version: hit.version,
+    criteria: entry.criteria
+  };
+  for (const field of ['versionStartIncluding', 'versionStartExcluding', 'versionEndIncluding', 'versionEndExcluding']) {
+    if (entry[field]) record[field] = entry[field];
+  }
+  return record;
+}
+
+function createVulnDb({ cves, products, meta }) {
+  // CVEs per product, loaded on first use and dropped after each import
+  const cache = new Map();
+
+  async function cvesForProduct(product) {
+    if (!cache.has(product)) {
+      const index = await products.get(product);
+      const docs = await Promise.all((index ? index.cves : []).map(id => cves.get(id)));
+      cache.set(product, docs.filter(Boolean));
+    }
+    return cache.get(product);
+  }
+
+  // Findings for a host, in the shape stored on host.vulnerabilities
+  async function match(host) {
+    const cpes = hostCpes(host);
+    const candidates = new Map();
+    for (const product of new Set(cpes.map(found => found.product))) {
+      for (const cve of await cvesForProduct(product)) {
+        candidates.set(cve.id, cve);
+      }
+    }
+
+    const findings = [];
+    for (const cve of candidates.values()) {
+      const evidence = cve.configurations.flatMap(config => evaluateConfiguration(config, cpes));
+      if (evidence.length === 0) continue;
+
+      // One record per port/OS even when several criteria hit it
+      const unique = new Map();
+      evidence.forEach(item => unique.set(`${item.hit.cpe}:${item.hit.port || ''}`, item));
+
+      findings.push({
+        id: cve.id,
+        name: cve.name,
+        severity: cve.severity || 'low',
+        cvss: cve.cvss,
+        cvssVector: cve.cvssVector,
+        cvssVersion: cve.cvssVersion,
+        description: cve.description,
+        remediation: remediationFor([...unique.values()]),
+        references: cve.references,
+        weaknesses: cve.weaknesses,
+        knownExploited: cve.knownExploited,
+        published: cve.published,
+        evidence: [...unique.values()].map(evidenceRecord)
+      });
+    }
+
+    return findings.sort((a, b) => (b.cvss || 0) - (a.cvss || 0));
+  }
+
+  // Import (or update from) every feed file in a directory. CVEs already
+  // stored are only rewritten when the feed has a newer lastModified.
+  async function importFeeds(dir, { onFile = () => {} } = {}) {
+    const summary = { files: [], added: 0, updated: 0, unchanged: 0, skipped: 0 };
+    const productIndex = new Map();
+
+    for (const file of listFeedFiles(dir)) {
+      let count = 0;
+      for (const item of readFeedFile(file)) {
+        const cve = compactCve(item);
+        if (!cve) {
+          summary.skipped++;
+          continue;
+        }
+        count++;
+
+        cve.products.forEach(product => {
+          if (!productIndex.has(product)) productIndex.set(product, new Set());
+          productIndex.get(product).add(cve.id);
+        });
+
+        const existing = await cves.get(cve.id);
+        if (existing && existing.lastModified >= cve.lastModified) {
+          summary.unchanged++;
+          continue;
+        }
+        await cves.set(cve.id, cve);
+        summary[existing ? 'updated' : 'added']++;
+      }
+      summary.files.push(path.basename(file));
+      onFile(path.basename(file), count);
+    }
+
+    for (const [product, ids] of productIndex) {
+      const existing = await products.get(product);
+      const merged = new Set([...(existing ? existing.cves : []), ...ids]);
+      await products.set(product, { id: product, cves: [...merged] });
+    }
+    cache.clear();
+
+    await meta.set('vulndb', {
+      lastImport: new Date().toISOString(),
+      source: dir,
+      files: summary.files,
+      cves: await cves.count(),
+      products: await products.count()
+    });
+
+    return summary;
+  }
+
+  async function status() {
+    return (await meta.get('vulndb')) || { lastImport: null, cves: 0, products: 0 };
+  }
+
+  async function isEmpty() {
+    return (await cves.count()) === 0;
+  }
+
+  return {
+    match,
+    importFeeds,
+    status,
+    isEmpty
+  };
+}
+
+module.exports = {
+  SAMPLE_FEED_DIR,
+  createVulnDb
+};
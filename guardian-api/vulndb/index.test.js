@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStorage } = require('../storage/file');
+const { SAMPLE_FEED_DIR, createVulnDb } = require('.');
+
+describe('vulnerability database', () => {
+  let dataDir;
+  let storage;
+  let vulndb;
+  let summary;
+
+  beforeAll(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-vulndb-'));
+    storage = createFileStorage({ dataDir });
+    vulndb = createVulnDb({ cves: storage.collection('cves'), products: storage.collection('cpe_products'), meta: storage.collection('meta') });
+    summary = await vulndb.importFeeds(SAMPLE_FEED_DIR);
+  });
+
+  afterAll(async () => {
+    await storage.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const ids = async (host) => (await vulndb.match(host)).map(finding => finding.id);
+  const service = (port, name, version) => ({ port, name, version });
+
+  test('imports the sample feed and indexes it by product', async () => {
+    expect(summary).toMatchObject({ files: ['nvdcve-2.0-sample.json'], added: 11, updated: 0, skipped: 0 });
+    expect(await vulndb.isEmpty()).toBe(false);
+    expect(await vulndb.status()).toMatchObject({ cves: 11, source: SAMPLE_FEED_DIR });
+    expect((await storage.collection('cpe_products').get('openbsd:openssh')).cves.sort()).toEqual(['CVE-2023-38408', 'CVE-2024-6387']);
+  });
+
+  test('importing the same feed again changes nothing', async () => {
+    expect(await vulndb.importFeeds(SAMPLE_FEED_DIR)).toMatchObject({ added: 0, updated: 0, unchanged: 11 });
+  });
+
+  test.each([
+    ['OpenSSH 8.9p1', ['CVE-2023-38408', 'CVE-2024-6387']],
+    ['OpenSSH 9.3p2', ['CVE-2024-6387']],
+    ['OpenSSH 9.8p1', []],
+    ['OpenSSH 4.3', ['CVE-2023-38408', 'CVE-2024-6387']]
+  ])('version ranges decide which CVEs %s has', async (version, expected) => {
+    expect(await ids({ services: [service(22, 'SSH', version)] })).toEqual(expected);
+  });
+
+  test('exact versions match only that release', async () => {
+    expect((await ids({ services: [service(80, 'HTTP', 'Apache/2.4.49 (Unix)')] })).sort()).toEqual(['CVE-2021-41773', 'CVE-2021-42013']);
+    expect(await ids({ services: [service(80, 'HTTP', 'Apache/2.4.50')] })).toEqual(['CVE-2021-42013']);
+    expect(await ids({ services: [service(80, 'HTTP', 'Apache/2.4.58 (Ubuntu)')] })).toEqual([]);
+  });
+
+  test('OS entries without a version apply to every release', async () => {
+    expect((await ids({ os: 'Windows Server 2019' })).sort()).toEqual(['CVE-2020-1472', 'CVE-2021-34527', 'CVE-2022-30190']);
+    expect(await ids({ os: 'Windows 11' })).toEqual(['CVE-2022-30190']);
+  });
+
+  test('a range cannot match when the scan saw no version', async () => {
+    expect(await ids({ os: 'RouterOS' })).toEqual([]);
+    expect(await ids({ os: 'RouterOS 6.40' })).toEqual(['CVE-2018-14847']);
+  });
+
+  test('findings explain what matched and how to fix it', async () => {
+    const [finding] = await vulndb.match({ services: [service(443, 'HTTPS', 'nginx/1.20.0')] });
+    expect(finding).toMatchObject({ id: 'CVE-2021-23017', remediation: 'Upgrade nginx to 1.20.1 or later' });
+    expect(finding.evidence).toEqual([{
+      source: 'service',
+      port: 443,
+      service: 'HTTPS',
+      detected: 'nginx/1.20.0',
+      cpe: 'cpe:2.3:a:f5:nginx:1.20.0:*:*:*:*:*:*:*',
+      version: '1.20.0',
+      criteria: 'cpe:2.3:a:f5:nginx:*:*:*:*:*:*:*:*',
+      versionStartIncluding: '0.6.18',
+      versionEndExcluding: '1.20.1'
+    }]);
+  });
+
+  test('findings are ordered by CVSS score', async () => {
+    const findings = await vulndb.match({ os: 'Windows Server 2019', services: [service(22, 'SSH', 'OpenSSH 8.9p1')] });
+    const scores = findings.map(finding => finding.cvss);
+    expect(scores).toEqual([...scores].sort((a, b) => b - a));
+  });
+});
@@ -0,0 +1,67 @@
+// Version comparison for CPE matching
+//
+// Versions are split into numeric and alphabetic runs ("8.9p1" -> 8, 9, p, 1).
+// Pre-release markers sort before the release they precede ("2.0rc1" < "2.0"),
+// any other letters after it ("1.1.1k" > "1.1.1", "8.9p1" > "8.9").
+
+const PRE_RELEASE = /^(alpha|beta|rc|pre|preview|dev|snapshot|m)$/;
+
+function tokenize(version) {
+  return String(version).toLowerCase().match(/\d+|[a-z]+/g) || [];
+}
+
+// Where a token sits relative to "nothing more to compare"
+function rank(token) {
+  if (token === undefined) return 0;
+  if (/^\d/.test(token)) return 2;
+  return PRE_RELEASE.test(token) ? -1 : 1;
+}
+
+function compareVersions(a, b) {
+  const left = tokenize(a);
+  const right = tokenize(b);
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const x = left[i];
+    const y = right[i];
+    if (x === y) continue;
+
+    const rankX = rank(x);
+    const rankY = rank(y);
+    if (rankX !== rankY) return rankX < rankY ? -1 : 1;
+    if (rankX === 2) {
+      const diff = parseInt(x, 10) - parseInt(y, 10);
+      if (diff !== 0) return diff < 0 ? -1 : 1;
+    } else if (x !== y) {
+      return x < y ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+// NVD cpeMatch range bounds, any of which may be absent
+function inRange(version, range) {
+  const {
+    versionStartIncluding,
+    versionStartExcluding,
+    versionEndIncluding,
+    versionEndExcluding
+  } = range;
+
+  if (versionStartIncluding && compareVersions(version, versionStartIncluding) < 0) return false;
+  if (versionStartExcluding && compareVersions(version, versionStartExcluding) <= 0) return false;
+  if (versionEndIncluding && compareVersions(version, versionEndIncluding) > 0) return false;
+  if (versionEndExcluding && compareVersions(version, versionEndExcluding) >= 0) return false;
+  return true;
+}
+
+function hasRange(range) {
+  return Boolean(range.versionStartIncluding || range.versionStartExcluding ||
+    range.versionEndIncluding || range.versionEndExcluding);
+}
+
+module.exports = {
+  compareVersions,
+  inRange,
+  hasRange
+};
@@ -0,0 +1,46 @@
+const { compareVersions, inRange, hasRange } = require('./version');
+
+describe('compareVersions', () => {
+  test.each([
+    ['1.2.3', '1.2.3', 0],
+    ['1.10', '1.9', 1],
+    ['8.9p1', '8.9', 1],
+    ['8.9p1', '9.3p2', -1],
+    ['9.8p1', '9.8p2', -1],
+    ['1.1.1k', '1.1.1', 1],
+    ['1.1.1k', '1.1.1l', -1],
+    ['2.0rc1', '2.0', -1],
+    ['2.0beta', '2.0alpha', 1],
+    ['7.0.100', '7.0.99', 1],
+    ['14', '14.0', -1]
+  ])('%s vs %s is %i', (a, b, result) => {
+    expect(compareVersions(a, b)).toBe(result);
+    expect(compareVersions(b, a)).toBe(-result || 0);
+  });
+});
+
+describe('inRange', () => {
+  const range = { versionStartIncluding: '8.5p1', versionEndExcluding: '9.8p1' };
+
+  test.each([
+    ['8.5p1', true],
+    ['8.9p1', true],
+    ['9.8', true],
+    ['9.8p1', false],
+    ['8.4p1', false]
+  ])('%s in [8.5p1, 9.8p1)', (version, result) => {
+    expect(inRange(version, range)).toBe(result);
+  });
+
+  test('exclusive starts and inclusive ends', () => {
+    expect(inRange('6.42', { versionEndIncluding: '6.42' })).toBe(true);
+    expect(inRange('6.42.1', { versionEndIncluding: '6.42' })).toBe(false);
+    expect(inRange('2.0', { versionStartExcluding: '2.0' })).toBe(false);
+    expect(inRange('2.0.1', { versionStartExcluding: '2.0' })).toBe(true);
+  });
+
+  test('hasRange says whether any bound is set', () => {
+    expect(hasRange(range)).toBe(true);
+    expect(hasRange({ versionEndIncluding: null })).toBe(false);
+  });
+});
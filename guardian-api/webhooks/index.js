@@ -0,0 +1,359 @@
+// Outbound webhooks - signed HTTP callbacks for platform events
+//
+// A webhook subscribes a URL to some of EVENT_TYPES. Each event is POSTed as
+// JSON { id, event, createdAt, data } with headers:
+//   X-Guardian-Event      the event type
+//   X-Guardian-Delivery   the delivery id
+//   X-Guardian-Timestamp  seconds since the epoch when the request was sent
+//   X-Guardian-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+// keyed with the webhook's secret, so receivers can check both where the
+// request came from and that it is not a stale replay.
+//
+// Deliveries are stored documents so pending ones survive a restart. A
+// delivery that does not get a 2xx response is retried after
+// WEBHOOK_RETRY_DELAY seconds, doubling each time, and moves to the dead
+// letter state once WEBHOOK_RETRY_ATTEMPTS retries have failed. Any delivery
+// can be sent again as a new one. Finished deliveries are purged once they
+// are older than WEBHOOK_DELIVERY_RETENTION_DAYS or beyond the newest
+// WEBHOOK_DELIVERY_MAX. Emits 'delivered', 'failed' (an attempt that will be
+// retried) and 'dead_letter' with the delivery, and 'error'.
+//
+// Nothing is sent unless WEBHOOK_ENABLED=true.
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const EVENT_TYPES = ['host_discovered', 'scan_complete', 'vulnerability_found', 'remediation_applied', 'policy_violation'];
+
+const DEFAULTS = {
+  enabled: process.env.WEBHOOK_ENABLED === 'true',
+  retries: process.env.WEBHOOK_RETRY_ATTEMPTS === undefined ? 3 : parseInt(process.env.WEBHOOK_RETRY_ATTEMPTS) || 0,
+  retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 30,
+  timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
+  retentionDays: parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30,
+  maxDeliveries: parseInt(process.env.WEBHOOK_DELIVERY_MAX) || 10000
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const MAX_RETRY_DELAY = 3600;
+const MAX_RESPONSE_EXCERPT = 500;
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Constant-time check of a received signature, for receivers written in Node
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const received = Buffer.from(String(signature || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Validated webhook fields from a request body; `existing` for updates,
+// where missing fields keep their values
+function validateWebhook(body, existing = null) {
+  const fields = { ...(existing || {}) };
+  if (!body || typeof body !== 'object') {
+    throw new Error('Webhook must be an object');
+  }
+  if (body.url !== undefined || !existing) {
+    let url;
+    try {
+      url = new URL(String(body.url || ''));
+    } catch (error) {
+      throw new Error('url must be an absolute http or https URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error('url must be an absolute http or https URL');
+    }
+    fields.url = url.toString();
+  }
+  if (body.events !== undefined || !existing) {
+    const events = [].concat(body.events || []);
+    const unknown = events.filter(event => !EVENT_TYPES.includes(event));
+    if (events.length === 0 || unknown.length > 0) {
+      throw new Error(`events must list one or more of: ${EVENT_TYPES.join(', ')}`);
+    }
+    fields.events = Array.from(new Set(events));
+  }
+  if (body.name !== undefined) {
+    fields.name = String(body.name);
+  }
+  if (body.enabled !== undefined) {
+    fields.enabled = Boolean(body.enabled);
+  }
+  if (body.secret !== undefined) {
+    if (typeof body.secret !== 'string' || body.secret.length < 16) {
+      throw new Error('secret must be at least 16 characters');
+    }
+    fields.secret = body.secret;
+  }
+  return fields;
+}
+
+// A webhook without its secret, which is only shown when it is set
+function publicWebhook(webhook) {
+  const { secret, ...fields } = webhook;
+  return fields;
+}
+
+function createWebhooks({
+  webhooks,
+  deliveries,
+  enabled = DEFAULTS.enabled,
+  retries = DEFAULTS.retries,
+  retryDelay = DEFAULTS.retryDelay,
+  timeout = DEFAULTS.timeout,
+  retentionDays = DEFAULTS.retentionDays,
+  maxDeliveries = DEFAULTS.maxDeliveries
+}) {
+  const dispatcher = new EventEmitter();
+  const timers = new Map();
+  let stopped = false;
+
+  function schedule(delivery) {
+    clearTimeout(timers.get(delivery.id));
+    const wait = Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+    const timer = setTimeout(() => {
+      timers.delete(delivery.id);
+      attempt(delivery.id).catch(error => dispatcher.emit('error', error));
+    }, wait);
+    timer.unref();
+    timers.set(delivery.id, timer);
+  }
+
+  async function post(webhook, delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Guardian-Webhooks/1.0',
+          'X-Guardian-Event': delivery.event,
+          'X-Guardian-Delivery': delivery.id,
+          'X-Guardian-Timestamp': String(timestamp),
+          'X-Guardian-Signature': sign(webhook.secret, timestamp, delivery.body)
+        },
+        body: delivery.body,
+        signal: controller.signal,
+        redirect: 'manual'
+      });
+      const text = await response.text().catch(() => '');
+      return {
+        statusCode: response.status,
+        error: response.ok ? null : `HTTP ${response.status}`,
+        response: text.slice(0, MAX_RESPONSE_EXCERPT) || null
+      };
+    } catch (error) {
+      return {
+        statusCode: null,
+        error: controller.signal.aborted ? `No response within ${timeout}ms` : error.cause ? error.cause.message : error.message,
+        response: null
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function attempt(id) {
+    const delivery = await deliveries.get(id);
+    if (!delivery || delivery.status !== 'pending' || stopped) {
+      return delivery;
+    }
+
+    const webhook = await webhooks.get(delivery.webhookId);
+    if (!webhook) {
+      const dead = { ...delivery, status: 'dead_letter', lastError: 'Webhook deleted', deadLetteredAt: new Date().toISOString() };
+      await deliveries.set(id, dead);
+      dispatcher.emit('dead_letter', dead);
+      return dead;
+    }
+
+    const started = Date.now();
+    const result = await post(webhook, delivery);
+    const attempts = delivery.attempts + 1;
+    const now = new Date().toISOString();
+    const updated = {
+      ...delivery,
+      url: webhook.url,
+      attempts,
+      lastAttemptAt: now,
+      lastStatusCode: result.statusCode,
+      lastError: result.error,
+      history: [...delivery.history, { attempt: attempts, at: now, durationMs: Date.now() - started, ...result }]
+    };
+
+    if (!result.error) {
+      Object.assign(updated, { status: 'delivered', deliveredAt: now, nextAttemptAt: null });
+      await deliveries.set(id, updated);
+      dispatcher.emit('delivered', updated);
+    } else if (attempts > retries) {
+      Object.assign(updated, { status: 'dead_letter', deadLetteredAt: now, nextAttemptAt: null });
+      await deliveries.set(id, updated);
+      dispatcher.emit('dead_letter', updated);
+    } else {
+      const delay = Math.min(MAX_RETRY_DELAY, retryDelay * 2 ** (attempts - 1));
+      updated.nextAttemptAt = new Date(Date.now() + delay * 1000).toISOString();
+      await deliveries.set(id, updated);
+      schedule(updated);
+      dispatcher.emit('failed', updated);
+    }
+    return updated;
+  }
+
+  async function enqueue(webhook, fields) {
+    const now = new Date().toISOString();
+    const delivery = {
+      id: uuidv4(),
+      webhookId: webhook.id,
+      url: webhook.url,
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: retries + 1,
+      createdAt: now,
+      nextAttemptAt: now,
+      lastAttemptAt: null,
+      lastStatusCode: null,
+      lastError: null,
+      deliveredAt: null,
+      deadLetteredAt: null,
+      redeliveryOf: null,
+      history: [],
+      ...fields
+    };
+    await deliveries.set(delivery.id, delivery);
+    schedule(delivery);
+    return delivery;
+  }
+
+  // Queues `data` for every enabled webhook subscribed to `event`
+  async function dispatch(event, data) {
+    if (!enabled || stopped) return [];
+    const subscribed = (await webhooks.list()).filter(webhook => webhook.enabled && webhook.events.includes(event));
+    if (subscribed.length === 0) return [];
+    const payload = { id: uuidv4(), event, createdAt: new Date().toISOString(), data };
+    const body = JSON.stringify(payload);
+    return Promise.all(subscribed.map(webhook => enqueue(webhook, { eventId: payload.id, event, body })));
+  }
+
+  // Sends a stored delivery's payload again as a new delivery
+  async function redeliver(id) {
+    const original = await deliveries.get(id);
+    if (!original) return null;
+    const webhook = await webhooks.get(original.webhookId);
+    if (!webhook) {
+      throw new Error('The webhook for this delivery has been deleted');
+    }
+    return enqueue(webhook, {
+      eventId: original.eventId,
+      event: original.event,
+      body: original.body,
+      redeliveryOf: original.id
+    });
+  }
+
+  async function create(fields) {
+    const now = new Date().toISOString();
+    const webhook = {
+      id: `webhook-${uuidv4()}`,
+      name: fields.name || new URL(fields.url).host,
+      url: fields.url,
+      events: fields.events,
+      enabled: fields.enabled !== undefined ? fields.enabled : true,
+      secret: fields.secret || generateSecret(),
+      source: fields.source || 'api',
+      createdAt: now,
+      updatedAt: now
+    };
+    await webhooks.set(webhook.id, webhook);
+    return webhook;
+  }
+
+  async function update(id, fields) {
+    const existing = await webhooks.get(id);
+    if (!existing) {
+      return null;
+    }
+    const webhook = { ...existing, ...fields, id, updatedAt: new Date().toISOString() };
+    await webhooks.set(id, webhook);
+    return webhook;
+  }
+
+  async function remove(id) {
+    const existing = await webhooks.get(id);
+    if (existing) {
+      await webhooks.delete(id);
+    }
+    return existing;
+  }
+
+  // Newest first; `filter` is an equality match such as { webhookId, status }
+  async function listDeliveries(filter = {}, limit = 100) {
+    const list = Object.keys(filter).length ? await deliveries.find(filter) : await deliveries.list();
+    return list
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  // Deletes delivered and dead-lettered deliveries past the age or count
+  // limit; pending ones are kept until they finish. Returns how many went.
+  async function purgeDeliveries() {
+    const cutoff = new Date(Date.now() - retentionDays * DAY).toISOString();
+    const finished = (await deliveries.list())
+      .filter(delivery => delivery.status !== 'pending')
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const expired = finished.filter((delivery, index) => index >= maxDeliveries || delivery.createdAt < cutoff);
+    for (const delivery of expired) {
+      await deliveries.delete(delivery.id);
+    }
+    return expired.length;
+  }
+
+  // Re-arm deliveries that were waiting when the server stopped
+  async function start() {
+    stopped = false;
+    for (const delivery of await deliveries.find({ status: 'pending' })) {
+      schedule(delivery);
+    }
+  }
+
+  function stop() {
+    stopped = true;
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+  }
+
+  return Object.assign(dispatcher, {
+    list: () => webhooks.list(),
+    get: (id) => webhooks.get(id),
+    create,
+    update,
+    remove,
+    dispatch,
+    deliveries: listDeliveries,
+    delivery: (id) => deliveries.get(id),
+    redeliver,
+    purgeDeliveries,
+    start,
+    stop
+  });
+}
+
+module.exports = {
+  EVENT_TYPES,
+  generateSecret,
+  sign,
+  verifySignature,
+  validateWebhook,
+  publicWebhook,
+  createWebhooks
+};
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createFileStorage } = require('../storage/file');
+const { sign, verifySignature, validateWebhook, publicWebhook, createWebhooks } = require('.');
+
+const SECRET = 'whsec_test_secret_0123456789';
+
+describe('signatures', () => {
+  const body = JSON.stringify({ event: 'scan_complete', data: { hostsFound: 3 } });
+
+  test('sign is an HMAC-SHA256 of the timestamp and body', () => {
+    expect(sign(SECRET, 1700000000, body)).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(sign(SECRET, 1700000000, body)).toBe(sign(SECRET, '1700000000', body));
+    expect(sign(SECRET, 1700000001, body)).not.toBe(sign(SECRET, 1700000000, body));
+  });
+
+  test('verifySignature accepts only the matching secret, timestamp and body', () => {
+    const signature = sign(SECRET, 1700000000, body);
+    expect(verifySignature(SECRET, 1700000000, body, signature)).toBe(true);
+    expect(verifySignature('whsec_another_secret_000', 1700000000, body, signature)).toBe(false);
+    expect(verifySignature(SECRET, 1700000001, body, signature)).toBe(false);
+    expect(verifySignature(SECRET, 1700000000, `${body} `, signature)).toBe(false);
+    expect(verifySignature(SECRET, 1700000000, body, signature.slice(0, -1))).toBe(false);
+    expect(verifySignature(SECRET, 1700000000, body, undefined)).toBe(false);
+  });
+});
+
+describe('validateWebhook', () => {
+  test('normalises a new webhook', () => {
+    expect(validateWebhook({ url: 'https://hooks.example.com/guardian', events: ['scan_complete', 'scan_complete'], name: 'SIEM' }))
+      .toEqual({ url: 'https://hooks.example.com/guardian', events: ['scan_complete'], name: 'SIEM' });
+  });
+
+  test('keeps fields an update leaves out', () => {
+    const existing = { url: 'https://hooks.example.com/a', events: ['host_discovered'], enabled: true };
+    expect(validateWebhook({ enabled: false }, existing)).toEqual({ ...existing, enabled: false });
+  });
+
+  test.each([
+    [{ url: 'ftp://example.com', events: ['scan_complete'] }, 'url must be an absolute http or https URL'],
+    [{ url: '/relative', events: ['scan_complete'] }, 'url must be an absolute http or https URL'],
+    [{ url: 'https://example.com', events: [] }, 'events must list one or more of'],
+    [{ url: 'https://example.com', events: ['scan_started'] }, 'events must list one or more of'],
+    [{ url: 'https://example.com', events: ['scan_complete'], secret: 'short' }, 'secret must be at least 16 characters']
+  ])('rejects %j', (body, message) => {
+    expect(() => validateWebhook(body)).toThrow(message);
+  });
+
+  test('publicWebhook leaves out the secret', () => {
+    expect(publicWebhook({ id: 'webhook-1', url: 'https://example.com', secret: SECRET })).toEqual({ id: 'webhook-1', url: 'https://example.com' });
+  });
+});
+
+describe('deliveries', () => {
+  let dataDir;
+  let storage;
+  let receiver;
+  let received;
+  let respond;
+  let dispatcher;
+
+  beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        received.push({ headers: req.headers, body: Buffer.concat(chunks).toString() });
+        res.statusCode = respond(received.length);
+        res.end('ok');
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-webhooks-'));
+    storage = createFileStorage({ dataDir });
+    received = [];
+    respond = () => 200;
+    dispatcher = createWebhooks({
+      webhooks: storage.collection('webhooks'),
+      deliveries: storage.collection('webhook_deliveries'),
+      enabled: true,
+      retries: 2,
+      retryDelay: 0.02,
+      timeout: 2000
+    });
+  });
+
+  afterEach(async () => {
+    dispatcher.stop();
+    await storage.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const url = () => `http://127.0.0.1:${receiver.address().port}/hook`;
+  const next = (event) => new Promise(resolve => dispatcher.once(event, resolve));
+
+  test('posts signed events to subscribed webhooks', async () => {
+    const webhook = await dispatcher.create({ url: url(), events: ['scan_complete'], secret: SECRET });
+    await dispatcher.create({ url: url(), events: ['host_discovered'] });
+    await dispatcher.create({ url: url(), events: ['scan_complete'], enabled: false });
+
+    const delivered = next('delivered');
+    const queued = await dispatcher.dispatch('scan_complete', { scanId: 'scan-1', hostsFound: 3 });
+    expect(queued).toHaveLength(1);
+    const delivery = await delivered;
+
+    expect(received).toHaveLength(1);
+    const { headers, body } = received[0];
+    expect(headers['x-guardian-event']).toBe('scan_complete');
+    expect(headers['x-guardian-delivery']).toBe(delivery.id);
+    expect(verifySignature(SECRET, headers['x-guardian-timestamp'], body, headers['x-guardian-signature'])).toBe(true);
+    expect(JSON.parse(body)).toMatchObject({ event: 'scan_complete', data: { scanId: 'scan-1', hostsFound: 3 } });
+    expect(delivery).toMatchObject({ webhookId: webhook.id, status: 'delivered', attempts: 1, lastStatusCode: 200 });
+  });
+
+  test('retries failed deliveries and then dead-letters them', async () => {
+    respond = () => 503;
+    await dispatcher.create({ url: url(), events: ['policy_violation'], secret: SECRET });
+    const failures = [];
+    dispatcher.on('failed', delivery => failures.push(delivery.attempts));
+
+    const dead = next('dead_letter');
+    await dispatcher.dispatch('policy_violation', { policyId: 'no-telnet' });
+    const delivery = await dead;
+
+    expect(failures).toEqual([1, 2]);
+    expect(received).toHaveLength(3);
+    expect(delivery).toMatchObject({ status: 'dead_letter', attempts: 3, lastStatusCode: 503, lastError: 'HTTP 503' });
+    expect(delivery.history.map(attempt => attempt.statusCode)).toEqual([503, 503, 503]);
+  });
+
+  test('a retry that succeeds delivers the event once', async () => {
+    respond = (count) => (count === 1 ? 500 : 204);
+    await dispatcher.create({ url: url(), events: ['host_discovered'], secret: SECRET });
+
+    const delivered = next('delivered');
+    await dispatcher.dispatch('host_discovered', { ip: '10.0.0.5' });
+    const delivery = await delivered;
+
+    expect(delivery).toMatchObject({ status: 'delivered', attempts: 2, lastStatusCode: 204 });
+    expect(received).toHaveLength(2);
+    expect(received[1].body).toBe(received[0].body);
+  });
+
+  test('redelivery sends the stored payload as a new delivery', async () => {
+    await dispatcher.create({ url: url(), events: ['remediation_applied'], secret: SECRET });
+    let delivered = next('delivered');
+    await dispatcher.dispatch('remediation_applied', { runId: 'run-1' });
+    const original = await delivered;
+
+    delivered = next('delivered');
+    const copy = await dispatcher.redeliver(original.id);
+    await delivered;
+
+    expect(copy).toMatchObject({ redeliveryOf: original.id, eventId: original.eventId });
+    expect(copy.id).not.toBe(original.id);
+    expect(received.map(request => request.body)).toEqual([original.body, original.body]);
+    expect(received[1].headers['x-guardian-delivery']).toBe(copy.id);
+  });
+
+  test('nothing is queued while webhooks are disabled', async () => {
+    const disabled = createWebhooks({ webhooks: storage.collection('webhooks'), deliveries: storage.collection('webhook_deliveries') });
+    await disabled.create({ url: url(), events: ['scan_complete'] });
+    expect(await disabled.dispatch('scan_complete', { scanId: 'scan-1' })).toEqual([]);
+    expect(await disabled.deliveries()).toEqual([]);
+  });
+
+  test('finished deliveries are purged by age and count, pending ones are kept', async () => {
+    const deliveries = storage.collection('webhook_deliveries');
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const stored = [
+      ['old-delivered', 'delivered', 40],
+      ['old-dead', 'dead_letter', 31],
+      ['old-pending', 'pending', 40],
+      ['recent-1', 'delivered', 3],
+      ['recent-2', 'dead_letter', 2],
+      ['recent-3', 'delivered', 1]
+    ];
+    for (const [id, status, days] of stored) {
+      await deliveries.set(id, { id, status, createdAt: daysAgo(days) });
+    }
+    const purging = createWebhooks({ webhooks: storage.collection('webhooks'), deliveries, retentionDays: 30, maxDeliveries: 2 });
+
+    expect(await purging.purgeDeliveries()).toBe(3);
+    expect((await purging.deliveries()).map(delivery => delivery.id)).toEqual(['recent-3', 'recent-2', 'old-pending']);
+    expect(await purging.purgeDeliveries()).toBe(0);
+  });
+});
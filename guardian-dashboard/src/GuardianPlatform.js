@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import {
   Box, Paper, Typography, Button, TextField, Grid, Card, CardContent,
   AppBar, Toolbar, Tab, Tabs, IconButton, Chip, LinearProgress,
@@ -13,7 +13,7 @@ import {
   Warning, Error as ErrorIcon, CheckCircle, Info,
   PlayArrow, Stop, Refresh, Settings, Terminal,
   Assessment, Timeline, Storage, Router, Computer,
-  Visibility, VisibilityOff, Download, Upload
+  Visibility, VisibilityOff, Download, Upload, Logout
 } from '@mui/icons-material';
 import { DataGrid } from '@mui/x-data-grid';
 import {
@@ -25,17 +25,74 @@ import * as d3 from 'd3';
 import axios from 'axios';
 import moment from 'moment';
 import ReactJson from 'react-json-view';
+import Login from './Login';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:8080';
 const WS_URL = process.env.REACT_APP_WS_URL || 'ws://localhost:8080';
 
-function GuardianPlatform() {
+// The session token survives page reloads until it expires or is logged out
+const TOKEN_KEY = 'guardian.token';
+
+// WebSocket close code the API uses for expired or revoked credentials
+const WS_AUTH_CLOSED = 4001;
+
+// Live update protocol version (see guardian-api/realtime)
+const WS_PROTOCOL = 2;
+
+// Finding statuses whose remediation SLA is still running
+const ACTIVE_STATUSES = ['open', 'triaged', 'in_progress', 'reopened'];
+
+const STATUS_COLORS = {
+  open: 'error',
+  reopened: 'error',
+  triaged: 'warning',
+  in_progress: 'info',
+  remediated: 'success',
+  verified: 'success',
+  risk_accepted: 'default',
+  false_positive: 'default'
+};
+
+const CONTROL_STATUS_COLORS = {
+  compliant: 'success',
+  partial: 'warning',
+  non_compliant: 'error',
+  not_assessed: 'default'
+};
+
+const RISK_COLORS = {
+  critical: '#f44336',
+  high: '#ff9800',
+  medium: '#ffc107',
+  low: '#4caf50'
+};
+
+// Outline colours for segmentation zones, in zone order
+const ZONE_COLORS = ['#00bcd4', '#ab47bc', '#8bc34a', '#ffeb3b', '#ff7043', '#90a4ae'];
+const VIOLATION_COLOR = '#f44336';
+const ATTACK_PATH_COLOR = '#e040fb';
+
+// Topology link types (see guardian-api/topology)
+const LINK_STYLES = {
+  l2_neighbor: { label: 'L2 neighbor', color: '#999', dash: null },
+  l3_route: { label: 'L3 route', color: '#2196f3', dash: null },
+  observed_flow: { label: 'Observed flow', color: '#ff9800', dash: '4 4' }
+};
+
+function Platform({ session, onLogout, onSessionEnded }) {
   // State Management
   const [activeTab, setActiveTab] = useState(0);
   const [subnet, setSubnet] = useState('192.168.1.0/24');
+  const [excludeTargets, setExcludeTargets] = useState('');
   const [scanning, setScanning] = useState(false);
+  const [scanDriver, setScanDriver] = useState('');
+  const [scanDrivers, setScanDrivers] = useState([]);
+  const [scanJob, setScanJob] = useState(null);
   const [networkData, setNetworkData] = useState({ nodes: [], links: [] });
   const [selectedNode, setSelectedNode] = useState(null);
+  const [attackPaths, setAttackPaths] = useState(null);
+  const [selectedPath, setSelectedPath] = useState(null);
+  const [analyzingPaths, setAnalyzingPaths] = useState(false);
   const [vulnerabilities, setVulnerabilities] = useState([]);
   const [policies, setPolicies] = useState([]);
   const [logs, setLogs] = useState([]);
@@ -49,51 +106,106 @@ function GuardianPlatform() {
   const [showLogs, setShowLogs] = useState(false);
   const [autoRefresh, setAutoRefresh] = useState(true);
   const [notification, setNotification] = useState({ open: false, message: '', severity: 'info' });
+  const [transition, setTransition] = useState(null);
+  const [remediationRuns, setRemediationRuns] = useState([]);
+  const [policyEditor, setPolicyEditor] = useState(null);
+  const [frameworks, setFrameworks] = useState([]);
+  const [selectedFramework, setSelectedFramework] = useState(null);
+  const [frameworkDetail, setFrameworkDetail] = useState(null);
+  const [frameworkHistory, setFrameworkHistory] = useState([]);
+  const [reports, setReports] = useState([]);
+  const [reportDialog, setReportDialog] = useState(null);
+  const [selectedFindings, setSelectedFindings] = useState([]);
+  const [exportFormat, setExportFormat] = useState('csv');
   
   const svgRef = useRef(null);
   const wsRef = useRef(null);
   const d3Simulation = useRef(null);
+  const scanIdRef = useRef(null);
+  // Where the live updates left off, to resume from after a reconnect
+  const streamRef = useRef({ epoch: null, seq: null });
+  // The socket lives as long as the session; its callbacks reach the latest
+  // render's handlers through this
+  const socketHandlersRef = useRef(null);
 
   // WebSocket Connection
   useEffect(() => {
+    const handlers = () => socketHandlersRef.current;
     const connectWebSocket = () => {
-      wsRef.current = new WebSocket(WS_URL);
+      const { epoch, seq } = streamRef.current;
+      const resume = epoch && seq !== null ? `&since=${seq}&epoch=${epoch}` : '';
+      wsRef.current = new WebSocket(`${WS_URL}?token=${encodeURIComponent(session.token)}&v=${WS_PROTOCOL}${resume}`);
+      let lastMessageAt = Date.now();
       
       wsRef.current.onopen = () => {
         console.log('WebSocket connected');
-        showNotification('Connected to real-time updates', 'success');
+        handlers().showNotification('Connected to real-time updates', 'success');
       };
       
       wsRef.current.onmessage = (event) => {
         const message = JSON.parse(event.data);
-        handleWebSocketMessage(message);
+        lastMessageAt = Date.now();
+        if (message.type === 'welcome') {
+          // A restarted server numbers its events from scratch
+          if (message.epoch !== streamRef.current.epoch) {
+            streamRef.current = { epoch: message.epoch, seq: null };
+          }
+          // Browsers answer the server's pings themselves but cannot tell
+          // when it stops answering, so ask it directly
+          clearInterval(heartbeatTimer);
+          heartbeatTimer = setInterval(() => {
+            const socket = wsRef.current;
+            if (!socket || socket.readyState !== WebSocket.OPEN) return;
+            if (Date.now() - lastMessageAt > 2 * message.heartbeatInterval) {
+              socket.close();
+            } else {
+              socket.send(JSON.stringify({ type: 'ping' }));
+            }
+          }, message.heartbeatInterval);
+          return;
+        }
+        if (message.seq !== undefined) {
+          streamRef.current.seq = Math.max(streamRef.current.seq || 0, message.seq);
+        }
+        handlers().handleWebSocketMessage(message);
       };
       
       wsRef.current.onerror = (error) => {
         console.error('WebSocket error:', error);
-        showNotification('Connection error', 'error');
+        handlers().showNotification('Connection error', 'error');
       };
       
-      wsRef.current.onclose = () => {
+      wsRef.current.onclose = (event) => {
         console.log('WebSocket disconnected');
-        showNotification('Disconnected from real-time updates', 'warning');
+        clearInterval(heartbeatTimer);
+        if (event.code === WS_AUTH_CLOSED) {
+          handlers().onSessionEnded();
+          return;
+        }
+        handlers().showNotification('Disconnected from real-time updates', 'warning');
         // Reconnect after 3 seconds
-        setTimeout(connectWebSocket, 3000);
+        reconnectTimer = setTimeout(connectWebSocket, 3000);
       };
     };
     
+    let reconnectTimer = null;
+    let heartbeatTimer = null;
     connectWebSocket();
     
     return () => {
+      clearTimeout(reconnectTimer);
+      clearInterval(heartbeatTimer);
       if (wsRef.current) {
+        wsRef.current.onclose = null;
         wsRef.current.close();
       }
     };
-  }, []);
+  }, [session.token]);
 
   // Handle WebSocket messages
-  const handleWebSocketMessage = useCallback((message) => {
+  const handleWebSocketMessage = (message) => {
     switch (message.type) {
+      case 'snapshot':
       case 'initial':
         setNetworkData(message.data.topology || { nodes: [], links: [] });
         setMetrics(message.data.metrics || {});
@@ -102,45 +214,194 @@ function GuardianPlatform() {
         
       case 'host_discovered':
         const newHost = message.data;
+        // Hosts keep their asset ID across scans, so a rediscovery replaces the node
         setNetworkData(prev => ({
           ...prev,
-          nodes: [...prev.nodes, {
+          nodes: [...prev.nodes.filter(node => node.id !== newHost.id), {
             id: newHost.id,
             ip: newHost.ip,
             label: newHost.hostname,
             type: newHost.type,
             risk: newHost.risk,
+            riskScore: newHost.riskScore,
             status: newHost.status
           }]
         }));
         showNotification(`New host discovered: ${newHost.ip}`, 'info');
         break;
         
+      case 'topology_update':
+        setNetworkData(message.data);
+        break;
+        
       case 'scan_complete':
-        setScanning(false);
         const result = message.data;
+        if (result.scanId === scanIdRef.current) {
+          setScanning(false);
+          scanIdRef.current = null;
+        }
         setNetworkData(result.topology);
-        showNotification(`Scan completed: ${result.hostsFound} hosts found`, 'success');
+        fetchVulnerabilities();
+        showNotification(`Scan completed: ${result.hostsFound} hosts found in ${result.addressesScanned} addresses`, 'success');
         break;
         
+      case 'scan_progress':
+        const job = message.data;
+        if (job.scanId !== scanIdRef.current) break;
+        setScanJob(job);
+        if (job.status === 'cancelled' || job.status === 'failed') {
+          setScanning(false);
+          scanIdRef.current = null;
+          showNotification(
+            job.status === 'cancelled' ? 'Scan cancelled' : `Scan failed: ${job.error}`,
+            job.status === 'cancelled' ? 'warning' : 'error'
+          );
+        }
+        break;
+        
+      case 'scan_diff':
+        const { summary } = message.data;
+        const changes = [
+          summary.newHosts && `${summary.newHosts} new hosts`,
+          summary.disappearedHosts && `${summary.disappearedHosts} hosts gone`,
+          summary.portsOpened && `${summary.portsOpened} ports opened`,
+          summary.portsClosed && `${summary.portsClosed} ports closed`,
+          summary.serviceChanges && `${summary.serviceChanges} service changes`,
+          summary.newVulnerabilities && `${summary.newVulnerabilities} new vulnerabilities`,
+          summary.resolvedVulnerabilities && `${summary.resolvedVulnerabilities} resolved`
+        ].filter(Boolean);
+        if (changes.length) {
+          showNotification(`Changes on ${message.data.subnet}: ${changes.join(', ')}`, 'warning');
+        }
+        break;
+
       case 'log':
         setLogs(prev => [message.data, ...prev].slice(0, 100));
         break;
         
+      case 'risk_updated':
+        const updated = message.data;
+        setNetworkData(prev => ({
+          ...prev,
+          nodes: prev.nodes.map(node => node.id === updated.assetId
+            ? { ...node, risk: updated.risk, riskScore: updated.riskScore }
+            : node)
+        }));
+        break;
+        
+      case 'finding_updated':
+        const finding = message.data;
+        setVulnerabilities(prev => prev.some(row => row.key === finding.key)
+          ? prev.map(row => row.key === finding.key ? finding : row)
+          : [...prev, finding]);
+        break;
+        
       case 'remediation_applied':
         showNotification(`Remediation applied to ${message.data.host}`, 'success');
         break;
         
+      case 'policy_evaluated':
+        setPolicies(prev => prev.map(policy => {
+          const result = message.data.policies.find(summary => summary.policyId === policy.id);
+          return result
+            ? { ...policy, lastEvaluation: { at: result.at, hosts: result.hosts, violations: result.violations, compliance: result.compliance } }
+            : policy;
+        }));
+        if (message.data.opened.length > 0) {
+          showNotification(`${message.data.opened.length} new policy violation(s)`, 'warning');
+        }
+        break;
+        
+      case 'policy_created':
+      case 'policy_updated':
+        const changed = message.data;
+        setPolicies(prev => prev.some(policy => policy.id === changed.id)
+          ? prev.map(policy => policy.id === changed.id ? changed : policy)
+          : [...prev, changed]);
+        break;
+        
+      case 'policy_deleted':
+        setPolicies(prev => prev.filter(policy => policy.id !== message.data.id));
+        break;
+        
+      case 'compliance_updated':
+        setFrameworks(prev => prev.map(framework => {
+          const summary = message.data.find(entry => entry.frameworkId === framework.frameworkId);
+          return summary ? { ...framework, ...summary } : framework;
+        }));
+        break;
+        
+      case 'report_complete':
+        const report = message.data;
+        setReports(prev => prev.map(item => item.id === report.id ? report : item));
+        showNotification(
+          report.status === 'completed' ? `${report.title} is ready` : `${report.title} failed: ${report.error}`,
+          report.status === 'completed' ? 'success' : 'error'
+        );
+        break;
+        
+      case 'remediation_run':
+        const run = message.data;
+        if (run.dryRun) break;
+        setRemediationRuns(prev => [run, ...prev.filter(other => other.id !== run.id)]);
+        if (run.status === 'pending_approval') {
+          showNotification(`${run.playbookName} for ${run.vulnerabilityId} is awaiting approval`, 'info');
+        } else if (['failed', 'rolled_back', 'rollback_failed'].includes(run.status)) {
+          showNotification(`${run.playbookName} on ${run.host} ${run.status.replace('_', ' ')}: ${run.error}`, 'error');
+        }
+        break;
+        
+      case 'remediation_step':
+        const { remediationId, phase, index, step } = message.data;
+        setRemediationRuns(prev => prev.map(other => other.id === remediationId
+          ? { ...other, [phase]: other[phase].map((existing, idx) => idx === index ? step : existing) }
+          : other));
+        break;
+        
+      case 'verification_complete':
+        const { verification } = message.data;
+        if (verification.status !== 'cancelled') {
+          showNotification(
+            `Verification of ${verification.vulnerabilityId} on ${verification.host}: ${verification.reason}`,
+            verification.status === 'verified' ? 'success' : 'warning'
+          );
+        }
+        break;
+        
+      case 'replay_complete':
+        if (message.replayed > 0) {
+          showNotification(`Caught up on ${message.replayed} missed update${message.replayed === 1 ? '' : 's'}`, 'info');
+        }
+        break;
+        
+      case 'pong':
+      case 'subscribed':
+        break;
+        
+      case 'error':
+        console.error('WebSocket protocol error:', message.error);
+        break;
+        
       default:
         console.log('Unknown message type:', message.type);
     }
-  }, []);
+  };
 
   // Show notification
   const showNotification = (message, severity = 'info') => {
     setNotification({ open: true, message, severity });
   };
 
+  socketHandlersRef.current = { handleWebSocketMessage, onSessionEnded, showNotification };
+
+  // Controls the signed-in user's role does not allow are hidden or disabled;
+  // the API enforces the same permissions
+  const can = (permission) => session.permissions.includes(permission);
+
+  // Marking a finding remediated by hand needs the remediation permission
+  const allowedTransitions = (finding) => finding.transitions.filter(status =>
+    status !== 'remediated' || can('remediations:run'));
+
   // Initialize D3 Network Graph
   useEffect(() => {
     if (!svgRef.current || activeTab !== 0) return;
@@ -172,6 +433,9 @@ function GuardianPlatform() {
     updateNetworkGraph();
   }, [activeTab]);
 
+  const zoneIds = useMemo(() => (networkData.zones || []).map(zone => zone.id), [networkData.zones]);
+  const zoneColor = useCallback((zone) => (zone ? ZONE_COLORS[zoneIds.indexOf(zone) % ZONE_COLORS.length] : '#fff'), [zoneIds]);
+  
   // Update D3 Network Graph
   const updateNetworkGraph = useCallback(() => {
     if (!svgRef.current || !d3Simulation.current) return;
@@ -181,17 +445,46 @@ function GuardianPlatform() {
     
     // Update links
     const link = g.selectAll('.link')
-      .data(networkData.links, d => `${d.source}-${d.target}`);
+      .data(networkData.links, d => `${d.type}-${d.source.id || d.source}-${d.target.id || d.target}`);
     
     link.exit().remove();
     
     const linkEnter = link.enter()
       .append('line')
       .attr('class', 'link')
-      .attr('stroke', '#999')
+      .attr('stroke-dasharray', d => (LINK_STYLES[d.type] || LINK_STYLES.l2_neighbor).dash)
       .attr('stroke-opacity', 0.6)
       .attr('stroke-width', 2);
     
+    link.merge(linkEnter)
+      .attr('stroke', d => (d.violation ? VIOLATION_COLOR : (LINK_STYLES[d.type] || LINK_STYLES.l2_neighbor).color));
+    
+    // The selected attack path, drawn over the links from step to step;
+    // steps from the internet have no node to start from
+    const nodesById = new Map(networkData.nodes.map(item => [item.id, item]));
+    const pathSteps = (selectedPath ? selectedPath.steps : [])
+      .map(step => ({ ...step, source: nodesById.get(step.from), target: nodesById.get(step.to) }))
+      .filter(step => step.source && step.target);
+    const pathNodes = new Set((selectedPath ? selectedPath.steps : []).map(step => step.to));
+    
+    const attackEdge = g.selectAll('.attack-edge')
+      .data(pathSteps, d => `${d.from}-${d.to}`);
+    
+    attackEdge.exit().remove();
+    
+    attackEdge.enter()
+      .append('line')
+      .attr('class', 'attack-edge')
+      .attr('stroke', ATTACK_PATH_COLOR)
+      .attr('stroke-width', 5)
+      .attr('stroke-opacity', 0.9)
+      .attr('pointer-events', 'none')
+      .append('title')
+      .text(d => `${d.technique === 'exploit' ? d.findingKey || d.findingId : d.service || 'exposed service'} on port ${d.port}`);
+    
+    linkEnter.append('title')
+      .text(d => `${(LINK_STYLES[d.type] || LINK_STYLES.l2_neighbor).label} (${(d.evidence || []).join(', ')})`);
+    
     // Update nodes
     const node = g.selectAll('.node')
       .data(networkData.nodes, d => d.id);
@@ -206,21 +499,19 @@ function GuardianPlatform() {
         .on('drag', dragged)
         .on('end', dragended));
     
-    // Add circles for nodes
+    // Add circles for nodes; devices only seen in the evidence are dashed
     nodeEnter.append('circle')
       .attr('r', 20)
-      .attr('fill', d => {
-        const colors = {
-          critical: '#f44336',
-          high: '#ff9800',
-          medium: '#ffc107',
-          low: '#4caf50'
-        };
-        return colors[d.risk] || '#2196f3';
-      })
       .attr('stroke', '#fff')
+      .attr('stroke-dasharray', d => (d.inferred ? '3 3' : null))
       .attr('stroke-width', 2);
     
+    // Risk, zone and violations change after rescans, so colour existing nodes too
+    node.merge(nodeEnter).select('circle')
+      .attr('fill', d => RISK_COLORS[d.risk] || '#2196f3')
+      .attr('stroke', d => (pathNodes.has(d.id) ? ATTACK_PATH_COLOR : d.violation ? VIOLATION_COLOR : zoneColor(d.zone)))
+      .attr('stroke-width', d => (pathNodes.has(d.id) ? 6 : d.violation || d.zone ? 4 : 2));
+    
     // Add icons
     nodeEnter.append('text')
       .attr('font-family', 'Material Icons')
@@ -244,14 +535,29 @@ function GuardianPlatform() {
       .attr('text-anchor', 'middle')
       .attr('fill', '#fff')
       .attr('font-size', '12px')
-      .text(d => d.ip);
+      .text(d => d.ip || d.label);
     
     // Add click handler
     nodeEnter.on('click', (event, d) => {
       setSelectedNode(d);
-      fetchNodeDetails(d.ip);
+      if (!d.inferred) {
+        fetchNodeDetails(d.ip);
+      }
     });
     
+    // Pull each zone's nodes towards a point of its own so zones form clusters
+    const width = svgRef.current.clientWidth;
+    const height = 500;
+    const zoneCenter = (zone) => {
+      const index = zoneIds.indexOf(zone);
+      if (index < 0) return { x: width / 2, y: height / 2 };
+      const angle = (2 * Math.PI * index) / zoneIds.length;
+      return { x: width / 2 + Math.cos(angle) * width / 4, y: height / 2 + Math.sin(angle) * height / 4 };
+    };
+    d3Simulation.current
+      .force('zoneX', d3.forceX(d => zoneCenter(d.zone).x).strength(d => (d.zone ? 0.15 : 0)))
+      .force('zoneY', d3.forceY(d => zoneCenter(d.zone).y).strength(d => (d.zone ? 0.15 : 0)));
+    
     // Update simulation
     d3Simulation.current.nodes(networkData.nodes);
     d3Simulation.current.force('link').links(networkData.links);
@@ -264,6 +570,12 @@ function GuardianPlatform() {
         .attr('x2', d => d.target.x)
         .attr('y2', d => d.target.y);
       
+      g.selectAll('.attack-edge')
+        .attr('x1', d => d.source.x)
+        .attr('y1', d => d.source.y)
+        .attr('x2', d => d.target.x)
+        .attr('y2', d => d.target.y);
+      
       g.selectAll('.node')
         .attr('transform', d => `translate(${d.x},${d.y})`);
     });
@@ -284,7 +596,7 @@ function GuardianPlatform() {
       d.fx = null;
       d.fy = null;
     }
-  }, [networkData]);
+  }, [networkData, selectedPath, zoneColor, zoneIds]);
 
   // Update graph when data changes
   useEffect(() => {
@@ -295,19 +607,43 @@ function GuardianPlatform() {
   const fetchNodeDetails = async (ip) => {
     try {
       const response = await axios.get(`${API_URL}/api/hosts/${ip}`);
-      setSelectedNode(response.data);
+      // Keep the topology fields (segment, gateway) of the clicked node
+      setSelectedNode(node => ({ ...node, ...response.data }));
     } catch (error) {
       console.error('Failed to fetch host details:', error);
     }
   };
 
+  // Attack paths from the internet to hosts tagged as crown jewels
+  const fetchAttackPaths = async () => {
+    setAnalyzingPaths(true);
+    try {
+      const response = await axios.get(`${API_URL}/api/attack-paths`);
+      setAttackPaths(response.data);
+      setSelectedPath(response.data.paths[0] || null);
+      if (response.data.targets.length === 0) {
+        showNotification('No crown jewels tagged - tag the hosts to protect first', 'warning');
+      }
+    } catch (error) {
+      showNotification(error.response?.data?.error || 'Attack path analysis failed', 'error');
+    } finally {
+      setAnalyzingPaths(false);
+    }
+  };
+
   // Start network scan
   const startScan = async () => {
     setScanning(true);
     showNotification('Starting network discovery...', 'info');
     
     try {
-      await axios.post(`${API_URL}/api/scanner/discover`, { subnet });
+      const response = await axios.post(`${API_URL}/api/scanner/discover`, {
+        subnet,
+        exclude: excludeTargets || undefined,
+        driver: scanDriver || undefined
+      });
+      scanIdRef.current = response.data.scanId;
+      setScanJob(response.data);
     } catch (error) {
       console.error('Scan failed:', error);
       showNotification('Scan failed: ' + error.message, 'error');
@@ -315,6 +651,30 @@ function GuardianPlatform() {
     }
   };
 
+  // Cancel the running network scan
+  const stopScan = async () => {
+    if (!scanIdRef.current) return;
+    
+    try {
+      await axios.delete(`${API_URL}/api/scanner/jobs/${scanIdRef.current}`);
+      showNotification('Stopping network discovery...', 'info');
+    } catch (error) {
+      console.error('Failed to cancel scan:', error);
+      showNotification('Failed to cancel scan: ' + error.message, 'error');
+    }
+  };
+
+  // Fetch available scanner drivers
+  useEffect(() => {
+    axios.get(`${API_URL}/api/scanner/drivers`)
+      .then(response => {
+        setScanDrivers(response.data);
+        const current = response.data.find(driver => driver.default);
+        if (current) setScanDriver(current.name);
+      })
+      .catch(error => console.error('Failed to fetch scanner drivers:', error));
+  }, []);
+
   // Fetch logs
   const fetchLogs = async () => {
     try {
@@ -325,21 +685,257 @@ function GuardianPlatform() {
     }
   };
 
-  // Apply remediation
-  const applyRemediation = async (hostIp, vulnId, action) => {
+  // Fetch findings with their lifecycle and SLA state
+  const fetchVulnerabilities = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/vulnerabilities`);
+      setVulnerabilities(response.data);
+    } catch (error) {
+      console.error('Failed to fetch vulnerabilities:', error);
+    }
+  };
+
+  const fetchRemediationRuns = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/remediations`);
+      setRemediationRuns(response.data.filter(run => !run.dryRun));
+    } catch (error) {
+      console.error('Failed to fetch remediation runs:', error);
+    }
+  };
+
+  useEffect(() => {
+    if (activeTab === 2) {
+      fetchVulnerabilities();
+      fetchRemediationRuns();
+    }
+  }, [activeTab]);
+
+  const fetchPolicies = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/policies`);
+      setPolicies(response.data);
+    } catch (error) {
+      console.error('Failed to fetch policies:', error);
+    }
+  };
+
+  const fetchFrameworks = async () => {
     try {
-      await axios.post(`${API_URL}/api/remediate`, {
+      const response = await axios.get(`${API_URL}/api/frameworks`);
+      setFrameworks(response.data);
+      setSelectedFramework(prev => prev || (response.data[0] && response.data[0].frameworkId) || null);
+    } catch (error) {
+      console.error('Failed to fetch frameworks:', error);
+    }
+  };
+
+  useEffect(() => {
+    if (activeTab === 3) {
+      fetchPolicies();
+      fetchFrameworks();
+    }
+  }, [activeTab]);
+
+  // Control scores and history for the selected framework, refreshed whenever
+  // the scores change
+  useEffect(() => {
+    if (!selectedFramework) {
+      return;
+    }
+    Promise.all([
+      axios.get(`${API_URL}/api/frameworks/${selectedFramework}`),
+      axios.get(`${API_URL}/api/frameworks/${selectedFramework}/history`)
+    ]).then(([detail, history]) => {
+      setFrameworkDetail(detail.data);
+      setFrameworkHistory(history.data);
+    }).catch(error => {
+      console.error('Failed to fetch framework compliance:', error);
+    });
+  }, [selectedFramework, frameworks]);
+
+  const togglePolicy = async (policy) => {
+    try {
+      await axios.post(`${API_URL}/api/policies/${policy.id}/${policy.enabled ? 'disable' : 'enable'}`);
+      showNotification(`${policy.name} ${policy.enabled ? 'disabled' : 'enabled'}`, 'success');
+    } catch (error) {
+      showNotification(error.response?.data?.error || 'Policy update failed', 'error');
+    }
+  };
+
+  const evaluatePolicies = async () => {
+    try {
+      const response = await axios.post(`${API_URL}/api/policies/evaluate`);
+      showNotification(`Evaluated ${response.data.policies.length} policies against ${response.data.hosts} hosts`, 'info');
+    } catch (error) {
+      showNotification(error.response?.data?.error || 'Policy evaluation failed', 'error');
+    }
+  };
+
+  // Policies are edited as JSON: name, severity, scope and the `when` condition
+  const editPolicy = (policy) => {
+    const { id, name, description, framework, controls, severity, scope, when, remediation } = policy || {};
+    setPolicyEditor({
+      id,
+      text: JSON.stringify(
+        policy
+          ? { name, description, framework, controls, severity, scope, when, remediation }
+          : { name: '', severity: 'medium', when: { service: { port: 23 } } },
+        null,
+        2
+      ),
+      error: null
+    });
+  };
+
+  const savePolicy = async () => {
+    let body;
+    try {
+      body = JSON.parse(policyEditor.text);
+    } catch (error) {
+      setPolicyEditor({ ...policyEditor, error: `Invalid JSON: ${error.message}` });
+      return;
+    }
+    try {
+      if (policyEditor.id) {
+        await axios.put(`${API_URL}/api/policies/${policyEditor.id}`, body);
+      } else {
+        await axios.post(`${API_URL}/api/policies`, body);
+      }
+      showNotification(`Policy ${body.name} saved`, 'success');
+      setPolicyEditor(null);
+    } catch (error) {
+      setPolicyEditor({ ...policyEditor, error: error.response?.data?.error || 'Save failed' });
+    }
+  };
+
+  const fetchReports = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/reports`);
+      setReports(response.data);
+    } catch (error) {
+      console.error('Failed to fetch reports:', error);
+    }
+  };
+
+  useEffect(() => {
+    if (activeTab === 4) {
+      fetchReports();
+    }
+  }, [activeTab]);
+
+  const openReportDialog = (type) => {
+    setReportDialog({
+      type,
+      subnet: '',
+      severity: [],
+      from: moment().subtract(30, 'days').format('YYYY-MM-DD'),
+      to: moment().format('YYYY-MM-DD')
+    });
+  };
+
+  const generateReport = async () => {
+    const { type, subnet, severity, from, to } = reportDialog;
+    try {
+      const response = await axios.post(`${API_URL}/api/reports`, {
+        type,
+        filters: {
+          subnet: subnet || undefined,
+          severity: severity.length ? severity : undefined,
+          from,
+          to: `${to}T23:59:59.999Z`
+        }
+      });
+      setReports(prev => [response.data, ...prev]);
+      setReportDialog(null);
+      showNotification(`Generating ${response.data.title}`, 'info');
+    } catch (error) {
+      showNotification(error.response?.data?.error || 'Report request failed', 'error');
+    }
+  };
+
+  const deleteReport = async (report) => {
+    try {
+      await axios.delete(`${API_URL}/api/reports/${report.id}`);
+      setReports(prev => prev.filter(item => item.id !== report.id));
+    } catch (error) {
+      showNotification(error.response?.data?.error || 'Delete failed', 'error');
+    }
+  };
+
+  // Downloads need the session token, so they are fetched as blobs rather
+  // than followed as links
+  const downloadFile = async (request, fallbackName) => {
+    try {
+      const response = await axios({ ...request, responseType: 'blob' });
+      const disposition = response.headers['content-disposition'] || '';
+      const match = disposition.match(/filename="([^"]+)"/);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : fallbackName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      showNotification('Download failed', 'error');
+    }
+  };
+
+  // Export the findings selected in the grid
+  const exportSelectedFindings = () => downloadFile({
+    method: 'post',
+    url: `${API_URL}/api/export/vulnerabilities`,
+    data: { format: exportFormat, keys: selectedFindings }
+  }, `guardian-vulnerabilities.${exportFormat}`);
+
+  // Approve or reject a remediation run held for approval
+  const decideRemediation = async (run, decision) => {
+    try {
+      await axios.post(`${API_URL}/api/remediations/${run.id}/${decision}`, { approver: 'dashboard' });
+      showNotification(`${run.playbookName} ${decision === 'approve' ? 'approved' : 'rejected'}`, 'success');
+    } catch (error) {
+      showNotification(error.response?.data?.error || 'Approval failed', 'error');
+    }
+  };
+
+  // Move a finding to another lifecycle status
+  const submitTransition = async () => {
+    try {
+      await axios.post(
+        `${API_URL}/api/vulnerabilities/${encodeURIComponent(transition.finding.key)}/transition`,
+        {
+          status: transition.status,
+          comment: transition.comment || undefined,
+          assignee: transition.assignee
+        }
+      );
+      showNotification(`${transition.finding.id} moved to ${transition.status.replace('_', ' ')}`, 'success');
+      setTransition(null);
+    } catch (error) {
+      showNotification(error.response?.data?.error || 'Status change failed', 'error');
+    }
+  };
+
+  // Run the best matching remediation playbook for a finding
+  const applyRemediation = async (hostIp, vulnId) => {
+    try {
+      const response = await axios.post(`${API_URL}/api/remediate`, {
         hostIp,
-        vulnerabilityId: vulnId,
-        action
+        vulnerabilityId: vulnId
       });
-      showNotification('Remediation applied successfully', 'success');
+      const run = response.data;
+      showNotification(
+        run.status === 'pending_approval'
+          ? `${run.playbookName} is waiting for approval`
+          : `${run.playbookName} started on ${hostIp}`,
+        'info'
+      );
       if (selectedNode) {
         fetchNodeDetails(selectedNode.ip);
       }
     } catch (error) {
       console.error('Remediation failed:', error);
-      showNotification('Remediation failed', 'error');
+      showNotification(error.response?.data?.error || 'Remediation failed', 'error');
     }
   };
 
@@ -377,30 +973,73 @@ function GuardianPlatform() {
     <Box>
       <Paper sx={{ p: 2, mb: 2 }}>
         <Grid container spacing={2} alignItems="center">
-          <Grid item xs={12} md={6}>
+          <Grid item xs={12} md={4}>
             <TextField
               fullWidth
-              label="Network Subnet (CIDR)"
+              label="Targets (CIDRs, ranges or addresses)"
               value={subnet}
               onChange={(e) => setSubnet(e.target.value)}
-              placeholder="192.168.1.0/24"
-              disabled={scanning}
+              placeholder="192.168.1.0/24, 10.0.0.10-10.0.0.50"
+              disabled={scanning || !can('scans:run')}
+              helperText={session.user.subnets ? `You may scan: ${session.user.subnets.join(', ') || 'no subnets'}` : undefined}
+            />
+          </Grid>
+          <Grid item xs={12} md={3}>
+            <TextField
+              fullWidth
+              label="Exclude"
+              value={excludeTargets}
+              onChange={(e) => setExcludeTargets(e.target.value)}
+              placeholder="192.168.1.1, 192.168.1.200-254"
+              disabled={scanning || !can('scans:run')}
             />
           </Grid>
-          <Grid item xs={12} md={6}>
+          <Grid item xs={12} md={2}>
+            <FormControl fullWidth disabled={scanning}>
+              <InputLabel>Scanner</InputLabel>
+              <Select
+                value={scanDriver}
+                label="Scanner"
+                onChange={(e) => setScanDriver(e.target.value)}
+              >
+                {scanDrivers.map(driver => (
+                  <MenuItem key={driver.name} value={driver.name}>
+                    {driver.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} md={3}>
             <Button
               variant="contained"
-              color="primary"
+              color={scanning ? 'error' : 'primary'}
               startIcon={scanning ? <Stop /> : <PlayArrow />}
-              onClick={startScan}
-              disabled={scanning}
+              onClick={scanning ? stopScan : startScan}
+              disabled={!can('scans:run')}
               fullWidth
             >
-              {scanning ? 'Scanning...' : 'Start Network Discovery'}
+              {scanning ? 'Stop Scan' : 'Start Network Discovery'}
             </Button>
           </Grid>
         </Grid>
-        {scanning && <LinearProgress sx={{ mt: 2 }} />}
+        {scanning && (
+          <Box sx={{ mt: 2 }}>
+            <LinearProgress
+              variant={scanJob && scanJob.status === 'running' ? 'determinate' : 'indeterminate'}
+              value={scanJob ? scanJob.progress : 0}
+            />
+            {scanJob && (
+              <Typography variant="caption" color="textSecondary">
+                {scanJob.status === 'queued'
+                  ? 'Queued - waiting for a free scanner slot'
+                  : `${scanJob.progress}% complete` +
+                    (scanJob.total ? ` - ${scanJob.scanned} of ${scanJob.total} addresses` : '') +
+                    (scanJob.eta ? ` - about ${moment.duration(scanJob.eta).humanize()} remaining` : '')}
+              </Typography>
+            )}
+          </Box>
+        )}
       </Paper>
       
       <Grid container spacing={2}>
@@ -426,7 +1065,29 @@ function GuardianPlatform() {
                 label={`${networkData.links.length} Connections`}
                 color="secondary"
               />
+              {Object.entries(LINK_STYLES).map(([type, style]) => (
+                <Chip
+                  key={type}
+                  variant="outlined"
+                  label={`${style.label}: ${networkData.links.filter(link => link.type === type).length}`}
+                  sx={{ borderColor: style.color, color: style.color }}
+                />
+              ))}
+              {(networkData.zones || []).filter(zone => zone.hosts > 0).map(zone => (
+                <Chip
+                  key={zone.id}
+                  variant="outlined"
+                  label={`${zone.name}: ${zone.hosts}`}
+                  sx={{ borderColor: zoneColor(zone.id), color: zoneColor(zone.id) }}
+                />
+              ))}
             </Box>
+            {(networkData.violations || []).length > 0 && (
+              <Alert severity="error" sx={{ mt: 1, maxHeight: 60, overflow: 'auto' }}>
+                {networkData.violations.length} segmentation violation{networkData.violations.length === 1 ? '' : 's'}:{' '}
+                {networkData.violations.map(violation => violation.description).join('; ')}
+              </Alert>
+            )}
           </Paper>
         </Grid>
         
@@ -463,13 +1124,30 @@ function GuardianPlatform() {
                     secondary={selectedNode.type || 'Unknown'}
                   />
                 </ListItem>
+                <ListItem>
+                  <ListItemText
+                    primary="Zone"
+                    secondary={(networkData.zones || []).find(zone => zone.id === selectedNode.zone)?.name || 'Unzoned'}
+                  />
+                </ListItem>
+                <ListItem>
+                  <ListItemText
+                    primary="Segment"
+                    secondary={[
+                      selectedNode.segment,
+                      Number.isInteger(selectedNode.hops) ? `${selectedNode.hops} hops away` : null
+                    ].filter(Boolean).join(' - ') || 'Unknown'}
+                  />
+                </ListItem>
                 <ListItem>
                   <ListItemText
                     primary="Risk Level"
                     secondary={
                       <Chip
                         size="small"
-                        label={selectedNode.risk || 'Unknown'}
+                        label={selectedNode.risk
+                          ? `${selectedNode.risk}${selectedNode.riskScore !== undefined ? ` (${selectedNode.riskScore})` : ''}`
+                          : 'Unknown'}
                         color={
                           selectedNode.risk === 'critical' ? 'error' :
                           selectedNode.risk === 'high' ? 'warning' :
@@ -520,10 +1198,10 @@ function GuardianPlatform() {
                           primary={vuln.name}
                           secondary={`${vuln.id} - CVSS: ${vuln.cvss}`}
                         />
-                        {vuln.status === 'open' && (
+                        {ACTIVE_STATUSES.includes(vuln.status) && can('remediations:run') && (
                           <IconButton
                             size="small"
-                            onClick={() => applyRemediation(selectedNode.ip, vuln.id, 'patch')}
+                            onClick={() => applyRemediation(selectedNode.ip, vuln.id)}
                             title="Apply Remediation"
                           >
                             <CheckCircle color="success" />
@@ -537,6 +1215,66 @@ function GuardianPlatform() {
             </Paper>
           </Grid>
         )}
+        
+        <Grid item xs={12}>
+          <Paper sx={{ p: 2 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+              <Typography variant="h6">
+                Attack Paths
+              </Typography>
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                {selectedPath && (
+                  <Button onClick={() => setSelectedPath(null)}>
+                    Clear Highlight
+                  </Button>
+                )}
+                <Button
+                  variant="outlined"
+                  startIcon={analyzingPaths ? <CircularProgress size={16} /> : <Timeline />}
+                  onClick={fetchAttackPaths}
+                  disabled={analyzingPaths}
+                >
+                  Analyze
+                </Button>
+              </Box>
+            </Box>
+            {attackPaths && attackPaths.paths.length === 0 && (
+              <Typography color="textSecondary" sx={{ mt: 1 }}>
+                {attackPaths.targets.length === 0
+                  ? 'No targets - tag crown jewel hosts to analyze paths to them'
+                  : `None of the ${attackPaths.targets.length} crown jewels can be reached`}
+              </Typography>
+            )}
+            {attackPaths && attackPaths.paths.length > 0 && (
+              <List dense>
+                {attackPaths.paths.map(path => (
+                  <ListItem
+                    key={path.id}
+                    button
+                    selected={selectedPath?.id === path.id}
+                    onClick={() => setSelectedPath(path)}
+                  >
+                    <ListItemIcon>
+                      <Chip
+                        size="small"
+                        label={path.score}
+                        color={path.score >= 50 ? 'error' : path.score >= 20 ? 'warning' : 'default'}
+                      />
+                    </ListItemIcon>
+                    <ListItemText
+                      primary={[path.entry.ip || path.entry.id, ...path.steps.map(step => step.ip)].join(' -> ')}
+                      secondary={`${path.kinds.map(kind => kind.replace('_', ' ')).join(', ')} - ` +
+                        `${path.hops} hop${path.hops === 1 ? '' : 's'}, ${Math.round(path.likelihood * 100)}% likely - ` +
+                        path.steps.map(step => (step.technique === 'exploit'
+                          ? `${step.findingKey || step.findingId}${step.knownExploited ? ' (exploited)' : ''}`
+                          : `${step.service || 'service'}/${step.port}`)).join(', ')}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+          </Paper>
+        </Grid>
       </Grid>
     </Box>
   );
@@ -684,16 +1422,100 @@ function GuardianPlatform() {
       <Typography variant="h6" gutterBottom>
         Vulnerability Management
       </Typography>
+      {remediationRuns.some(run => run.status === 'pending_approval' || run.status === 'running') && (
+        <TableContainer sx={{ mb: 2 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Playbook</TableCell>
+                <TableCell>Finding</TableCell>
+                <TableCell>Host</TableCell>
+                <TableCell>Steps</TableCell>
+                <TableCell>Requested</TableCell>
+                <TableCell align="right">Status</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {remediationRuns
+                .filter(run => run.status === 'pending_approval' || run.status === 'running')
+                .map(run => (
+                  <TableRow key={run.id}>
+                    <TableCell>
+                      {run.playbookName}
+                      {run.simulated && <Chip size="small" label="simulated" sx={{ ml: 1 }} />}
+                    </TableCell>
+                    <TableCell>{run.vulnerabilityId}</TableCell>
+                    <TableCell>{run.host}</TableCell>
+                    <TableCell>
+                      <Tooltip title={run.steps.map(step => `${step.name}: ${step.status}`).join('\n')}>
+                        <span>
+                          {run.steps.filter(step => step.status === 'succeeded').length}/{run.steps.length}
+                        </span>
+                      </Tooltip>
+                    </TableCell>
+                    <TableCell>{moment(run.requestedAt).fromNow()}</TableCell>
+                    <TableCell align="right">
+                      {run.status === 'pending_approval' && !can('remediations:approve') && (
+                        <Chip size="small" label="awaiting approval" color="warning" />
+                      )}
+                      {run.status === 'pending_approval' && can('remediations:approve') && (
+                        <>
+                          <Button size="small" variant="contained" onClick={() => decideRemediation(run, 'approve')}>
+                            Approve
+                          </Button>
+                          <Button size="small" sx={{ ml: 1 }} onClick={() => decideRemediation(run, 'reject')}>
+                            Reject
+                          </Button>
+                        </>
+                      )}
+                      {run.status === 'running' && <Chip size="small" label="running" color="info" />}
+                    </TableCell>
+                  </TableRow>
+                ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+        <FormControl size="small" sx={{ minWidth: 140 }}>
+          <InputLabel>Export format</InputLabel>
+          <Select value={exportFormat} label="Export format" onChange={(e) => setExportFormat(e.target.value)}>
+            <MenuItem value="csv">CSV</MenuItem>
+            <MenuItem value="jsonl">JSON Lines</MenuItem>
+            <MenuItem value="sarif">SARIF 2.1.0</MenuItem>
+            <MenuItem value="stix">STIX 2.1</MenuItem>
+          </Select>
+        </FormControl>
+        <Button
+          variant="outlined"
+          startIcon={<Download />}
+          onClick={() => downloadFile(
+            { url: `${API_URL}/api/export/vulnerabilities?format=${exportFormat}` },
+            `guardian-vulnerabilities.${exportFormat}`
+          )}
+        >
+          Export All
+        </Button>
+        <Button
+          variant="contained"
+          startIcon={<Download />}
+          disabled={selectedFindings.length === 0}
+          onClick={exportSelectedFindings}
+        >
+          Export Selected ({selectedFindings.length})
+        </Button>
+      </Box>
       <DataGrid
-        rows={generateVulnerabilityRows()}
+        rows={vulnerabilities}
+        getRowId={(row) => row.key}
         columns={[
           { field: 'id', headerName: 'CVE ID', width: 150 },
           { field: 'name', headerName: 'Name', width: 200 },
-          { field: 'host', headerName: 'Host', width: 150 },
+          { field: 'host', headerName: 'Host', width: 130 },
           {
             field: 'severity',
             headerName: 'Severity',
-            width: 120,
+            width: 110,
             renderCell: (params) => (
               <Chip
                 size="small"
@@ -706,32 +1528,67 @@ function GuardianPlatform() {
               />
             )
           },
-          { field: 'cvss', headerName: 'CVSS', width: 100 },
+          { field: 'cvss', headerName: 'CVSS', width: 80 },
           {
             field: 'status',
             headerName: 'Status',
-            width: 120,
+            width: 130,
             renderCell: (params) => (
               <Chip
                 size="small"
-                label={params.value}
-                color={params.value === 'open' ? 'error' : 'success'}
+                label={params.value.replace('_', ' ')}
+                color={STATUS_COLORS[params.value] || 'default'}
               />
             )
           },
+          { field: 'assignee', headerName: 'Assignee', width: 120 },
+          {
+            field: 'dueDate',
+            headerName: 'Due',
+            width: 110,
+            valueFormatter: (params) => params.value ? moment(params.value).format('MMM DD, YYYY') : ''
+          },
+          {
+            field: 'daysRemaining',
+            headerName: 'SLA',
+            width: 110,
+            renderCell: (params) => {
+              if (params.row.overdue) {
+                return <Chip size="small" label={`${-params.value}d overdue`} color="error" />;
+              }
+              return params.value !== null ? `${params.value}d left` : '';
+            }
+          },
           {
             field: 'actions',
             headerName: 'Actions',
-            width: 150,
+            width: 200,
             renderCell: (params) => (
-              <Button
-                size="small"
-                variant="contained"
-                onClick={() => applyRemediation(params.row.host, params.row.id, 'patch')}
-                disabled={params.row.status !== 'open'}
-              >
-                Remediate
-              </Button>
+              <>
+                {can('remediations:run') && (
+                  <Button
+                    size="small"
+                    variant="contained"
+                    sx={{ mr: 1 }}
+                    onClick={() => applyRemediation(params.row.host, params.row.id)}
+                    disabled={!params.row.transitions.includes('remediated')}
+                  >
+                    Remediate
+                  </Button>
+                )}
+                <Button
+                  size="small"
+                  onClick={() => setTransition({
+                    finding: params.row,
+                    status: allowedTransitions(params.row)[0],
+                    comment: '',
+                    assignee: params.row.assignee || ''
+                  })}
+                  disabled={!can('findings:update') || allowedTransitions(params.row).length === 0}
+                >
+                  Update
+                </Button>
+              </>
             )
           }
         ]}
@@ -739,12 +1596,58 @@ function GuardianPlatform() {
         rowsPerPageOptions={[10, 25, 50]}
         checkboxSelection
         disableSelectionOnClick
+        rowSelectionModel={selectedFindings}
+        onRowSelectionModelChange={setSelectedFindings}
         autoHeight
       />
+      
+      <Dialog open={Boolean(transition)} onClose={() => setTransition(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          {transition && `${transition.finding.id} on ${transition.finding.host}`}
+        </DialogTitle>
+        <DialogContent>
+          {transition && (
+            <>
+              <FormControl fullWidth sx={{ mt: 1 }}>
+                <InputLabel>New Status</InputLabel>
+                <Select
+                  value={transition.status}
+                  label="New Status"
+                  onChange={(e) => setTransition({ ...transition, status: e.target.value })}
+                >
+                  {allowedTransitions(transition.finding).map(status => (
+                    <MenuItem key={status} value={status}>{status.replace('_', ' ')}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <TextField
+                fullWidth
+                sx={{ mt: 2 }}
+                label="Assignee"
+                value={transition.assignee}
+                onChange={(e) => setTransition({ ...transition, assignee: e.target.value })}
+              />
+              <TextField
+                fullWidth
+                multiline
+                rows={3}
+                sx={{ mt: 2 }}
+                label="Comment"
+                required={['risk_accepted', 'false_positive'].includes(transition.status)}
+                value={transition.comment}
+                onChange={(e) => setTransition({ ...transition, comment: e.target.value })}
+              />
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setTransition(null)}>Cancel</Button>
+          <Button variant="contained" onClick={submitTransition}>Save</Button>
+        </DialogActions>
+      </Dialog>
     </Paper>
   );
 
-  // Render Policies
   const renderPolicies = () => (
     <Paper sx={{ p: 2 }}>
       <Typography variant="h6" gutterBottom>
@@ -753,9 +1656,17 @@ function GuardianPlatform() {
       <Grid container spacing={2}>
         <Grid item xs={12}>
           <Alert severity="info">
-            Configure and enforce security policies based on industry frameworks
+            Policies are checked against every host after each scan
           </Alert>
         </Grid>
+        <Grid item xs={12}>
+          <Button variant="contained" sx={{ mr: 1 }} onClick={() => editPolicy(null)} disabled={!can('policies:manage')}>
+            New Policy
+          </Button>
+          <Button startIcon={<Refresh />} onClick={evaluatePolicies} disabled={!can('policies:manage')}>
+            Evaluate Now
+          </Button>
+        </Grid>
         <Grid item xs={12}>
           <TableContainer>
             <Table>
@@ -763,27 +1674,48 @@ function GuardianPlatform() {
                 <TableRow>
                   <TableCell>Policy Name</TableCell>
                   <TableCell>Framework</TableCell>
+                  <TableCell>Severity</TableCell>
                   <TableCell>Status</TableCell>
                   <TableCell>Compliance</TableCell>
+                  <TableCell>Violations</TableCell>
                   <TableCell>Actions</TableCell>
                 </TableRow>
               </TableHead>
               <TableBody>
-                {generatePolicyRows().map((policy) => (
+                {policies.map((policy) => (
                   <TableRow key={policy.id}>
-                    <TableCell>{policy.name}</TableCell>
+                    <TableCell>
+                      <Tooltip title={policy.description || ''}>
+                        <span>{policy.name}</span>
+                      </Tooltip>
+                    </TableCell>
                     <TableCell>{policy.framework}</TableCell>
+                    <TableCell>{policy.severity}</TableCell>
                     <TableCell>
                       <Chip
                         size="small"
-                        label={policy.status}
-                        color={policy.status === 'active' ? 'success' : 'default'}
+                        label={policy.enabled ? 'enabled' : 'disabled'}
+                        color={policy.enabled ? 'success' : 'default'}
                       />
                     </TableCell>
-                    <TableCell>{policy.compliance}%</TableCell>
                     <TableCell>
-                      <Button size="small">Edit</Button>
-                      <Button size="small" color="error">Disable</Button>
+                      {policy.enabled && policy.lastEvaluation ? `${policy.lastEvaluation.compliance}%` : '-'}
+                    </TableCell>
+                    <TableCell>
+                      {policy.enabled && policy.lastEvaluation
+                        ? `${policy.lastEvaluation.violations} of ${policy.lastEvaluation.hosts} hosts`
+                        : '-'}
+                    </TableCell>
+                    <TableCell>
+                      <Button size="small" onClick={() => editPolicy(policy)} disabled={!can('policies:manage')}>Edit</Button>
+                      <Button
+                        size="small"
+                        color={policy.enabled ? 'error' : 'success'}
+                        onClick={() => togglePolicy(policy)}
+                        disabled={!can('policies:manage')}
+                      >
+                        {policy.enabled ? 'Disable' : 'Enable'}
+                      </Button>
                     </TableCell>
                   </TableRow>
                 ))}
@@ -791,7 +1723,145 @@ function GuardianPlatform() {
             </Table>
           </TableContainer>
         </Grid>
+        <Grid item xs={12}>
+          <Typography variant="h6" gutterBottom sx={{ mt: 2 }}>
+            Framework Compliance
+          </Typography>
+        </Grid>
+        {frameworks.map((framework) => (
+          <Grid item xs={12} md={4} key={framework.frameworkId}>
+            <Card
+              onClick={() => setSelectedFramework(framework.frameworkId)}
+              sx={{
+                cursor: 'pointer',
+                border: selectedFramework === framework.frameworkId ? '1px solid #2196f3' : '1px solid transparent'
+              }}
+            >
+              <CardContent>
+                <Typography color="textSecondary" gutterBottom>
+                  {framework.name} {framework.version}
+                </Typography>
+                <Typography variant="h4">
+                  {framework.score === null ? '-' : `${framework.score}%`}
+                </Typography>
+                <LinearProgress variant="determinate" value={framework.score || 0} sx={{ my: 1 }} />
+                <Typography variant="body2" color="textSecondary">
+                  {framework.coverage}% of controls assessed - {framework.counts.non_compliant + framework.counts.partial} failing
+                </Typography>
+              </CardContent>
+            </Card>
+          </Grid>
+        ))}
+        {frameworkDetail && (
+          <>
+            <Grid item xs={12} md={5}>
+              <Typography variant="subtitle1" gutterBottom>Score History</Typography>
+              <ResponsiveContainer width="100%" height={240}>
+                <LineChart data={frameworkHistory.map(entry => ({ time: moment(entry.assessedAt).format('MMM DD HH:mm'), score: entry.score }))}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="time" />
+                  <YAxis domain={[0, 100]} />
+                  <RechartsTooltip />
+                  <Line type="monotone" dataKey="score" stroke="#2196f3" />
+                </LineChart>
+              </ResponsiveContainer>
+            </Grid>
+            <Grid item xs={12} md={7}>
+              <Typography variant="subtitle1" gutterBottom>Categories</Typography>
+              <TableContainer sx={{ maxHeight: 240 }}>
+                <Table size="small" stickyHeader>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Category</TableCell>
+                      <TableCell>Score</TableCell>
+                      <TableCell>Compliant</TableCell>
+                      <TableCell>Failing</TableCell>
+                      <TableCell>Not Assessed</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {frameworkDetail.categories.map((category) => (
+                      <TableRow key={category.id}>
+                        <TableCell>{category.id} {category.name}</TableCell>
+                        <TableCell>{category.score === null ? '-' : `${category.score}%`}</TableCell>
+                        <TableCell>{category.counts.compliant}</TableCell>
+                        <TableCell>{category.counts.partial + category.counts.non_compliant}</TableCell>
+                        <TableCell>{category.counts.not_assessed}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </Grid>
+            <Grid item xs={12}>
+              <Typography variant="subtitle1" gutterBottom>Assessed Controls</Typography>
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Control</TableCell>
+                      <TableCell>Status</TableCell>
+                      <TableCell>Score</TableCell>
+                      <TableCell>Evidence</TableCell>
+                      <TableCell>Failing Hosts</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {frameworkDetail.categories.flatMap(category => category.controls)
+                      .filter(control => control.status !== 'not_assessed')
+                      .map((control) => (
+                        <TableRow key={control.id}>
+                          <TableCell>
+                            <Tooltip title={control.name}>
+                              <span>{control.id}</span>
+                            </Tooltip>
+                          </TableCell>
+                          <TableCell>
+                            <Chip size="small" label={control.status.replace('_', ' ')} color={CONTROL_STATUS_COLORS[control.status]} />
+                          </TableCell>
+                          <TableCell>{control.score}%</TableCell>
+                          <TableCell>
+                            {control.evidence.map(item => item.type === 'policy'
+                              ? `${item.name} (${item.violations.length} violations)`
+                              : `${item.findings.length} matching findings`).join(', ')}
+                          </TableCell>
+                          <TableCell>
+                            {control.failing.map(host => host.hostname || host.host).join(', ') || '-'}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </Grid>
+          </>
+        )}
       </Grid>
+      
+      <Dialog open={Boolean(policyEditor)} onClose={() => setPolicyEditor(null)} maxWidth="md" fullWidth>
+        <DialogTitle>{policyEditor && policyEditor.id ? 'Edit Policy' : 'New Policy'}</DialogTitle>
+        <DialogContent>
+          {policyEditor && (
+            <>
+              {policyEditor.error && (
+                <Alert severity="error" sx={{ mb: 2 }}>{policyEditor.error}</Alert>
+              )}
+              <TextField
+                fullWidth
+                multiline
+                minRows={16}
+                value={policyEditor.text}
+                onChange={(e) => setPolicyEditor({ ...policyEditor, text: e.target.value })}
+                InputProps={{ sx: { fontFamily: 'monospace', fontSize: 13 } }}
+              />
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPolicyEditor(null)}>Cancel</Button>
+          <Button variant="contained" onClick={savePolicy}>Save</Button>
+        </DialogActions>
+      </Dialog>
     </Paper>
   );
 
@@ -803,17 +1873,144 @@ function GuardianPlatform() {
       </Typography>
       <Grid container spacing={2}>
         <Grid item xs={12}>
-          <Button variant="contained" startIcon={<Download />} sx={{ mr: 1 }}>
+          <Button variant="contained" startIcon={<Download />} sx={{ mr: 1 }} onClick={() => openReportDialog('executive')} disabled={!can('reports:create')}>
             Generate Security Report
           </Button>
-          <Button variant="outlined" startIcon={<Assessment />} sx={{ mr: 1 }}>
+          <Button variant="outlined" startIcon={<Assessment />} sx={{ mr: 1 }} onClick={() => openReportDialog('compliance')} disabled={!can('reports:create')}>
             Compliance Report
           </Button>
-          <Button variant="outlined" startIcon={<Timeline />}>
+          <Button variant="outlined" startIcon={<Timeline />} onClick={() => openReportDialog('trends')} disabled={!can('reports:create')}>
             Trend Analysis
           </Button>
         </Grid>
+        <Grid item xs={12}>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Report</TableCell>
+                  <TableCell>Requested</TableCell>
+                  <TableCell>Filters</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Download</TableCell>
+                  <TableCell>Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {reports.map((report) => (
+                  <TableRow key={report.id}>
+                    <TableCell>{report.title}</TableCell>
+                    <TableCell>{moment(report.requestedAt).format('MMM DD HH:mm')}</TableCell>
+                    <TableCell>
+                      {moment(report.filters.from).format('MMM DD')} - {moment(report.filters.to).format('MMM DD')}
+                      {report.filters.subnet && ` / ${report.filters.subnet}`}
+                      {report.filters.severities && ` / ${report.filters.severities.join(', ')}`}
+                    </TableCell>
+                    <TableCell>
+                      <Tooltip title={report.error || ''}>
+                        <Chip
+                          size="small"
+                          label={report.status}
+                          color={{ completed: 'success', failed: 'error', generating: 'info' }[report.status]}
+                        />
+                      </Tooltip>
+                    </TableCell>
+                    <TableCell>
+                      {Object.keys(report.files).map(format => (
+                        <Button
+                          key={format}
+                          size="small"
+                          onClick={() => downloadFile(
+                            { url: `${API_URL}/api/reports/${report.id}/download/${format}` },
+                            `${report.title}.${format}`
+                          )}
+                        >
+                          {format.toUpperCase()}
+                        </Button>
+                      ))}
+                    </TableCell>
+                    <TableCell>
+                      <Button size="small" color="error" disabled={!can('reports:create') || report.status === 'generating'} onClick={() => deleteReport(report)}>
+                        Delete
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Grid>
       </Grid>
+      
+      <Dialog open={Boolean(reportDialog)} onClose={() => setReportDialog(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Generate Report</DialogTitle>
+        <DialogContent>
+          {reportDialog && (
+            <>
+              <FormControl fullWidth sx={{ mt: 1 }}>
+                <InputLabel>Report</InputLabel>
+                <Select
+                  value={reportDialog.type}
+                  label="Report"
+                  onChange={(e) => setReportDialog({ ...reportDialog, type: e.target.value })}
+                >
+                  <MenuItem value="executive">Executive summary</MenuItem>
+                  <MenuItem value="technical">Technical (per-host detail)</MenuItem>
+                  <MenuItem value="compliance">Compliance</MenuItem>
+                  <MenuItem value="trends">Trend analysis</MenuItem>
+                </Select>
+              </FormControl>
+              <TextField
+                fullWidth
+                sx={{ mt: 2 }}
+                label="Subnet (optional)"
+                placeholder="192.168.1.0/24"
+                value={reportDialog.subnet}
+                onChange={(e) => setReportDialog({ ...reportDialog, subnet: e.target.value })}
+              />
+              <FormControl fullWidth sx={{ mt: 2 }}>
+                <InputLabel>Severity</InputLabel>
+                <Select
+                  multiple
+                  value={reportDialog.severity}
+                  label="Severity"
+                  onChange={(e) => setReportDialog({ ...reportDialog, severity: e.target.value })}
+                >
+                  {['critical', 'high', 'medium', 'low'].map(severity => (
+                    <MenuItem key={severity} value={severity}>{severity}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <Grid container spacing={2} sx={{ mt: 0 }}>
+                <Grid item xs={6}>
+                  <TextField
+                    fullWidth
+                    type="date"
+                    label="From"
+                    InputLabelProps={{ shrink: true }}
+                    value={reportDialog.from}
+                    onChange={(e) => setReportDialog({ ...reportDialog, from: e.target.value })}
+                  />
+                </Grid>
+                <Grid item xs={6}>
+                  <TextField
+                    fullWidth
+                    type="date"
+                    label="To"
+                    InputLabelProps={{ shrink: true }}
+                    value={reportDialog.to}
+                    onChange={(e) => setReportDialog({ ...reportDialog, to: e.target.value })}
+                  />
+                </Grid>
+              </Grid>
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setReportDialog(null)}>Cancel</Button>
+          <Button variant="contained" onClick={generateReport}>Generate</Button>
+        </DialogActions>
+      </Dialog>
     </Paper>
   );
 
@@ -830,34 +2027,12 @@ function GuardianPlatform() {
     return data;
   };
 
-  const generateRiskData = () => [
-    { name: 'Critical', value: 5, color: '#f44336' },
-    { name: 'High', value: 12, color: '#ff9800' },
-    { name: 'Medium', value: 23, color: '#ffc107' },
-    { name: 'Low', value: 35, color: '#4caf50' }
-  ];
-
-  const generateVulnerabilityRows = () => {
-    const rows = [];
-    networkData.nodes.forEach(node => {
-      if (node.vulnerabilities) {
-        node.vulnerabilities.forEach(vuln => {
-          rows.push({
-            ...vuln,
-            host: node.ip
-          });
-        });
-      }
-    });
-    return rows;
-  };
-
-  const generatePolicyRows = () => [
-    { id: 1, name: 'Password Complexity', framework: 'NIST CSF', status: 'active', compliance: 95 },
-    { id: 2, name: 'Network Segmentation', framework: 'ISO 27001', status: 'active', compliance: 88 },
-    { id: 3, name: 'Patch Management', framework: 'CIS Controls', status: 'active', compliance: 72 },
-    { id: 4, name: 'Access Control', framework: 'NIST CSF', status: 'active', compliance: 91 }
-  ];
+  // Hosts per risk bucket
+  const generateRiskData = () => ['critical', 'high', 'medium', 'low'].map(risk => ({
+    name: risk.charAt(0).toUpperCase() + risk.slice(1),
+    value: networkData.nodes.filter(node => node.risk === risk).length,
+    color: RISK_COLORS[risk]
+  })).filter(entry => entry.value > 0);
 
   return (
     <Box sx={{ flexGrow: 1, minHeight: '100vh', background: 'linear-gradient(135deg, #0f1419 0%, #1a2332 100%)' }}>
@@ -888,6 +2063,11 @@ function GuardianPlatform() {
           <IconButton color="inherit">
             <Settings />
           </IconButton>
+          <Tooltip title={`Sign out ${session.user.username} (${session.user.role})`}>
+            <IconButton color="inherit" onClick={onLogout}>
+              <Logout />
+            </IconButton>
+          </Tooltip>
         </Toolbar>
         <Tabs
           value={activeTab}
@@ -923,7 +2103,7 @@ function GuardianPlatform() {
               <ListItem key={log.id}>
                 <ListItemIcon>
                   {log.level === 'error' ? <ErrorIcon color="error" /> :
-                   log.level === 'warning' ? <Warning color="warning" /> :
+                   (log.level === 'warn' || log.level === 'warning') ? <Warning color="warning" /> :
                    log.level === 'info' ? <Info color="info" /> :
                    <CheckCircle color="success" />}
                 </ListItemIcon>
@@ -955,4 +2135,63 @@ function GuardianPlatform() {
   );
 }
 
+// Shows the login screen until there is a session, then the platform; the
+// token goes on every axios request and a 401 from any of them signs out
+function GuardianPlatform() {
+  const [session, setSession] = useState(null);
+  const [checking, setChecking] = useState(() => Boolean(localStorage.getItem(TOKEN_KEY)));
+
+  const startSession = useCallback((token, user, permissions) => {
+    localStorage.setItem(TOKEN_KEY, token);
+    axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+    setSession({ token, user, permissions });
+  }, []);
+
+  const endSession = useCallback(() => {
+    localStorage.removeItem(TOKEN_KEY);
+    delete axios.defaults.headers.common.Authorization;
+    setSession(null);
+  }, []);
+
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(undefined, (error) => {
+      if (error.response?.status === 401 && !error.config.url.endsWith('/api/auth/login')) {
+        endSession();
+      }
+      return Promise.reject(error);
+    });
+
+    const token = localStorage.getItem(TOKEN_KEY);
+    if (token) {
+      axios.get(`${API_URL}/api/auth/me`, { headers: { Authorization: `Bearer ${token}` } })
+        .then(response => startSession(token, response.data.user, response.data.permissions))
+        .catch(() => endSession())
+        .finally(() => setChecking(false));
+    }
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [startSession, endSession]);
+
+  const logout = async () => {
+    try {
+      await axios.post(`${API_URL}/api/auth/logout`);
+    } catch (error) {
+      console.error('Logout failed:', error);
+    }
+    endSession();
+  };
+
+  if (checking) {
+    return (
+      <Box sx={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+  if (!session) {
+    return <Login onLogin={({ token, user, permissions }) => startSession(token, user, permissions)} />;
+  }
+  return <Platform session={session} onLogout={logout} onSessionEnded={endSession} />;
+}
+
 export default GuardianPlatform;
\ No newline at end of file
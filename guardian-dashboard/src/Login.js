@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import {
+  Box, Paper, Typography, Button, TextField, Alert, CircularProgress
+} from '@mui/material';
+import { Security } from '@mui/icons-material';
+import axios from 'axios';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:8080';
+
+function Login({ onLogin }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const submit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await axios.post(`${API_URL}/api/auth/login`, { username, password });
+      onLogin(response.data);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Cannot reach the Guardian API');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box sx={{
+      minHeight: '100vh',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      background: 'linear-gradient(135deg, #0f1419 0%, #1a2332 100%)'
+    }}>
+      <Paper component="form" onSubmit={submit} sx={{ p: 4, width: 360 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 3 }}>
+          <Security sx={{ mr: 1 }} color="primary" />
+          <Typography variant="h6">Guardian Security Platform</Typography>
+        </Box>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <TextField
+          fullWidth
+          autoFocus
+          label="Username"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          sx={{ mb: 2 }}
+        />
+        <TextField
+          fullWidth
+          type="password"
+          label="Password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          sx={{ mb: 3 }}
+        />
+        <Button
+          fullWidth
+          type="submit"
+          variant="contained"
+          disabled={submitting || !username || !password}
+          startIcon={submitting ? <CircularProgress size={16} /> : null}
+        >
+          Sign In
+        </Button>
+      </Paper>
+    </Box>
+  );
+}
+
+export default Login;
@@ -15,6 +15,15 @@ API_URL="http://localhost:8080"
 PASSED=0
 FAILED=0
 
+# API routes need a token: an API key in GUARDIAN_API_KEY, or a login with
+# ADMIN_USERNAME / ADMIN_PASSWORD
+TOKEN="$GUARDIAN_API_KEY"
+if [ -z "$TOKEN" ]; then
+    TOKEN=$(curl -s -X POST -H "Content-Type: application/json" \
+        -d "{\"username\":\"${ADMIN_USERNAME:-admin}\",\"password\":\"$ADMIN_PASSWORD\"}" \
+        "$API_URL/api/auth/login" | sed -n 's/.*"token":"\([^"]*\)".*/\1/p')
+fi
+
 # Test function
 test_endpoint() {
     local endpoint=$1
@@ -25,10 +34,11 @@ test_endpoint() {
     echo -n "Testing: $description... "
     
     if [ "$method" == "GET" ]; then
-        response=$(curl -s -o /dev/null -w "%{http_code}" "$API_URL$endpoint")
+        response=$(curl -s -o /dev/null -w "%{http_code}" -H "Authorization: Bearer $TOKEN" "$API_URL$endpoint")
     else
         response=$(curl -s -o /dev/null -w "%{http_code}" -X "$method" \
             -H "Content-Type: application/json" \
+            -H "Authorization: Bearer $TOKEN" \
             -d "$data" \
             "$API_URL$endpoint")
     fi
@@ -56,7 +66,7 @@ test_endpoint "/api/vulnerabilities" "GET" "" "Get All Vulnerabilities"
 
 echo -e "\n${YELLOW}4. Testing Policy Management${NC}"
 test_endpoint "/api/policies" "GET" "" "Get Security Policies"
-test_endpoint "/api/policies" "POST" '{"name":"Test Policy","framework":"NIST CSF","controls":["AC-1","AC-2"]}' "Create New Policy"
+test_endpoint "/api/policies" "POST" '{"name":"Test Policy","framework":"NIST CSF","controls":["AC-1","AC-2"],"when":{"service":{"port":23}}}' "Create New Policy"
 
 echo -e "\n${YELLOW}5. Testing Metrics & Logs${NC}"
 test_endpoint "/api/metrics" "GET" "" "Get Platform Metrics"